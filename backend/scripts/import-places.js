@@ -0,0 +1,54 @@
+// Imports a GeoJSON or CSV file of places into the places table.
+//
+//   npm run import:places -- <file> [--format geojson|csv] [--source name]
+//
+// Re-importing a file updates the places it already imported (matched by id).
+import { readFile } from 'fs/promises';
+import path from 'path';
+import { createMySQLConnection, initializeTables } from '../src/config/database.js';
+import { PlaceService } from '../src/services/PlaceService.js';
+import { parsePlaceFile } from '../src/utils/placeImport.js';
+
+const parseArgs = (argv) => {
+  const args = { file: null, format: null, source: null };
+
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--format') args.format = argv[++i];
+    else if (argv[i] === '--source') args.source = argv[++i];
+    else args.file = argv[i];
+  }
+
+  return args;
+};
+
+const main = async () => {
+  const args = parseArgs(process.argv.slice(2));
+  if (!args.file) {
+    console.error('Usage: npm run import:places -- <file> [--format geojson|csv] [--source name]');
+    process.exit(1);
+  }
+
+  const records = parsePlaceFile(await readFile(args.file, 'utf8'), {
+    format: args.format,
+    fileName: args.file
+  });
+
+  const connection = await createMySQLConnection();
+  try {
+    await initializeTables(connection);
+    const placeService = new PlaceService(connection);
+    const { imported, skipped } = await placeService.importPlaces(records, args.source || path.basename(args.file));
+
+    console.log(`✅ Imported ${imported} of ${records.length} places from ${args.file}`);
+    skipped.forEach(({ index, name, reason }) => {
+      console.warn(`⚠️ Skipped record ${index + 1}${name ? ` (${name})` : ''}: ${reason}`);
+    });
+  } finally {
+    await connection.end();
+  }
+};
+
+main().catch(error => {
+  console.error('❌ Place import failed:', error.message);
+  process.exit(1);
+});
@@ -1,7 +1,25 @@
-import { OllamaService } from '../services/OllamaService.js';
+import { estimateTokens, truncateToTokens, fitTurnsToBudget } from '../utils/tokens.js';
+import { formatToolResult } from '../services/ToolRegistry.js';
+import { PLACES_OUTPUT_SCHEMA, validateJsonSchema, parseJsonContent, fieldCompleteness } from '../utils/structuredOutput.js';
+
+const MAX_TOOL_CALLS_PER_ROUND = 5;
+const MAX_PROMPT_PLACES = 5;
+const PLACE_CITATION_PATTERN = /\[place:([a-z0-9-]+)\]/g;
+// Answer length the providers ask for when modelConfig.max_tokens is not set
+const DEFAULT_OUTPUT_TOKENS = 1000;
+const MAX_PROMPT_MEMORY_ENTRIES = 5;
+const MAX_MEMORY_ENTRY_TOKENS = 200;
+
+// Token counts summed over the calls that made one response
+export const sumTokenUsage = (...parts) => parts.filter(Boolean).reduce((usage, part) => ({
+  inputTokens: usage.inputTokens + (part.inputTokens || 0),
+  outputTokens: usage.outputTokens + (part.outputTokens || 0),
+  totalTokens: usage.totalTokens + (part.totalTokens || 0)
+}), { inputTokens: 0, outputTokens: 0, totalTokens: 0 });
 
 export class BaseAgent {
-  constructor(config, memoryManager, ollamaService) {
+  // services: optional { toolRegistry, placeService, confidenceEstimator } from AgentManager
+  constructor(config, memoryManager, llmService, services = {}) {
     this.id = config.id;
     this.name = config.name;
     this.type = config.type;
@@ -10,10 +28,64 @@ export class BaseAgent {
     this.keywords = config.keywords || [];
     this.priority = config.priority || 1;
     this.enabled = config.enabled !== false;
+    // agent_versions row the config was loaded from
+    this.versionId = config.versionId || null;
     this.systemPrompt = config.systemPrompt || this.getDefaultSystemPrompt();
-    this.modelConfig = config.modelConfig || {};
+
+    // timeoutMs and maxRetries tell the orchestrator how to run the agent,
+    // maxToolRounds bounds the tool-call loop, structuredOutput turns on the
+    // JSON payload, confidenceMode picks how the answer is scored,
+    // cacheTtlSeconds how long the answer cache may reuse it (0 never) and
+    // contextWindow overrides the window the provider reports for the model;
+    // everything else in modelConfig goes to the LLM provider
+    const {
+      timeoutMs,
+      maxRetries,
+      maxToolRounds,
+      structuredOutput,
+      structuredOutputRetries,
+      confidenceMode,
+      cacheTtlSeconds,
+      contextWindow,
+      ...modelConfig
+    } = config.modelConfig || {};
+    this.modelConfig = modelConfig;
+    this.timeoutMs = timeoutMs;
+    this.maxRetries = maxRetries;
+    this.maxToolRounds = maxToolRounds ?? (parseInt(process.env.AGENT_MAX_TOOL_ROUNDS) || 3);
+    this.structuredOutput = structuredOutput === true;
+    this.structuredOutputRetries = structuredOutputRetries ?? (parseInt(process.env.STRUCTURED_OUTPUT_RETRIES) || 1);
+    this.confidenceMode = confidenceMode;
+    this.cacheTtlSeconds = cacheTtlSeconds ?? this.getDefaultCacheTtl();
+    this.contextWindow = contextWindow;
+    this.tools = config.tools || this.getDefaultTools();
     this.memoryManager = memoryManager;
-    this.ollama = ollamaService;
+    this.llm = llmService;
+    this.toolRegistry = services.toolRegistry || null;
+    this.placeService = services.placeService || null;
+    this.confidenceEstimator = services.confidenceEstimator || null;
+  }
+
+  // Tools the agent may call when its config does not list any
+  getDefaultTools() {
+    return [];
+  }
+
+  // Seconds an answer stays reusable by the answer cache when the config
+  // does not set cacheTtlSeconds; undefined uses the cache's default
+  getDefaultCacheTtl() {
+    return undefined;
+  }
+
+  // Category of the places table this agent answers about. Agents with one
+  // get the matching place records in their prompt.
+  getPlaceCategory() {
+    return null;
+  }
+
+  // JSON schema of the payload the agent produces when structuredOutput is on
+  getOutputSchema() {
+    return PLACES_OUTPUT_SCHEMA;
   }
 
   getDefaultSystemPrompt() {
@@ -27,43 +99,79 @@ If a query is outside your expertise, acknowledge this and provide what relevant
 Always provide specific, actionable information when possible.`;
   }
 
-  async execute(query, userId, sessionId, context = []) {
+  async execute(query, userId, sessionId, context = [], options = {}) {
     const startTime = Date.now();
+    const upstream = options.upstream || [];
+    const history = options.history || [];
     
     try {
       console.log(`[${this.name}] Processing query: "${query}"`);
       
       // Get relevant context from user's memory
       const relevantContext = await this.memoryManager.getRelevantContext(userId, query, 3);
-      const combinedContext = [...context, ...relevantContext];
+      const combinedContext = this.withoutThreadTurns([...context, ...relevantContext], history);
+      const places = await this.findRelevantPlaces(query);
       
-      // Generate response using Ollama
-      const ollamaResponse = await this.ollama.generateResponse(
-        this.systemPrompt,
-        this.formatQueryWithContext(query, combinedContext),
-        combinedContext,
-        this.modelConfig
+      // Generate response with the agent's LLM provider, running any tool
+      // calls the model makes along the way
+      const prompt = this.buildPrompt(query, {
+        context: combinedContext,
+        upstream,
+        places,
+        history,
+        historyTokenBudget: options.historyTokenBudget
+      });
+      const llmResponse = await this.generateWithTools(
+        prompt.userPrompt,
+        {
+          onToken: options.onToken,
+          signal: options.signal,
+          history: prompt.history,
+          ...this.confidenceEstimator?.getCallOptions(this.confidenceMode)
+        },
+        { userId, sessionId }
+      );
+      
+      const structured = this.structuredOutput
+        ? await this.generateStructuredOutput(query, llmResponse.content, places, options.signal)
+        : null;
+      const estimate = await this.estimateConfidence(
+        query,
+        llmResponse,
+        prompt.userPrompt,
+        this.calculateConfidence(query, llmResponse.content, structured?.data),
+        options.signal
       );
       
       const executionTime = Date.now() - startTime;
-      const confidence = this.calculateConfidence(query, ollamaResponse.content);
       const relevanceScore = this.calculateRelevanceScore(query);
       
       const agentResponse = {
         agentId: this.id,
         agentName: this.name,
-        response: ollamaResponse.content,
-        confidence: confidence,
+        response: llmResponse.content,
+        confidence: estimate.confidence,
+        confidenceDetails: this.formatConfidenceDetails(estimate),
         executionTime: executionTime,
-        inputTokens: ollamaResponse.inputTokens,
-        outputTokens: ollamaResponse.outputTokens,
-        totalTokens: ollamaResponse.totalTokens,
-        model: ollamaResponse.model,
+        ...sumTokenUsage(llmResponse, structured, estimate.usage),
+        promptTokens: prompt.tokens,
+        model: llmResponse.model,
         timestamp: new Date(),
-        relevanceScore: relevanceScore
+        relevanceScore: relevanceScore,
+        // Edge conditions see the JSON payload next to the extracted signals
+        structuredOutput: {
+          ...this.extractStructuredOutput(query, llmResponse.content),
+          ...structured?.data
+        },
+        ...(structured && {
+          structured: { data: structured.data, attempts: structured.attempts, errors: structured.errors }
+        }),
+        upstreamAgents: upstream.map(u => u.agentId),
+        toolCalls: llmResponse.toolCalls,
+        citations: await this.extractCitations(llmResponse.content)
       };
 
-      console.log(`[${this.name}] Response generated in ${executionTime}ms (${ollamaResponse.totalTokens} tokens)`);
+      console.log(`[${this.name}] Response generated in ${executionTime}ms (${llmResponse.totalTokens} tokens)`);
       return agentResponse;
       
     } catch (error) {
@@ -87,22 +195,429 @@ Always provide specific, actionable information when possible.`;
     }
   }
 
-  formatQueryWithContext(query, context) {
-    if (context.length === 0) {
+  // Calls the LLM and, while the model asks for tools, runs them and sends
+  // the results back. The last round offers no tools so the model has to
+  // answer. Resolves to the final LLM response with token counts summed over
+  // all rounds and toolCalls holding a record of every call made.
+  async generateWithTools(userPrompt, callOptions, toolContext) {
+    const tools = this.getToolDefinitions();
+    const followUp = [];
+    const toolCalls = [];
+    const usage = { inputTokens: 0, outputTokens: 0, totalTokens: 0 };
+
+    for (let round = 0; ; round++) {
+      const offerTools = tools.length > 0 && round < this.maxToolRounds;
+      const response = await this.llm.generateResponse(
+        this.systemPrompt,
+        userPrompt,
+        [],
+        this.modelConfig,
+        {
+          ...callOptions,
+          ...(offerTools && { tools }),
+          ...(followUp.length > 0 && { followUp })
+        }
+      );
+
+      usage.inputTokens += response.inputTokens || 0;
+      usage.outputTokens += response.outputTokens || 0;
+      usage.totalTokens += response.totalTokens || 0;
+
+      const requested = offerTools ? response.toolCalls || [] : [];
+      if (requested.length === 0) {
+        return { ...response, ...usage, toolCalls };
+      }
+
+      followUp.push({ role: 'assistant', content: response.content, toolCalls: requested });
+
+      for (const call of requested.slice(0, MAX_TOOL_CALLS_PER_ROUND)) {
+        console.log(`[${this.name}] Calling tool ${call.name}`);
+        const record = await this.toolRegistry.execute(call.name, call.arguments, {
+          ...toolContext,
+          agentId: this.id,
+          allowedTools: this.tools
+        });
+
+        toolCalls.push({ ...record, round });
+        followUp.push({ role: 'tool', toolCallId: call.id, name: call.name, content: formatToolResult(record) });
+      }
+
+      // Every call the assistant message lists needs a result, or
+      // OpenAI-compatible servers reject the next round
+      for (const call of requested.slice(MAX_TOOL_CALLS_PER_ROUND)) {
+        const error = `Not run: at most ${MAX_TOOL_CALLS_PER_ROUND} tool calls are run per round`;
+        followUp.push({ role: 'tool', toolCallId: call.id, name: call.name, content: formatToolResult({ error }) });
+      }
+    }
+  }
+
+  getToolDefinitions() {
+    return this.toolRegistry ? this.toolRegistry.getDefinitions(this.tools) : [];
+  }
+
+  // Tokens the prompt may take: the model's context window less the room
+  // kept for the answer and the tool definitions
+  getPromptBudget() {
+    const contextWindow = this.contextWindow ?? this.llm.getContextWindow(this.modelConfig);
+    const tools = this.getToolDefinitions();
+    const output = this.modelConfig.max_tokens || DEFAULT_OUTPUT_TOKENS;
+    const toolTokens = tools.length > 0 ? estimateTokens(JSON.stringify(tools)) : 0;
+
+    return {
+      contextWindow,
+      output,
+      tools: toolTokens,
+      input: Math.max(0, contextWindow - output - toolTokens)
+    };
+  }
+
+  // Fits the prompt into the model's context window. The system prompt and
+  // the query always go in; the rest is added in priority order while it
+  // fits: place records (dropped from the end), upstream answers (shortened
+  // to an equal share), thread history (oldest turns dropped first, listed by
+  // their questions when there is room) and memory entries (most relevant
+  // first). formatPrompt renders the user prompt from the chosen
+  // { places, upstream, context }. Returns { userPrompt, history, tokens };
+  // tokens is the breakdown reported with the response as promptTokens.
+  buildPrompt(query, parts = {}, formatPrompt = null) {
+    const { context = [], upstream = [], places = [], history = [], historyTokenBudget = Infinity } = parts;
+    const render = formatPrompt
+      || (chosen => this.formatQueryWithContext(query, chosen.context, chosen.upstream, chosen.places));
+    const budget = this.getPromptBudget();
+    const chosen = { places: [], upstream: [], context: [] };
+    const sections = { places: 0, upstream: 0, history: 0, memory: 0 };
+    const promptTokens = () => estimateTokens(render(chosen));
+
+    const system = estimateTokens(this.systemPrompt);
+    let used = system + promptTokens();
+    const free = () => budget.input - used;
+
+    // Adds candidates one at a time, skipping those that do not fit (or
+    // stopping at the first, for ranked lists that must stay in order)
+    const fill = (key, section, candidates, stopAtFirstMiss) => {
+      for (const candidate of candidates) {
+        const before = promptTokens();
+        chosen[key].push(candidate);
+        const cost = promptTokens() - before;
+        if (cost > free()) {
+          chosen[key].pop();
+          if (stopAtFirstMiss) break;
+          continue;
+        }
+        used += cost;
+        sections[section] += cost;
+      }
+    };
+
+    fill('places', 'places', places, true);
+
+    let upstreamTruncated = false;
+    if (upstream.length > 0) {
+      const before = promptTokens();
+      chosen.upstream = upstream;
+      if (promptTokens() - before > free()) {
+        chosen.upstream = upstream.map(u => ({ ...u, response: '' }));
+        const share = Math.floor((free() - (promptTokens() - before)) / upstream.length);
+        chosen.upstream = share > 0 ? upstream.map(u => ({ ...u, response: truncateToTokens(u.response, share) })) : [];
+        upstreamTruncated = true;
+      }
+      sections.upstream = promptTokens() - before;
+      used += sections.upstream;
+    }
+
+    const historyBudget = Math.max(0, Math.min(historyTokenBudget, free()));
+    const historyMessages = this.buildHistoryMessages(history, historyBudget);
+    const droppedTurns = history.slice(0, history.length - historyMessages.length / 2);
+    sections.history = historyMessages.reduce((sum, message) => sum + estimateTokens(message.content), 0);
+    let summarizedTurns = 0;
+    if (droppedTurns.length > 0) {
+      const summary = this.summarizeTurns(droppedTurns, historyBudget - sections.history);
+      if (summary) {
+        historyMessages.unshift(summary);
+        sections.history += estimateTokens(summary.content);
+        summarizedTurns = droppedTurns.length;
+      }
+    }
+    used += sections.history;
+
+    const memory = this.rankMemoryEntries(context);
+    fill('context', 'memory', memory, false);
+
+    const userPrompt = render(chosen);
+    const promptSize = estimateTokens(userPrompt);
+    const tokens = {
+      contextWindow: budget.contextWindow,
+      reservedOutput: budget.output,
+      tools: budget.tools,
+      system,
+      query: promptSize - sections.places - sections.upstream - sections.memory,
+      ...sections,
+      input: system + promptSize + sections.history + budget.tools,
+      dropped: {
+        places: places.length - chosen.places.length,
+        historyTurns: droppedTurns.length,
+        memoryEntries: memory.length - chosen.context.length
+      },
+      summarizedTurns,
+      upstreamTruncated
+    };
+
+    if (tokens.input + tokens.reservedOutput > tokens.contextWindow) {
+      console.warn(`[${this.name}] Prompt needs ${tokens.input} tokens plus ${tokens.reservedOutput} for the answer, more than the ${tokens.contextWindow}-token context window`);
+    }
+
+    return { userPrompt, history: historyMessages, tokens };
+  }
+
+  // Memory entries for the prompt, most similar to the query first (entries
+  // from keyword search keep their order after them), without repeats and
+  // with long entries shortened
+  rankMemoryEntries(context) {
+    const seen = new Set();
+    return context
+      .filter(entry => {
+        const key = entry.id || entry.content;
+        if (seen.has(key)) return false;
+        seen.add(key);
+        return true;
+      })
+      .map((entry, index) => ({ entry, index }))
+      .sort((a, b) => (b.entry.similarity ?? -1) - (a.entry.similarity ?? -1) || a.index - b.index)
+      .slice(0, MAX_PROMPT_MEMORY_ENTRIES)
+      .map(({ entry }) => ({ ...entry, content: truncateToTokens(entry.content || '', MAX_MEMORY_ENTRY_TOKENS) }));
+  }
+
+  // Stands in for thread turns that did not fit: the questions asked, most
+  // recent first, cut to maxTokens. Null when there is no room.
+  summarizeTurns(turns, maxTokens) {
+    const questions = [...turns].reverse().map(turn => `"${turn.query}"`).join('; ');
+    const content = truncateToTokens(`Earlier in this thread the user asked (most recent first): ${questions}`, maxTokens);
+    return maxTokens >= 10 ? { role: 'system', content } : null;
+  }
+
+  // Scores the answer with the confidence estimator. heuristic is the agent's
+  // own score, used as is without an estimator and as the fallback.
+  // sources is the prompt the answer was written from; tool results are added.
+  async estimateConfidence(query, llmResponse, sources, heuristic, signal) {
+    if (!this.confidenceEstimator) {
+      return { confidence: heuristic, method: 'heuristic', scores: { heuristic }, fallback: false, usage: null };
+    }
+
+    const toolResults = (llmResponse.toolCalls || []).map(call => `Tool ${call.name}: ${formatToolResult(call)}`);
+
+    return this.confidenceEstimator.estimate({
+      mode: this.confidenceMode,
+      agentName: this.name,
+      query,
+      response: llmResponse.content,
+      sources: [sources, ...toolResults].join('\n\n'),
+      logprobs: llmResponse.logprobs,
+      heuristic,
+      signal
+    });
+  }
+
+  // The scoring method and its sub-scores, reported with the response
+  formatConfidenceDetails(estimate) {
+    return {
+      method: estimate.method,
+      scores: estimate.scores,
+      fallback: estimate.fallback,
+      ...(estimate.reason && { reason: estimate.reason })
+    };
+  }
+
+  // Asks the model to restate its answer as JSON matching getOutputSchema().
+  // Invalid replies are sent back with the problems found, up to
+  // structuredOutputRetries more times. Resolves to { data, attempts, errors }
+  // plus the token counts; data is null when no reply was valid.
+  async generateStructuredOutput(query, answer, places = [], signal) {
+    const schema = this.getOutputSchema();
+    const usage = { inputTokens: 0, outputTokens: 0, totalTokens: 0 };
+    const basePrompt = this.formatStructuredOutputPrompt(query, answer, places);
+    let prompt = basePrompt;
+    let errors = [];
+
+    for (let attempt = 1; attempt <= this.structuredOutputRetries + 1; attempt++) {
+      try {
+        const response = await this.llm.generateResponse(
+          `You turn answers written by the ${this.name} into JSON. Reply with one JSON object that matches the schema and nothing else. Use an empty string for anything the answer does not say.`,
+          prompt,
+          [],
+          { ...this.modelConfig, temperature: 0 },
+          { format: schema, signal }
+        );
+
+        usage.inputTokens += response.inputTokens || 0;
+        usage.outputTokens += response.outputTokens || 0;
+        usage.totalTokens += response.totalTokens || 0;
+
+        let data = null;
+        try {
+          data = parseJsonContent(response.content);
+          errors = validateJsonSchema(schema, data);
+        } catch (error) {
+          errors = [error.message];
+        }
+
+        if (errors.length === 0) {
+          return { data, attempts: attempt, errors, ...usage };
+        }
+
+        console.warn(`[${this.name}] Structured output attempt ${attempt} invalid: ${errors.join('; ')}`);
+        prompt = `${basePrompt}
+
+Your previous reply was:
+${response.content}
+
+It was rejected because: ${errors.join('; ')}
+Reply with corrected JSON only.`;
+      } catch (error) {
+        console.warn(`[${this.name}] Structured output attempt ${attempt} failed: ${error.message}`);
+        errors = [error.message];
+      }
+    }
+
+    return { data: null, attempts: this.structuredOutputRetries + 1, errors, ...usage };
+  }
+
+  formatStructuredOutputPrompt(query, answer, places = []) {
+    const sections = [`Question: ${query}`, `Answer:\n${answer}`];
+
+    if (places.length > 0) {
+      const records = places.map(place =>
+        `- ${place.name}, ${[place.city, place.state].filter(Boolean).join(', ')}: ${place.category}, entry fee ${place.entryFee || 'not listed'}`
+      );
+      sections.push(`Place records the answer draws on:\n${records.join('\n')}`);
+    }
+
+    sections.push(`List every place the answer recommends as JSON matching this schema:\n${JSON.stringify(this.getOutputSchema())}`);
+    return sections.join('\n\n');
+  }
+
+  async findRelevantPlaces(query) {
+    const category = this.getPlaceCategory();
+    if (!this.placeService || !category) {
+      return [];
+    }
+
+    try {
+      return await this.placeService.findRelevantPlaces(query, category, MAX_PROMPT_PLACES);
+    } catch (error) {
+      console.warn(`[${this.name}] Place lookup failed: ${error.message}`);
+      return [];
+    }
+  }
+
+  // Places cited as [place:id] that exist, for the UI to link
+  async extractCitations(content) {
+    const placeIds = [...new Set([...(content || '').matchAll(PLACE_CITATION_PATTERN)].map(match => match[1]))];
+    if (!this.placeService || placeIds.length === 0) {
+      return [];
+    }
+
+    try {
+      const places = await this.placeService.getPlaces(placeIds);
+      return places.map(place => ({
+        placeId: place.id,
+        name: place.name,
+        latitude: place.latitude,
+        longitude: place.longitude
+      }));
+    } catch (error) {
+      console.warn(`[${this.name}] Citation lookup failed: ${error.message}`);
+      return [];
+    }
+  }
+
+  formatPlaces(places) {
+    const records = places.map(place => [
+      `[place:${place.id}] ${place.name} — ${[place.city, place.state].filter(Boolean).join(', ')}`,
+      `  ${place.description || 'No description.'}`,
+      `  Opening hours: ${place.openingHours || 'not listed'}. Entry fee: ${place.entryFee || 'not listed'}.`
+    ].join('\n'));
+
+    return `Places from our database (cite each place you mention as [place:id]; give opening hours and entry fees only as listed here, and say when they are not listed):\n${records.join('\n')}`;
+  }
+
+  formatQueryWithContext(query, context, upstream = [], places = []) {
+    if (context.length === 0 && upstream.length === 0 && places.length === 0) {
       return query;
     }
 
-    const contextStr = context
-      .slice(-3) // Last 3 context items
-      .map(c => `Previous: ${c.content}`)
-      .join('\n');
+    const sections = [];
+
+    if (places.length > 0) {
+      sections.push(this.formatPlaces(places));
+    }
+
+    if (context.length > 0) {
+      sections.push(this.formatMemoryContext(context));
+    }
+
+    if (upstream.length > 0) {
+      sections.push(this.formatUpstreamResponses(upstream));
+    }
 
-    return `Context from previous conversations:
-${contextStr}
+    return `${sections.join('\n\n')}
 
 Current query: ${query}
 
-Please provide a comprehensive response that takes into account the user's previous interactions and interests.`;
+Please provide a comprehensive response that takes into account the user's previous interactions and interests${upstream.length > 0 ? ', building on what the other agents found' : ''}.`;
+  }
+
+  formatMemoryContext(context) {
+    return `Context from previous conversations:\n${context.map(c => `Previous: ${c.content}`).join('\n')}`;
+  }
+
+  // Earlier turns of the thread as chat messages. The assistant side is this
+  // agent's own answer when it took part in the turn, otherwise the merged
+  // answer. The oldest turns are dropped first to stay within maxTokens.
+  buildHistoryMessages(turns = [], maxTokens = Infinity) {
+    const pairs = turns.map(turn => [
+      { role: 'user', content: turn.query },
+      { role: 'assistant', content: this.formatTurnAnswer(turn) }
+    ]);
+
+    return fitTurnsToBudget(pairs, maxTokens);
+  }
+
+  formatTurnAnswer(turn) {
+    const own = turn.responses.find(r => r.agentId === this.id);
+    if (own) {
+      return own.response;
+    }
+    if (turn.synthesis) {
+      return turn.synthesis.response;
+    }
+
+    return turn.responses
+      .map(r => `[${r.agentName}]: ${r.response}`)
+      .join('\n\n');
+  }
+
+  // Memory entries from the thread's own turns already arrive as chat history
+  withoutThreadTurns(context, history) {
+    if (history.length === 0) {
+      return context;
+    }
+
+    const turnIds = new Set(history.map(turn => turn.queryId));
+    return context.filter(entry => !turnIds.has(entry.conversationId));
+  }
+
+  formatUpstreamResponses(upstream) {
+    const findings = upstream
+      .map(u => `[${u.agentName}]: ${u.response}`)
+      .join('\n\n');
+
+    return `Findings from other agents for this query:\n${findings}`;
+  }
+
+  // Structured signals about a response that edge rule conditions are
+  // evaluated against. Agents override this to expose what they found.
+  extractStructuredOutput(query, response) {
+    return {};
   }
 
   calculateRelevanceScore(query) {
@@ -125,7 +640,8 @@ Please provide a comprehensive response that takes into account the user's previ
     return Math.min(Math.max(score, 1), 10);
   }
 
-  calculateConfidence(query, response) {
+  // structuredData is the validated JSON payload, when the agent produced one
+  calculateConfidence(query, response, structuredData = null) {
     // Base confidence calculation
     let confidence = 0.6; // Base 60%
     
@@ -141,8 +657,11 @@ Please provide a comprehensive response that takes into account the user's previ
     if (response.length > 200) confidence += 0.1;
     if (response.length > 500) confidence += 0.1;
     
-    // Increase confidence if response contains specific information
-    if (response.includes('specific') || response.includes('located') || response.includes('features')) {
+    // Increase confidence by how completely the payload fills its fields,
+    // or, without one, if the text looks like it has specific information
+    if (structuredData) {
+      confidence += 0.2 * fieldCompleteness(this.getOutputSchema(), structuredData);
+    } else if (response.includes('specific') || response.includes('located') || response.includes('features')) {
       confidence += 0.1;
     }
     
@@ -186,7 +705,8 @@ Please provide a comprehensive response that takes into account the user's previ
       capabilities: this.capabilities,
       keywords: this.keywords,
       priority: this.priority,
-      enabled: this.enabled
+      enabled: this.enabled,
+      tools: this.tools
     };
   }
 }
\ No newline at end of file
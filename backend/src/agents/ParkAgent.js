@@ -32,4 +32,12 @@ Be enthusiastic about outdoor recreation while providing practical, family-orien
 Focus on recreational and natural aspects of locations.
 Always consider accessibility and family-friendly features in your recommendations.`;
   }
+
+  getDefaultTools() {
+    return ['search_places', 'calculate_distance'];
+  }
+
+  getPlaceCategory() {
+    return 'park';
+  }
 }
\ No newline at end of file
@@ -0,0 +1,6 @@
+import { BaseAgent } from './BaseAgent.js';
+
+// Generic agent defined entirely by its configuration: the system prompt (or
+// the default prompt built from name, description and capabilities) and the
+// routing keywords. New topics such as food or heritage need no code.
+export class PromptAgent extends BaseAgent {}
@@ -1,4 +1,5 @@
 import { BaseAgent } from './BaseAgent.js';
+import { containsAnyTerm } from '../utils/text.js';
 
 export class RiverAgent extends BaseAgent {
   getDefaultSystemPrompt() {
@@ -32,4 +33,32 @@ Be knowledgeable about water-related experiences while prioritizing safety and e
 Focus on aquatic aspects even when discussing locations with other features.
 Always provide comprehensive information about water conditions and safety measures.`;
   }
-}
\ No newline at end of file
+
+  getDefaultTools() {
+    return ['search_places', 'calculate_distance'];
+  }
+
+  getPlaceCategory() {
+    return 'water';
+  }
+
+  extractStructuredOutput(query, response) {
+    const featureTerms = {
+      park: ['park', 'garden', 'sanctuary', 'sanctuaries'],
+      picnic: ['picnic'],
+      camping: ['camping', 'campsite'],
+      trail: ['trail', 'hiking', 'trek', 'trekking'],
+      playground: ['playground']
+    };
+
+    const features = Object.entries(featureTerms)
+      .filter(([, terms]) => containsAnyTerm(response, terms))
+      .map(([feature]) => feature);
+
+    return {
+      recreational: {
+        features
+      }
+    };
+  }
+}
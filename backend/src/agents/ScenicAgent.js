@@ -1,4 +1,5 @@
 import { BaseAgent } from './BaseAgent.js';
+import { containsAnyTerm } from '../utils/text.js';
 
 export class ScenicAgent extends BaseAgent {
   getDefaultSystemPrompt() {
@@ -30,4 +31,24 @@ Be enthusiastic about natural beauty while providing accurate, helpful informati
 Focus on scenic aspects even when discussing locations that might have other features.
 Always provide specific, actionable recommendations with detailed descriptions.`;
   }
-}
\ No newline at end of file
+
+  getDefaultTools() {
+    return ['search_places', 'calculate_distance'];
+  }
+
+  getPlaceCategory() {
+    return 'scenic';
+  }
+
+  extractStructuredOutput(query, response) {
+    const text = `${query} ${response}`;
+    const waterTerms = ['water', 'river', 'lake', 'waterfall', 'falls', 'beach', 'coast', 'backwater', 'stream', 'dam', 'reservoir', 'sea'];
+    const nearWater = containsAnyTerm(text, waterTerms);
+
+    return {
+      location: {
+        type: nearWater ? 'water-adjacent' : 'inland'
+      }
+    };
+  }
+}
@@ -1,4 +1,4 @@
-import { BaseAgent } from './BaseAgent.js';
+import { BaseAgent, sumTokenUsage } from './BaseAgent.js';
 
 export class SearchAgent extends BaseAgent {
   getDefaultSystemPrompt() {
@@ -31,7 +31,9 @@ Always explain how past conversations relate to current queries.
 Focus on providing personalized, context-aware responses.`;
   }
 
-  async execute(query, userId, sessionId, context = []) {
+  async execute(query, userId, sessionId, context = [], options = {}) {
+    const upstream = options.upstream || [];
+
     try {
       console.log(`[${this.name}] Processing search query: "${query}"`);
       
@@ -108,34 +110,67 @@ ${Object.entries(queryTypes)
         }
       }
       
-      searchContext += `Current query: "${query}"
+      // Memory context and upstream answers are added as far as the context
+      // window allows
+      const history = options.history || [];
+      const prompt = this.buildPrompt(
+        query,
+        {
+          context: this.withoutThreadTurns(context, history),
+          upstream,
+          history,
+          historyTokenBudget: options.historyTokenBudget
+        },
+        chosen => this.formatSearchPrompt(query, searchContext, chosen)
+      );
 
-Please provide a comprehensive analysis of the user's query in the context of their history, identify patterns, and make personalized recommendations.`;
+      // Use the agent's LLM provider to generate contextual response
+      const llmResponse = await this.generateWithTools(
+        prompt.userPrompt,
+        {
+          onToken: options.onToken,
+          signal: options.signal,
+          history: prompt.history,
+          ...this.confidenceEstimator?.getCallOptions(this.confidenceMode)
+        },
+        { userId, sessionId }
+      );
 
-      // Use Ollama to generate contextual response
-      const ollamaResponse = await this.ollama.generateResponse(
-        this.systemPrompt,
-        searchContext,
-        context,
-        this.modelConfig
+      const structured = this.structuredOutput
+        ? await this.generateStructuredOutput(query, llmResponse.content, [], options.signal)
+        : null;
+      const estimate = await this.estimateConfidence(
+        query,
+        llmResponse,
+        prompt.userPrompt,
+        this.calculateSearchConfidence(searchResults.length, conversationHistory.length),
+        options.signal
       );
       
       const executionTime = Date.now() - startTime;
-      const confidence = this.calculateSearchConfidence(searchResults.length, conversationHistory.length);
       const relevanceScore = this.calculateRelevanceScore(query);
       
       const agentResponse = {
         agentId: this.id,
         agentName: this.name,
-        response: ollamaResponse.content,
-        confidence: confidence,
+        response: llmResponse.content,
+        confidence: estimate.confidence,
+        confidenceDetails: this.formatConfidenceDetails(estimate),
         executionTime: executionTime,
-        inputTokens: ollamaResponse.inputTokens,
-        outputTokens: ollamaResponse.outputTokens,
-        totalTokens: ollamaResponse.totalTokens,
-        model: ollamaResponse.model,
+        ...sumTokenUsage(llmResponse, structured, estimate.usage),
+        promptTokens: prompt.tokens,
+        model: llmResponse.model,
         timestamp: new Date(),
         relevanceScore: relevanceScore,
+        structuredOutput: {
+          ...this.extractStructuredOutput(query, llmResponse.content),
+          ...structured?.data
+        },
+        ...(structured && {
+          structured: { data: structured.data, attempts: structured.attempts, errors: structured.errors }
+        }),
+        upstreamAgents: upstream.map(u => u.agentId),
+        toolCalls: llmResponse.toolCalls,
         metadata: {
           searchResultsCount: searchResults.length,
           conversationHistoryCount: conversationHistory.length,
@@ -168,6 +203,37 @@ Please provide a comprehensive analysis of the user's query in the context of th
     }
   }
 
+  // The history analysis, then the memory context and upstream answers the
+  // prompt builder chose, then the query
+  formatSearchPrompt(query, analysis, chosen) {
+    let prompt = analysis;
+
+    if (chosen.context.length > 0) {
+      prompt += `${this.formatMemoryContext(chosen.context)}
+
+`;
+    }
+
+    if (chosen.upstream.length > 0) {
+      prompt += `${this.formatUpstreamResponses(chosen.upstream)}
+
+`;
+    }
+
+    return `${prompt}Current query: "${query}"
+
+Please provide a comprehensive analysis of the user's query in the context of their history, identify patterns, and make personalized recommendations.`;
+  }
+
+  getDefaultTools() {
+    return ['memory_lookup'];
+  }
+
+  // Answers come from the user's history, which every query changes
+  getDefaultCacheTtl() {
+    return 0;
+  }
+
   calculateSearchConfidence(searchResultsCount, historyCount) {
     let confidence = 0.5; // Base confidence
     
@@ -179,4 +245,15 @@ Please provide a comprehensive analysis of the user's query in the context of th
     
     return Math.min(confidence, 1.0);
   }
-}
\ No newline at end of file
+
+  extractStructuredOutput(query, response) {
+    const queryLower = query.toLowerCase();
+    const isHistorical = this.keywords.some(keyword => queryLower.includes(keyword.toLowerCase()));
+
+    return {
+      query: {
+        type: isHistorical ? 'historical' : 'general'
+      }
+    };
+  }
+}
@@ -24,6 +24,45 @@ export const createMySQLConnection = async () => {
   }
 };
 
+// Add a column to an existing table. CREATE TABLE IF NOT EXISTS leaves
+// tables from older versions untouched, so new columns go through here too.
+export const addColumnIfMissing = async (connection, table, column, definition) => {
+  const [columns] = await connection.execute(
+    'SELECT COLUMN_NAME FROM INFORMATION_SCHEMA.COLUMNS WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = ? AND COLUMN_NAME = ?',
+    [table, column]
+  );
+
+  if (columns.length === 0) {
+    await connection.execute(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+    console.log(`✅ Added column ${table}.${column}`);
+  }
+};
+
+// MySQL has no IF NOT EXISTS for indexes or foreign keys either
+export const addIndexIfMissing = async (connection, table, index, columns) => {
+  const [indexes] = await connection.execute(
+    'SELECT INDEX_NAME FROM INFORMATION_SCHEMA.STATISTICS WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = ? AND INDEX_NAME = ?',
+    [table, index]
+  );
+
+  if (indexes.length === 0) {
+    await connection.execute(`ALTER TABLE ${table} ADD INDEX ${index} (${columns})`);
+    console.log(`✅ Added index ${table}.${index}`);
+  }
+};
+
+export const addForeignKeyIfMissing = async (connection, table, column, reference) => {
+  const [keys] = await connection.execute(
+    'SELECT CONSTRAINT_NAME FROM INFORMATION_SCHEMA.KEY_COLUMN_USAGE WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = ? AND COLUMN_NAME = ? AND REFERENCED_TABLE_NAME IS NOT NULL',
+    [table, column]
+  );
+
+  if (keys.length === 0) {
+    await connection.execute(`ALTER TABLE ${table} ADD FOREIGN KEY (${column}) REFERENCES ${reference}`);
+    console.log(`✅ Added foreign key ${table}.${column}`);
+  }
+};
+
 // Initialize Database Tables
 export const initializeTables = async (connection) => {
   try {
@@ -58,26 +97,73 @@ export const initializeTables = async (connection) => {
         keywords JSON,
         system_prompt TEXT,
         model_config JSON,
+        tools JSON,
         enabled BOOLEAN DEFAULT TRUE,
         priority INT DEFAULT 1,
+        version_id VARCHAR(255),
         created_by VARCHAR(255),
         created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
         updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
         INDEX idx_type (type),
         INDEX idx_enabled (enabled),
+        INDEX idx_version_id (version_id),
         FOREIGN KEY (created_by) REFERENCES users(id) ON DELETE SET NULL
       )
     `);
 
+    // Snapshot of an agent's configuration after every change. Deliberately
+    // no foreign key to agents: versions are kept when the agent is deleted,
+    // so stored interactions still point at their prompt, and an agent
+    // recreated with the same id continues its numbering.
+    await connection.execute(`
+      CREATE TABLE IF NOT EXISTS agent_versions (
+        id VARCHAR(255) PRIMARY KEY,
+        agent_id VARCHAR(255) NOT NULL,
+        version INT NOT NULL,
+        name VARCHAR(255) NOT NULL,
+        type VARCHAR(100) NOT NULL,
+        description TEXT,
+        capabilities JSON,
+        keywords JSON,
+        system_prompt TEXT,
+        model_config JSON,
+        tools JSON,
+        enabled BOOLEAN,
+        priority INT,
+        change_type VARCHAR(20) NOT NULL,
+        source_version INT,
+        created_by VARCHAR(255),
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE KEY unique_agent_version (agent_id, version),
+        FOREIGN KEY (created_by) REFERENCES users(id) ON DELETE SET NULL
+      )
+    `);
+
+    // Conversation threads (multi-turn sessions)
+    await connection.execute(`
+      CREATE TABLE IF NOT EXISTS threads (
+        id VARCHAR(255) PRIMARY KEY,
+        user_id VARCHAR(255) NOT NULL,
+        title VARCHAR(255),
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+        INDEX idx_user_id (user_id),
+        INDEX idx_updated_at (updated_at),
+        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+      )
+    `);
+
     // Conversations table
     await connection.execute(`
       CREATE TABLE IF NOT EXISTS conversations (
         id VARCHAR(255) PRIMARY KEY,
         user_id VARCHAR(255) NOT NULL,
         session_id VARCHAR(255),
+        thread_id VARCHAR(255),
         query TEXT NOT NULL,
         query_hash VARCHAR(64),
         responses JSON,
+        synthesis JSON,
         total_execution_time INT,
         agent_count INT,
         agents_used JSON,
@@ -86,7 +172,9 @@ export const initializeTables = async (connection) => {
         INDEX idx_session_id (session_id),
         INDEX idx_timestamp (timestamp),
         INDEX idx_query_hash (query_hash),
-        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+        INDEX idx_thread_id (thread_id),
+        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+        FOREIGN KEY (thread_id) REFERENCES threads(id) ON DELETE CASCADE
       )
     `);
 
@@ -104,6 +192,7 @@ export const initializeTables = async (connection) => {
         relevance_score FLOAT DEFAULT 0,
         embedding_vector JSON,
         expires_at TIMESTAMP NULL,
+        consolidated_at TIMESTAMP NULL,
         timestamp TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
         INDEX idx_user_id (user_id),
         INDEX idx_type (type),
@@ -130,9 +219,12 @@ export const initializeTables = async (connection) => {
         confidence_score FLOAT,
         relevance_score FLOAT,
         model_used VARCHAR(100),
+        tool_calls JSON,
+        agent_version_id VARCHAR(255),
         timestamp TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
         INDEX idx_conversation_id (conversation_id),
         INDEX idx_agent_id (agent_id),
+        INDEX idx_agent_version_id (agent_version_id),
         INDEX idx_user_id (user_id),
         INDEX idx_timestamp (timestamp),
         FOREIGN KEY (conversation_id) REFERENCES conversations(id) ON DELETE CASCADE,
@@ -151,6 +243,11 @@ export const initializeTables = async (connection) => {
         avg_confidence FLOAT DEFAULT 0,
         avg_relevance FLOAT DEFAULT 0,
         success_rate FLOAT DEFAULT 0,
+        feedback_count INT DEFAULT 0,
+        positive_feedback INT DEFAULT 0,
+        negative_feedback INT DEFAULT 0,
+        rating_count INT DEFAULT 0,
+        avg_rating FLOAT NULL,
         created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
         updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
         UNIQUE KEY unique_agent_date (agent_id, date),
@@ -176,6 +273,86 @@ export const initializeTables = async (connection) => {
       )
     `);
 
+    // Edge rules between agents; seeded from config/agents.json
+    await connection.execute(`
+      CREATE TABLE IF NOT EXISTS edge_rules (
+        id VARCHAR(255) PRIMARY KEY,
+        from_agent VARCHAR(255) NOT NULL,
+        to_agent VARCHAR(255) NOT NULL,
+        condition_expr TEXT,
+        priority VARCHAR(10) DEFAULT 'medium',
+        enabled BOOLEAN DEFAULT TRUE,
+        description TEXT,
+        created_by VARCHAR(255),
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+        INDEX idx_from_agent (from_agent),
+        FOREIGN KEY (created_by) REFERENCES users(id) ON DELETE SET NULL
+      )
+    `);
+
+    // Points of interest agents ground their answers in
+    await connection.execute(`
+      CREATE TABLE IF NOT EXISTS places (
+        id VARCHAR(255) PRIMARY KEY,
+        name VARCHAR(255) NOT NULL,
+        category VARCHAR(50) NOT NULL,
+        latitude DOUBLE NOT NULL,
+        longitude DOUBLE NOT NULL,
+        city VARCHAR(255),
+        state VARCHAR(255),
+        tags JSON,
+        description TEXT,
+        opening_hours VARCHAR(255),
+        entry_fee VARCHAR(255),
+        source VARCHAR(255),
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+        INDEX idx_category (category),
+        INDEX idx_location (latitude, longitude)
+      )
+    `);
+
+    // Users' ratings of agent answers; one row per user per answer
+    await connection.execute(`
+      CREATE TABLE IF NOT EXISTS response_feedback (
+        id VARCHAR(255) PRIMARY KEY,
+        interaction_id VARCHAR(255) NOT NULL,
+        conversation_id VARCHAR(255) NOT NULL,
+        agent_id VARCHAR(255) NOT NULL,
+        user_id VARCHAR(255) NOT NULL,
+        thumbs VARCHAR(4),
+        rating INT,
+        comment TEXT,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+        UNIQUE KEY unique_interaction_user (interaction_id, user_id),
+        INDEX idx_user_agent (user_id, agent_id),
+        FOREIGN KEY (interaction_id) REFERENCES agent_interactions(id) ON DELETE CASCADE,
+        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+      )
+    `);
+
+    // Columns added after the initial schema
+    await addColumnIfMissing(connection, 'conversations', 'synthesis', 'JSON AFTER responses');
+    await addColumnIfMissing(connection, 'conversations', 'thread_id', 'VARCHAR(255) AFTER session_id');
+    await addColumnIfMissing(connection, 'agents', 'tools', 'JSON AFTER model_config');
+    await addColumnIfMissing(connection, 'agent_interactions', 'tool_calls', 'JSON AFTER model_used');
+    await addColumnIfMissing(connection, 'memory_entries', 'consolidated_at', 'TIMESTAMP NULL AFTER expires_at');
+    await addColumnIfMissing(connection, 'agent_metrics', 'feedback_count', 'INT DEFAULT 0 AFTER success_rate');
+    await addColumnIfMissing(connection, 'agent_metrics', 'positive_feedback', 'INT DEFAULT 0 AFTER feedback_count');
+    await addColumnIfMissing(connection, 'agent_metrics', 'negative_feedback', 'INT DEFAULT 0 AFTER positive_feedback');
+    await addColumnIfMissing(connection, 'agent_metrics', 'rating_count', 'INT DEFAULT 0 AFTER negative_feedback');
+    await addColumnIfMissing(connection, 'agent_metrics', 'avg_rating', 'FLOAT NULL AFTER rating_count');
+    await addColumnIfMissing(connection, 'agents', 'version_id', 'VARCHAR(255) AFTER priority');
+    await addColumnIfMissing(connection, 'agent_interactions', 'agent_version_id', 'VARCHAR(255) AFTER tool_calls');
+
+    // Indexes and foreign keys of the columns above
+    await addIndexIfMissing(connection, 'conversations', 'idx_thread_id', 'thread_id');
+    await addForeignKeyIfMissing(connection, 'conversations', 'thread_id', 'threads(id) ON DELETE CASCADE');
+    await addIndexIfMissing(connection, 'agents', 'idx_version_id', 'version_id');
+    await addIndexIfMissing(connection, 'agent_interactions', 'idx_agent_version_id', 'agent_version_id');
+
     console.log('✅ Database tables initialized successfully');
   } catch (error) {
     console.error('❌ Database initialization failed:', error);
@@ -1,11 +1,17 @@
 import express from 'express';
 import Joi from 'joi';
 import { authenticateToken, optionalAuth } from '../middleware/auth.js';
+import { ROUTING_MODES } from '../services/QueryRouter.js';
+import { AGENT_TYPE_PATTERN } from '../services/AgentPluginLoader.js';
+import { PLACE_CATEGORIES } from '../services/PlaceService.js';
+import { EDGE_RULE_PRIORITIES } from '../services/EdgeRuleManager.js';
+import { CONFIDENCE_MODES } from '../services/ConfidenceEstimator.js';
+import { parseCoordinates } from '../utils/geo.js';
 
 const router = express.Router();
 
 // Global services (will be initialized in server.js)
-let orchestrator, authService, agentManager, memoryManager, ollamaService;
+let orchestrator, authService, agentManager, memoryManager, llmService, threadManager, placeService, edgeRuleManager;
 
 // Initialize services
 export const initializeServices = (services) => {
@@ -13,9 +19,17 @@ export const initializeServices = (services) => {
   authService = services.authService;
   agentManager = services.agentManager;
   memoryManager = services.memoryManager;
-  ollamaService = services.ollamaService;
+  llmService = services.llmService;
+  threadManager = services.threadManager;
+  placeService = services.placeService;
+  edgeRuleManager = services.edgeRuleManager;
 };
 
+// The middleware is built per request because authService is only set once
+// initializeServices runs, after the routes below are registered
+const requireAuth = (req, res, next) => authenticateToken(authService)(req, res, next);
+const allowAuth = (req, res, next) => optionalAuth(authService)(req, res, next);
+
 // Validation schemas
 const registerSchema = Joi.object({
   username: Joi.string().alphanum().min(3).max(30).required(),
@@ -29,24 +43,147 @@ const loginSchema = Joi.object({
   password: Joi.string().required()
 });
 
+const routingSchema = Joi.object({
+  mode: Joi.string().valid(...ROUTING_MODES).optional(),
+  threshold: Joi.number().min(0).max(1).optional()
+});
+
 const querySchema = Joi.object({
   query: Joi.string().min(1).max(1000).required(),
   userId: Joi.string().optional(),
-  sessionId: Joi.string().optional()
+  sessionId: Joi.string().optional(),
+  routing: routingSchema.optional(),
+  synthesize: Joi.boolean().optional(),
+  cache: Joi.string().valid('use', 'bypass').optional()
+});
+
+const threadSchema = Joi.object({
+  title: Joi.string().min(1).max(255).optional()
+});
+
+const threadMessageSchema = Joi.object({
+  query: Joi.string().min(1).max(1000).required(),
+  routing: routingSchema.optional(),
+  synthesize: Joi.boolean().optional(),
+  cache: Joi.string().valid('use', 'bypass').optional()
+});
+
+const feedbackSchema = Joi.object({
+  thumbs: Joi.string().valid('up', 'down').allow(null).optional(),
+  rating: Joi.number().integer().min(1).max(5).allow(null).optional(),
+  comment: Joi.string().max(1000).allow('', null).optional()
+}).or('thumbs', 'rating', 'comment');
+
+const MEMORY_TYPES = ['query', 'response', 'context', 'system'];
+
+const memoryListSchema = Joi.object({
+  type: Joi.string().valid(...MEMORY_TYPES).optional(),
+  agentId: Joi.string().max(255).optional(),
+  conversationId: Joi.string().max(255).optional(),
+  tier: Joi.string().valid('stm', 'ltm').optional(),
+  from: Joi.date().iso().optional(),
+  to: Joi.date().iso().optional(),
+  limit: Joi.number().integer().min(1).max(100).default(20),
+  offset: Joi.number().integer().min(0).default(0)
+});
+
+const memoryUpdateSchema = Joi.object({
+  content: Joi.string().trim().min(1).max(5000).required()
 });
 
 const agentSchema = Joi.object({
   name: Joi.string().min(1).max(100).required(),
-  type: Joi.string().valid('scenic', 'river', 'park', 'search').required(),
+  // Checked against the registered types (built-in and plugins) by AgentManager
+  type: Joi.string().pattern(AGENT_TYPE_PATTERN).required(),
   description: Joi.string().max(500).optional(),
   capabilities: Joi.array().items(Joi.string()).optional(),
   keywords: Joi.array().items(Joi.string()).optional(),
   systemPrompt: Joi.string().max(2000).optional(),
-  modelConfig: Joi.object().optional(),
+  modelConfig: Joi.object({
+    provider: Joi.string().optional(),
+    model: Joi.string().max(100).optional(),
+    structuredOutput: Joi.boolean().optional(),
+    structuredOutputRetries: Joi.number().integer().min(0).max(3).optional(),
+    confidenceMode: Joi.string().valid(...CONFIDENCE_MODES).optional(),
+    cacheTtlSeconds: Joi.number().integer().min(0).max(7 * 24 * 60 * 60).optional(),
+    contextWindow: Joi.number().integer().min(512).optional(),
+    // A server named in OPENAI_COMPAT_ENDPOINTS; URLs and keys stay server-side
+    endpoint: Joi.string().max(100).optional(),
+    baseUrl: Joi.forbidden(),
+    apiKey: Joi.forbidden()
+  }).unknown(true).optional(),
+  // Names from GET /tools; checked against the tool registry by AgentManager
+  tools: Joi.array().items(Joi.string().max(64)).max(20).optional(),
   enabled: Joi.boolean().optional(),
   priority: Joi.number().integer().min(1).max(10).optional()
 });
 
+const versionDiffSchema = Joi.object({
+  from: Joi.number().integer().min(1).required(),
+  // Defaults to the current version
+  to: Joi.number().integer().min(1).optional()
+});
+
+const METRICS_WINDOW_DAYS = 30;
+
+const metricsRangeSchema = Joi.object({
+  from: Joi.date().iso().optional(),
+  to: Joi.date().iso().optional()
+});
+
+const leaderboardSchema = metricsRangeSchema.keys({
+  sortBy: Joi.string().valid('successRate', 'avgConfidence', 'avgRelevance', 'avgExecutionTime', 'totalQueries').default('successRate'),
+  limit: Joi.number().integer().min(1).max(100).default(10)
+});
+
+// Defaults to the last METRICS_WINDOW_DAYS days
+const resolveMetricsRange = ({ from, to }) => {
+  const end = to || new Date();
+  const start = from || new Date(end.getTime() - METRICS_WINDOW_DAYS * 24 * 60 * 60 * 1000);
+  return { from: start, to: end };
+};
+
+// Agent ids are checked by EdgeRuleManager; `to` may also be '*' (every other routed agent)
+const edgeRuleFields = {
+  from: Joi.string().max(255),
+  to: Joi.string().max(255),
+  condition: Joi.string().max(500).allow(''),
+  priority: Joi.string().valid(...EDGE_RULE_PRIORITIES),
+  enabled: Joi.boolean(),
+  description: Joi.string().max(500).allow('', null)
+};
+
+const edgeRuleSchema = Joi.object({
+  ...edgeRuleFields,
+  from: edgeRuleFields.from.required(),
+  to: edgeRuleFields.to.required(),
+  condition: edgeRuleFields.condition.default(''),
+  priority: edgeRuleFields.priority.default('medium'),
+  enabled: edgeRuleFields.enabled.default(true)
+});
+
+const edgeRuleUpdateSchema = Joi.object(edgeRuleFields).min(1);
+
+const placeSearchSchema = Joi.object({
+  near: Joi.string().pattern(/^\s*-?\d+(\.\d+)?\s*,\s*-?\d+(\.\d+)?\s*$/).optional()
+    .messages({ 'string.pattern.base': '"near" must be "latitude,longitude"' }),
+  radius: Joi.number().min(0.1).max(1000).default(25),
+  category: Joi.string().valid(...PLACE_CATEGORIES).optional(),
+  state: Joi.string().max(100).optional(),
+  q: Joi.string().max(200).optional(),
+  limit: Joi.number().integer().min(1).max(100).default(20)
+});
+
+// Preferences of the user a query runs for (responseFormat etc.)
+const getUserPreferences = async (req, userId) => {
+  if (req.user) {
+    return req.user.preferences || {};
+  }
+
+  const user = await authService.getUserById(userId);
+  return user?.preferences || {};
+};
+
 // Authentication Routes
 router.post('/auth/register', async (req, res) => {
   try {
@@ -100,7 +237,7 @@ router.post('/auth/login', async (req, res) => {
   }
 });
 
-router.post('/auth/logout', authenticateToken(authService), async (req, res) => {
+router.post('/auth/logout', requireAuth, async (req, res) => {
   try {
     const token = req.headers['authorization'].split(' ')[1];
     await authService.logout(token);
@@ -119,7 +256,7 @@ router.post('/auth/logout', authenticateToken(authService), async (req, res) =>
 });
 
 // Main query processing endpoint (matches the diagram)
-router.post('/run_graph', optionalAuth(authService), async (req, res) => {
+router.post('/run_graph', allowAuth, async (req, res) => {
   try {
     const { error, value } = querySchema.validate(req.body);
     if (error) {
@@ -145,7 +282,12 @@ router.post('/run_graph', optionalAuth(authService), async (req, res) => {
 
     console.log(`[API] Processing query from user ${userId}: "${query}"`);
 
-    const result = await orchestrator.processQuery(query, userId, sessionId);
+    const result = await orchestrator.processQuery(query, userId, sessionId, {
+      routing: value.routing,
+      synthesize: value.synthesize,
+      cache: value.cache,
+      preferences: await getUserPreferences(req, userId)
+    });
 
     res.json({
       success: true,
@@ -161,8 +303,222 @@ router.post('/run_graph', optionalAuth(authService), async (req, res) => {
   }
 });
 
+// Streaming variant of /run_graph using Server-Sent Events
+const writeEvent = (res, event, data) => {
+  res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+};
+
+router.post('/run_graph/stream', allowAuth, async (req, res) => {
+  const { error, value } = querySchema.validate(req.body);
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      error: error.details[0].message
+    });
+  }
+
+  const { query } = value;
+  let { userId, sessionId } = value;
+
+  if (req.user) {
+    userId = req.user.userId;
+    sessionId = req.user.sessionId;
+  } else if (!userId) {
+    return res.status(400).json({
+      success: false,
+      error: 'User authentication required or userId must be provided'
+    });
+  }
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+
+  // The query keeps running if the client goes away, but nothing more is written
+  let clientClosed = false;
+  res.on('close', () => {
+    clientClosed = true;
+  });
+
+  const onEvent = (event, data) => {
+    if (!clientClosed) {
+      writeEvent(res, event, data);
+    }
+  };
+
+  try {
+    console.log(`[API] Streaming query from user ${userId}: "${query}"`);
+
+    const result = await orchestrator.processQuery(query, userId, sessionId, {
+      routing: value.routing,
+      synthesize: value.synthesize,
+      cache: value.cache,
+      preferences: await getUserPreferences(req, userId),
+      onEvent
+    });
+    onEvent('result', result);
+  } catch (error) {
+    console.error('[API] Streaming query error:', error);
+    onEvent('error', { error: error.message || 'Query processing failed' });
+  } finally {
+    if (!clientClosed) {
+      res.end();
+    }
+  }
+});
+
+// Thread routes (multi-turn conversations)
+
+// Thread of the authenticated user, or null after sending the error response
+const findOwnThread = async (req, res) => {
+  const thread = await threadManager.getThread(req.params.threadId);
+  if (!thread) {
+    res.status(404).json({
+      success: false,
+      error: 'Thread not found'
+    });
+    return null;
+  }
+
+  if (thread.userId !== req.user.userId) {
+    res.status(403).json({
+      success: false,
+      error: 'Access denied'
+    });
+    return null;
+  }
+
+  return thread;
+};
+
+router.post('/threads', requireAuth, async (req, res) => {
+  try {
+    const { error, value } = threadSchema.validate(req.body || {});
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: error.details[0].message
+      });
+    }
+
+    const thread = await threadManager.createThread(req.user.userId, value.title);
+
+    res.status(201).json({
+      success: true,
+      message: 'Thread created successfully',
+      data: { thread }
+    });
+  } catch (error) {
+    console.error('[API] Create thread error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to create thread'
+    });
+  }
+});
+
+router.get('/threads', requireAuth, async (req, res) => {
+  try {
+    const { limit = 20, offset = 0 } = req.query;
+    const threads = await threadManager.listThreads(req.user.userId, parseInt(limit), parseInt(offset));
+
+    res.json({
+      success: true,
+      data: { threads }
+    });
+  } catch (error) {
+    console.error('[API] List threads error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to list threads'
+    });
+  }
+});
+
+router.get('/threads/:threadId', requireAuth, async (req, res) => {
+  try {
+    const thread = await findOwnThread(req, res);
+    if (!thread) return;
+
+    const messages = await threadManager.getMessages(thread.id);
+
+    res.json({
+      success: true,
+      data: { thread, messages }
+    });
+  } catch (error) {
+    console.error('[API] Get thread error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get thread'
+    });
+  }
+});
+
+router.post('/threads/:threadId/messages', requireAuth, async (req, res) => {
+  try {
+    const { error, value } = threadMessageSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: error.details[0].message
+      });
+    }
+
+    const thread = await findOwnThread(req, res);
+    if (!thread) return;
+
+    const { userId, sessionId } = req.user;
+    console.log(`[API] Processing thread ${thread.id} message from user ${userId}: "${value.query}"`);
+
+    const result = await orchestrator.processQuery(value.query, userId, sessionId, {
+      threadId: thread.id,
+      routing: value.routing,
+      synthesize: value.synthesize,
+      cache: value.cache,
+      preferences: await getUserPreferences(req, userId)
+    });
+    await threadManager.recordTurn(thread.id, value.query);
+
+    res.json({
+      success: true,
+      message: 'Query processed successfully',
+      data: result
+    });
+  } catch (error) {
+    console.error('[API] Thread message error:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message || 'Query processing failed'
+    });
+  }
+});
+
+router.delete('/threads/:threadId', requireAuth, async (req, res) => {
+  try {
+    const thread = await findOwnThread(req, res);
+    if (!thread) return;
+
+    await threadManager.deleteThread(thread.id);
+
+    res.json({
+      success: true,
+      message: 'Thread deleted successfully'
+    });
+  } catch (error) {
+    console.error('[API] Delete thread error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to delete thread'
+    });
+  }
+});
+
 // User management routes
-router.get('/users/me', authenticateToken(authService), async (req, res) => {
+router.get('/users/me', requireAuth, async (req, res) => {
   try {
     const user = await authService.getUserById(req.user.userId);
     if (!user) {
@@ -185,7 +541,7 @@ router.get('/users/me', authenticateToken(authService), async (req, res) => {
   }
 });
 
-router.get('/users/:userId/conversations', authenticateToken(authService), async (req, res) => {
+router.get('/users/:userId/conversations', requireAuth, async (req, res) => {
   try {
     const { userId } = req.params;
     const { limit = 20, offset = 0 } = req.query;
@@ -217,7 +573,41 @@ router.get('/users/:userId/conversations', authenticateToken(authService), async
   }
 });
 
-router.get('/users/:userId/search', authenticateToken(authService), async (req, res) => {
+// Replaces the user's earlier feedback on the same answer
+router.post('/conversations/:conversationId/responses/:agentId/feedback', requireAuth, async (req, res) => {
+  try {
+    const { error, value } = feedbackSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: error.details[0].message
+      });
+    }
+
+    const { conversationId, agentId } = req.params;
+    const feedback = await memoryManager.storeResponseFeedback(req.user.userId, conversationId, agentId, value);
+    if (!feedback) {
+      return res.status(404).json({
+        success: false,
+        error: 'Response not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Feedback saved',
+      data: { feedback }
+    });
+  } catch (error) {
+    console.error('[API] Save feedback error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to save feedback'
+    });
+  }
+});
+
+router.get('/users/:userId/search', requireAuth, async (req, res) => {
   try {
     const { userId } = req.params;
     const { q: searchTerm, limit = 50 } = req.query;
@@ -252,54 +642,79 @@ router.get('/users/:userId/search', authenticateToken(authService), async (req,
   }
 });
 
-router.get('/users/:userId/stats', authenticateToken(authService), async (req, res) => {
+// Memory management: the user's own entries only
+
+// False after sending the error response when :userId is another user
+const isOwnUserData = (req, res) => {
+  if (req.user.userId !== req.params.userId) {
+    res.status(403).json({
+      success: false,
+      error: 'Access denied'
+    });
+    return false;
+  }
+
+  return true;
+};
+
+const memoryEntryNotFound = (res) => res.status(404).json({
+  success: false,
+  error: 'Memory entry not found'
+});
+
+router.get('/users/:userId/memory', requireAuth, async (req, res) => {
   try {
-    const { userId } = req.params;
+    if (!isOwnUserData(req, res)) return;
 
-    // Check if user can access this data
-    if (req.user.userId !== userId) {
-      return res.status(403).json({
+    const { error, value } = memoryListSchema.validate(req.query);
+    if (error) {
+      return res.status(400).json({
         success: false,
-        error: 'Access denied'
+        error: error.details[0].message
       });
     }
 
-    const stats = await memoryManager.getMemoryStats(userId);
+    const page = await memoryManager.listMemoryEntries(req.params.userId, value);
 
     res.json({
       success: true,
-      data: { stats }
+      data: page
     });
   } catch (error) {
-    console.error('[API] Get stats error:', error);
+    console.error('[API] List memory error:', error);
     res.status(500).json({
       success: false,
-      error: 'Failed to get user statistics'
+      error: 'Failed to list memory entries'
     });
   }
 });
 
-// Agent management routes
-router.get('/agents', async (req, res) => {
+router.post('/users/:userId/memory/:entryId/pin', requireAuth, async (req, res) => {
   try {
-    const agents = await agentManager.getAllAgents();
-    
+    if (!isOwnUserData(req, res)) return;
+
+    const entry = await memoryManager.pinMemoryEntry(req.params.userId, req.params.entryId);
+    if (!entry) return memoryEntryNotFound(res);
+
     res.json({
       success: true,
-      data: { agents }
+      message: 'Memory entry pinned',
+      data: { entry }
     });
   } catch (error) {
-    console.error('[API] Get agents error:', error);
+    console.error('[API] Pin memory error:', error);
     res.status(500).json({
       success: false,
-      error: 'Failed to get agents'
+      error: 'Failed to pin memory entry'
     });
   }
 });
 
-router.post('/agents', authenticateToken(authService), async (req, res) => {
+router.put('/users/:userId/memory/:entryId', requireAuth, async (req, res) => {
   try {
-    const { error, value } = agentSchema.validate(req.body);
+    if (!isOwnUserData(req, res)) return;
+
+    const { error, value } = memoryUpdateSchema.validate(req.body);
     if (error) {
       return res.status(400).json({
         success: false,
@@ -307,90 +722,596 @@ router.post('/agents', authenticateToken(authService), async (req, res) => {
       });
     }
 
-    const agentId = await agentManager.createAgent(value, req.user.userId);
+    const entry = await memoryManager.updateMemoryEntry(req.params.userId, req.params.entryId, value.content);
+    if (!entry) return memoryEntryNotFound(res);
 
-    res.status(201).json({
+    res.json({
       success: true,
-      message: 'Agent created successfully',
-      data: { agentId }
+      message: 'Memory entry updated',
+      data: { entry }
     });
   } catch (error) {
-    console.error('[API] Create agent error:', error);
-    res.status(400).json({
+    console.error('[API] Update memory error:', error);
+    res.status(500).json({
       success: false,
-      error: error.message
+      error: 'Failed to update memory entry'
     });
   }
 });
 
-router.put('/agents/:agentId', authenticateToken(authService), async (req, res) => {
+router.delete('/users/:userId/memory/:entryId', requireAuth, async (req, res) => {
   try {
-    const { agentId } = req.params;
-    const { error, value } = agentSchema.validate(req.body);
-    if (error) {
-      return res.status(400).json({
-        success: false,
-        error: error.details[0].message
-      });
-    }
+    if (!isOwnUserData(req, res)) return;
 
-    await agentManager.updateAgent(agentId, value, req.user.userId);
+    const deleted = await memoryManager.deleteMemoryEntry(req.params.userId, req.params.entryId);
+    if (!deleted) return memoryEntryNotFound(res);
 
     res.json({
       success: true,
-      message: 'Agent updated successfully'
+      message: 'Memory entry deleted'
     });
   } catch (error) {
-    console.error('[API] Update agent error:', error);
-    res.status(400).json({
+    console.error('[API] Delete memory error:', error);
+    res.status(500).json({
       success: false,
-      error: error.message
+      error: 'Failed to delete memory entry'
     });
   }
 });
 
-router.delete('/agents/:agentId', authenticateToken(authService), async (req, res) => {
+router.delete('/users/:userId/conversations/:conversationId/memory', requireAuth, async (req, res) => {
   try {
-    const { agentId } = req.params;
-    await agentManager.deleteAgent(agentId, req.user.userId);
+    if (!isOwnUserData(req, res)) return;
+
+    const deleted = await memoryManager.deleteConversationMemory(req.params.userId, req.params.conversationId);
 
     res.json({
       success: true,
-      message: 'Agent deleted successfully'
+      message: 'Conversation memory deleted',
+      data: { deleted }
     });
   } catch (error) {
-    console.error('[API] Delete agent error:', error);
-    res.status(400).json({
+    console.error('[API] Delete conversation memory error:', error);
+    res.status(500).json({
       success: false,
-      error: error.message
+      error: 'Failed to delete conversation memory'
     });
   }
 });
 
-// System routes
-router.get('/health', async (req, res) => {
+router.get('/users/:userId/stats', requireAuth, async (req, res) => {
   try {
-    const orchestratorHealth = await orchestrator.healthCheck();
-    const ollamaHealth = await ollamaService.isHealthy();
-    
-    const systemHealth = {
-      status: orchestratorHealth.status === 'healthy' && ollamaHealth ? 'healthy' : 'unhealthy',
-      components: {
-        orchestrator: orchestratorHealth,
-        ollama: {
-          status: ollamaHealth ? 'healthy' : 'unhealthy',
-          model: ollamaService.getModelInfo()
-        },
-        database: {
-          status: 'healthy' // Assume healthy if we got this far
-        }
-      },
-      timestamp: new Date()
-    };
+    const { userId } = req.params;
 
-    res.json({
-      success: true,
-      data: systemHealth
+    // Check if user can access this data
+    if (req.user.userId !== userId) {
+      return res.status(403).json({
+        success: false,
+        error: 'Access denied'
+      });
+    }
+
+    const stats = await memoryManager.getMemoryStats(userId);
+
+    res.json({
+      success: true,
+      data: { stats }
+    });
+  } catch (error) {
+    console.error('[API] Get stats error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get user statistics'
+    });
+  }
+});
+
+// Agent management routes
+router.get('/agents', async (req, res) => {
+  try {
+    const agents = await agentManager.getAllAgents();
+    
+    res.json({
+      success: true,
+      data: { agents }
+    });
+  } catch (error) {
+    console.error('[API] Get agents error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get agents'
+    });
+  }
+});
+
+router.get('/agents/types', async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      data: { types: agentManager.getAgentTypes() }
+    });
+  } catch (error) {
+    console.error('[API] Get agent types error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get agent types'
+    });
+  }
+});
+
+router.get('/tools', async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      data: { tools: agentManager.toolRegistry.listTools() }
+    });
+  } catch (error) {
+    console.error('[API] Get tools error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get tools'
+    });
+  }
+});
+
+router.get('/agents/leaderboard', async (req, res) => {
+  try {
+    const { error, value } = leaderboardSchema.validate(req.query);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: error.details[0].message
+      });
+    }
+
+    const { from, to } = resolveMetricsRange(value);
+    const leaderboard = await memoryManager.getAgentLeaderboard(from, to, value.sortBy, value.limit);
+
+    res.json({
+      success: true,
+      data: { from, to, sortBy: value.sortBy, leaderboard }
+    });
+  } catch (error) {
+    console.error('[API] Get agent leaderboard error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get agent leaderboard'
+    });
+  }
+});
+
+router.get('/agents/:agentId/metrics', async (req, res) => {
+  try {
+    const { error, value } = metricsRangeSchema.validate(req.query);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: error.details[0].message
+      });
+    }
+
+    const { from, to } = resolveMetricsRange(value);
+    const metrics = await memoryManager.getAgentMetrics(req.params.agentId, from, to);
+
+    res.json({
+      success: true,
+      data: metrics
+    });
+  } catch (error) {
+    console.error('[API] Get agent metrics error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get agent metrics'
+    });
+  }
+});
+
+router.post('/agents', requireAuth, async (req, res) => {
+  try {
+    const { error, value } = agentSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: error.details[0].message
+      });
+    }
+
+    const agentId = await agentManager.createAgent(value, req.user.userId);
+
+    res.status(201).json({
+      success: true,
+      message: 'Agent created successfully',
+      data: { agentId }
+    });
+  } catch (error) {
+    console.error('[API] Create agent error:', error);
+    res.status(400).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+router.put('/agents/:agentId', requireAuth, async (req, res) => {
+  try {
+    const { agentId } = req.params;
+    const { error, value } = agentSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: error.details[0].message
+      });
+    }
+
+    const updated = await agentManager.updateAgent(agentId, value, req.user.userId);
+    if (!updated) {
+      return res.status(404).json({
+        success: false,
+        error: 'Agent not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Agent updated successfully'
+    });
+  } catch (error) {
+    console.error('[API] Update agent error:', error);
+    res.status(400).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Configuration history of an agent, newest first
+router.get('/agents/:agentId/versions', requireAuth, async (req, res) => {
+  try {
+    const versions = await agentManager.listVersions(req.params.agentId);
+    if (versions.length === 0) {
+      return res.status(404).json({
+        success: false,
+        error: 'Agent not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: { versions }
+    });
+  } catch (error) {
+    console.error('[API] Get agent versions error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get agent versions'
+    });
+  }
+});
+
+router.get('/agents/:agentId/versions/diff', requireAuth, async (req, res) => {
+  try {
+    const { error, value } = versionDiffSchema.validate(req.query);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: error.details[0].message
+      });
+    }
+
+    const { agentId } = req.params;
+    const to = value.to ?? (await agentManager.listVersions(agentId)).find(version => version.current)?.version;
+    const diff = to ? await agentManager.diffVersions(agentId, value.from, to) : null;
+    if (!diff) {
+      return res.status(404).json({
+        success: false,
+        error: 'Version not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: diff
+    });
+  } catch (error) {
+    console.error('[API] Diff agent versions error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to diff agent versions'
+    });
+  }
+});
+
+// :version is the version number or the version id stored with an interaction
+router.get('/agents/:agentId/versions/:version', requireAuth, async (req, res) => {
+  try {
+    const version = await agentManager.getVersion(req.params.agentId, req.params.version);
+    if (!version) {
+      return res.status(404).json({
+        success: false,
+        error: 'Version not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: { version }
+    });
+  } catch (error) {
+    console.error('[API] Get agent version error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get agent version'
+    });
+  }
+});
+
+router.post('/agents/:agentId/versions/:version/rollback', requireAuth, async (req, res) => {
+  try {
+    const version = await agentManager.rollbackAgent(req.params.agentId, req.params.version, req.user.userId);
+    if (!version) {
+      return res.status(404).json({
+        success: false,
+        error: 'Version not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: `Agent rolled back to version ${version.sourceVersion}`,
+      data: { version }
+    });
+  } catch (error) {
+    console.error('[API] Roll back agent error:', error);
+    res.status(400).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+router.delete('/agents/:agentId', requireAuth, async (req, res) => {
+  try {
+    const { agentId } = req.params;
+    await agentManager.deleteAgent(agentId, req.user.userId);
+
+    res.json({
+      success: true,
+      message: 'Agent deleted successfully'
+    });
+  } catch (error) {
+    console.error('[API] Delete agent error:', error);
+    res.status(400).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Edge rule routes
+router.get('/edge-rules', async (req, res) => {
+  try {
+    const rules = await edgeRuleManager.listRules();
+
+    res.json({
+      success: true,
+      data: { rules }
+    });
+  } catch (error) {
+    console.error('[API] Get edge rules error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get edge rules'
+    });
+  }
+});
+
+// Checks a rule without saving it, for the editor. An id marks the rule as
+// an edit of that saved rule.
+router.post('/edge-rules/validate', async (req, res) => {
+  try {
+    const { id: ruleId, ...rule } = req.body;
+    const { error, value } = edgeRuleSchema.validate(rule);
+    if (error) {
+      return res.json({
+        success: true,
+        data: { valid: false, errors: [error.details[0].message] }
+      });
+    }
+
+    const errors = await edgeRuleManager.validateRule(value, ruleId || null);
+
+    res.json({
+      success: true,
+      data: { valid: errors.length === 0, errors }
+    });
+  } catch (error) {
+    console.error('[API] Validate edge rule error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to validate edge rule'
+    });
+  }
+});
+
+router.post('/edge-rules', requireAuth, async (req, res) => {
+  try {
+    const { error, value } = edgeRuleSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: error.details[0].message
+      });
+    }
+
+    const rule = await edgeRuleManager.createRule(value, req.user.userId);
+
+    res.status(201).json({
+      success: true,
+      message: 'Edge rule created successfully',
+      data: { rule }
+    });
+  } catch (error) {
+    console.error('[API] Create edge rule error:', error);
+    res.status(400).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+router.put('/edge-rules/:ruleId', requireAuth, async (req, res) => {
+  try {
+    const { error, value } = edgeRuleUpdateSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: error.details[0].message
+      });
+    }
+
+    const rule = await edgeRuleManager.updateRule(req.params.ruleId, value);
+    if (!rule) {
+      return res.status(404).json({
+        success: false,
+        error: 'Edge rule not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Edge rule updated successfully',
+      data: { rule }
+    });
+  } catch (error) {
+    console.error('[API] Update edge rule error:', error);
+    res.status(400).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+router.delete('/edge-rules/:ruleId', requireAuth, async (req, res) => {
+  try {
+    const rule = await edgeRuleManager.getRule(req.params.ruleId);
+    if (!rule) {
+      return res.status(404).json({
+        success: false,
+        error: 'Edge rule not found'
+      });
+    }
+
+    await edgeRuleManager.deleteRule(req.params.ruleId);
+
+    res.json({
+      success: true,
+      message: 'Edge rule deleted successfully'
+    });
+  } catch (error) {
+    console.error('[API] Delete edge rule error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to delete edge rule'
+    });
+  }
+});
+
+// Place routes
+router.get('/places', async (req, res) => {
+  try {
+    const { error, value } = placeSearchSchema.validate(req.query);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: error.details[0].message
+      });
+    }
+
+    const near = value.near ? parseCoordinates(value.near) : null;
+    if (value.near && !near) {
+      return res.status(400).json({
+        success: false,
+        error: '"near" is out of range'
+      });
+    }
+
+    const places = await placeService.searchPlaces({
+      near,
+      radiusKm: near ? value.radius : undefined,
+      category: value.category,
+      state: value.state,
+      query: value.q,
+      limit: value.limit
+    });
+
+    res.json({
+      success: true,
+      data: {
+        places,
+        near,
+        radiusKm: near ? value.radius : null
+      }
+    });
+  } catch (error) {
+    console.error('[API] Search places error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to search places'
+    });
+  }
+});
+
+router.get('/places/:placeId', async (req, res) => {
+  try {
+    const place = await placeService.getPlace(req.params.placeId);
+    if (!place) {
+      return res.status(404).json({
+        success: false,
+        error: 'Place not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: { place }
+    });
+  } catch (error) {
+    console.error('[API] Get place error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get place'
+    });
+  }
+});
+
+// System routes
+router.get('/health', async (req, res) => {
+  try {
+    const orchestratorHealth = await orchestrator.healthCheck();
+    const llmHealth = await llmService.isHealthy();
+    const llmComponent = {
+      status: llmHealth ? 'healthy' : 'unhealthy',
+      model: llmService.getModelInfo()
+    };
+    
+    const systemHealth = {
+      status: orchestratorHealth.status === 'healthy' && llmHealth ? 'healthy' : 'unhealthy',
+      components: {
+        orchestrator: orchestratorHealth,
+        agents: orchestrator.getAgentHealth(),
+        llm: llmComponent,
+        // Name the default provider had before there were several; kept for existing clients
+        ollama: llmComponent,
+        database: {
+          status: 'healthy' // Assume healthy if we got this far
+        }
+      },
+      timestamp: new Date()
+    };
+
+    res.json({
+      success: true,
+      data: systemHealth
     });
   } catch (error) {
     console.error('[API] Health check error:', error);
@@ -405,15 +1326,22 @@ router.get('/health', async (req, res) => {
 router.get('/system/status', async (req, res) => {
   try {
     const stats = orchestrator.getSystemStats();
-    const ollamaModels = await ollamaService.getAvailableModels();
+    const availableModels = await llmService.getAvailableModels();
+    const providers = await llmService.getProvidersStatus();
     
     res.json({
       success: true,
       data: {
         ...stats,
+        llm: {
+          ...llmService.getModelInfo(),
+          availableModels,
+          providers
+        },
+        // Name the default provider had before there were several; kept for existing clients
         ollama: {
-          ...ollamaService.getModelInfo(),
-          availableModels: ollamaModels
+          ...llmService.getModelInfo(),
+          availableModels
         }
       }
     });
@@ -427,7 +1355,7 @@ router.get('/system/status', async (req, res) => {
 });
 
 // Privacy routes
-router.get('/privacy/export', authenticateToken(authService), async (req, res) => {
+router.get('/privacy/export', requireAuth, async (req, res) => {
   try {
     const exportData = await memoryManager.exportUserData(req.user.userId);
     
@@ -444,7 +1372,7 @@ router.get('/privacy/export', authenticateToken(authService), async (req, res) =
   }
 });
 
-router.delete('/privacy/delete-account', authenticateToken(authService), async (req, res) => {
+router.delete('/privacy/delete-account', requireAuth, async (req, res) => {
   try {
     const token = req.headers['authorization'].split(' ')[1];
     
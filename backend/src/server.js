@@ -6,7 +6,11 @@ import { MemoryManager } from './services/MemoryManager.js';
 import { AuthService } from './services/AuthService.js';
 import { AgentManager } from './services/AgentManager.js';
 import { LangGraphOrchestrator } from './services/LangGraphOrchestrator.js';
-import { OllamaService } from './services/OllamaService.js';
+import { LLMService } from './services/LLMService.js';
+import { ThreadManager } from './services/ThreadManager.js';
+import { PlaceService } from './services/PlaceService.js';
+import { EdgeRuleManager } from './services/EdgeRuleManager.js';
+import { MemoryConsolidator } from './services/MemoryConsolidator.js';
 import apiRoutes, { initializeServices } from './routes/api.js';
 import { 
   securityHeaders, 
@@ -25,17 +29,17 @@ const app = express();
 const PORT = process.env.PORT || 3001;
 
 // Global variables for services
-let mysqlConnection, memoryManager, authService, agentManager, orchestrator, ollamaService;
+let mysqlConnection, memoryManager, authService, agentManager, orchestrator, llmService, threadManager, placeService, edgeRuleManager, memoryConsolidator;
 
 // Initialize database connections and services
 async function initializeApp() {
   try {
     logInfo('🚀 Starting Multi-Agent Backend Server...');
 
-    // Initialize Ollama service first
-    logInfo('🤖 Initializing Ollama service...');
-    ollamaService = new OllamaService();
-    await ollamaService.initialize();
+    // Initialize the LLM providers first
+    logInfo('🤖 Initializing LLM service...');
+    llmService = LLMService.createDefault();
+    await llmService.initialize();
 
     // Initialize database connection
     logInfo('📊 Connecting to MySQL database...');
@@ -47,32 +51,58 @@ async function initializeApp() {
 
     // Initialize services
     logInfo('🔧 Initializing services...');
-    memoryManager = new MemoryManager(mysqlConnection);
+    memoryManager = new MemoryManager(mysqlConnection, llmService);
+    memoryConsolidator = new MemoryConsolidator(mysqlConnection, memoryManager, llmService);
     authService = new AuthService(mysqlConnection);
-    agentManager = new AgentManager(mysqlConnection, memoryManager, ollamaService);
-    orchestrator = new LangGraphOrchestrator(memoryManager, agentManager);
+    placeService = new PlaceService(mysqlConnection);
+    await placeService.initialize();
+    agentManager = new AgentManager(mysqlConnection, memoryManager, llmService, { placeService });
+    orchestrator = new LangGraphOrchestrator(memoryManager, agentManager, llmService);
+    threadManager = new ThreadManager(mysqlConnection, memoryManager);
     
     // Initialize orchestrator
     await orchestrator.initialize();
 
+    // Edge rules live in the database and are pushed into the orchestrator's graph
+    edgeRuleManager = new EdgeRuleManager(mysqlConnection, orchestrator.agentGraph);
+    await edgeRuleManager.initialize();
+
     // Initialize API routes with services
     initializeServices({
       orchestrator,
       authService,
       agentManager,
       memoryManager,
-      ollamaService
+      llmService,
+      threadManager,
+      placeService,
+      edgeRuleManager
     });
 
-    // Start cleanup interval for expired memory entries
+    // Consolidate expiring STM into LTM facts, then clean expired memory entries
     setInterval(async () => {
       try {
+        await memoryConsolidator.consolidateExpiring();
         await memoryManager.cleanExpiredEntries();
       } catch (error) {
         logError('Memory cleanup error:', error);
       }
     }, 60 * 60 * 1000); // Every hour
 
+    // Backfill embeddings for memory entries stored without one
+    const backfillEmbeddings = async () => {
+      try {
+        const batchSize = 50;
+        while (await memoryManager.backfillEmbeddings(batchSize) === batchSize) {
+          // Keep going until a partial batch means we're done (or embeddings are down)
+        }
+      } catch (error) {
+        logError('Embedding backfill error:', error);
+      }
+    };
+    backfillEmbeddings();
+    setInterval(backfillEmbeddings, 10 * 60 * 1000); // Every 10 minutes
+
     logInfo('✅ All services initialized successfully');
 
   } catch (error) {
@@ -118,7 +148,15 @@ app.get('/', (req, res) => {
         logout: 'POST /api/auth/logout'
       },
       query: {
-        runGraph: 'POST /api/run_graph'
+        runGraph: 'POST /api/run_graph',
+        runGraphStream: 'POST /api/run_graph/stream'
+      },
+      threads: {
+        create: 'POST /api/threads',
+        list: 'GET /api/threads',
+        get: 'GET /api/threads/:threadId',
+        message: 'POST /api/threads/:threadId/messages',
+        delete: 'DELETE /api/threads/:threadId'
       },
       user: {
         profile: 'GET /api/users/me',
@@ -128,9 +166,24 @@ app.get('/', (req, res) => {
       },
       agents: {
         list: 'GET /api/agents',
+        types: 'GET /api/agents/types',
+        tools: 'GET /api/tools',
         create: 'POST /api/agents',
         update: 'PUT /api/agents/:agentId',
-        delete: 'DELETE /api/agents/:agentId'
+        delete: 'DELETE /api/agents/:agentId',
+        metrics: 'GET /api/agents/:agentId/metrics',
+        leaderboard: 'GET /api/agents/leaderboard'
+      },
+      edgeRules: {
+        list: 'GET /api/edge-rules',
+        create: 'POST /api/edge-rules',
+        validate: 'POST /api/edge-rules/validate',
+        update: 'PUT /api/edge-rules/:ruleId',
+        delete: 'DELETE /api/edge-rules/:ruleId'
+      },
+      places: {
+        search: 'GET /api/places?near=lat,lon&radius=km&category=',
+        get: 'GET /api/places/:placeId'
       },
       system: {
         health: 'GET /api/health',
@@ -208,6 +261,14 @@ async function startServer() {
     console.log('');
     console.log('  Query Processing:');
     console.log('    POST /api/run_graph - Main multi-agent query processing');
+    console.log('    POST /api/run_graph/stream - Streaming query processing (SSE)');
+    console.log('');
+    console.log('  Threads:');
+    console.log('    POST /api/threads - Start a conversation thread');
+    console.log('    GET  /api/threads - List your threads');
+    console.log('    GET  /api/threads/:threadId - Get a thread and its turns');
+    console.log('    POST /api/threads/:threadId/messages - Send a follow-up in a thread');
+    console.log('    DELETE /api/threads/:threadId - Delete a thread');
     console.log('');
     console.log('  User Management:');
     console.log('    GET  /api/users/me - Get user profile');
@@ -217,9 +278,24 @@ async function startServer() {
     console.log('');
     console.log('  Agent Management:');
     console.log('    GET  /api/agents - List all agents');
+    console.log('    GET  /api/agents/types - List agent types');
+    console.log('    GET  /api/tools - List tools agents can call');
     console.log('    POST /api/agents - Create new agent');
     console.log('    PUT  /api/agents/:agentId - Update agent');
     console.log('    DELETE /api/agents/:agentId - Delete agent');
+    console.log('    GET  /api/agents/:agentId/metrics - Daily agent metrics');
+    console.log('    GET  /api/agents/leaderboard - Agent leaderboard');
+    console.log('');
+    console.log('  Edge Rules:');
+    console.log('    GET  /api/edge-rules - List edge rules');
+    console.log('    POST /api/edge-rules - Create edge rule');
+    console.log('    POST /api/edge-rules/validate - Check an edge rule without saving');
+    console.log('    PUT  /api/edge-rules/:ruleId - Update edge rule');
+    console.log('    DELETE /api/edge-rules/:ruleId - Delete edge rule');
+    console.log('');
+    console.log('  Places:');
+    console.log('    GET  /api/places - Search places (near, radius, category)');
+    console.log('    GET  /api/places/:placeId - Get a place');
     console.log('');
     console.log('  System:');
     console.log('    GET  /api/health - Health check');
@@ -0,0 +1,140 @@
+import { readFileSync } from 'fs';
+import { compileCondition } from '../utils/edgeConditions.js';
+
+const RULE_PRIORITY = { high: 3, medium: 2, low: 1 };
+
+export const loadEdgeRulesFromConfig = () => {
+  const configPath = new URL('../config/agents.json', import.meta.url);
+  const config = JSON.parse(readFileSync(configPath, 'utf8'));
+  return config.edge_rules || [];
+};
+
+export class AgentGraph {
+  constructor(edgeRules = []) {
+    this.rules = [];
+    this.setRules(edgeRules);
+  }
+
+  setRules(edgeRules) {
+    const rules = [];
+
+    for (const rule of edgeRules) {
+      try {
+        rules.push({
+          ...rule,
+          priority: rule.priority || 'medium',
+          evaluate: compileCondition(rule.condition)
+        });
+      } catch (error) {
+        console.error(`[GRAPH] Skipping edge rule ${rule.from} → ${rule.to}, invalid condition "${rule.condition}": ${error.message}`);
+      }
+    }
+
+    this.rules = rules;
+    console.log(`[GRAPH] Loaded ${this.rules.length} edge rules`);
+  }
+
+  // Build the execution plan for the agents chosen by routing. Edges only
+  // connect agents that were routed; a rule never pulls in an extra agent.
+  buildPlan(agentIds) {
+    const nodes = new Set(agentIds);
+    const edges = [];
+
+    for (const rule of this.rules) {
+      if (!nodes.has(rule.from)) continue;
+
+      const targets = rule.to === '*'
+        ? agentIds.filter(id => id !== rule.from)
+        : [rule.to];
+
+      for (const target of targets) {
+        if (!nodes.has(target) || target === rule.from) continue;
+        if (edges.some(edge => edge.from === rule.from && edge.to === target)) continue;
+        edges.push({ from: rule.from, to: target, rule });
+      }
+    }
+
+    const order = this.topologicalOrder(agentIds, edges);
+    if (!order) {
+      console.warn('[GRAPH] Edge rules form a cycle, running routed agents without dependencies');
+      return { order: [...agentIds], edges: [] };
+    }
+
+    return { order, edges };
+  }
+
+  topologicalOrder(agentIds, edges) {
+    const inDegree = new Map(agentIds.map(id => [id, 0]));
+    edges.forEach(edge => inDegree.set(edge.to, inDegree.get(edge.to) + 1));
+
+    // Keep routing order among agents that are ready at the same time
+    const ready = agentIds.filter(id => inDegree.get(id) === 0);
+    const order = [];
+
+    while (ready.length > 0) {
+      const current = ready.shift();
+      order.push(current);
+
+      for (const edge of edges.filter(e => e.from === current)) {
+        inDegree.set(edge.to, inDegree.get(edge.to) - 1);
+        if (inDegree.get(edge.to) === 0) {
+          ready.push(edge.to);
+        }
+      }
+    }
+
+    return order.length === agentIds.length ? order : null;
+  }
+
+  // The context a condition is evaluated against (see utils/edgeConditions.js):
+  //   query     { text, type? } – the query; type comes from the Search Agent
+  //   user      { preferences } – the querying user's saved preferences
+  //   upstream  { agentId, agentName, confidence, relevanceScore, output }
+  //   memory    { stm, ltm, conversations } – the user's memory stats
+  // The upstream agent's structured output is also spread at the top level,
+  // which is how the seeded rules read location.type and recreational.features.
+  buildConditionContext(query, upstreamResponse, environment = {}) {
+    const structured = upstreamResponse.structuredOutput || {};
+
+    return {
+      ...structured,
+      query: {
+        text: query,
+        ...(structured.query || {})
+      },
+      user: {
+        preferences: environment.preferences || {}
+      },
+      upstream: {
+        agentId: upstreamResponse.agentId,
+        agentName: upstreamResponse.agentName,
+        confidence: upstreamResponse.confidence,
+        relevanceScore: upstreamResponse.relevanceScore,
+        output: structured
+      },
+      memory: environment.memoryStats || {}
+    };
+  }
+
+  // environment: { preferences, memoryStats } of the user asking
+  evaluateEdge(edge, query, upstreamResponse, environment = {}) {
+    if (!upstreamResponse || upstreamResponse.error) {
+      return false;
+    }
+
+    try {
+      return edge.rule.evaluate(this.buildConditionContext(query, upstreamResponse, environment));
+    } catch (error) {
+      console.warn(`[GRAPH] Condition evaluation failed for ${edge.from} → ${edge.to}: ${error.message}`);
+      return false;
+    }
+  }
+
+  static comparePriority(a, b) {
+    return (RULE_PRIORITY[b.rule.priority] || 0) - (RULE_PRIORITY[a.rule.priority] || 0);
+  }
+
+  getRules() {
+    return this.rules.map(({ evaluate, ...rule }) => rule);
+  }
+}
@@ -3,27 +3,79 @@ import { ScenicAgent } from '../agents/ScenicAgent.js';
 import { RiverAgent } from '../agents/RiverAgent.js';
 import { ParkAgent } from '../agents/ParkAgent.js';
 import { SearchAgent } from '../agents/SearchAgent.js';
+import { PromptAgent } from '../agents/PromptAgent.js';
+import { QueryRouter } from './QueryRouter.js';
+import { ToolRegistry } from './ToolRegistry.js';
+import { ConfidenceEstimator } from './ConfidenceEstimator.js';
+import { discoverAgentPlugins, validateAgentClass, DEFAULT_PLUGIN_DIR } from './AgentPluginLoader.js';
+import { diffLines } from '../utils/diff.js';
+
+// Configuration fields snapshotted in agent_versions, as the API names them
+const VERSIONED_FIELDS = ['name', 'description', 'capabilities', 'keywords', 'systemPrompt', 'modelConfig', 'tools', 'enabled', 'priority'];
+// Text fields a version diff also compares line by line
+const TEXT_DIFF_FIELDS = ['systemPrompt', 'description'];
+const changedFields = (from, to) => VERSIONED_FIELDS
+  .filter(field => JSON.stringify(from[field]) !== JSON.stringify(to[field]));
+// Tries at recording a version before a duplicate version number is an error
+const MAX_VERSION_ATTEMPTS = 3;
+// modelConfig keys whose values versions never show
+const SECRET_KEY_PATTERN = /(api_?key|secret|password|authorization|access_?token)$/i;
+
+// Copy of a config with the values of secret-looking keys replaced, at any depth
+const redactSecrets = (value) => {
+  if (Array.isArray(value)) {
+    return value.map(redactSecrets);
+  }
+  if (value === null || typeof value !== 'object') {
+    return value;
+  }
+  return Object.fromEntries(Object.entries(value).map(([key, item]) => [
+    key,
+    SECRET_KEY_PATTERN.test(key) ? '[redacted]' : redactSecrets(item)
+  ]));
+};
 
 export class AgentManager {
-  constructor(mysqlConnection, memoryManager, ollamaService) {
+  // options.pluginDir: directory scanned for agent type plugins
+  // options.placeService: places agents ground their answers in
+  // options.toolRegistry: tools agents may call (defaults to the built-in tools)
+  // options.confidenceEstimator: scores agent answers (defaults to CONFIDENCE_MODE)
+  constructor(mysqlConnection, memoryManager, llmService, options = {}) {
     this.mysql = mysqlConnection;
     this.memoryManager = memoryManager;
-    this.ollamaService = ollamaService;
+    this.llmService = llmService;
+    this.placeService = options.placeService || null;
+    this.toolRegistry = options.toolRegistry || ToolRegistry.createDefault({ memoryManager, placeService: this.placeService });
     this.agents = new Map();
+    this.modelStatus = new Map();
+    this.router = new QueryRouter(llmService);
+    this.confidenceEstimator = options.confidenceEstimator || new ConfidenceEstimator(llmService);
     this.agentClasses = {
       'scenic': ScenicAgent,
       'river': RiverAgent,
       'park': ParkAgent,
-      'search': SearchAgent
+      'search': SearchAgent,
+      'prompt': PromptAgent
     };
+    this.builtinTypes = new Set(Object.keys(this.agentClasses));
+    this.pluginDir = options.pluginDir || DEFAULT_PLUGIN_DIR;
+    this.pluginSources = new Map();
+    // Tail of the pending writes per agent, see withAgentLock
+    this.agentLocks = new Map();
   }
 
   async initialize() {
     try {
       console.log('🤖 Initializing Agent Manager...');
       
+      // Register plugin agent types before any agent of those types loads
+      await this.loadPlugins();
+      
       // Load default agents if none exist
       await this.loadDefaultAgents();
+
+      // Agents stored before versioning get their current config as version 1
+      await this.backfillVersions();
       
       // Load agents from database
       await this.loadAgentsFromDB();
@@ -35,6 +87,74 @@ export class AgentManager {
     }
   }
 
+  async loadPlugins(directory = this.pluginDir) {
+    const plugins = await discoverAgentPlugins(directory);
+
+    for (const { type, agentClass, source } of plugins) {
+      try {
+        this.registerAgentType(type, agentClass, source);
+      } catch (error) {
+        console.warn(`[AGENT_MANAGER] ${error.message}`);
+      }
+    }
+
+    if (plugins.length > 0) {
+      console.log(`🔌 Loaded ${this.pluginSources.size} agent plugin type(s) from ${directory}`);
+    }
+  }
+
+  // Plugins add new types; they cannot replace the built-in ones
+  registerAgentType(type, AgentClass, source = null) {
+    const problem = validateAgentClass(type, AgentClass);
+    if (problem) {
+      throw new Error(`Cannot register agent type ${type}: ${problem}`);
+    }
+    if (this.builtinTypes.has(type)) {
+      throw new Error(`Cannot register agent type ${type}: it is a built-in type`);
+    }
+
+    this.agentClasses[type] = AgentClass;
+    this.pluginSources.set(type, source);
+    console.log(`[AGENT_MANAGER] Registered agent type: ${type}`);
+  }
+
+  // Optional services handed to every agent instance
+  agentServices() {
+    return {
+      toolRegistry: this.toolRegistry,
+      placeService: this.placeService,
+      confidenceEstimator: this.confidenceEstimator
+    };
+  }
+
+  validateTools(tools = []) {
+    const unknown = tools.filter(name => !this.toolRegistry.has(name));
+    if (unknown.length > 0) {
+      throw new Error(`Unknown tool(s): ${unknown.join(', ')}`);
+    }
+  }
+
+  validateProvider(modelConfig = {}) {
+    const { provider } = modelConfig;
+    if (provider && this.llmService?.hasProvider && !this.llmService.hasProvider(provider)) {
+      throw new Error(`Unknown LLM provider: ${provider}`);
+    }
+    // Servers are chosen by name from the operator's configuration, never by URL
+    const direct = ['baseUrl', 'apiKey'].filter(key => modelConfig[key] !== undefined);
+    if (direct.length > 0) {
+      throw new Error(`modelConfig.${direct[0]} is not allowed; name a configured endpoint instead`);
+    }
+    this.llmService?.validateModelConfig?.(modelConfig);
+  }
+
+  getAgentTypes() {
+    return Object.keys(this.agentClasses).map(type => ({
+      type,
+      builtin: this.builtinTypes.has(type),
+      source: this.pluginSources.get(type) || null
+    }));
+  }
+
   async loadDefaultAgents() {
     try {
       const [existingAgents] = await this.mysql.execute('SELECT COUNT(*) as count FROM agents');
@@ -85,8 +205,9 @@ export class AgentManager {
           }
         ];
 
+        // created_by references users.id, so system agents have no creator
         for (const agentConfig of defaultAgents) {
-          await this.createAgent(agentConfig, 'system');
+          await this.createAgent(agentConfig, null);
         }
         
         console.log('✅ Default agents loaded successfully');
@@ -115,14 +236,19 @@ export class AgentManager {
             keywords: JSON.parse(agentData.keywords || '[]'),
             systemPrompt: agentData.system_prompt,
             modelConfig: JSON.parse(agentData.model_config || '{}'),
+            tools: agentData.tools ? JSON.parse(agentData.tools) : undefined,
             priority: agentData.priority,
-            enabled: agentData.enabled
+            enabled: agentData.enabled,
+            versionId: agentData.version_id
           };
 
-          const agent = new AgentClass(agentConfig, this.memoryManager, this.ollamaService);
+          const agent = new AgentClass(agentConfig, this.memoryManager, this.llmService, this.agentServices());
           this.agents.set(agentData.id, agent);
+          await this.checkAgentModel(agent, { pull: true });
           
           console.log(`✅ Loaded agent: ${agentData.name}`);
+        } else {
+          console.warn(`[AGENT_MANAGER] Skipping agent ${agentData.id}: no agent type "${agentData.type}" is registered`);
         }
       }
     } catch (error) {
@@ -139,34 +265,44 @@ export class AgentManager {
       if (!this.agentClasses[agentConfig.type]) {
         throw new Error(`Unsupported agent type: ${agentConfig.type}`);
       }
+      if (agentConfig.type === 'prompt' && !agentConfig.systemPrompt && !agentConfig.description) {
+        throw new Error('Prompt agents need a systemPrompt or a description');
+      }
+      this.validateTools(agentConfig.tools);
+      this.validateProvider(agentConfig.modelConfig);
 
-      // Insert into database
+      // Insert into database; agents without a tools list use their type's default tools
       await this.mysql.execute(
-        'INSERT INTO agents (id, name, type, description, capabilities, keywords, system_prompt, model_config, enabled, priority, created_by) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)',
+        'INSERT INTO agents (id, name, type, description, capabilities, keywords, system_prompt, model_config, tools, enabled, priority, created_by) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)',
         [
           agentId,
           agentConfig.name,
           agentConfig.type,
-          agentConfig.description,
+          agentConfig.description || null,
           JSON.stringify(agentConfig.capabilities || []),
           JSON.stringify(agentConfig.keywords || []),
           agentConfig.systemPrompt || null,
           JSON.stringify(agentConfig.modelConfig || {}),
+          agentConfig.tools ? JSON.stringify(agentConfig.tools) : null,
           agentConfig.enabled !== false,
           agentConfig.priority || 1,
           createdBy
         ]
       );
 
+      const version = await this.recordVersion(agentId, 'create', createdBy);
+
       // Create agent instance if enabled
       if (agentConfig.enabled !== false) {
         const AgentClass = this.agentClasses[agentConfig.type];
         const agent = new AgentClass({
           ...agentConfig,
-          id: agentId
-        }, this.memoryManager, this.ollamaService);
+          id: agentId,
+          versionId: version.id
+        }, this.memoryManager, this.llmService, this.agentServices());
         
         this.agents.set(agentId, agent);
+        await this.checkAgentModel(agent);
       }
 
       console.log(`[AGENT_MANAGER] Created agent: ${agentConfig.name} (${agentId})`);
@@ -177,6 +313,8 @@ export class AgentManager {
     }
   }
 
+  // Returns false for unknown agents. An update that changes nothing records
+  // no version.
   async updateAgent(agentId, updates, updatedBy = null) {
     try {
       // Build update query dynamically
@@ -204,9 +342,15 @@ export class AgentManager {
         updateValues.push(updates.systemPrompt);
       }
       if (updates.modelConfig) {
+        this.validateProvider(updates.modelConfig);
         updateFields.push('model_config = ?');
         updateValues.push(JSON.stringify(updates.modelConfig));
       }
+      if (updates.tools) {
+        this.validateTools(updates.tools);
+        updateFields.push('tools = ?');
+        updateValues.push(JSON.stringify(updates.tools));
+      }
       if (updates.enabled !== undefined) {
         updateFields.push('enabled = ?');
         updateValues.push(updates.enabled);
@@ -220,28 +364,242 @@ export class AgentManager {
       updateValues.push(new Date());
       updateValues.push(agentId);
 
-      await this.mysql.execute(
-        `UPDATE agents SET ${updateFields.join(', ')} WHERE id = ?`,
-        updateValues
-      );
+      const updated = await this.withAgentLock(agentId, async () => {
+        const selectAgent = () => this.mysql.execute('SELECT * FROM agents WHERE id = ?', [agentId]);
+        const [[before]] = await selectAgent();
+        if (!before) {
+          return false;
+        }
 
-      // Reload agent if it exists
-      if (this.agents.has(agentId)) {
-        await this.reloadAgent(agentId);
-      }
+        await this.mysql.execute(
+          `UPDATE agents SET ${updateFields.join(', ')} WHERE id = ?`,
+          updateValues
+        );
+        const [[after]] = await selectAgent();
+        if (changedFields(this.formatVersion(before, { redact: false }), this.formatVersion(after, { redact: false })).length > 0) {
+          await this.recordVersion(agentId, 'update', updatedBy);
+        }
 
-      console.log(`[AGENT_MANAGER] Updated agent: ${agentId}`);
-      return true;
+        // Reload agent if it exists
+        if (this.agents.has(agentId)) {
+          await this.reloadAgent(agentId);
+        }
+        return true;
+      });
+
+      console.log(updated ? `[AGENT_MANAGER] Updated agent: ${agentId}` : `[AGENT_MANAGER] No agent to update: ${agentId}`);
+      return updated;
     } catch (error) {
       console.error('[AGENT_MANAGER] Update agent error:', error);
       throw error;
     }
   }
 
+  // Runs fn once every earlier write to the same agent has finished. An edit
+  // and the version recorded for it must not interleave with another edit:
+  // both would number the same version, and the losing edit would be live
+  // with version_id still pointing at the old version.
+  withAgentLock(agentId, fn) {
+    const previous = this.agentLocks.get(agentId) || Promise.resolve();
+    const run = previous.then(fn);
+    const tail = run.catch(() => {});
+    this.agentLocks.set(agentId, tail);
+    tail.then(() => {
+      if (this.agentLocks.get(agentId) === tail) {
+        this.agentLocks.delete(agentId);
+      }
+    });
+    return run;
+  }
+
+  // Snapshots the agent's stored configuration as its next version and makes
+  // it the current one. Returns { id, version }, or null for unknown agents.
+  // Writes from this process are serialized by withAgentLock; a version
+  // number taken meanwhile by another server sharing the database is
+  // retried with the next one.
+  async recordVersion(agentId, changeType, createdBy = null, sourceVersion = null, attempt = 1) {
+    const [agents] = await this.mysql.execute('SELECT * FROM agents WHERE id = ?', [agentId]);
+    if (agents.length === 0) {
+      return null;
+    }
+
+    const agent = agents[0];
+    const [latest] = await this.mysql.execute(
+      'SELECT MAX(version) AS version FROM agent_versions WHERE agent_id = ?',
+      [agentId]
+    );
+    const version = (latest[0]?.version || 0) + 1;
+    const versionId = uuidv4();
+
+    try {
+      await this.insertVersion(versionId, version, agent, changeType, createdBy, sourceVersion);
+    } catch (error) {
+      if (error.code === 'ER_DUP_ENTRY' && attempt < MAX_VERSION_ATTEMPTS) {
+        return this.recordVersion(agentId, changeType, createdBy, sourceVersion, attempt + 1);
+      }
+      throw error;
+    }
+    await this.mysql.execute('UPDATE agents SET version_id = ? WHERE id = ?', [versionId, agentId]);
+
+    return { id: versionId, version };
+  }
+
+  async insertVersion(versionId, version, agent, changeType, createdBy, sourceVersion) {
+    await this.mysql.execute(
+      'INSERT INTO agent_versions (id, agent_id, version, name, type, description, capabilities, keywords, system_prompt, model_config, tools, enabled, priority, change_type, source_version, created_by, created_at) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)',
+      [
+        versionId,
+        agent.id,
+        version,
+        agent.name,
+        agent.type,
+        agent.description,
+        agent.capabilities,
+        agent.keywords,
+        agent.system_prompt,
+        agent.model_config,
+        agent.tools,
+        agent.enabled,
+        agent.priority,
+        changeType,
+        sourceVersion,
+        createdBy,
+        new Date()
+      ]
+    );
+  }
+
+  async backfillVersions() {
+    const [agents] = await this.mysql.execute('SELECT id, created_by FROM agents WHERE version_id IS NULL');
+
+    for (const agent of agents) {
+      await this.recordVersion(agent.id, 'create', agent.created_by);
+    }
+
+    if (agents.length > 0) {
+      console.log(`[AGENT_MANAGER] Recorded initial versions for ${agents.length} agent(s)`);
+    }
+  }
+
+  // Versions of an agent, newest first
+  async listVersions(agentId) {
+    const [versions] = await this.mysql.execute(
+      'SELECT * FROM agent_versions WHERE agent_id = ? ORDER BY version DESC',
+      [agentId]
+    );
+
+    const [agents] = await this.mysql.execute('SELECT version_id FROM agents WHERE id = ?', [agentId]);
+    const currentId = agents[0]?.version_id;
+
+    return versions.map(version => ({ ...this.formatVersion(version), current: version.id === currentId }));
+  }
+
+  // version is the version number or a version id, as stored with
+  // agent_interactions
+  // Secrets in modelConfig are redacted unless options.redact is false, which
+  // only a rollback needs
+  async getVersion(agentId, version, options = {}) {
+    const byNumber = /^\d+$/.test(String(version));
+    const [versions] = await this.mysql.execute(
+      `SELECT * FROM agent_versions WHERE agent_id = ? AND ${byNumber ? 'version' : 'id'} = ?`,
+      [agentId, byNumber ? parseInt(version) : version]
+    );
+
+    return versions.length > 0 ? this.formatVersion(versions[0], options) : null;
+  }
+
+  // Fields that differ between two versions; prompt and description changes
+  // also come as a line diff. Null when either version does not exist.
+  async diffVersions(agentId, fromVersion, toVersion) {
+    // Compared unredacted, so a changed key still shows as a modelConfig change
+    const [from, to] = await Promise.all([
+      this.getVersion(agentId, fromVersion, { redact: false }),
+      this.getVersion(agentId, toVersion, { redact: false })
+    ]);
+    if (!from || !to) {
+      return null;
+    }
+
+    const changes = changedFields(from, to)
+      .map(field => ({
+        field,
+        from: redactSecrets(from[field]),
+        to: redactSecrets(to[field]),
+        ...(TEXT_DIFF_FIELDS.includes(field) && { lines: diffLines(from[field], to[field]) })
+      }));
+
+    return { from: from.version, to: to.version, changes };
+  }
+
+  // Restores the configuration of an earlier version. The restore is
+  // recorded as a new version, so it can itself be rolled back.
+  async rollbackAgent(agentId, version, rolledBackBy = null) {
+    return this.withAgentLock(agentId, () => this.restoreVersion(agentId, version, rolledBackBy));
+  }
+
+  async restoreVersion(agentId, version, rolledBackBy) {
+    const target = await this.getVersion(agentId, version, { redact: false });
+    if (!target) {
+      return null;
+    }
+
+    const [agents] = await this.mysql.execute('SELECT id FROM agents WHERE id = ?', [agentId]);
+    if (agents.length === 0) {
+      return null;
+    }
+
+    this.validateTools(target.tools || []);
+    await this.mysql.execute(
+      'UPDATE agents SET name = ?, description = ?, capabilities = ?, keywords = ?, system_prompt = ?, model_config = ?, tools = ?, enabled = ?, priority = ?, updated_at = ? WHERE id = ?',
+      [
+        target.name,
+        target.description,
+        JSON.stringify(target.capabilities),
+        JSON.stringify(target.keywords),
+        target.systemPrompt,
+        JSON.stringify(target.modelConfig),
+        target.tools ? JSON.stringify(target.tools) : null,
+        target.enabled,
+        target.priority,
+        new Date(),
+        agentId
+      ]
+    );
+    const recorded = await this.recordVersion(agentId, 'rollback', rolledBackBy, target.version);
+    await this.reloadAgent(agentId);
+
+    console.log(`[AGENT_MANAGER] Rolled back agent ${agentId} to version ${target.version} (now version ${recorded.version})`);
+    return this.getVersion(agentId, recorded.version);
+  }
+
+  formatVersion(version, { redact = true } = {}) {
+    const modelConfig = JSON.parse(version.model_config || '{}');
+    return {
+      id: version.id,
+      agentId: version.agent_id,
+      version: version.version,
+      name: version.name,
+      type: version.type,
+      description: version.description,
+      capabilities: JSON.parse(version.capabilities || '[]'),
+      keywords: JSON.parse(version.keywords || '[]'),
+      systemPrompt: version.system_prompt,
+      modelConfig: redact ? redactSecrets(modelConfig) : modelConfig,
+      tools: version.tools ? JSON.parse(version.tools) : null,
+      enabled: Boolean(version.enabled),
+      priority: version.priority,
+      changeType: version.change_type,
+      sourceVersion: version.source_version,
+      createdBy: version.created_by,
+      createdAt: version.created_at
+    };
+  }
+
   async deleteAgent(agentId, deletedBy = null) {
     try {
       // Remove from memory
       this.agents.delete(agentId);
+      this.modelStatus.delete(agentId);
 
       // Delete from database
       await this.mysql.execute('DELETE FROM agents WHERE id = ?', [agentId]);
@@ -279,15 +637,19 @@ export class AgentManager {
           keywords: JSON.parse(agentData.keywords || '[]'),
           systemPrompt: agentData.system_prompt,
           modelConfig: JSON.parse(agentData.model_config || '{}'),
+          tools: agentData.tools ? JSON.parse(agentData.tools) : undefined,
           priority: agentData.priority,
-          enabled: agentData.enabled
+          enabled: agentData.enabled,
+          versionId: agentData.version_id
         };
 
-        const agent = new AgentClass(agentConfig, this.memoryManager, this.ollamaService);
+        const agent = new AgentClass(agentConfig, this.memoryManager, this.llmService, this.agentServices());
         this.agents.set(agentId, agent);
+        await this.checkAgentModel(agent);
         return true;
       } else {
         this.agents.delete(agentId);
+        this.modelStatus.delete(agentId);
         return false;
       }
     } catch (error) {
@@ -309,6 +671,7 @@ export class AgentManager {
         description: agent.description,
         capabilities: JSON.parse(agent.capabilities || '[]'),
         keywords: JSON.parse(agent.keywords || '[]'),
+        tools: this.agents.get(agent.id)?.tools || (agent.tools ? JSON.parse(agent.tools) : null),
         enabled: agent.enabled,
         priority: agent.priority,
         createdAt: agent.created_at,
@@ -320,6 +683,24 @@ export class AgentManager {
     }
   }
 
+  // A missing model does not stop the agent from loading; it is reported in
+  // /api/system/status and the agent's calls fail until the model exists.
+  // Only startup passes pull: agents created or edited through the API are
+  // checked, never downloaded inside the request.
+  async checkAgentModel(agent, options = {}) {
+    if (!this.llmService?.ensureModel) {
+      return null;
+    }
+
+    const status = await this.llmService.ensureModel(agent.modelConfig, options);
+    this.modelStatus.set(agent.id, { ...status, checkedAt: new Date() });
+
+    if (!status.available) {
+      console.warn(`[AGENT_MANAGER] Model ${status.model} (${status.provider}) for ${agent.id} is unavailable: ${status.error || 'not found'}`);
+    }
+    return status;
+  }
+
   getActiveAgents() {
     return Array.from(this.agents.values());
   }
@@ -328,19 +709,18 @@ export class AgentManager {
     return this.agents.get(agentId);
   }
 
-  async routeQuery(query) {
-    const queryLower = query.toLowerCase();
-    const relevantAgents = [];
-
-    for (const [agentId, agent] of this.agents) {
-      if (agent.isRelevant && agent.isRelevant(query)) {
-        const relevanceScore = agent.calculateRelevanceScore ? agent.calculateRelevanceScore(query) : 1;
-        relevantAgents.push({
-          agent,
-          relevanceScore
-        });
-      }
-    }
+  // Returns the agents to run plus the routing details (mode and per-agent
+  // scores) for debugging. options: { mode, threshold, userId }; with a
+  // userId the user's feedback down-weights agents they rate poorly
+  async routeQuery(query, options = {}) {
+    const feedback = options.userId && this.memoryManager
+      ? await this.memoryManager.getUserAgentFeedback(options.userId)
+      : null;
+    const routing = await this.router.route(query, this.getActiveAgents(), { ...options, feedback });
+    const relevantAgents = routing.selected.map(({ agent, score }) => ({
+      agent,
+      relevanceScore: toRelevanceScore(score)
+    }));
 
     // Always include search agent for context if available
     const searchAgent = this.agents.get('search-agent');
@@ -363,20 +743,41 @@ export class AgentManager {
     // Sort by relevance score
     relevantAgents.sort((a, b) => b.relevanceScore - a.relevanceScore);
 
-    return relevantAgents;
+    console.log(`[AGENT_MANAGER] Routed (${routing.effectiveMode}) to: ${relevantAgents.map(ra => ra.agent.id).join(', ')}`);
+
+    return {
+      relevantAgents,
+      routing: {
+        mode: routing.mode,
+        effectiveMode: routing.effectiveMode,
+        threshold: routing.threshold,
+        fallback: routing.fallback,
+        scores: routing.scores,
+        selectedAgents: relevantAgents.map(ra => ra.agent.id)
+      }
+    };
   }
 
   getStats() {
     return {
       totalAgents: this.agents.size,
+      routing: this.router.getConfig(),
+      confidence: this.confidenceEstimator.getConfig(),
       enabledAgents: this.agents.size,
       agentTypes: Array.from(this.agents.values()).map(agent => ({
         id: agent.id,
         name: agent.name,
         type: agent.type,
         capabilities: agent.capabilities?.length || 0,
-        enabled: agent.enabled
-      }))
+        enabled: agent.enabled,
+        model: this.modelStatus.get(agent.id) || null
+      })),
+      missingModels: Array.from(this.modelStatus.entries())
+        .filter(([, status]) => !status.available)
+        .map(([agentId, status]) => ({ agentId, provider: status.provider, model: status.model, error: status.error }))
     };
   }
-}
\ No newline at end of file
+}
+
+// Router scores are 0-1; agent relevance scores are on the 1-10 scale
+const toRelevanceScore = (score) => Math.min(Math.max(Math.round(score * 10), 1), 10);
@@ -0,0 +1,75 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath, pathToFileURL } from 'url';
+import { BaseAgent } from '../agents/BaseAgent.js';
+
+export const AGENT_TYPE_PATTERN = /^[a-z][a-z0-9_-]{0,49}$/;
+
+// Relative to the backend directory, not the working directory, so the server
+// scans the same plugins however it is started
+const BACKEND_DIR = fileURLToPath(new URL('../../', import.meta.url));
+
+export const DEFAULT_PLUGIN_DIR = path.resolve(BACKEND_DIR, process.env.AGENT_PLUGIN_DIR || 'plugins/agents');
+
+// Checks an agent class against the BaseAgent contract. Returns the problem,
+// or null if the class can be registered under `type`.
+export const validateAgentClass = (type, AgentClass) => {
+  if (typeof type !== 'string' || !AGENT_TYPE_PATTERN.test(type)) {
+    return `invalid type "${type}" (lowercase letters, digits, - and _)`;
+  }
+  if (typeof AgentClass !== 'function' || !(AgentClass.prototype instanceof BaseAgent)) {
+    return 'agent class must extend BaseAgent';
+  }
+  if (typeof AgentClass.prototype.execute !== 'function') {
+    return 'agent class must implement execute()';
+  }
+  return null;
+};
+
+// Imports every .js module in `directory`. A plugin's default export is
+// { type, agentClass } (or a list of them):
+//
+//   export default { type: 'food', agentClass: FoodAgent };
+//
+// Modules that fail to load or break the contract are skipped with a warning
+// so one bad plugin cannot stop the server. A missing directory means no plugins.
+export const discoverAgentPlugins = async (directory = DEFAULT_PLUGIN_DIR) => {
+  let files;
+  try {
+    files = (await fs.readdir(directory)).filter(file => file.endsWith('.js')).sort();
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return [];
+    }
+    throw error;
+  }
+
+  const plugins = [];
+
+  for (const file of files) {
+    const modulePath = path.join(directory, file);
+
+    try {
+      const module = await import(pathToFileURL(modulePath).href);
+      const definitions = [].concat(module.default || []);
+
+      if (definitions.length === 0) {
+        console.warn(`[PLUGINS] ${file} has no default export, skipping`);
+        continue;
+      }
+
+      for (const { type, agentClass } of definitions) {
+        const problem = validateAgentClass(type, agentClass);
+        if (problem) {
+          console.warn(`[PLUGINS] Skipping agent type from ${file}: ${problem}`);
+          continue;
+        }
+        plugins.push({ type, agentClass, source: file });
+      }
+    } catch (error) {
+      console.warn(`[PLUGINS] Failed to load ${file}: ${error.message}`);
+    }
+  }
+
+  return plugins;
+};
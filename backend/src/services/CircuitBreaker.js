@@ -0,0 +1,99 @@
+// Tracks the outcome of an agent's recent executions and stops calling it
+// while its failure rate is too high.
+//   closed    - calls go through; the last `windowSize` outcomes are kept
+//   open      - calls are skipped until `cooldownMs` has passed
+//   half_open - one trial call decides whether to close or reopen
+export class CircuitBreaker {
+  constructor(config = {}) {
+    this.failureRateThreshold = config.failureRateThreshold ?? (parseFloat(process.env.BREAKER_FAILURE_RATE) || 0.5);
+    this.minimumRequests = config.minimumRequests ?? (parseInt(process.env.BREAKER_MIN_REQUESTS) || 4);
+    this.windowSize = config.windowSize ?? (parseInt(process.env.BREAKER_WINDOW_SIZE) || 10);
+    this.cooldownMs = config.cooldownMs ?? (parseInt(process.env.BREAKER_COOLDOWN_MS) || 30000);
+
+    this.state = 'closed';
+    this.outcomes = [];
+    this.openedAt = null;
+    this.trialInProgress = false;
+    this.lastError = null;
+  }
+
+  // Whether a call may go ahead now. In half_open only one trial is let through.
+  allowRequest() {
+    if (this.state === 'open' && Date.now() - this.openedAt >= this.cooldownMs) {
+      this.state = 'half_open';
+      this.trialInProgress = false;
+    }
+
+    if (this.state === 'closed') {
+      return true;
+    }
+    if (this.state === 'half_open' && !this.trialInProgress) {
+      this.trialInProgress = true;
+      return true;
+    }
+    return false;
+  }
+
+  recordSuccess() {
+    if (this.state === 'half_open') {
+      this.reset();
+      return;
+    }
+    this.pushOutcome(true);
+  }
+
+  recordFailure(error) {
+    this.lastError = error?.message || error || null;
+
+    if (this.state === 'half_open') {
+      this.open();
+      return;
+    }
+
+    this.pushOutcome(false);
+    if (this.outcomes.length >= this.minimumRequests && this.getFailureRate() >= this.failureRateThreshold) {
+      this.open();
+    }
+  }
+
+  pushOutcome(success) {
+    this.outcomes.push(success);
+    if (this.outcomes.length > this.windowSize) {
+      this.outcomes.shift();
+    }
+  }
+
+  open() {
+    this.state = 'open';
+    this.openedAt = Date.now();
+    this.trialInProgress = false;
+  }
+
+  reset() {
+    this.state = 'closed';
+    this.outcomes = [];
+    this.openedAt = null;
+    this.trialInProgress = false;
+  }
+
+  getFailureRate() {
+    if (this.outcomes.length === 0) {
+      return 0;
+    }
+    return this.outcomes.filter(success => !success).length / this.outcomes.length;
+  }
+
+  getStatus() {
+    // Report half_open once the cooldown is over even before the next call
+    const coolingDown = this.state === 'open' && Date.now() - this.openedAt < this.cooldownMs;
+
+    return {
+      state: this.state === 'open' && !coolingDown ? 'half_open' : this.state,
+      failureRate: Math.round(this.getFailureRate() * 100) / 100,
+      recentRequests: this.outcomes.length,
+      openedAt: this.openedAt ? new Date(this.openedAt) : null,
+      retryAt: coolingDown ? new Date(this.openedAt + this.cooldownMs) : null,
+      lastError: this.lastError
+    };
+  }
+}
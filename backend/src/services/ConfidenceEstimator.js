@@ -0,0 +1,150 @@
+import { parseJsonContent, validateJsonSchema } from '../utils/structuredOutput.js';
+
+export const CONFIDENCE_MODES = ['heuristic', 'judge', 'logprob'];
+
+const MAX_JUDGE_SOURCE_CHARS = 6000;
+
+const JUDGE_SCHEMA = {
+  type: 'object',
+  properties: {
+    groundedness: { type: 'number' },
+    relevance: { type: 'number' },
+    reason: { type: 'string' }
+  },
+  required: ['groundedness', 'relevance']
+};
+
+const round = (value) => Math.round(value * 1000) / 1000;
+const clamp = (value) => Math.min(Math.max(value, 0), 1);
+
+// Scores how far an agent's answer can be trusted, between 0 and 1.
+//   heuristic - the agent's own rules (answer length, keyword matches, result counts)
+//   judge     - the model grades the answer's groundedness in the prompt it was
+//               written from and its relevance to the query
+//   logprob   - mean token probability of the answer, for providers that
+//               return token logprobs
+// judge and logprob fall back to the heuristic when they cannot score and
+// report `fallback: true`.
+export class ConfidenceEstimator {
+  constructor(llmService, config = {}) {
+    this.llm = llmService;
+    this.mode = config.mode || process.env.CONFIDENCE_MODE || 'heuristic';
+    this.judgeModelConfig = config.judgeModelConfig
+      || (process.env.CONFIDENCE_JUDGE_MODEL ? { model: process.env.CONFIDENCE_JUDGE_MODEL } : {});
+
+    if (!CONFIDENCE_MODES.includes(this.mode)) {
+      console.warn(`[CONFIDENCE] Unknown confidence mode "${this.mode}", using heuristic scoring`);
+      this.mode = 'heuristic';
+    }
+  }
+
+  // Options the answer's LLM call needs for the mode
+  getCallOptions(mode = this.mode) {
+    return mode === 'logprob' ? { logprobs: true } : {};
+  }
+
+  // input: { mode, agentName, query, response, sources, logprobs, heuristic }
+  // sources is the text the answer was written from (prompt, tool results).
+  // Resolves to { confidence, method, scores, fallback, usage } (the judge
+  // also gives a reason); never throws. usage is the judge call's tokens.
+  async estimate(input) {
+    const mode = input.mode || this.mode;
+    let estimate = null;
+
+    if (mode === 'judge') {
+      estimate = await this.judge(input);
+    } else if (mode === 'logprob') {
+      estimate = this.fromLogprobs(input.logprobs);
+    }
+
+    if (estimate) {
+      return { ...estimate, fallback: false };
+    }
+
+    return {
+      confidence: input.heuristic,
+      method: 'heuristic',
+      scores: { heuristic: round(input.heuristic) },
+      fallback: mode !== 'heuristic',
+      usage: null
+    };
+  }
+
+  async judge({ agentName, query, response, sources = '', signal }) {
+    const systemPrompt = `You grade answers written by an assistant. Score each from 0 to 1:
+- groundedness: how well the answer's claims are supported by the sources; without sources, by well-established facts. 1 means every claim is supported, 0 means it is made up
+- relevance: how directly the answer addresses the question
+Respond only with JSON in this format:
+{"groundedness": <number>, "relevance": <number>, "reason": "<one sentence>"}`;
+
+    const userPrompt = `Question: ${query}
+
+Sources:
+${sources.slice(0, MAX_JUDGE_SOURCE_CHARS) || 'None'}
+
+Answer by ${agentName}:
+${response}`;
+
+    try {
+      const result = await this.llm.generateResponse(
+        systemPrompt,
+        userPrompt,
+        [],
+        { ...this.judgeModelConfig, temperature: 0 },
+        { format: JUDGE_SCHEMA, signal }
+      );
+
+      const grade = parseJsonContent(result.content);
+      const errors = validateJsonSchema(JUDGE_SCHEMA, grade);
+      if (errors.length > 0) {
+        throw new Error(errors.join('; '));
+      }
+
+      const groundedness = clamp(grade.groundedness);
+      const relevance = clamp(grade.relevance);
+
+      return {
+        confidence: round((groundedness + relevance) / 2),
+        method: 'judge',
+        scores: { groundedness: round(groundedness), relevance: round(relevance) },
+        reason: grade.reason || null,
+        usage: {
+          inputTokens: result.inputTokens || 0,
+          outputTokens: result.outputTokens || 0,
+          totalTokens: result.totalTokens || 0
+        }
+      };
+    } catch (error) {
+      console.warn(`[CONFIDENCE] Judge unavailable for ${agentName}, using heuristic: ${error.message}`);
+      return null;
+    }
+  }
+
+  // logprobs: natural-log probabilities of the answer's tokens
+  fromLogprobs(logprobs) {
+    const values = (logprobs || []).filter(Number.isFinite);
+    if (values.length === 0) {
+      return null;
+    }
+
+    const mean = values.reduce((sum, value) => sum + value, 0) / values.length;
+
+    return {
+      confidence: round(Math.exp(mean)),
+      method: 'logprob',
+      scores: {
+        meanTokenProbability: round(Math.exp(mean)),
+        minTokenProbability: round(Math.exp(Math.min(...values))),
+        tokens: values.length
+      },
+      usage: null
+    };
+  }
+
+  getConfig() {
+    return {
+      mode: this.mode,
+      judgeModel: this.judgeModelConfig.model || null
+    };
+  }
+}
@@ -0,0 +1,227 @@
+import { v4 as uuidv4 } from 'uuid';
+import { compileCondition } from '../utils/edgeConditions.js';
+import { loadEdgeRulesFromConfig } from './AgentGraph.js';
+
+export const EDGE_RULE_PRIORITIES = ['high', 'medium', 'low'];
+
+// Edge rules stored in the edge_rules table. config/agents.json seeds an
+// empty table; after that the table is the source of truth. Every change is
+// pushed into the orchestrator's AgentGraph and applies from the next query.
+export class EdgeRuleManager {
+  constructor(mysqlConnection, agentGraph) {
+    this.mysql = mysqlConnection;
+    this.agentGraph = agentGraph;
+  }
+
+  async initialize() {
+    try {
+      const [rows] = await this.mysql.execute('SELECT COUNT(*) as count FROM edge_rules');
+
+      if (rows[0].count === 0) {
+        // Spaced a millisecond apart so listRules() keeps the config order
+        const seededAt = Date.now();
+        const configRules = loadEdgeRulesFromConfig();
+        for (const [index, rule] of configRules.entries()) {
+          await this.insertRule(rule, null, new Date(seededAt + index));
+        }
+        console.log('📦 Seeded edge rules from config/agents.json');
+      }
+
+      await this.reload();
+    } catch (error) {
+      console.error('❌ Edge rule initialization failed:', error);
+      throw error;
+    }
+  }
+
+  // Pushes the enabled rules into the agent graph
+  async reload() {
+    const rules = await this.listRules();
+    this.agentGraph.setRules(rules.filter(rule => rule.enabled));
+  }
+
+  async listRules() {
+    const [rules] = await this.mysql.execute('SELECT * FROM edge_rules ORDER BY created_at ASC, id ASC');
+    return rules.map(rule => this.formatRule(rule));
+  }
+
+  async getRule(ruleId) {
+    const [rules] = await this.mysql.execute('SELECT * FROM edge_rules WHERE id = ?', [ruleId]);
+    return rules.length > 0 ? this.formatRule(rules[0]) : null;
+  }
+
+  // Problems that keep a rule from being saved; empty when it is valid.
+  // ruleId is the rule being edited, left out of the cycle check.
+  async validateRule(rule, ruleId = null) {
+    const errors = [];
+    const [agents] = await this.mysql.execute('SELECT id FROM agents');
+    const agentIds = agents.map(agent => agent.id);
+
+    if (!agentIds.includes(rule.from)) {
+      errors.push(`Unknown source agent: ${rule.from}`);
+    }
+    if (rule.to !== '*' && !agentIds.includes(rule.to)) {
+      errors.push(`Unknown target agent: ${rule.to}`);
+    }
+    if (rule.from === rule.to) {
+      errors.push('A rule cannot connect an agent to itself');
+    }
+    if (rule.priority && !EDGE_RULE_PRIORITIES.includes(rule.priority)) {
+      errors.push(`Priority must be one of: ${EDGE_RULE_PRIORITIES.join(', ')}`);
+    }
+
+    try {
+      compileCondition(rule.condition);
+    } catch (error) {
+      errors.push(`Invalid condition: ${error.message}`);
+    }
+
+    if (errors.length === 0 && rule.enabled !== false) {
+      const others = (await this.listRules()).filter(r => r.enabled && r.id !== ruleId);
+      const cycle = this.findCycle([...others, rule], agentIds);
+      if (cycle) {
+        errors.push(`Rule would create a cycle: ${cycle.join(' → ')}`);
+      }
+    }
+
+    return errors;
+  }
+
+  // A cycle in the graph of all agents connected by the rules, as a path
+  // that starts and ends at the same agent, or null. AgentGraph runs routed
+  // agents without dependencies when it meets one, so cycles are refused here.
+  findCycle(rules, agentIds) {
+    const edges = new Map(agentIds.map(id => [id, new Set()]));
+    for (const rule of rules) {
+      const targets = rule.to === '*' ? agentIds : [rule.to];
+      targets
+        .filter(target => target !== rule.from && edges.has(rule.from))
+        .forEach(target => edges.get(rule.from).add(target));
+    }
+
+    const state = new Map();
+    const path = [];
+
+    const visit = (id) => {
+      state.set(id, 'visiting');
+      path.push(id);
+
+      for (const next of edges.get(id) || []) {
+        if (state.get(next) === 'visiting') {
+          return [...path.slice(path.indexOf(next)), next];
+        }
+        if (!state.has(next)) {
+          const cycle = visit(next);
+          if (cycle) return cycle;
+        }
+      }
+
+      state.set(id, 'done');
+      path.pop();
+      return null;
+    };
+
+    for (const id of agentIds) {
+      if (!state.has(id)) {
+        const cycle = visit(id);
+        if (cycle) return cycle;
+      }
+    }
+    return null;
+  }
+
+  async createRule(rule, createdBy = null) {
+    try {
+      const errors = await this.validateRule(rule);
+      if (errors.length > 0) {
+        throw new Error(errors.join('; '));
+      }
+
+      const ruleId = await this.insertRule(rule, createdBy);
+      await this.reload();
+
+      console.log(`[EDGE_RULES] Created rule ${rule.from} → ${rule.to} (${ruleId})`);
+      return this.getRule(ruleId);
+    } catch (error) {
+      console.error('[EDGE_RULES] Create rule error:', error);
+      throw error;
+    }
+  }
+
+  async insertRule(rule, createdBy, createdAt = new Date()) {
+    const ruleId = uuidv4();
+
+    await this.mysql.execute(
+      'INSERT INTO edge_rules (id, from_agent, to_agent, condition_expr, priority, enabled, description, created_by, created_at, updated_at) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)',
+      [
+        ruleId,
+        rule.from,
+        rule.to,
+        rule.condition || '',
+        rule.priority || 'medium',
+        rule.enabled !== false,
+        rule.description || null,
+        createdBy,
+        createdAt,
+        createdAt
+      ]
+    );
+
+    return ruleId;
+  }
+
+  // Returns the updated rule, or null if it does not exist
+  async updateRule(ruleId, updates) {
+    try {
+      const existing = await this.getRule(ruleId);
+      if (!existing) {
+        return null;
+      }
+
+      const rule = { ...existing, ...updates };
+      const errors = await this.validateRule(rule, ruleId);
+      if (errors.length > 0) {
+        throw new Error(errors.join('; '));
+      }
+
+      await this.mysql.execute(
+        'UPDATE edge_rules SET from_agent = ?, to_agent = ?, condition_expr = ?, priority = ?, enabled = ?, description = ?, updated_at = ? WHERE id = ?',
+        [rule.from, rule.to, rule.condition || '', rule.priority, rule.enabled, rule.description || null, new Date(), ruleId]
+      );
+      await this.reload();
+
+      console.log(`[EDGE_RULES] Updated rule ${ruleId}`);
+      return this.getRule(ruleId);
+    } catch (error) {
+      console.error('[EDGE_RULES] Update rule error:', error);
+      throw error;
+    }
+  }
+
+  async deleteRule(ruleId) {
+    try {
+      await this.mysql.execute('DELETE FROM edge_rules WHERE id = ?', [ruleId]);
+      await this.reload();
+
+      console.log(`[EDGE_RULES] Deleted rule ${ruleId}`);
+    } catch (error) {
+      console.error('[EDGE_RULES] Delete rule error:', error);
+      throw error;
+    }
+  }
+
+  formatRule(rule) {
+    return {
+      id: rule.id,
+      from: rule.from_agent,
+      to: rule.to_agent,
+      condition: rule.condition_expr,
+      priority: rule.priority,
+      enabled: Boolean(rule.enabled),
+      description: rule.description,
+      createdBy: rule.created_by,
+      createdAt: rule.created_at,
+      updatedAt: rule.updated_at
+    };
+  }
+}
@@ -0,0 +1,165 @@
+import { OllamaService } from './OllamaService.js';
+import { OpenAICompatibleProvider } from './providers/OpenAICompatibleProvider.js';
+import { MockProvider } from './providers/MockProvider.js';
+import { DEFAULT_CONTEXT_WINDOW } from './providers/LLMProvider.js';
+
+// Routes LLM calls to a provider. Agents choose one with
+// modelConfig.provider ('ollama', 'openai', 'mock'); everything else in
+// modelConfig is passed to the provider as generation options.
+export class LLMService {
+  constructor(providers = {}, config = {}) {
+    this.providers = new Map(Object.entries(providers));
+    this.defaultProvider = config.defaultProvider || process.env.LLM_PROVIDER || 'ollama';
+    this.embeddingProvider = config.embeddingProvider || process.env.EMBEDDING_PROVIDER || this.defaultProvider;
+    this.modelChecks = new Map();
+  }
+
+  // The mock provider answers with canned text, so it is only registered
+  // under test or when the operator picks it as the default or embedding
+  // provider (offline demos); agents saved through the API cannot opt into it
+  static createDefault() {
+    const providers = {
+      ollama: new OllamaService(),
+      openai: new OpenAICompatibleProvider()
+    };
+
+    const mockSelected = [process.env.LLM_PROVIDER, process.env.EMBEDDING_PROVIDER].includes('mock');
+    if (process.env.NODE_ENV === 'test' || mockSelected) {
+      providers.mock = new MockProvider();
+    }
+
+    return new LLMService(providers);
+  }
+
+  registerProvider(name, provider) {
+    this.providers.set(name, provider);
+  }
+
+  hasProvider(name) {
+    return this.providers.has(name);
+  }
+
+  // Throws when a modelConfig names an unknown provider or settings its
+  // provider does not accept
+  validateModelConfig(modelConfig = {}) {
+    const { provider: providerName, ...options } = modelConfig;
+    const problem = this.getProvider(providerName || this.defaultProvider).validateModelConfig(options);
+    if (problem) {
+      throw new Error(problem);
+    }
+  }
+
+  getProvider(name = this.defaultProvider) {
+    const provider = this.providers.get(name);
+    if (!provider) {
+      throw new Error(`Unknown LLM provider: ${name}`);
+    }
+    return provider;
+  }
+
+  // Only the default provider has to be reachable at startup; the others are
+  // checked when an agent first uses them
+  async initialize() {
+    await this.getProvider().initialize();
+    return true;
+  }
+
+  async generateResponse(systemPrompt, userPrompt, context = [], modelConfig = {}, callOptions = {}) {
+    const { provider: providerName, ...options } = modelConfig || {};
+    const provider = this.getProvider(providerName || this.defaultProvider);
+
+    const response = await provider.generateResponse(systemPrompt, userPrompt, context, options, callOptions);
+    return {
+      ...response,
+      provider: provider.name
+    };
+  }
+
+  async generateEmbedding(text) {
+    try {
+      return await this.getProvider(this.embeddingProvider).generateEmbedding(text);
+    } catch (error) {
+      console.warn('⚠️ Embedding generation failed, continuing without embeddings:', error.message);
+      return null;
+    }
+  }
+
+  // Context window of the model a modelConfig resolves to
+  getContextWindow(modelConfig = {}) {
+    const { provider: providerName, ...options } = modelConfig;
+    try {
+      return this.getProvider(providerName || this.defaultProvider).getContextWindow(options);
+    } catch (error) {
+      return DEFAULT_CONTEXT_WINDOW;
+    }
+  }
+
+  // Provider and model a modelConfig resolves to, without contacting the provider
+  resolveModel(modelConfig = {}) {
+    const providerName = modelConfig.provider || this.defaultProvider;
+    return {
+      provider: providerName,
+      model: modelConfig.model || this.providers.get(providerName)?.model || null
+    };
+  }
+
+  // Checks the model a modelConfig resolves to; with options.pull, providers
+  // that can download models pull it when missing. Concurrent checks for the
+  // same provider/model/mode share one request.
+  async ensureModel(modelConfig = {}, options = {}) {
+    const providerName = modelConfig.provider || this.defaultProvider;
+    let provider;
+
+    try {
+      provider = this.getProvider(providerName);
+    } catch (error) {
+      return { provider: providerName, model: modelConfig.model || null, available: false, pulled: false, error: error.message };
+    }
+
+    const model = modelConfig.model || provider.model;
+    const key = `${providerName}:${model}:${options.pull ? 'pull' : 'check'}`;
+
+    if (!this.modelChecks.has(key)) {
+      this.modelChecks.set(key, provider.ensureModel(model, { pull: Boolean(options.pull) }).catch(error => ({
+        provider: providerName,
+        model,
+        available: false,
+        pulled: false,
+        error: error.message
+      })));
+    }
+
+    const status = await this.modelChecks.get(key);
+    if (!status.available) {
+      // Retry on the next check instead of caching the failure
+      this.modelChecks.delete(key);
+    }
+    return status;
+  }
+
+  async isHealthy() {
+    return this.getProvider().isHealthy();
+  }
+
+  getModelInfo() {
+    return this.getProvider().getModelInfo();
+  }
+
+  async getAvailableModels() {
+    return this.getProvider().getAvailableModels();
+  }
+
+  async getProvidersStatus() {
+    const status = {};
+
+    for (const [name, provider] of this.providers) {
+      status[name] = {
+        ...provider.getModelInfo(),
+        default: name === this.defaultProvider,
+        healthy: await provider.isHealthy()
+      };
+    }
+
+    return status;
+  }
+}
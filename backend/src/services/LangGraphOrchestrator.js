@@ -1,9 +1,34 @@
 import { v4 as uuidv4 } from 'uuid';
+import { AgentGraph, loadEdgeRulesFromConfig } from './AgentGraph.js';
+import { ResponseSynthesizer } from './ResponseSynthesizer.js';
+import { CircuitBreaker } from './CircuitBreaker.js';
+import { ResponseCache } from './ResponseCache.js';
+import { withTimeout, isTransientError, backoffDelay, sleep } from '../utils/retry.js';
+
+const parseCount = (value, fallback) => {
+  const parsed = parseInt(value);
+  return Number.isNaN(parsed) ? fallback : parsed;
+};
 
 export class LangGraphOrchestrator {
-  constructor(memoryManager, agentManager) {
+  // config: agentTimeoutMs, agentMaxRetries, retryBaseDelayMs, retryMaxDelayMs,
+  // breaker (CircuitBreaker options), threadHistoryTurns,
+  // threadHistoryTokens and cache (ResponseCache options); defaults come
+  // from the environment
+  constructor(memoryManager, agentManager, llmService, config = {}) {
     this.memoryManager = memoryManager;
     this.agentManager = agentManager;
+    this.agentGraph = new AgentGraph();
+    this.synthesizer = new ResponseSynthesizer(llmService);
+    this.responseCache = new ResponseCache(memoryManager, llmService, config.cache);
+    this.agentTimeoutMs = config.agentTimeoutMs ?? parseCount(process.env.AGENT_TIMEOUT_MS, 60000);
+    this.agentMaxRetries = config.agentMaxRetries ?? parseCount(process.env.AGENT_MAX_RETRIES, 1);
+    this.retryBaseDelayMs = config.retryBaseDelayMs ?? parseCount(process.env.AGENT_RETRY_BASE_DELAY_MS, 500);
+    this.retryMaxDelayMs = config.retryMaxDelayMs ?? parseCount(process.env.AGENT_RETRY_MAX_DELAY_MS, 5000);
+    this.threadHistoryTurns = config.threadHistoryTurns ?? parseCount(process.env.THREAD_HISTORY_TURNS, 10);
+    this.threadHistoryTokens = config.threadHistoryTokens ?? parseCount(process.env.THREAD_HISTORY_TOKENS, 2000);
+    this.breakerConfig = config.breaker || {};
+    this.breakers = new Map();
     this.initialized = false;
   }
 
@@ -13,6 +38,10 @@ export class LangGraphOrchestrator {
       
       // Initialize agent manager
       await this.agentManager.initialize();
+
+      // Load edge rules for the agent graph. EdgeRuleManager replaces them
+      // with the rules stored in the database once it is initialized.
+      this.agentGraph.setRules(loadEdgeRulesFromConfig());
       
       this.initialized = true;
       console.log('✅ LangGraph Orchestrator initialized successfully');
@@ -22,7 +51,17 @@ export class LangGraphOrchestrator {
     }
   }
 
-  async processQuery(query, userId, sessionId) {
+  // options.onEvent(event, data) receives progress events while the query
+  // runs: routing, plan, agent_start, token, agent_complete, synthesis.
+  // options.routing overrides the router mode/threshold for this query;
+  // options.synthesize merges the agent answers using options.preferences.responseFormat;
+  // edge conditions see the same preferences as user.preferences.
+  // options.threadId continues a thread: its earlier turns reach the agents as
+  // chat history and the query is stored as the thread's next turn.
+  // options.cache 'bypass' makes every agent answer fresh; otherwise agents
+  // with a valid cached answer to the same query reuse it. Thread follow-ups
+  // depend on their history and are never answered from the cache.
+  async processQuery(query, userId, sessionId, options = {}) {
     if (!this.initialized) {
       await this.initialize();
     }
@@ -34,19 +73,56 @@ export class LangGraphOrchestrator {
       
       // Step 1: Analyze query and get context
       const context = await this.analyzeQuery(query, userId);
+      const history = options.threadId
+        ? await this.memoryManager.getThreadTurns(options.threadId, this.threadHistoryTurns)
+        : [];
       
-      // Step 2: Route to relevant agents
-      const relevantAgents = await this.agentManager.routeQuery(query);
+      // Step 2: Route to relevant agents. Follow-ups ("what about closer to
+      // the city?") rarely name a topic, so the previous turn routes with them.
+      const routingQuery = history.length > 0
+        ? `${history[history.length - 1].query}\n${query}`
+        : query;
+      const { relevantAgents, routing } = await this.agentManager.routeQuery(routingQuery, { ...options.routing, userId });
       
       if (relevantAgents.length === 0) {
         throw new Error('No agents available to process the query');
       }
+
+      if (options.onEvent) {
+        options.onEvent('routing', {
+          ...routing,
+          agents: relevantAgents.map(({ agent, relevanceScore }) => ({
+            agentId: agent.id,
+            agentName: agent.name,
+            relevanceScore
+          }))
+        });
+      }
       
-      // Step 3: Execute agents in parallel
-      const responses = await this.executeAgents(relevantAgents, query, userId, sessionId, context);
+      const cacheMode = options.cache === 'bypass' ? 'bypass' : (history.length > 0 ? 'off' : 'use');
+      const cachedResponses = cacheMode === 'use'
+        ? await this.responseCache.lookup(query, userId, relevantAgents.map(({ agent }) => agent))
+        : new Map();
+
+      // Step 3: Execute agents along the edge graph
+      const { responses, graph } = await this.executeAgents(relevantAgents, query, userId, sessionId, context, { ...options, history, cachedResponses });
       
-      // Step 4: Aggregate and store results
-      const queryResult = await this.aggregateResponses(query, userId, sessionId, responses, startTime);
+      // Step 4: Optionally merge the agent answers into one reply
+      const synthesis = options.synthesize
+        ? await this.synthesizeResponses(query, responses, options)
+        : null;
+      
+      // Step 5: Aggregate and store results
+      const queryResult = await this.aggregateResponses(query, userId, sessionId, responses, startTime, {
+        graph,
+        routing,
+        synthesis,
+        threadId: options.threadId,
+        cache: {
+          mode: cacheMode,
+          hits: responses.filter(response => response.cache?.hit).map(response => response.agentId)
+        }
+      });
       
       return queryResult;
     } catch (error) {
@@ -70,53 +146,269 @@ export class LangGraphOrchestrator {
     }
   }
 
-  async executeAgents(relevantAgents, query, userId, sessionId, context) {
-    console.log(`[ORCHESTRATOR] Executing ${relevantAgents.length} agents in parallel`);
-    
+  async executeAgents(relevantAgents, query, userId, sessionId, context, options = {}) {
     const startTime = Date.now();
-    
-    // Execute all relevant agents in parallel
-    const agentPromises = relevantAgents.map(({ agent }) =>
-      agent.execute(query, userId, sessionId, context).catch(error => {
-        console.error(`[ORCHESTRATOR] Agent ${agent.name} failed:`, error);
-        // Return error response instead of failing completely
-        return {
-          agentId: agent.id,
-          agentName: agent.name,
-          response: `I apologize, but I encountered an error while processing your query. Please try again.`,
-          confidence: 0.1,
-          executionTime: Date.now() - startTime,
-          inputTokens: 0,
-          outputTokens: 0,
-          totalTokens: 0,
-          model: 'error',
-          timestamp: new Date(),
-          relevanceScore: 1,
-          error: error.message
-        };
-      })
-    );
+    const emit = options.onEvent || (() => {});
+    const agentsById = new Map(relevantAgents.map(({ agent }) => [agent.id, agent]));
+    const plan = this.agentGraph.buildPlan(relevantAgents.map(({ agent }) => agent.id));
+
+    console.log(`[ORCHESTRATOR] Executing ${relevantAgents.length} agents (order: ${plan.order.join(' → ')}, ${plan.edges.length} edges)`);
+
+    emit('plan', {
+      order: plan.order,
+      edges: plan.edges.map(edge => ({ from: edge.from, to: edge.to, condition: edge.rule.condition }))
+    });
+
+    // Edge conditions can read the user's preferences and memory stats;
+    // the stats are only looked up when the plan has edges to evaluate
+    const conditionEnvironment = {
+      preferences: options.preferences || {},
+      memoryStats: plan.edges.length > 0 ? await this.memoryManager.getMemoryStats(userId) : {}
+    };
+
+    // Each agent waits only for its upstream agents, so independent agents
+    // still run in parallel
+    const executions = new Map();
+    const edgeResults = [];
+
+    for (const agentId of plan.order) {
+      const agent = agentsById.get(agentId);
+      const incoming = plan.edges.filter(edge => edge.to === agentId);
+
+      const execution = Promise.all(incoming.map(edge => executions.get(edge.from)))
+        .then(upstreamResponses => {
+          const upstream = incoming
+            .map((edge, index) => {
+              const satisfied = this.agentGraph.evaluateEdge(edge, query, upstreamResponses[index], conditionEnvironment);
+              edgeResults.push({
+                from: edge.from,
+                to: edge.to,
+                condition: edge.rule.condition,
+                priority: edge.rule.priority,
+                satisfied
+              });
+              return satisfied ? { edge, response: upstreamResponses[index] } : null;
+            })
+            .filter(Boolean)
+            .sort((a, b) => AgentGraph.comparePriority(a.edge, b.edge))
+            .map(({ response }) => response);
+
+          emit('agent_start', {
+            agentId: agent.id,
+            agentName: agent.name,
+            upstreamAgents: upstream.map(u => u.agentId)
+          });
+
+          return this.runAgent(agent, query, userId, sessionId, context, upstream, options);
+        })
+        .catch(error => {
+          console.error(`[ORCHESTRATOR] Agent ${agent.name} failed:`, error);
+          // Return error response instead of failing completely
+          return this.buildErrorResponse(agent, error.message, startTime);
+        })
+        .then(response => {
+          emit('agent_complete', {
+            agentId: response.agentId,
+            agentName: response.agentName,
+            confidence: response.confidence,
+            relevanceScore: response.relevanceScore,
+            executionTime: response.executionTime,
+            inputTokens: response.inputTokens,
+            outputTokens: response.outputTokens,
+            totalTokens: response.totalTokens,
+            model: response.model,
+            attempts: response.attempts,
+            skipped: response.skipped,
+            cached: response.cache?.hit === true,
+            error: response.error
+          });
+          return response;
+        });
+
+      executions.set(agentId, execution);
+    }
 
     try {
-      const responses = await Promise.all(agentPromises);
+      const responses = await Promise.all(plan.order.map(agentId => executions.get(agentId)));
       const executionTime = Date.now() - startTime;
 
       console.log(`[ORCHESTRATOR] All agents completed in ${executionTime}ms`);
 
+      const graph = {
+        order: plan.order,
+        edges: edgeResults
+      };
+
       // Filter out failed responses if we have at least one successful response
       const successfulResponses = responses.filter(r => !r.error);
       if (successfulResponses.length > 0) {
-        return successfulResponses;
+        // Dropped failures are never stored as interactions, but they still
+        // count against the agent's success rate. Skipped agents did not run.
+        await Promise.all(responses
+          .filter(r => r.error && !r.skipped)
+          .map(r => this.memoryManager.updateAgentMetrics({
+            agentId: r.agentId,
+            executionTime: r.executionTime,
+            confidenceScore: r.confidence,
+            relevanceScore: r.relevanceScore,
+            error: r.error
+          })));
+        return { responses: successfulResponses, graph };
       }
 
-      return responses; // Return all responses if none succeeded
+      return { responses, graph }; // Return all responses if none succeeded
     } catch (error) {
       console.error('[ORCHESTRATOR] Agent execution error:', error);
       throw error;
     }
   }
 
-  async aggregateResponses(query, userId, sessionId, responses, startTime) {
+  // Runs one agent within its timeout and retry budget, guarded by its
+  // circuit breaker. Agents report failures as responses with an error field
+  // rather than throwing, so both are handled the same way.
+  async runAgent(agent, query, userId, sessionId, context, upstream, options = {}) {
+    const startTime = Date.now();
+    const emit = options.onEvent || (() => {});
+    const cached = options.cachedResponses?.get(agent.id);
+
+    if (cached) {
+      console.log(`[ORCHESTRATOR] ${agent.name} answered from cache (query ${cached.cache.sourceQueryId})`);
+      emit('token', { agentId: agent.id, content: cached.response });
+      return {
+        ...cached,
+        executionTime: Date.now() - startTime,
+        timestamp: new Date(),
+        attempts: 0
+      };
+    }
+
+    const breaker = this.getBreaker(agent.id);
+
+    if (!breaker.allowRequest()) {
+      console.warn(`[ORCHESTRATOR] Circuit open for ${agent.name}, skipping`);
+      return {
+        ...this.buildErrorResponse(agent, `Circuit open: ${agent.name} is failing too often and is temporarily skipped`, startTime),
+        attempts: 0,
+        skipped: true
+      };
+    }
+
+    const timeoutMs = agent.timeoutMs ?? this.agentTimeoutMs;
+    const maxRetries = agent.maxRetries ?? this.agentMaxRetries;
+    let attempt = 0;
+    let response;
+
+    for (;;) {
+      // Aborted when the attempt ends, so a generation that timed out stops
+      // instead of running next to the retry, and its tokens stop reaching
+      // the client
+      const controller = new AbortController();
+      const onToken = options.onEvent
+        ? content => {
+          if (!controller.signal.aborted) {
+            emit('token', { agentId: agent.id, content });
+          }
+        }
+        : undefined;
+
+      try {
+        response = await withTimeout(
+          agent.execute(query, userId, sessionId, context, {
+            upstream,
+            onToken,
+            signal: controller.signal,
+            history: options.history,
+            historyTokenBudget: this.threadHistoryTokens
+          }),
+          timeoutMs,
+          `${agent.name} timed out after ${timeoutMs}ms`
+        );
+      } catch (error) {
+        response = this.buildErrorResponse(agent, error.message, startTime);
+      } finally {
+        controller.abort();
+      }
+
+      if (!response.error || attempt >= maxRetries || !isTransientError(response.error)) {
+        break;
+      }
+
+      const delay = backoffDelay(attempt, this.retryBaseDelayMs, this.retryMaxDelayMs);
+      attempt++;
+      console.warn(`[ORCHESTRATOR] ${agent.name} failed (${response.error}), retry ${attempt}/${maxRetries} in ${delay}ms`);
+      emit('agent_retry', { agentId: agent.id, agentName: agent.name, attempt, delay, error: response.error });
+      await sleep(delay);
+    }
+
+    if (response.error) {
+      breaker.recordFailure(response.error);
+    } else {
+      breaker.recordSuccess();
+    }
+
+    return {
+      ...response,
+      agentVersionId: agent.versionId,
+      attempts: attempt + 1,
+      ...(response.error ? {} : { cache: this.responseCache.describe(agent) })
+    };
+  }
+
+  buildErrorResponse(agent, message, startTime) {
+    return {
+      agentId: agent.id,
+      agentName: agent.name,
+      response: `I apologize, but I encountered an error while processing your query. Please try again.`,
+      confidence: 0.1,
+      executionTime: Date.now() - startTime,
+      inputTokens: 0,
+      outputTokens: 0,
+      totalTokens: 0,
+      model: 'error',
+      timestamp: new Date(),
+      relevanceScore: 1,
+      agentVersionId: agent.versionId,
+      error: message
+    };
+  }
+
+  getBreaker(agentId) {
+    if (!this.breakers.has(agentId)) {
+      this.breakers.set(agentId, new CircuitBreaker(this.breakerConfig));
+    }
+    return this.breakers.get(agentId);
+  }
+
+  // Circuit breaker state of every active agent
+  getAgentHealth() {
+    const health = {};
+    for (const agent of this.agentManager.getActiveAgents()) {
+      health[agent.id] = this.getBreaker(agent.id).getStatus();
+    }
+    return health;
+  }
+
+  async synthesizeResponses(query, responses, options = {}) {
+    console.log('[ORCHESTRATOR] Synthesizing agent responses');
+
+    try {
+      const synthesis = await this.synthesizer.synthesize(query, responses, {
+        responseFormat: options.preferences?.responseFormat
+      });
+
+      if (synthesis && options.onEvent) {
+        options.onEvent('synthesis', synthesis);
+      }
+
+      return synthesis;
+    } catch (error) {
+      // The individual responses are still returned if synthesis fails
+      console.error('[ORCHESTRATOR] Synthesis error:', error);
+      return { error: error.message };
+    }
+  }
+
+  async aggregateResponses(query, userId, sessionId, responses, startTime, details = {}) {
     console.log('[ORCHESTRATOR] Aggregating responses');
     
     try {
@@ -129,11 +421,16 @@ export class LangGraphOrchestrator {
         queryId: uuidv4(),
         userId: userId,
         sessionId: sessionId,
+        threadId: details.threadId || null,
         query: query,
         responses: sortedResponses,
         totalExecutionTime: totalExecutionTime,
         timestamp: new Date(),
-        agentCount: sortedResponses.length
+        agentCount: sortedResponses.length,
+        synthesis: details.synthesis || null,
+        routing: details.routing || null,
+        graph: details.graph || null,
+        cache: details.cache || null
       };
 
       // Store in memory
@@ -157,6 +454,7 @@ export class LangGraphOrchestrator {
         version: '1.0.0'
       },
       agents: agentStats,
+      edgeRules: this.agentGraph.getRules(),
       timestamp: new Date()
     };
   }
@@ -167,11 +465,14 @@ export class LangGraphOrchestrator {
       const stats = this.getSystemStats();
       const activeAgents = this.agentManager.getActiveAgents();
       
+      const agentHealth = this.getAgentHealth();
+      
       return {
         status: 'healthy',
         initialized: this.initialized,
         activeAgents: activeAgents.length,
         totalAgents: stats.agents.totalAgents,
+        openCircuits: Object.values(agentHealth).filter(status => status.state !== 'closed').length,
         timestamp: new Date()
       };
     } catch (error) {
@@ -0,0 +1,266 @@
+import { cosineSimilarity, parseVector } from '../utils/vector.js';
+import { extractKeywords } from '../utils/text.js';
+import { parseJsonContent, validateJsonSchema } from '../utils/structuredOutput.js';
+
+export const FACT_CATEGORIES = ['interest', 'visited_place', 'preference'];
+
+const MAX_ENTRY_CHARS = 500;
+
+const FACTS_SCHEMA = {
+  type: 'object',
+  properties: {
+    facts: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          category: { type: 'string', enum: FACT_CATEGORIES },
+          fact: { type: 'string' },
+          importance: { type: 'number' }
+        },
+        required: ['category', 'fact', 'importance']
+      }
+    }
+  },
+  required: ['facts']
+};
+
+const clampImportance = (value) => Math.min(Math.max(Math.round(value), 1), 10);
+
+// Share of keywords two facts have in common (Jaccard), for deduplicating
+// without embeddings
+const keywordOverlap = (a, b) => {
+  const left = new Set(extractKeywords(a));
+  const right = new Set(extractKeywords(b));
+  if (left.size === 0 || right.size === 0) {
+    return 0;
+  }
+
+  const shared = [...left].filter(word => right.has(word)).length;
+  return shared / (left.size + right.size - shared);
+};
+
+// Turns short-term memory (the query and response entries storeConversation
+// writes with an expiry) into long-term facts before it expires. The model
+// reads a user's expiring entries and lists what is worth remembering
+// (interests, visited places, stated preferences) with an importance from 1
+// to 10. Facts are stored as
+// LTM entries (type 'context', no expiry, metadata.kind 'fact'); a fact that
+// repeats one already stored reinforces it instead of being added again.
+export class MemoryConsolidator {
+  constructor(mysqlConnection, memoryManager, llmService, config = {}) {
+    this.mysql = mysqlConnection;
+    this.memoryManager = memoryManager;
+    this.llm = llmService;
+    this.lookaheadMs = config.lookaheadMs
+      ?? (parseFloat(process.env.MEMORY_CONSOLIDATION_LOOKAHEAD_HOURS) || 24) * 60 * 60 * 1000;
+    this.batchSize = config.batchSize ?? (parseInt(process.env.MEMORY_CONSOLIDATION_BATCH) || 40);
+    this.minImportance = config.minImportance ?? (parseInt(process.env.MEMORY_FACT_MIN_IMPORTANCE) || 3);
+    this.duplicateSimilarity = config.duplicateSimilarity ?? (parseFloat(process.env.MEMORY_FACT_DUPLICATE_SIMILARITY) || 0.9);
+    this.duplicateOverlap = config.duplicateOverlap ?? 0.8;
+    this.modelConfig = config.modelConfig
+      || (process.env.MEMORY_CONSOLIDATION_MODEL ? { model: process.env.MEMORY_CONSOLIDATION_MODEL } : {});
+    this.running = null;
+  }
+
+  // Consolidates every user with STM entries expiring within the lookahead.
+  // A run can outlast the hourly timer; a call made while one is in flight
+  // shares it instead of starting a second run over the same entries, which
+  // would store every fact twice.
+  consolidateExpiring() {
+    if (!this.running) {
+      this.running = this.runConsolidation().finally(() => {
+        this.running = null;
+      });
+    }
+    return this.running;
+  }
+
+  async runConsolidation() {
+    const expiringBefore = new Date(Date.now() + this.lookaheadMs);
+    const [users] = await this.mysql.execute(
+      'SELECT DISTINCT user_id FROM memory_entries WHERE consolidated_at IS NULL AND expires_at IS NOT NULL AND expires_at <= ? AND type IN ("query", "response")',
+      [expiringBefore]
+    );
+
+    const totals = { users: 0, entries: 0, factsCreated: 0, factsReinforced: 0 };
+    for (const { user_id: userId } of users) {
+      const result = await this.consolidateUser(userId, expiringBefore);
+      totals.users++;
+      totals.entries += result.entries;
+      totals.factsCreated += result.factsCreated;
+      totals.factsReinforced += result.factsReinforced;
+    }
+
+    if (totals.entries > 0) {
+      console.log(`[MEMORY] Consolidated ${totals.entries} STM entries for ${totals.users} user(s): ${totals.factsCreated} new facts, ${totals.factsReinforced} reinforced`);
+    }
+
+    return totals;
+  }
+
+  // Entries are only marked consolidated once their facts are saved, so a
+  // failed model call leaves them for the next run
+  async consolidateUser(userId, expiringBefore = new Date(Date.now() + this.lookaheadMs)) {
+    const result = { entries: 0, factsCreated: 0, factsReinforced: 0 };
+    if (!this.llm) {
+      return result;
+    }
+
+    const known = await this.getFacts(userId);
+
+    while (true) {
+      const [entries] = await this.mysql.execute(
+        'SELECT * FROM memory_entries WHERE user_id = ? AND consolidated_at IS NULL AND expires_at IS NOT NULL AND expires_at <= ? AND type IN ("query", "response") ORDER BY timestamp ASC LIMIT ?',
+        [userId, expiringBefore, this.batchSize]
+      );
+      if (entries.length === 0) {
+        break;
+      }
+
+      const facts = await this.extractFacts(entries);
+      if (!facts) {
+        break;
+      }
+
+      const sourceIds = entries.map(entry => entry.id);
+      for (const fact of facts.filter(candidate => candidate.importance >= this.minImportance)) {
+        const saved = await this.saveFact(userId, fact, sourceIds, known);
+        result[saved === 'created' ? 'factsCreated' : 'factsReinforced']++;
+      }
+
+      await this.mysql.execute(
+        `UPDATE memory_entries SET consolidated_at = ? WHERE id IN (${sourceIds.map(() => '?').join(', ')})`,
+        [new Date(), ...sourceIds]
+      );
+      result.entries += entries.length;
+
+      if (entries.length < this.batchSize) {
+        break;
+      }
+    }
+
+    return result;
+  }
+
+  // The facts the model finds in a batch of entries, or null when the model
+  // is unavailable or does not answer with valid JSON
+  async extractFacts(entries) {
+    const transcript = entries
+      .map(entry => {
+        const metadata = JSON.parse(entry.metadata || '{}');
+        const speaker = entry.type === 'query' ? 'User' : (metadata.agentName || entry.agent_id || 'Assistant');
+        return `${speaker}: ${String(entry.content || '').slice(0, MAX_ENTRY_CHARS)}`;
+      })
+      .join('\n');
+
+    const systemPrompt = `You maintain the long-term memory of a travel assistant. From the conversation excerpts, list the facts about the user worth remembering for months:
+- interest: places, activities or topics the user keeps asking about or says they love
+- visited_place: places the user says they have been to
+- preference: how the user likes to travel or be answered (budget, pace, company, format)
+Write each fact as one short sentence about the user ("Loves waterfalls"). Only include what the user said or clearly implied, not what the assistant suggested.
+Score each fact's importance from 1 (trivia) to 10 (shapes most future answers).
+Respond only with JSON in this format:
+{"facts": [{"category": "interest" | "visited_place" | "preference", "fact": "<sentence>", "importance": <1-10>}]}`;
+
+    try {
+      const response = await this.llm.generateResponse(
+        systemPrompt,
+        transcript,
+        [],
+        { ...this.modelConfig, temperature: 0 },
+        { format: FACTS_SCHEMA }
+      );
+
+      const parsed = parseJsonContent(response.content);
+      const errors = validateJsonSchema(FACTS_SCHEMA, parsed);
+      if (errors.length > 0) {
+        throw new Error(errors.join('; '));
+      }
+
+      return parsed.facts
+        .map(fact => ({ ...fact, fact: fact.fact.trim(), importance: clampImportance(fact.importance) }))
+        .filter(fact => fact.fact);
+    } catch (error) {
+      console.warn(`[MEMORY] Fact extraction failed, entries left for the next run: ${error.message}`);
+      return null;
+    }
+  }
+
+  async getFacts(userId) {
+    const [rows] = await this.mysql.execute(
+      'SELECT * FROM memory_entries WHERE user_id = ? AND type = "context" AND expires_at IS NULL AND JSON_UNQUOTE(JSON_EXTRACT(metadata, "$.kind")) = "fact"',
+      [userId]
+    );
+
+    return rows.map(row => ({
+      id: row.id,
+      content: row.content,
+      metadata: JSON.parse(row.metadata || '{}'),
+      vector: parseVector(row.embedding_vector)
+    }));
+  }
+
+  // Stores a new fact or reinforces the stored one it repeats: the mention
+  // count goes up and so does the importance (one more than the higher of
+  // the two, up to 10), and the new sources are listed with the old ones so
+  // forgetting entries can find every fact drawn from them. `known` is
+  // updated in place.
+  async saveFact(userId, fact, sourceIds, known) {
+    const vector = await this.memoryManager.generateEmbedding(fact.fact);
+    const duplicate = this.findDuplicate(fact, vector, known);
+
+    if (duplicate) {
+      const importance = Math.min(10, Math.max(duplicate.metadata.importance || 1, fact.importance) + 1);
+      duplicate.metadata = {
+        ...duplicate.metadata,
+        importance,
+        mentions: (duplicate.metadata.mentions || 1) + 1,
+        sourceEntryIds: [...new Set([...(duplicate.metadata.sourceEntryIds || []), ...sourceIds])],
+        lastSeenAt: new Date().toISOString()
+      };
+
+      await this.mysql.execute(
+        'UPDATE memory_entries SET metadata = ?, relevance_score = ? WHERE id = ?',
+        [JSON.stringify(duplicate.metadata), importance, duplicate.id]
+      );
+      return 'reinforced';
+    }
+
+    const metadata = {
+      kind: 'fact',
+      category: fact.category,
+      importance: fact.importance,
+      mentions: 1,
+      sourceEntryIds: sourceIds,
+      lastSeenAt: new Date().toISOString()
+    };
+
+    const id = await this.memoryManager.storeMemoryEntry(userId, {
+      type: 'context',
+      content: fact.fact,
+      metadata,
+      relevanceScore: fact.importance,
+      embeddingVector: vector
+    });
+
+    known.push({ id, content: fact.fact, metadata, vector });
+    return 'created';
+  }
+
+  // Same category and either close embeddings or mostly the same keywords
+  findDuplicate(fact, vector, known) {
+    return known.find(existing => {
+      if (existing.metadata.category !== fact.category) {
+        return false;
+      }
+
+      if (vector && existing.vector) {
+        return cosineSimilarity(vector, existing.vector) >= this.duplicateSimilarity;
+      }
+
+      return existing.content.toLowerCase() === fact.fact.toLowerCase()
+        || keywordOverlap(existing.content, fact.fact) >= this.duplicateOverlap;
+    }) || null;
+  }
+}
@@ -1,9 +1,37 @@
 import { v4 as uuidv4 } from 'uuid';
 import crypto from 'crypto';
+import { cosineSimilarity, parseVector } from '../utils/vector.js';
+import { extractKeywords } from '../utils/text.js';
+
+// agent_metrics.date is a UTC calendar day
+const toDay = (date) => new Date(date).toISOString().slice(0, 10);
+
+const METRIC_SORT_FIELDS = ['successRate', 'avgConfidence', 'avgRelevance', 'avgExecutionTime', 'totalQueries'];
+
+// How satisfied a feedback row says the user was, between 0 and 1: thumbs up
+// is 1 and down 0, ratings 1-5 map onto the same range. Rows with both use
+// the mean; comment-only rows give null.
+const feedbackSatisfaction = ({ thumbs, rating }) => {
+  const values = [];
+  if (thumbs) values.push(thumbs === 'up' ? 1 : 0);
+  if (rating !== null && rating !== undefined) values.push((rating - 1) / 4);
+  return values.length ? values.reduce((sum, value) => sum + value, 0) / values.length : null;
+};
 
 export class MemoryManager {
-  constructor(mysqlConnection) {
+  constructor(mysqlConnection, llmService = null) {
     this.mysql = mysqlConnection;
+    this.llm = llmService;
+    this.embeddingCache = new Map();
+    this.embeddingCacheTTL = 5 * 60 * 1000; // 5 minutes
+    this.embeddingCacheSize = 200;
+    this.embeddingsUnavailableUntil = 0;
+    this.minSimilarity = parseFloat(process.env.MEMORY_MIN_SIMILARITY) || 0.5;
+    this.semanticCandidateLimit = parseInt(process.env.MEMORY_SEMANTIC_CANDIDATES) || 500;
+    this.stmTtlMs = (parseFloat(process.env.MEMORY_STM_TTL_DAYS) || 7) * 24 * 60 * 60 * 1000;
+    // Expired entries the consolidation job has not read yet are kept this
+    // much longer, so a model outage does not lose them
+    this.consolidationGraceMs = (parseFloat(process.env.MEMORY_CONSOLIDATION_GRACE_HOURS) || 48) * 60 * 60 * 1000;
   }
 
   generateId() {
@@ -22,14 +50,16 @@ export class MemoryManager {
 
       // Store main conversation
       await this.mysql.execute(
-        'INSERT INTO conversations (id, user_id, session_id, query, query_hash, responses, total_execution_time, agent_count, agents_used, timestamp) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)',
+        'INSERT INTO conversations (id, user_id, session_id, thread_id, query, query_hash, responses, synthesis, total_execution_time, agent_count, agents_used, timestamp) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)',
         [
           conversationId,
           conversationData.userId,
-          conversationData.sessionId,
+          conversationData.sessionId || null,
+          conversationData.threadId || null,
           conversationData.query,
           queryHash,
           JSON.stringify(conversationData.responses),
+          conversationData.synthesis ? JSON.stringify(conversationData.synthesis) : null,
           conversationData.totalExecutionTime,
           conversationData.responses.length,
           JSON.stringify(conversationData.responses.map(r => r.agentId)),
@@ -49,7 +79,7 @@ export class MemoryManager {
           executionTime: conversationData.totalExecutionTime,
           queryHash: queryHash
         },
-        expiresAt: new Date(Date.now() + 7 * 24 * 60 * 60 * 1000) // 7 days for STM
+        expiresAt: new Date(Date.now() + this.stmTtlMs)
       });
 
       // Store each agent response
@@ -69,7 +99,7 @@ export class MemoryManager {
             outputTokens: response.outputTokens
           },
           relevanceScore: response.relevanceScore,
-          expiresAt: new Date(Date.now() + 7 * 24 * 60 * 60 * 1000) // 7 days for STM
+          expiresAt: new Date(Date.now() + this.stmTtlMs)
         });
 
         // Store agent interaction details
@@ -84,7 +114,11 @@ export class MemoryManager {
           executionTime: response.executionTime,
           confidenceScore: response.confidence,
           relevanceScore: response.relevanceScore,
-          modelUsed: response.model || 'unknown'
+          modelUsed: response.model || 'unknown',
+          toolCalls: response.toolCalls,
+          agentVersionId: response.agentVersionId,
+          error: response.error,
+          cached: response.cache?.hit === true
         });
       }
 
@@ -100,14 +134,15 @@ export class MemoryManager {
   async storeMemoryEntry(userId, entry) {
     try {
       const memoryId = this.generateId();
-      const embedding = entry.embeddingVector ? JSON.stringify(entry.embeddingVector) : null;
+      const embeddingVector = entry.embeddingVector || await this.generateEmbedding(entry.content);
+      const embedding = embeddingVector ? JSON.stringify(embeddingVector) : null;
 
       await this.mysql.execute(
         'INSERT INTO memory_entries (id, user_id, session_id, conversation_id, type, content, metadata, agent_id, relevance_score, embedding_vector, expires_at, timestamp) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)',
         [
           memoryId,
           userId,
-          entry.sessionId,
+          entry.sessionId || null,
           entry.conversationId || null,
           entry.type,
           entry.content,
@@ -127,13 +162,97 @@ export class MemoryManager {
     }
   }
 
+  // Generate an embedding for memory text, or null when the embedding model
+  // is unavailable so callers can fall back to keyword search
+  async generateEmbedding(text) {
+    if (!this.llm || !text || Date.now() < this.embeddingsUnavailableUntil) {
+      return null;
+    }
+
+    const cached = this.embeddingCache.get(text);
+    if (cached && cached.expiresAt > Date.now()) {
+      return cached.vector;
+    }
+
+    const vector = await this.llm.generateEmbedding(text);
+    if (!vector) {
+      // Don't retry a missing embedding model on every call
+      this.embeddingsUnavailableUntil = Date.now() + 60 * 1000;
+      return null;
+    }
+
+    if (this.embeddingCache.size >= this.embeddingCacheSize) {
+      this.embeddingCache.delete(this.embeddingCache.keys().next().value);
+    }
+    this.embeddingCache.set(text, { vector, expiresAt: Date.now() + this.embeddingCacheTTL });
+
+    return vector;
+  }
+
+  // Rank a user's memory entries by cosine similarity to the query embedding
+  async rankBySimilarity(userId, queryVector, types, limit) {
+    const typePlaceholders = types.map(() => '?').join(', ');
+
+    const [candidates] = await this.mysql.execute(
+      `SELECT * FROM memory_entries WHERE user_id = ? AND type IN (${typePlaceholders}) AND embedding_vector IS NOT NULL AND (expires_at IS NULL OR expires_at > NOW()) ORDER BY timestamp DESC LIMIT ?`,
+      [userId, ...types, this.semanticCandidateLimit]
+    );
+
+    return candidates
+      .map(entry => ({
+        entry,
+        similarity: cosineSimilarity(queryVector, parseVector(entry.embedding_vector))
+      }))
+      .filter(({ similarity }) => similarity >= this.minSimilarity)
+      .sort((a, b) => b.similarity - a.similarity)
+      .slice(0, limit);
+  }
+
+  // Compute embeddings for entries stored before embeddings were enabled, or
+  // while the embedding model was down. Returns the number of entries updated.
+  async backfillEmbeddings(batchSize = 50) {
+    if (!this.llm) {
+      return 0;
+    }
+
+    try {
+      const [entries] = await this.mysql.execute(
+        'SELECT id, content FROM memory_entries WHERE embedding_vector IS NULL AND content IS NOT NULL AND content != "" AND (expires_at IS NULL OR expires_at > NOW()) ORDER BY timestamp DESC LIMIT ?',
+        [batchSize]
+      );
+
+      let updated = 0;
+      for (const entry of entries) {
+        const vector = await this.generateEmbedding(entry.content);
+        if (!vector) {
+          break;
+        }
+
+        await this.mysql.execute(
+          'UPDATE memory_entries SET embedding_vector = ? WHERE id = ?',
+          [JSON.stringify(vector), entry.id]
+        );
+        updated++;
+      }
+
+      if (updated > 0) {
+        console.log(`[MEMORY] Backfilled embeddings for ${updated} entries`);
+      }
+
+      return updated;
+    } catch (error) {
+      console.error('[MEMORY] Backfill embeddings error:', error);
+      return 0;
+    }
+  }
+
   // Store agent interaction details
   async storeAgentInteraction(interaction) {
     try {
       const interactionId = this.generateId();
 
       await this.mysql.execute(
-        'INSERT INTO agent_interactions (id, conversation_id, agent_id, user_id, query, response, input_tokens, output_tokens, execution_time, confidence_score, relevance_score, model_used, timestamp) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)',
+        'INSERT INTO agent_interactions (id, conversation_id, agent_id, user_id, query, response, input_tokens, output_tokens, execution_time, confidence_score, relevance_score, model_used, tool_calls, agent_version_id, timestamp) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)',
         [
           interactionId,
           interaction.conversationId,
@@ -147,10 +266,18 @@ export class MemoryManager {
           interaction.confidenceScore,
           interaction.relevanceScore,
           interaction.modelUsed,
+          JSON.stringify(interaction.toolCalls || []),
+          interaction.agentVersionId || null,
           new Date()
         ]
       );
 
+      // A cached answer did not run the agent, so it says nothing about how
+      // the agent performs
+      if (!interaction.cached) {
+        await this.updateAgentMetrics(interaction);
+      }
+
       return interactionId;
     } catch (error) {
       console.error('[MEMORY] Store agent interaction error:', error);
@@ -158,6 +285,269 @@ export class MemoryManager {
     }
   }
 
+  // Fold one agent run into the agent's daily aggregates. The running
+  // averages are updated in place, so total_queries has to be assigned last.
+  async updateAgentMetrics(interaction) {
+    try {
+      await this.mysql.execute(
+        `INSERT INTO agent_metrics (id, agent_id, date, total_queries, avg_execution_time, avg_confidence, avg_relevance, success_rate)
+         VALUES (?, ?, ?, 1, ?, ?, ?, ?)
+         ON DUPLICATE KEY UPDATE
+           avg_execution_time = (avg_execution_time * total_queries + VALUES(avg_execution_time)) / (total_queries + 1),
+           avg_confidence = (avg_confidence * total_queries + VALUES(avg_confidence)) / (total_queries + 1),
+           avg_relevance = (avg_relevance * total_queries + VALUES(avg_relevance)) / (total_queries + 1),
+           success_rate = (success_rate * total_queries + VALUES(success_rate)) / (total_queries + 1),
+           total_queries = total_queries + 1`,
+        [
+          this.generateId(),
+          interaction.agentId,
+          toDay(interaction.timestamp || new Date()),
+          interaction.executionTime || 0,
+          interaction.confidenceScore || 0,
+          interaction.relevanceScore || 0,
+          interaction.error ? 0 : 1
+        ]
+      );
+    } catch (error) {
+      // Metrics must never fail the query that produced them
+      console.error('[MEMORY] Update agent metrics error:', error);
+    }
+  }
+
+  // Saves a user's feedback on one agent's answer in a conversation, replacing
+  // their earlier feedback on it. Returns null when the user has no answer
+  // from that agent in the conversation.
+  async storeResponseFeedback(userId, conversationId, agentId, feedback) {
+    try {
+      const [interactions] = await this.mysql.execute(
+        'SELECT id, timestamp FROM agent_interactions WHERE conversation_id = ? AND agent_id = ? AND user_id = ? ORDER BY timestamp DESC LIMIT 1',
+        [conversationId, agentId, userId]
+      );
+      if (interactions.length === 0) {
+        return null;
+      }
+
+      const interaction = interactions[0];
+
+      await this.mysql.execute(
+        `INSERT INTO response_feedback (id, interaction_id, conversation_id, agent_id, user_id, thumbs, rating, comment)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+         ON DUPLICATE KEY UPDATE thumbs = VALUES(thumbs), rating = VALUES(rating), comment = VALUES(comment)`,
+        [
+          this.generateId(),
+          interaction.id,
+          conversationId,
+          agentId,
+          userId,
+          feedback.thumbs || null,
+          feedback.rating ?? null,
+          feedback.comment || null
+        ]
+      );
+
+      await this.updateFeedbackMetrics(agentId, interaction.timestamp);
+
+      const [rows] = await this.mysql.execute(
+        'SELECT * FROM response_feedback WHERE interaction_id = ? AND user_id = ?',
+        [interaction.id, userId]
+      );
+
+      console.log(`[MEMORY] Stored feedback on ${agentId} in conversation ${conversationId}`);
+      return this.formatFeedback(rows[0]);
+    } catch (error) {
+      console.error('[MEMORY] Store response feedback error:', error);
+      throw error;
+    }
+  }
+
+  // Feedback counts toward the metrics day of the answer it rates. The day's
+  // totals are recounted, so changed feedback replaces its earlier values.
+  async updateFeedbackMetrics(agentId, answeredAt) {
+    try {
+      const day = toDay(answeredAt);
+      const start = new Date(`${day}T00:00:00.000Z`);
+      const end = new Date(start.getTime() + 24 * 60 * 60 * 1000);
+
+      const [[totals]] = await this.mysql.execute(
+        `SELECT COUNT(*) AS feedback_count,
+           SUM(CASE WHEN f.thumbs = 'up' THEN 1 ELSE 0 END) AS positive_feedback,
+           SUM(CASE WHEN f.thumbs = 'down' THEN 1 ELSE 0 END) AS negative_feedback,
+           COUNT(f.rating) AS rating_count,
+           AVG(f.rating) AS avg_rating
+         FROM response_feedback f JOIN agent_interactions i ON i.id = f.interaction_id
+         WHERE f.agent_id = ? AND i.timestamp >= ? AND i.timestamp < ?`,
+        [agentId, start, end]
+      );
+
+      // The day may have no row yet: cached answers are not agent runs, so
+      // updateAgentMetrics never saw them
+      await this.mysql.execute(
+        `INSERT INTO agent_metrics (id, agent_id, date, feedback_count, positive_feedback, negative_feedback, rating_count, avg_rating)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+         ON DUPLICATE KEY UPDATE
+           feedback_count = VALUES(feedback_count),
+           positive_feedback = VALUES(positive_feedback),
+           negative_feedback = VALUES(negative_feedback),
+           rating_count = VALUES(rating_count),
+           avg_rating = VALUES(avg_rating)`,
+        [
+          this.generateId(),
+          agentId,
+          day,
+          Number(totals.feedback_count) || 0,
+          Number(totals.positive_feedback) || 0,
+          Number(totals.negative_feedback) || 0,
+          Number(totals.rating_count) || 0,
+          totals.avg_rating === null ? null : Number(totals.avg_rating)
+        ]
+      );
+    } catch (error) {
+      // Like updateAgentMetrics, never fail the feedback itself
+      console.error('[MEMORY] Update feedback metrics error:', error);
+    }
+  }
+
+  // The user's most recent feedback, per agent: how many answers they rated
+  // and their mean satisfaction (0-1). Used to down-weight agents in routing.
+  async getUserAgentFeedback(userId, limit = 50) {
+    try {
+      const [rows] = await this.mysql.execute(
+        'SELECT agent_id, thumbs, rating FROM response_feedback WHERE user_id = ? ORDER BY updated_at DESC LIMIT ?',
+        [userId, limit]
+      );
+
+      const totals = {};
+      for (const row of rows) {
+        const satisfaction = feedbackSatisfaction(row);
+        if (satisfaction === null) continue;
+
+        const agent = totals[row.agent_id] || (totals[row.agent_id] = { count: 0, total: 0 });
+        agent.count++;
+        agent.total += satisfaction;
+      }
+
+      return Object.fromEntries(Object.entries(totals).map(([agentId, { count, total }]) => [
+        agentId,
+        { count, satisfaction: Math.round((total / count) * 1000) / 1000 }
+      ]));
+    } catch (error) {
+      console.error('[MEMORY] Get user agent feedback error:', error);
+      return {};
+    }
+  }
+
+  formatFeedback(row) {
+    return {
+      id: row.id,
+      conversationId: row.conversation_id,
+      agentId: row.agent_id,
+      thumbs: row.thumbs,
+      rating: row.rating,
+      comment: row.comment,
+      createdAt: row.created_at,
+      updatedAt: row.updated_at
+    };
+  }
+
+  // Daily metrics for one agent between two days (inclusive)
+  async getAgentMetrics(agentId, from, to) {
+    try {
+      const [rows] = await this.mysql.execute(
+        'SELECT * FROM agent_metrics WHERE agent_id = ? AND date BETWEEN ? AND ? ORDER BY date ASC',
+        [agentId, toDay(from), toDay(to)]
+      );
+
+      const series = rows.map(row => ({
+        date: toDay(row.date),
+        totalQueries: row.total_queries,
+        avgExecutionTime: row.avg_execution_time,
+        avgConfidence: row.avg_confidence,
+        avgRelevance: row.avg_relevance,
+        successRate: row.success_rate,
+        feedbackCount: row.feedback_count || 0,
+        positiveFeedback: row.positive_feedback || 0,
+        negativeFeedback: row.negative_feedback || 0,
+        ratingCount: row.rating_count || 0,
+        avgRating: row.avg_rating ?? null
+      }));
+
+      return {
+        agentId,
+        from: toDay(from),
+        to: toDay(to),
+        series,
+        summary: this.summarizeMetrics(series)
+      };
+    } catch (error) {
+      console.error('[MEMORY] Get agent metrics error:', error);
+      throw error;
+    }
+  }
+
+  // Per-agent totals over a date range, weighted by each day's query count
+  async getAgentLeaderboard(from, to, sortBy = 'successRate', limit = 10) {
+    try {
+      const [rows] = await this.mysql.execute(
+        `SELECT m.agent_id, a.name,
+           SUM(m.total_queries) AS total_queries,
+           SUM(m.avg_execution_time * m.total_queries) / SUM(m.total_queries) AS avg_execution_time,
+           SUM(m.avg_confidence * m.total_queries) / SUM(m.total_queries) AS avg_confidence,
+           SUM(m.avg_relevance * m.total_queries) / SUM(m.total_queries) AS avg_relevance,
+           SUM(m.success_rate * m.total_queries) / SUM(m.total_queries) AS success_rate
+         FROM agent_metrics m LEFT JOIN agents a ON a.id = m.agent_id
+         WHERE m.date BETWEEN ? AND ?
+         GROUP BY m.agent_id, a.name`,
+        [toDay(from), toDay(to)]
+      );
+
+      const field = METRIC_SORT_FIELDS.includes(sortBy) ? sortBy : 'successRate';
+      // Faster is better for execution time, higher is better for the rest
+      const direction = field === 'avgExecutionTime' ? 1 : -1;
+
+      return rows
+        .map(row => ({
+          agentId: row.agent_id,
+          agentName: row.name || row.agent_id,
+          totalQueries: Number(row.total_queries),
+          avgExecutionTime: Number(row.avg_execution_time),
+          avgConfidence: Number(row.avg_confidence),
+          avgRelevance: Number(row.avg_relevance),
+          successRate: Number(row.success_rate)
+        }))
+        .sort((a, b) => direction * (a[field] - b[field]) || b.totalQueries - a.totalQueries)
+        .slice(0, limit)
+        .map((entry, index) => ({ rank: index + 1, ...entry }));
+    } catch (error) {
+      console.error('[MEMORY] Get agent leaderboard error:', error);
+      throw error;
+    }
+  }
+
+  summarizeMetrics(series) {
+    const totalQueries = series.reduce((sum, day) => sum + day.totalQueries, 0);
+    const weighted = (field) => (totalQueries === 0
+      ? 0
+      : series.reduce((sum, day) => sum + day[field] * day.totalQueries, 0) / totalQueries);
+
+    const sum = (field) => series.reduce((total, day) => total + (day[field] || 0), 0);
+    const ratingCount = sum('ratingCount');
+
+    return {
+      totalQueries,
+      avgExecutionTime: weighted('avgExecutionTime'),
+      avgConfidence: weighted('avgConfidence'),
+      avgRelevance: weighted('avgRelevance'),
+      successRate: weighted('successRate'),
+      feedbackCount: sum('feedbackCount'),
+      positiveFeedback: sum('positiveFeedback'),
+      negativeFeedback: sum('negativeFeedback'),
+      ratingCount,
+      avgRating: ratingCount === 0
+        ? null
+        : series.reduce((total, day) => total + (day.avgRating || 0) * day.ratingCount, 0) / ratingCount
+    };
+  }
+
   // Get user conversation history
   async getUserConversationHistory(userId, limit = 20, offset = 0) {
     try {
@@ -166,26 +556,139 @@ export class MemoryManager {
         [userId, limit, offset]
       );
 
-      return conversations.map(conv => ({
-        queryId: conv.id,
-        userId: conv.user_id,
-        sessionId: conv.session_id,
-        query: conv.query,
-        responses: JSON.parse(conv.responses || '[]'),
-        totalExecutionTime: conv.total_execution_time,
-        agentCount: conv.agent_count,
-        agentsUsed: JSON.parse(conv.agents_used || '[]'),
-        timestamp: conv.timestamp
-      }));
+      return conversations.map(conv => this.formatConversation(conv));
     } catch (error) {
       console.error('[MEMORY] Get conversation history error:', error);
       return [];
     }
   }
 
+  // Turns of a thread, oldest first. Only the most recent `limit` turns are
+  // returned.
+  async getThreadTurns(threadId, limit = 20) {
+    try {
+      const [conversations] = await this.mysql.execute(
+        'SELECT * FROM conversations WHERE thread_id = ? ORDER BY timestamp DESC LIMIT ?',
+        [threadId, limit]
+      );
+
+      return conversations.reverse().map(conv => this.formatConversation(conv));
+    } catch (error) {
+      console.error('[MEMORY] Get thread turns error:', error);
+      return [];
+    }
+  }
+
+  // A user's conversations since `since` whose query is the same as this one
+  // (same query hash, similarity 1) or, when minSimilarity is below 1, close
+  // to it by embedding. Best matches first, newest first among equals.
+  // Only what the user still remembers is returned: conversations whose query
+  // entry was deleted are left out, and so are responses whose entry was.
+  async findSimilarConversations(userId, query, since, minSimilarity = 1, limit = 5) {
+    try {
+      const [exact] = await this.mysql.execute(
+        'SELECT * FROM conversations WHERE user_id = ? AND query_hash = ? AND timestamp > ? ORDER BY timestamp DESC LIMIT ?',
+        [userId, this.generateQueryHash(query), since, limit]
+      );
+      const matches = await this.keepRemembered(userId, exact.map(conv => ({ conversation: this.formatConversation(conv), similarity: 1 })));
+
+      const queryVector = minSimilarity < 1 && matches.length < limit ? await this.generateEmbedding(query) : null;
+      if (!queryVector) {
+        return matches;
+      }
+
+      const [candidates] = await this.mysql.execute(
+        'SELECT conversation_id, embedding_vector FROM memory_entries WHERE user_id = ? AND type = "query" AND conversation_id IS NOT NULL AND embedding_vector IS NOT NULL AND timestamp > ? ORDER BY timestamp DESC LIMIT ?',
+        [userId, since, this.semanticCandidateLimit]
+      );
+
+      const seen = new Set(exact.map(conv => conv.id));
+      const similar = candidates
+        .filter(entry => !seen.has(entry.conversation_id))
+        .map(entry => ({
+          conversationId: entry.conversation_id,
+          similarity: cosineSimilarity(queryVector, parseVector(entry.embedding_vector))
+        }))
+        .filter(({ similarity }) => similarity >= minSimilarity)
+        .sort((a, b) => b.similarity - a.similarity)
+        .slice(0, limit - matches.length);
+
+      if (similar.length === 0) {
+        return matches;
+      }
+
+      const [conversations] = await this.mysql.execute(
+        `SELECT * FROM conversations WHERE user_id = ? AND id IN (${similar.map(() => '?').join(', ')})`,
+        [userId, ...similar.map(({ conversationId }) => conversationId)]
+      );
+      const byId = new Map(conversations.map(conv => [conv.id, conv]));
+
+      return [
+        ...matches,
+        ...await this.keepRemembered(userId, similar
+          .filter(({ conversationId }) => byId.has(conversationId))
+          .map(({ conversationId, similarity }) => ({ conversation: this.formatConversation(byId.get(conversationId)), similarity })))
+      ];
+    } catch (error) {
+      console.error('[MEMORY] Find similar conversations error:', error);
+      return [];
+    }
+  }
+
+  // Drops matches whose query memory entry is gone and, from the rest, the
+  // responses whose memory entry is gone
+  async keepRemembered(userId, matches) {
+    if (matches.length === 0) {
+      return matches;
+    }
+
+    const [entries] = await this.mysql.execute(
+      `SELECT conversation_id, type, agent_id FROM memory_entries WHERE user_id = ? AND conversation_id IN (${matches.map(() => '?').join(', ')})`,
+      [userId, ...matches.map(({ conversation }) => conversation.queryId)]
+    );
+
+    return matches
+      .filter(({ conversation }) => entries.some(entry => entry.conversation_id === conversation.queryId && entry.type === 'query'))
+      .map(({ conversation, similarity }) => ({
+        conversation: {
+          ...conversation,
+          responses: conversation.responses.filter(response => entries.some(entry => entry.conversation_id === conversation.queryId
+            && entry.type === 'response'
+            && entry.agent_id === response.agentId))
+        },
+        similarity
+      }));
+  }
+
+  formatConversation(conv) {
+    return {
+      queryId: conv.id,
+      userId: conv.user_id,
+      sessionId: conv.session_id,
+      threadId: conv.thread_id,
+      query: conv.query,
+      responses: JSON.parse(conv.responses || '[]'),
+      synthesis: conv.synthesis ? JSON.parse(conv.synthesis) : null,
+      totalExecutionTime: conv.total_execution_time,
+      agentCount: conv.agent_count,
+      agentsUsed: JSON.parse(conv.agents_used || '[]'),
+      timestamp: conv.timestamp
+    };
+  }
+
   // Search user memory
   async searchUserMemory(userId, searchTerm, limit = 50) {
     try {
+      const queryVector = await this.generateEmbedding(searchTerm);
+      if (queryVector) {
+        const ranked = await this.rankBySimilarity(userId, queryVector, ['query', 'response', 'context', 'system'], limit);
+
+        return ranked.map(({ entry, similarity }) => ({
+          ...this.formatMemoryEntry(entry),
+          similarity
+        }));
+      }
+
       const searchPattern = `%${searchTerm.toLowerCase()}%`;
       
       const [results] = await this.mysql.execute(
@@ -193,28 +696,255 @@ export class MemoryManager {
         [userId, searchPattern, searchPattern, limit]
       );
 
-      return results.map(entry => ({
-        id: entry.id,
-        userId: entry.user_id,
-        sessionId: entry.session_id,
-        conversationId: entry.conversation_id,
-        type: entry.type,
-        content: entry.content,
-        metadata: JSON.parse(entry.metadata || '{}'),
-        agentId: entry.agent_id,
-        relevanceScore: entry.relevance_score,
-        timestamp: entry.timestamp
-      }));
+      return results.map(entry => this.formatMemoryEntry(entry));
     } catch (error) {
       console.error('[MEMORY] Search memory error:', error);
       return [];
     }
   }
 
+  formatMemoryEntry(entry) {
+    return {
+      id: entry.id,
+      userId: entry.user_id,
+      sessionId: entry.session_id,
+      conversationId: entry.conversation_id,
+      type: entry.type,
+      content: entry.content,
+      metadata: JSON.parse(entry.metadata || '{}'),
+      agentId: entry.agent_id,
+      relevanceScore: entry.relevance_score,
+      expiresAt: entry.expires_at,
+      timestamp: entry.timestamp
+    };
+  }
+
+  // A page of the user's live memory entries, newest first.
+  // filters: { type, agentId, conversationId, tier ('stm' | 'ltm'), from, to, limit, offset }
+  async listMemoryEntries(userId, filters = {}) {
+    try {
+      const conditions = ['user_id = ?', '(expires_at IS NULL OR expires_at > NOW())'];
+      const params = [userId];
+
+      if (filters.type) {
+        conditions.push('type = ?');
+        params.push(filters.type);
+      }
+      if (filters.agentId) {
+        conditions.push('agent_id = ?');
+        params.push(filters.agentId);
+      }
+      if (filters.conversationId) {
+        conditions.push('conversation_id = ?');
+        params.push(filters.conversationId);
+      }
+      if (filters.tier) {
+        conditions.push(filters.tier === 'ltm' ? 'expires_at IS NULL' : 'expires_at IS NOT NULL');
+      }
+      if (filters.from) {
+        conditions.push('timestamp >= ?');
+        params.push(new Date(filters.from));
+      }
+      if (filters.to) {
+        conditions.push('timestamp <= ?');
+        params.push(new Date(filters.to));
+      }
+
+      const where = conditions.join(' AND ');
+      const limit = filters.limit || 20;
+      const offset = filters.offset || 0;
+
+      const [[{ total }]] = await this.mysql.execute(
+        `SELECT COUNT(*) AS total FROM memory_entries WHERE ${where}`,
+        params
+      );
+      const [entries] = await this.mysql.execute(
+        `SELECT * FROM memory_entries WHERE ${where} ORDER BY timestamp DESC LIMIT ? OFFSET ?`,
+        [...params, limit, offset]
+      );
+
+      return {
+        entries: entries.map(entry => this.formatMemoryEntry(entry)),
+        total: Number(total),
+        limit,
+        offset
+      };
+    } catch (error) {
+      console.error('[MEMORY] List memory entries error:', error);
+      throw error;
+    }
+  }
+
+  // One of the user's memory entries, or null
+  async getMemoryEntry(userId, entryId) {
+    const [entries] = await this.mysql.execute(
+      'SELECT * FROM memory_entries WHERE id = ? AND user_id = ?',
+      [entryId, userId]
+    );
+
+    return entries.length > 0 ? this.formatMemoryEntry(entries[0]) : null;
+  }
+
+  // Moves an entry to LTM: it no longer expires and is marked pinned
+  async pinMemoryEntry(userId, entryId) {
+    try {
+      const entry = await this.getMemoryEntry(userId, entryId);
+      if (!entry) {
+        return null;
+      }
+
+      await this.mysql.execute(
+        'UPDATE memory_entries SET expires_at = NULL, metadata = ? WHERE id = ?',
+        [JSON.stringify({ ...entry.metadata, pinned: true }), entryId]
+      );
+
+      console.log(`[MEMORY] Pinned entry ${entryId} for user ${userId}`);
+      return this.getMemoryEntry(userId, entryId);
+    } catch (error) {
+      console.error('[MEMORY] Pin memory entry error:', error);
+      throw error;
+    }
+  }
+
+  // Replaces an entry's content and embedding. Without an embedding model the
+  // embedding is cleared, so backfillEmbeddings recomputes it later.
+  async updateMemoryEntry(userId, entryId, content) {
+    try {
+      const entry = await this.getMemoryEntry(userId, entryId);
+      if (!entry) {
+        return null;
+      }
+
+      this.forgetEmbedding(entry.content);
+      const vector = await this.generateEmbedding(content);
+
+      await this.mysql.execute(
+        'UPDATE memory_entries SET content = ?, embedding_vector = ?, metadata = ? WHERE id = ?',
+        [
+          content,
+          vector ? JSON.stringify(vector) : null,
+          JSON.stringify({ ...entry.metadata, editedAt: new Date().toISOString() }),
+          entryId
+        ]
+      );
+
+      console.log(`[MEMORY] Edited entry ${entryId} for user ${userId}`);
+      return this.getMemoryEntry(userId, entryId);
+    } catch (error) {
+      console.error('[MEMORY] Update memory entry error:', error);
+      throw error;
+    }
+  }
+
+  // Returns false when the user has no such entry
+  async deleteMemoryEntry(userId, entryId) {
+    try {
+      const entry = await this.getMemoryEntry(userId, entryId);
+      if (!entry) {
+        return false;
+      }
+
+      await this.mysql.execute('DELETE FROM memory_entries WHERE id = ?', [entryId]);
+      this.forgetEmbedding(entry.content);
+      const factsDeleted = await this.forgetDerivedFacts(userId, [entryId]);
+
+      console.log(`[MEMORY] Deleted entry ${entryId} and ${factsDeleted} fact(s) drawn from it for user ${userId}`);
+      return true;
+    } catch (error) {
+      console.error('[MEMORY] Delete memory entry error:', error);
+      throw error;
+    }
+  }
+
+  // Deletes the memory entries stored from one conversation; the
+  // conversation itself stays in the history. Returns the number deleted.
+  async deleteConversationMemory(userId, conversationId) {
+    try {
+      const [entries] = await this.mysql.execute(
+        'SELECT id, content FROM memory_entries WHERE user_id = ? AND conversation_id = ?',
+        [userId, conversationId]
+      );
+
+      await this.mysql.execute(
+        'DELETE FROM memory_entries WHERE user_id = ? AND conversation_id = ?',
+        [userId, conversationId]
+      );
+      entries.forEach(entry => this.forgetEmbedding(entry.content));
+      const factsDeleted = await this.forgetDerivedFacts(userId, entries.map(entry => entry.id));
+
+      console.log(`[MEMORY] Deleted ${entries.length} entries of conversation ${conversationId} and ${factsDeleted} fact(s) drawn from them for user ${userId}`);
+      return entries.length;
+    } catch (error) {
+      console.error('[MEMORY] Delete conversation memory error:', error);
+      throw error;
+    }
+  }
+
+  // Long-term facts list the entries they were drawn from
+  // (metadata.sourceEntryIds), and what was learned from a forgotten entry
+  // is forgotten with it: facts drawn only from forgotten entries are
+  // deleted, the rest stop listing them. Returns the number of facts deleted.
+  async forgetDerivedFacts(userId, entryIds) {
+    if (entryIds.length === 0) {
+      return 0;
+    }
+
+    const forgotten = new Set(entryIds);
+    const [facts] = await this.mysql.execute(
+      'SELECT id, content, metadata FROM memory_entries WHERE user_id = ? AND JSON_UNQUOTE(JSON_EXTRACT(metadata, "$.kind")) = "fact"',
+      [userId]
+    );
+
+    let deleted = 0;
+    for (const fact of facts) {
+      const metadata = JSON.parse(fact.metadata || '{}');
+      const sources = metadata.sourceEntryIds || [];
+      const remaining = sources.filter(id => !forgotten.has(id));
+      if (remaining.length === sources.length) {
+        continue;
+      }
+
+      if (remaining.length === 0) {
+        await this.mysql.execute('DELETE FROM memory_entries WHERE id = ?', [fact.id]);
+        this.forgetEmbedding(fact.content);
+        deleted++;
+      } else {
+        await this.mysql.execute(
+          'UPDATE memory_entries SET metadata = ? WHERE id = ?',
+          [JSON.stringify({ ...metadata, sourceEntryIds: remaining }), fact.id]
+        );
+      }
+    }
+
+    return deleted;
+  }
+
+  // The embedding cache is keyed by text, so a forgotten memory's text
+  // would otherwise stay in process memory until the entry expires
+  forgetEmbedding(text) {
+    this.embeddingCache.delete(text);
+  }
+
   // Get relevant context for agents
   async getRelevantContext(userId, query, limit = 5) {
     try {
-      const keywords = query.toLowerCase().split(' ').filter(word => word.length > 2);
+      const queryVector = await this.generateEmbedding(query);
+      if (queryVector) {
+        const ranked = await this.rankBySimilarity(userId, queryVector, ['query', 'response', 'context'], limit);
+
+        return ranked.map(({ entry, similarity }) => ({
+          id: entry.id,
+          type: entry.type,
+          conversationId: entry.conversation_id,
+          content: entry.content,
+          metadata: JSON.parse(entry.metadata || '{}'),
+          timestamp: entry.timestamp,
+          similarity
+        }));
+      }
+
+      // Keyword fallback when the embedding model is unavailable
+      const keywords = extractKeywords(query);
       
       if (keywords.length === 0) {
         // Get recent entries if no keywords
@@ -226,6 +956,7 @@ export class MemoryManager {
         return entries.map(entry => ({
           id: entry.id,
           type: entry.type,
+          conversationId: entry.conversation_id,
           content: entry.content,
           metadata: JSON.parse(entry.metadata || '{}'),
           timestamp: entry.timestamp
@@ -244,6 +975,7 @@ export class MemoryManager {
       return entries.map(entry => ({
         id: entry.id,
         type: entry.type,
+        conversationId: entry.conversation_id,
         content: entry.content,
         metadata: JSON.parse(entry.metadata || '{}'),
         timestamp: entry.timestamp
@@ -304,11 +1036,14 @@ export class MemoryManager {
     }
   }
 
-  // Clean expired entries
+  // Clean expired entries. Queries and responses wait for consolidation into
+  // long-term facts (MemoryConsolidator) unless they expired over
+  // consolidationGraceMs ago.
   async cleanExpiredEntries() {
     try {
       const [result] = await this.mysql.execute(
-        'DELETE FROM memory_entries WHERE expires_at IS NOT NULL AND expires_at < NOW()'
+        'DELETE FROM memory_entries WHERE expires_at IS NOT NULL AND expires_at < NOW() AND (consolidated_at IS NOT NULL OR type NOT IN ("query", "response") OR expires_at < ?)',
+        [new Date(Date.now() - this.consolidationGraceMs)]
       );
 
       if (result.affectedRows > 0) {
@@ -329,6 +1064,8 @@ export class MemoryManager {
       await this.mysql.execute('DELETE FROM agent_interactions WHERE user_id = ?', [userId]);
       await this.mysql.execute('DELETE FROM memory_entries WHERE user_id = ?', [userId]);
       await this.mysql.execute('DELETE FROM conversations WHERE user_id = ?', [userId]);
+      // Thread titles hold the text of their first query
+      await this.mysql.execute('DELETE FROM threads WHERE user_id = ?', [userId]);
       await this.mysql.execute('DELETE FROM user_sessions WHERE user_id = ?', [userId]);
 
       console.log(`[MEMORY] Deleted all data for user: ${userId}`);
@@ -357,6 +1094,16 @@ export class MemoryManager {
         [userId]
       );
 
+      const [feedback] = await this.mysql.execute(
+        'SELECT * FROM response_feedback WHERE user_id = ? ORDER BY created_at DESC',
+        [userId]
+      );
+
+      const [threads] = await this.mysql.execute(
+        'SELECT * FROM threads WHERE user_id = ? ORDER BY updated_at DESC',
+        [userId]
+      );
+
       return {
         userId,
         exportDate: new Date(),
@@ -369,8 +1116,13 @@ export class MemoryManager {
           ...entry,
           metadata: JSON.parse(entry.metadata || '{}')
         })),
-        agentInteractions: interactions,
-        totalRecords: conversations.length + memoryEntries.length + interactions.length
+        agentInteractions: interactions.map(interaction => ({
+          ...interaction,
+          tool_calls: JSON.parse(interaction.tool_calls || '[]')
+        })),
+        responseFeedback: feedback,
+        threads,
+        totalRecords: conversations.length + memoryEntries.length + interactions.length + feedback.length + threads.length
       };
     } catch (error) {
       console.error('[MEMORY] Export user data error:', error);
@@ -1,15 +1,21 @@
 import { Ollama } from 'ollama';
 import dotenv from 'dotenv';
+import { LLMProvider } from './providers/LLMProvider.js';
 
 dotenv.config();
 
-export class OllamaService {
+export class OllamaService extends LLMProvider {
   constructor() {
+    super('ollama');
     this.ollama = new Ollama({
       host: process.env.OLLAMA_BASE_URL || 'http://localhost:11434'
     });
     this.model = process.env.OLLAMA_MODEL || 'llama3.1:8b';
-    this.initialized = false;
+    this.embeddingModel = process.env.OLLAMA_EMBEDDING_MODEL || 'nomic-embed-text';
+    this.autoPull = process.env.OLLAMA_AUTO_PULL !== 'false';
+    // Ollama only reads num_ctx tokens of a prompt whatever the model
+    // supports, so it is sent with every request; agents can set their own
+    this.numCtx = parseInt(process.env.OLLAMA_NUM_CTX) || 4096;
   }
 
   async initialize() {
@@ -17,17 +23,13 @@ export class OllamaService {
       console.log('🤖 Initializing Ollama service...');
       
       // Check if Ollama is running
-      const models = await this.ollama.list();
+      await this.ollama.list();
       console.log('✅ Ollama service connected successfully');
       
       // Check if the specified model is available
-      const modelExists = models.models.some(m => m.name === this.model);
-      if (!modelExists) {
-        console.log(`📥 Pulling model: ${this.model}`);
-        await this.ollama.pull({ model: this.model });
-        console.log(`✅ Model ${this.model} pulled successfully`);
-      } else {
-        console.log(`✅ Model ${this.model} is available`);
+      const status = await this.ensureModel(this.model, { pull: true });
+      if (!status.available) {
+        throw new Error(status.error || `Model ${this.model} is not available`);
       }
       
       this.initialized = true;
@@ -40,50 +42,46 @@ export class OllamaService {
     }
   }
 
-  async generateResponse(systemPrompt, userPrompt, context = [], options = {}) {
+  // callOptions: onToken streams content chunks, format requests JSON output
+  // ('json' or a JSON schema), tools are offered to the model, logprobs asks
+  // for token log probabilities (Ollama 0.12.11 and later), signal aborts
+  // the generation
+  async generateResponse(systemPrompt, userPrompt, context = [], options = {}, callOptions = {}) {
     if (!this.initialized) {
       await this.initialize();
     }
 
     try {
-      const messages = [
-        {
-          role: 'system',
-          content: systemPrompt
-        }
-      ];
-
-      // Add context if available
-      if (context.length > 0) {
-        const contextStr = context
-          .slice(-3) // Last 3 context items
-          .map(c => `Previous: ${c.content}`)
-          .join('\n');
-        
-        messages.push({
-          role: 'system',
-          content: `Context from previous conversations:\n${contextStr}`
-        });
-      }
-
-      messages.push({
-        role: 'user',
-        content: userPrompt
-      });
+      const messages = this.buildMessages(systemPrompt, userPrompt, callOptions.history, callOptions.followUp);
+      const { model, ...generationOptions } = options;
 
       const startTime = Date.now();
-      
-      const response = await this.ollama.chat({
-        model: this.model,
+      const request = {
+        model: model || this.model,
         messages: messages,
-        stream: false,
         options: {
-          temperature: options.temperature || 0.7,
-          top_p: options.top_p || 0.9,
-          max_tokens: options.max_tokens || 1000,
-          ...options
+          temperature: generationOptions.temperature || 0.7,
+          top_p: generationOptions.top_p || 0.9,
+          max_tokens: generationOptions.max_tokens || 1000,
+          num_ctx: this.numCtx,
+          ...generationOptions
         }
-      });
+      };
+
+      if (callOptions.format) {
+        request.format = callOptions.format;
+      }
+      if (callOptions.tools?.length > 0) {
+        request.tools = callOptions.tools;
+      }
+      if (callOptions.logprobs) {
+        request.logprobs = true;
+      }
+
+      // Only streamed requests can be aborted, so a signal implies streaming
+      const response = callOptions.onToken || callOptions.signal
+        ? await this.streamChat(request, callOptions.onToken || (() => {}), callOptions.signal)
+        : await this.ollama.chat({ ...request, stream: false });
 
       const executionTime = Date.now() - startTime;
 
@@ -92,8 +90,14 @@ export class OllamaService {
         executionTime,
         inputTokens: response.prompt_eval_count || 0,
         outputTokens: response.eval_count || 0,
-        model: this.model,
-        totalTokens: (response.prompt_eval_count || 0) + (response.eval_count || 0)
+        model: response.model || request.model,
+        totalTokens: (response.prompt_eval_count || 0) + (response.eval_count || 0),
+        toolCalls: (response.message.tool_calls || []).map((call, index) => ({
+          id: `call_${index}`,
+          name: call.function.name,
+          arguments: call.function.arguments
+        })),
+        ...(response.logprobs && { logprobs: response.logprobs.map(token => token.logprob) })
       };
     } catch (error) {
       console.error('❌ Ollama generation error:', error);
@@ -101,10 +105,68 @@ export class OllamaService {
     }
   }
 
+  // Streams the chat completion, handing each content chunk to onToken, and
+  // resolves to the same shape as a non-streaming chat response. An abort of
+  // signal ends this stream only; ollama.abort() would end every stream of
+  // the shared client.
+  async streamChat(request, onToken, signal) {
+    signal?.throwIfAborted();
+    const stream = await this.ollama.chat({ ...request, stream: true });
+    const abort = () => stream.abort();
+    let content = '';
+    let finalPart = {};
+    const toolCalls = [];
+    const logprobs = [];
+
+    if (signal?.aborted) {
+      abort();
+    }
+    signal?.addEventListener('abort', abort, { once: true });
+
+    try {
+      for await (const part of stream) {
+        const chunk = part.message?.content || '';
+        if (chunk) {
+          content += chunk;
+          onToken(chunk);
+        }
+        toolCalls.push(...(part.message?.tool_calls || []));
+        logprobs.push(...(part.logprobs || []));
+        if (part.done) {
+          finalPart = part;
+        }
+      }
+    } finally {
+      signal?.removeEventListener('abort', abort);
+    }
+
+    return {
+      ...finalPart,
+      message: { role: 'assistant', content, tool_calls: toolCalls },
+      ...(request.logprobs && { logprobs })
+    };
+  }
+
+  // Ollama takes tool-call arguments as objects and names the tool a result
+  // belongs to instead of using call ids
+  formatFollowUpMessage(message) {
+    if (message.role === 'tool') {
+      return { role: 'tool', tool_name: message.name, content: message.content };
+    }
+
+    return {
+      role: 'assistant',
+      content: message.content || '',
+      tool_calls: (message.toolCalls || []).map(call => ({
+        function: { name: call.name, arguments: call.arguments ?? {} }
+      }))
+    };
+  }
+
   async generateEmbedding(text) {
     try {
       const response = await this.ollama.embeddings({
-        model: 'nomic-embed-text',
+        model: this.embeddingModel,
         prompt: text
       });
       
@@ -124,14 +186,53 @@ export class OllamaService {
     }
   }
 
+  getContextWindow(options = {}) {
+    return options.num_ctx || this.numCtx;
+  }
+
   getModelInfo() {
     return {
+      provider: this.name,
       model: this.model,
+      embeddingModel: this.embeddingModel,
+      contextWindow: this.numCtx,
       baseUrl: process.env.OLLAMA_BASE_URL || 'http://localhost:11434',
       initialized: this.initialized
     };
   }
 
+  // With pull, downloads the model when it is missing (unless
+  // OLLAMA_AUTO_PULL=false). Pulls can take many minutes, so only startup
+  // asks for one; request paths just check.
+  async ensureModel(model, { pull = false } = {}) {
+    const status = { provider: this.name, model, available: false, pulled: false };
+
+    try {
+      const models = await this.ollama.list();
+      if (models.models.some(m => m.name === model)) {
+        console.log(`✅ Model ${model} is available`);
+        status.available = true;
+        return status;
+      }
+
+      if (!pull || !this.autoPull) {
+        status.error = `Model ${model} is not installed (run: ollama pull ${model})`;
+        return status;
+      }
+
+      console.log(`📥 Pulling model: ${model}`);
+      await this.ollama.pull({ model });
+      console.log(`✅ Model ${model} pulled successfully`);
+      status.available = true;
+      status.pulled = true;
+    } catch (error) {
+      console.error(`❌ Failed to prepare model ${model}:`, error.message);
+      status.error = error.message;
+    }
+
+    return status;
+  }
+
   async getAvailableModels() {
     try {
       const models = await this.ollama.list();
@@ -0,0 +1,244 @@
+import { readFileSync } from 'fs';
+import { haversineDistance, boundingBox, parseCoordinates, isValidCoordinate, roundKm } from '../utils/geo.js';
+import { extractKeywords } from '../utils/text.js';
+
+export const PLACE_CATEGORIES = ['scenic', 'water', 'park'];
+
+// Category names used by common POI exports, mapped to ours
+const CATEGORY_ALIASES = {
+  viewpoint: 'scenic',
+  attraction: 'scenic',
+  beach: 'scenic',
+  heritage: 'scenic',
+  river: 'water',
+  lake: 'water',
+  waterfall: 'water',
+  water_body: 'water',
+  waterbody: 'water',
+  backwaters: 'water',
+  garden: 'park',
+  national_park: 'park',
+  nature_reserve: 'park'
+};
+
+const MAX_RESULTS = 100;
+
+export const normalizeCategory = (value) => {
+  const key = String(value || '').trim().toLowerCase().replace(/[\s-]+/g, '_');
+  if (PLACE_CATEGORIES.includes(key)) return key;
+  return CATEGORY_ALIASES[key] || null;
+};
+
+const slugify = (text) => text
+  .toLowerCase()
+  .normalize('NFKD')
+  .replace(/[^a-z0-9]+/g, '-')
+  .replace(/^-+|-+$/g, '')
+  .slice(0, 200);
+
+// "waterfalls" should find "waterfall", "beaches" should find "beach"
+const stem = (word) => word.length > 4 ? word.replace(/(es|s)$/, '') : word;
+
+const placeText = (place) =>
+  [place.name, place.category, place.city, place.state, place.description, ...place.tags]
+    .filter(Boolean)
+    .join(' ')
+    .toLowerCase();
+
+const loadDefaultPlaces = () => {
+  const datasetPath = new URL('../data/places.json', import.meta.url);
+  return JSON.parse(readFileSync(datasetPath, 'utf8'));
+};
+
+// Points of interest (scenic spots, water bodies, parks) stored in MySQL.
+// Agents ground their answers in these records instead of model knowledge.
+export class PlaceService {
+  constructor(mysqlConnection) {
+    this.mysql = mysqlConnection;
+    this.candidateLimit = parseInt(process.env.PLACES_CANDIDATE_LIMIT) || 1000;
+  }
+
+  // Seeds the bundled dataset into an empty table
+  async initialize() {
+    const [rows] = await this.mysql.execute('SELECT COUNT(*) as count FROM places');
+
+    if (rows[0].count === 0) {
+      const { imported } = await this.importPlaces(loadDefaultPlaces(), 'default');
+      console.log(`📍 Seeded ${imported} places`);
+    }
+  }
+
+  // Reports why a record cannot be imported, or null
+  validatePlace(record) {
+    if (!record.name || !String(record.name).trim()) {
+      return 'name is required';
+    }
+    if (!isValidCoordinate(record.latitude, record.longitude)) {
+      return 'latitude/longitude are missing or out of range';
+    }
+    if (!normalizeCategory(record.category)) {
+      return `unknown category: ${record.category}`;
+    }
+    return null;
+  }
+
+  // Inserts or updates records (re-importing a file updates its places).
+  // Returns { imported, skipped: [{ index, name, reason }] }.
+  async importPlaces(records, source = null) {
+    const skipped = [];
+    let imported = 0;
+
+    for (const [index, record] of records.entries()) {
+      const problem = this.validatePlace(record);
+      if (problem) {
+        skipped.push({ index, name: record.name || null, reason: problem });
+        continue;
+      }
+
+      const name = String(record.name).trim();
+      const id = record.id ? slugify(String(record.id)) : slugify(record.city ? `${name} ${record.city}` : name);
+
+      await this.mysql.execute(
+        `INSERT INTO places (id, name, category, latitude, longitude, city, state, tags, description, opening_hours, entry_fee, source, created_at, updated_at)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+         ON DUPLICATE KEY UPDATE
+           name = VALUES(name), category = VALUES(category), latitude = VALUES(latitude), longitude = VALUES(longitude),
+           city = VALUES(city), state = VALUES(state), tags = VALUES(tags), description = VALUES(description),
+           opening_hours = VALUES(opening_hours), entry_fee = VALUES(entry_fee), source = VALUES(source),
+           updated_at = VALUES(updated_at)`,
+        [
+          id,
+          name,
+          normalizeCategory(record.category),
+          record.latitude,
+          record.longitude,
+          record.city || null,
+          record.state || null,
+          JSON.stringify(record.tags || []),
+          record.description || null,
+          record.openingHours || null,
+          record.entryFee || null,
+          source,
+          new Date(),
+          new Date()
+        ]
+      );
+      imported++;
+    }
+
+    console.log(`[PLACES] Imported ${imported} places${source ? ` from ${source}` : ''} (${skipped.length} skipped)`);
+    return { imported, skipped };
+  }
+
+  async getPlace(placeId) {
+    const [places] = await this.mysql.execute('SELECT * FROM places WHERE id = ?', [placeId]);
+    return places.length > 0 ? this.formatPlace(places[0]) : null;
+  }
+
+  async getPlaces(placeIds) {
+    if (placeIds.length === 0) return [];
+
+    const [places] = await this.mysql.execute(
+      `SELECT * FROM places WHERE id IN (${placeIds.map(() => '?').join(', ')})`,
+      placeIds
+    );
+    return places.map(place => this.formatPlace(place));
+  }
+
+  // Filters: category, state, near ({ latitude, longitude }) with radiusKm,
+  // and query words. Results near a point are sorted by distance, results
+  // for words by how many words match, and the rest by name.
+  async searchPlaces({ category, state, near, radiusKm, query, limit = 20 } = {}) {
+    const conditions = [];
+    const params = [];
+
+    if (category) {
+      conditions.push('category = ?');
+      params.push(category);
+    }
+    if (state) {
+      conditions.push('LOWER(state) = ?');
+      params.push(state.toLowerCase());
+    }
+    if (near && radiusKm) {
+      const box = boundingBox(near, radiusKm);
+      conditions.push('latitude BETWEEN ? AND ?', 'longitude BETWEEN ? AND ?');
+      params.push(box.minLatitude, box.maxLatitude, box.minLongitude, box.maxLongitude);
+    }
+
+    const [rows] = await this.mysql.execute(
+      `SELECT * FROM places ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''} ORDER BY name ASC LIMIT ?`,
+      [...params, this.candidateLimit]
+    );
+
+    let places = rows.map(row => this.formatPlace(row));
+
+    if (query) {
+      const stems = extractKeywords(query).map(stem);
+      places = places
+        .map(place => {
+          const text = placeText(place);
+          return { place, score: stems.filter(word => text.includes(word)).length };
+        })
+        .filter(({ score }) => score > 0)
+        .sort((a, b) => b.score - a.score)
+        .map(({ place }) => place);
+    }
+
+    if (near) {
+      places = places
+        .map(place => ({ ...place, distanceKm: roundKm(haversineDistance(near, place)) }))
+        .filter(place => !radiusKm || place.distanceKm <= radiusKm)
+        .sort((a, b) => a.distanceKm - b.distanceKm);
+    }
+
+    return places.slice(0, Math.min(Math.max(limit, 1), MAX_RESULTS));
+  }
+
+  // Places of a category whose text matches the query, for prompts
+  async findRelevantPlaces(query, category, limit = 5) {
+    return this.searchPlaces({ category, query, limit });
+  }
+
+  // A place name, a city, or "latitude,longitude" → { name, latitude, longitude }
+  async resolveLocation(location) {
+    const coordinates = parseCoordinates(location);
+    if (coordinates) {
+      return { name: location.trim(), ...coordinates };
+    }
+
+    const wanted = location.trim().toLowerCase();
+    const lookups = [
+      ['LOWER(name) = ?', wanted],
+      ['LOWER(name) LIKE ?', `%${wanted}%`],
+      ['LOWER(city) = ?', wanted]
+    ];
+
+    for (const [condition, value] of lookups) {
+      const [places] = await this.mysql.execute(`SELECT * FROM places WHERE ${condition} ORDER BY name ASC LIMIT 1`, [value]);
+      if (places.length > 0) {
+        const place = this.formatPlace(places[0]);
+        return { id: place.id, name: place.name, latitude: place.latitude, longitude: place.longitude };
+      }
+    }
+
+    throw new Error(`Unknown location: ${location}`);
+  }
+
+  formatPlace(place) {
+    return {
+      id: place.id,
+      name: place.name,
+      category: place.category,
+      latitude: Number(place.latitude),
+      longitude: Number(place.longitude),
+      city: place.city,
+      state: place.state,
+      tags: JSON.parse(place.tags || '[]'),
+      description: place.description,
+      openingHours: place.opening_hours,
+      entryFee: place.entry_fee,
+      source: place.source
+    };
+  }
+}
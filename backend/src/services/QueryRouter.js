@@ -0,0 +1,184 @@
+export const ROUTING_MODES = ['keyword', 'classifier', 'hybrid'];
+
+const round = (value) => Math.round(value * 1000) / 1000;
+
+// Numeric setting from the environment; 0 is a valid value, only a missing
+// or unparsable one falls back to the default
+const envNumber = (name, fallback) => {
+  const value = parseFloat(process.env[name]);
+  return Number.isNaN(value) ? fallback : value;
+};
+
+// Scores every agent for a query between 0 and 1 and selects the agents
+// at or above the threshold.
+//   keyword    - BaseAgent.isRelevant/calculateRelevanceScore substring matching
+//   classifier - the model picks agents from their descriptions and capabilities
+//   hybrid     - weighted blend of both scores
+// When the user's feedback is passed in, agents they consistently rate poorly
+// have their score scaled down before the threshold applies.
+export class QueryRouter {
+  constructor(llmService, config = {}) {
+    this.llm = llmService;
+    this.mode = config.mode || process.env.ROUTER_MODE || 'keyword';
+    this.threshold = config.threshold ?? envNumber('ROUTER_THRESHOLD', 0.5);
+    this.classifierWeight = config.classifierWeight ?? envNumber('ROUTER_CLASSIFIER_WEIGHT', 0.6);
+    this.feedbackPenalty = config.feedbackPenalty ?? envNumber('ROUTER_FEEDBACK_PENALTY', 0.5);
+    this.feedbackMinRatings = config.feedbackMinRatings ?? (parseInt(process.env.ROUTER_FEEDBACK_MIN_RATINGS) || 3);
+
+    if (!ROUTING_MODES.includes(this.mode)) {
+      console.warn(`[ROUTER] Unknown routing mode "${this.mode}", using keyword routing`);
+      this.mode = 'keyword';
+    }
+  }
+
+  // options.feedback: { [agentId]: { count, satisfaction } } for the user
+  async route(query, agents, options = {}) {
+    const mode = options.mode || this.mode;
+    const threshold = options.threshold ?? this.threshold;
+    let fallback = false;
+
+    const keywordScores = new Map(agents.map(agent => [agent.id, this.keywordScore(query, agent)]));
+    let classifierScores = null;
+
+    if (mode !== 'keyword') {
+      classifierScores = await this.classify(query, agents);
+      if (!classifierScores) {
+        console.warn('[ROUTER] Classifier unavailable, falling back to keyword routing');
+        fallback = true;
+      }
+    }
+
+    const scores = {};
+    const selected = [];
+
+    for (const agent of agents) {
+      const keyword = keywordScores.get(agent.id);
+      const classifier = classifierScores ? (classifierScores.get(agent.id) || 0) : null;
+
+      let score = keyword;
+      if (classifier !== null) {
+        score = mode === 'hybrid'
+          ? this.classifierWeight * classifier + (1 - this.classifierWeight) * keyword
+          : classifier;
+      }
+
+      const feedbackWeight = this.feedbackWeight(options.feedback?.[agent.id]);
+      score *= feedbackWeight;
+
+      scores[agent.id] = {
+        keyword: round(keyword),
+        classifier: classifier === null ? null : round(classifier),
+        score: round(score),
+        ...(feedbackWeight < 1 && { feedbackWeight: round(feedbackWeight) })
+      };
+
+      if (score >= threshold && score > 0) {
+        selected.push({ agent, score });
+      }
+    }
+
+    return {
+      mode,
+      effectiveMode: fallback ? 'keyword' : mode,
+      threshold,
+      fallback,
+      scores,
+      selected
+    };
+  }
+
+  // Any keyword match scores at least 0.5, so the default threshold keeps the
+  // original "route on any match" behaviour in keyword mode
+  keywordScore(query, agent) {
+    if (!agent.isRelevant || !agent.isRelevant(query)) {
+      return 0;
+    }
+
+    const relevance = agent.calculateRelevanceScore ? agent.calculateRelevanceScore(query) : 1;
+    return Math.min(1, 0.5 + (relevance - 1) * 0.1);
+  }
+
+  // Agents the user rated at least feedbackMinRatings times with a mean
+  // satisfaction below 0.5 are scaled down, by up to feedbackPenalty when
+  // every rating was the worst
+  feedbackWeight(feedback) {
+    if (!feedback || feedback.count < this.feedbackMinRatings || feedback.satisfaction >= 0.5) {
+      return 1;
+    }
+
+    return 1 - this.feedbackPenalty * (1 - 2 * feedback.satisfaction);
+  }
+
+  async classify(query, agents) {
+    if (!this.llm) {
+      return null;
+    }
+
+    const agentList = agents
+      .map(agent => `- id: ${agent.id}
+  name: ${agent.name}
+  description: ${agent.description || ''}
+  capabilities: ${(agent.capabilities || []).join(', ')}`)
+      .join('\n');
+
+    const systemPrompt = `You are a query router for a multi-agent assistant. Decide which agents should answer the user's query.
+
+Available agents:
+${agentList}
+
+Score every agent from 0 to 1 for how well it can answer the query, judging by meaning rather than exact words.
+Respond only with JSON in this format:
+{"agents": [{"id": "<agent id>", "score": <number between 0 and 1>}]}`;
+
+    try {
+      const response = await this.llm.generateResponse(
+        systemPrompt,
+        query,
+        [],
+        { temperature: 0 },
+        { format: 'json' }
+      );
+
+      return this.parseClassification(response.content, agents);
+    } catch (error) {
+      console.error('[ROUTER] Classification error:', error.message);
+      return null;
+    }
+  }
+
+  parseClassification(content, agents) {
+    const match = content.match(/\{[\s\S]*\}/);
+    if (!match) {
+      return null;
+    }
+
+    try {
+      const parsed = JSON.parse(match[0]);
+      const entries = Array.isArray(parsed.agents) ? parsed.agents : [];
+      const knownIds = new Set(agents.map(agent => agent.id));
+      const scores = new Map();
+
+      for (const entry of entries) {
+        const score = Number(entry.score);
+        if (knownIds.has(entry.id) && Number.isFinite(score)) {
+          scores.set(entry.id, Math.min(Math.max(score, 0), 1));
+        }
+      }
+
+      return scores;
+    } catch (error) {
+      console.warn('[ROUTER] Could not parse classifier output:', error.message);
+      return null;
+    }
+  }
+
+  getConfig() {
+    return {
+      mode: this.mode,
+      threshold: this.threshold,
+      classifierWeight: this.classifierWeight,
+      feedbackPenalty: this.feedbackPenalty,
+      feedbackMinRatings: this.feedbackMinRatings
+    };
+  }
+}
@@ -0,0 +1,101 @@
+import crypto from 'crypto';
+
+// Reuses a user's recent agent answers for the same query (conversations.query_hash)
+// or, by embedding, a near-identical one. Each answer is stamped with the
+// fingerprint of the agent that produced it (prompt, model config, tools), so
+// editing an agent or switching its model makes its old answers unusable.
+// How long an answer is reusable is set per agent by modelConfig.cacheTtlSeconds.
+export class ResponseCache {
+  constructor(memoryManager, llmService, config = {}) {
+    this.memoryManager = memoryManager;
+    this.llm = llmService;
+    const defaultTtl = parseInt(process.env.RESPONSE_CACHE_TTL_SECONDS);
+    this.defaultTtlSeconds = config.defaultTtlSeconds ?? (Number.isNaN(defaultTtl) ? 3600 : defaultTtl);
+    this.minSimilarity = config.minSimilarity ?? (parseFloat(process.env.RESPONSE_CACHE_SIMILARITY) || 0.95);
+    this.maxCandidates = config.maxCandidates ?? 5;
+  }
+
+  ttlSeconds(agent) {
+    return agent.cacheTtlSeconds ?? this.defaultTtlSeconds;
+  }
+
+  // Hash of everything about an agent that shapes its answers
+  fingerprint(agent) {
+    const resolved = this.llm?.resolveModel(agent.modelConfig) || {};
+    const source = JSON.stringify({
+      type: agent.type,
+      systemPrompt: agent.systemPrompt,
+      modelConfig: agent.modelConfig,
+      provider: resolved.provider || null,
+      model: resolved.model || null,
+      tools: agent.tools,
+      structuredOutput: agent.structuredOutput
+    });
+    return crypto.createHash('sha256').update(source).digest('hex').slice(0, 16);
+  }
+
+  // Stamp for a freshly generated answer, stored with it so later lookups
+  // can tell whether it is still valid
+  describe(agent) {
+    return {
+      hit: false,
+      fingerprint: this.fingerprint(agent),
+      generatedAt: new Date().toISOString()
+    };
+  }
+
+  // Cached answers for the agents that have one, keyed by agent id. Only
+  // answers generated fresh count, so a hit is never served from a hit.
+  async lookup(query, userId, agents) {
+    const cacheable = agents.filter(agent => this.ttlSeconds(agent) > 0);
+    if (cacheable.length === 0) {
+      return new Map();
+    }
+
+    const longestTtl = Math.max(...cacheable.map(agent => this.ttlSeconds(agent)));
+    const candidates = await this.memoryManager.findSimilarConversations(
+      userId,
+      query,
+      new Date(Date.now() - longestTtl * 1000),
+      this.minSimilarity,
+      this.maxCandidates
+    );
+
+    const hits = new Map();
+    for (const agent of cacheable) {
+      const fingerprint = this.fingerprint(agent);
+      const maxAgeMs = this.ttlSeconds(agent) * 1000;
+
+      for (const { conversation, similarity } of candidates) {
+        const cached = conversation.responses.find(response => response.agentId === agent.id
+          && !response.error
+          && response.cache?.hit === false
+          && response.cache.fingerprint === fingerprint
+          && Date.now() - new Date(response.cache.generatedAt).getTime() < maxAgeMs);
+
+        if (cached) {
+          hits.set(agent.id, {
+            ...cached,
+            inputTokens: 0,
+            outputTokens: 0,
+            totalTokens: 0,
+            cache: {
+              hit: true,
+              fingerprint,
+              generatedAt: cached.cache.generatedAt,
+              sourceQueryId: conversation.queryId,
+              similarity
+            }
+          });
+          break;
+        }
+      }
+    }
+
+    if (hits.size > 0) {
+      console.log(`[CACHE] Reusing answers from ${[...hits.keys()].join(', ')}`);
+    }
+
+    return hits;
+  }
+}
@@ -0,0 +1,71 @@
+// Merges the individual agent responses into a single reply that cites the
+// contributing agents as [agent-id].
+export class ResponseSynthesizer {
+  constructor(llmService) {
+    this.llm = llmService;
+  }
+
+  async synthesize(query, responses, options = {}) {
+    const startTime = Date.now();
+    const responseFormat = options.responseFormat === 'summary' ? 'summary' : 'detailed';
+    const sources = responses.filter(r => !r.error && r.response);
+
+    if (sources.length === 0) {
+      return null;
+    }
+
+    const sourceText = sources
+      .map(r => `[${r.agentId}] (${r.agentName}, confidence ${Math.round(r.confidence * 100)}%):\n${r.response}`)
+      .join('\n\n');
+
+    const formatInstructions = responseFormat === 'summary'
+      ? 'Keep the answer short: at most five sentences or a brief bullet list with only the most useful recommendations.'
+      : 'Give a complete, well-organized answer with the specific places, practical details and tips the agents provided.';
+
+    const systemPrompt = `You combine answers from several specialized agents into one reply for the user.
+
+Rules:
+- Merge overlapping information instead of repeating it
+- Resolve contradictions by preferring the more specific, higher-confidence agent
+- Only use information from the agent answers; do not add new facts
+- Cite the agents each statement comes from using their id in square brackets, for example [river-agent]
+- ${formatInstructions}`;
+
+    const userPrompt = `User query: ${query}
+
+Agent answers:
+${sourceText}
+
+Write the combined answer now.`;
+
+    const result = await this.llm.generateResponse(systemPrompt, userPrompt, [], {}, {
+      onToken: options.onToken
+    });
+
+    return {
+      response: result.content,
+      citations: this.extractCitations(result.content, sources),
+      sourceAgents: sources.map(r => r.agentId),
+      responseFormat,
+      model: result.model,
+      inputTokens: result.inputTokens,
+      outputTokens: result.outputTokens,
+      totalTokens: result.totalTokens,
+      executionTime: Date.now() - startTime
+    };
+  }
+
+  extractCitations(content, sources) {
+    const cited = new Set();
+    const pattern = /\[([^\]]+)\]/g;
+    let match;
+
+    while ((match = pattern.exec(content)) !== null) {
+      match[1].split(',').forEach(id => cited.add(id.trim()));
+    }
+
+    return sources
+      .map(r => r.agentId)
+      .filter(agentId => cited.has(agentId));
+  }
+}
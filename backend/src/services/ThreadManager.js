@@ -0,0 +1,92 @@
+import { v4 as uuidv4 } from 'uuid';
+
+const TITLE_LENGTH = 80;
+
+// Conversation threads. A thread's turns are the conversations stored with
+// its thread_id; the orchestrator reads them back as chat history.
+export class ThreadManager {
+  constructor(mysqlConnection, memoryManager) {
+    this.mysql = mysqlConnection;
+    this.memoryManager = memoryManager;
+  }
+
+  async createThread(userId, title = null) {
+    try {
+      const threadId = uuidv4();
+
+      await this.mysql.execute(
+        'INSERT INTO threads (id, user_id, title, created_at, updated_at) VALUES (?, ?, ?, ?, ?)',
+        [threadId, userId, title, new Date(), new Date()]
+      );
+
+      console.log(`[THREADS] Created thread ${threadId} for user ${userId}`);
+      return this.getThread(threadId);
+    } catch (error) {
+      console.error('[THREADS] Create thread error:', error);
+      throw error;
+    }
+  }
+
+  async getThread(threadId) {
+    const [threads] = await this.mysql.execute(
+      'SELECT * FROM threads WHERE id = ?',
+      [threadId]
+    );
+
+    return threads.length > 0 ? this.formatThread(threads[0]) : null;
+  }
+
+  async listThreads(userId, limit = 20, offset = 0) {
+    try {
+      const [threads] = await this.mysql.execute(
+        'SELECT * FROM threads WHERE user_id = ? ORDER BY updated_at DESC LIMIT ? OFFSET ?',
+        [userId, limit, offset]
+      );
+
+      return threads.map(thread => this.formatThread(thread));
+    } catch (error) {
+      console.error('[THREADS] List threads error:', error);
+      return [];
+    }
+  }
+
+  async getMessages(threadId, limit = 50) {
+    return this.memoryManager.getThreadTurns(threadId, limit);
+  }
+
+  // Called after each turn. Untitled threads are named after their first query.
+  async recordTurn(threadId, query) {
+    try {
+      await this.mysql.execute(
+        'UPDATE threads SET title = COALESCE(title, ?), updated_at = ? WHERE id = ?',
+        [query.slice(0, TITLE_LENGTH), new Date(), threadId]
+      );
+    } catch (error) {
+      console.error('[THREADS] Record turn error:', error);
+    }
+  }
+
+  async deleteThread(threadId) {
+    try {
+      // Databases upgraded with addColumnIfMissing have no foreign key on
+      // conversations.thread_id, so the turns are removed explicitly
+      await this.mysql.execute('DELETE FROM conversations WHERE thread_id = ?', [threadId]);
+      await this.mysql.execute('DELETE FROM threads WHERE id = ?', [threadId]);
+
+      console.log(`[THREADS] Deleted thread ${threadId}`);
+    } catch (error) {
+      console.error('[THREADS] Delete thread error:', error);
+      throw error;
+    }
+  }
+
+  formatThread(thread) {
+    return {
+      id: thread.id,
+      userId: thread.user_id,
+      title: thread.title,
+      createdAt: thread.created_at,
+      updatedAt: thread.updated_at
+    };
+  }
+}
@@ -0,0 +1,154 @@
+import { withTimeout } from '../utils/retry.js';
+import { createPlaceTools } from '../tools/places.js';
+import { createMemoryTools } from '../tools/memory.js';
+
+const TOOL_NAME_PATTERN = /^[a-z][a-z0-9_]{0,63}$/;
+const MAX_RESULT_CHARS = 4000;
+
+const JSON_TYPE_CHECKS = {
+  string: (value) => typeof value === 'string',
+  number: (value) => typeof value === 'number' && Number.isFinite(value),
+  integer: (value) => Number.isInteger(value),
+  boolean: (value) => typeof value === 'boolean',
+  array: (value) => Array.isArray(value),
+  object: (value) => value !== null && typeof value === 'object' && !Array.isArray(value)
+};
+
+// Checks the arguments a model produced against the subset of JSON schema
+// the tools use: required properties, property types and enums
+export const validateArguments = (schema = {}, args) => {
+  if (!JSON_TYPE_CHECKS.object(args)) {
+    return 'arguments must be an object';
+  }
+
+  const missing = (schema.required || []).filter(name => args[name] === undefined);
+  if (missing.length > 0) {
+    return `missing required argument(s): ${missing.join(', ')}`;
+  }
+
+  for (const [name, property] of Object.entries(schema.properties || {})) {
+    const value = args[name];
+    if (value === undefined) continue;
+
+    const check = JSON_TYPE_CHECKS[property.type];
+    if (check && !check(value)) {
+      return `argument ${name} must be a ${property.type}`;
+    }
+    if (property.enum && !property.enum.includes(value)) {
+      return `argument ${name} must be one of: ${property.enum.join(', ')}`;
+    }
+  }
+
+  return null;
+};
+
+// Tool results go back to the model as a message; large results are cut off
+export const formatToolResult = (call) => {
+  const text = JSON.stringify(call.error ? { error: call.error } : call.result ?? null);
+  return text.length <= MAX_RESULT_CHARS ? text : `${text.slice(0, MAX_RESULT_CHARS - 3)}...`;
+};
+
+// Tools agents can call during a response. A tool is
+//   { name, description, parameters (JSON schema), handler(args, context), timeoutMs? }
+// Handlers only see the validated arguments and a frozen context
+// ({ userId, sessionId, agentId }); each call is bounded by a timeout and a
+// failing tool is reported back to the model instead of failing the agent.
+export class ToolRegistry {
+  constructor(config = {}) {
+    this.timeoutMs = config.timeoutMs ?? (parseInt(process.env.TOOL_TIMEOUT_MS) || 5000);
+    this.tools = new Map();
+  }
+
+  // The built-in tools for the services given; place tools need placeService
+  static createDefault({ memoryManager, placeService } = {}, config = {}) {
+    const registry = new ToolRegistry(config);
+    const tools = [
+      ...(placeService ? createPlaceTools(placeService) : []),
+      ...(memoryManager ? createMemoryTools(memoryManager) : [])
+    ];
+
+    tools.forEach(tool => registry.register(tool));
+    return registry;
+  }
+
+  register(tool) {
+    if (!TOOL_NAME_PATTERN.test(tool.name || '')) {
+      throw new Error(`Invalid tool name: ${tool.name}`);
+    }
+    if (typeof tool.handler !== 'function') {
+      throw new Error(`Tool ${tool.name} has no handler`);
+    }
+    if (this.tools.has(tool.name)) {
+      throw new Error(`Tool ${tool.name} is already registered`);
+    }
+
+    this.tools.set(tool.name, tool);
+    return this;
+  }
+
+  has(name) {
+    return this.tools.has(name);
+  }
+
+  listTools() {
+    return [...this.tools.values()].map(tool => ({
+      name: tool.name,
+      description: tool.description,
+      parameters: tool.parameters
+    }));
+  }
+
+  // Tool definitions in the function-calling format Ollama and the OpenAI
+  // API share. Unknown names are skipped.
+  getDefinitions(names = []) {
+    return names
+      .filter(name => this.tools.has(name))
+      .map(name => {
+        const tool = this.tools.get(name);
+        return {
+          type: 'function',
+          function: {
+            name: tool.name,
+            description: tool.description,
+            parameters: tool.parameters || { type: 'object', properties: {} }
+          }
+        };
+      });
+  }
+
+  // Runs one tool call and resolves to the record stored with the agent
+  // interaction: { name, arguments, result | error, durationMs }. Never throws.
+  // context.allowedTools limits the call to the tools the agent declared.
+  async execute(name, args, context = {}) {
+    const startTime = Date.now();
+    const { allowedTools, ...handlerContext } = context;
+    const record = { name, arguments: args ?? null };
+
+    const tool = this.tools.get(name);
+    let problem = null;
+    if (!tool || (allowedTools && !allowedTools.includes(name))) {
+      problem = `Unknown tool: ${name}`;
+    } else {
+      problem = validateArguments(tool.parameters, args);
+    }
+
+    if (problem) {
+      console.warn(`[TOOLS] Rejected call to ${name}: ${problem}`);
+      return { ...record, error: problem, durationMs: Date.now() - startTime };
+    }
+
+    try {
+      const timeoutMs = tool.timeoutMs || this.timeoutMs;
+      const result = await withTimeout(
+        Promise.resolve().then(() => tool.handler(args, Object.freeze(handlerContext))),
+        timeoutMs,
+        `Tool ${name} timed out after ${timeoutMs}ms`
+      );
+
+      return { ...record, result, durationMs: Date.now() - startTime };
+    } catch (error) {
+      console.warn(`[TOOLS] ${name} failed: ${error.message}`);
+      return { ...record, error: error.message, durationMs: Date.now() - startTime };
+    }
+  }
+}
@@ -0,0 +1,119 @@
+// Contract every LLM provider implements. LLMService picks a provider per
+// call from the agent's modelConfig.provider.
+//
+// generateResponse resolves to:
+//   { content, executionTime, inputTokens, outputTokens, totalTokens, model, toolCalls, logprobs? }
+// callOptions: onToken(chunk) streams content, format requests JSON output,
+// history is a list of earlier { role, content } chat messages, tools are
+// function definitions the model may call, followUp holds the tool-call
+// exchange so far and logprobs asks for token log probabilities. toolCalls is
+// a list of { id, name, arguments } the model asked for (empty when it
+// answered directly); logprobs is a list of numbers, one per output token,
+// from providers that support them.
+//
+// context is not sent by the chat providers: agents put memory into the
+// prompt themselves, within the model's context window (getContextWindow).
+
+// Tokens assumed to fit in a model's context when the provider cannot tell
+export const DEFAULT_CONTEXT_WINDOW = parseInt(process.env.LLM_CONTEXT_WINDOW) || 4096;
+
+export class LLMProvider {
+  constructor(name) {
+    this.name = name;
+    this.initialized = false;
+  }
+
+  async initialize() {
+    this.initialized = true;
+    return true;
+  }
+
+  async generateResponse(systemPrompt, userPrompt, context = [], options = {}, callOptions = {}) {
+    throw new Error(`${this.name} provider does not implement generateResponse`);
+  }
+
+  async generateEmbedding(text) {
+    return null;
+  }
+
+  async isHealthy() {
+    return false;
+  }
+
+  getModelInfo() {
+    return {
+      provider: this.name,
+      initialized: this.initialized
+    };
+  }
+
+  async getAvailableModels() {
+    return [];
+  }
+
+  // Tokens the model reads and writes per call. options is the agent's
+  // modelConfig without the provider name.
+  getContextWindow(options = {}) {
+    return DEFAULT_CONTEXT_WINDOW;
+  }
+
+  // Problem with the provider settings of an agent's modelConfig (without
+  // the provider name), or null
+  validateModelConfig(options = {}) {
+    return null;
+  }
+
+  // Reports whether a model can be served. Providers that can download
+  // models (Ollama) override this to pull missing ones when options.pull is set.
+  async ensureModel(model, options = {}) {
+    const models = await this.getAvailableModels();
+    return {
+      provider: this.name,
+      model,
+      available: models.some(m => m.name === model),
+      pulled: false
+    };
+  }
+
+  // Chat messages shared by the chat-style providers
+  buildMessages(systemPrompt, userPrompt, history = [], followUp = []) {
+    const messages = [
+      {
+        role: 'system',
+        content: systemPrompt
+      }
+    ];
+
+    // Earlier turns of the conversation thread
+    messages.push(...history);
+
+    messages.push({
+      role: 'user',
+      content: userPrompt
+    });
+
+    messages.push(...followUp.map(message => this.formatFollowUpMessage(message)));
+
+    return messages;
+  }
+
+  // Follow-up messages are kept provider-neutral:
+  //   { role: 'assistant', content, toolCalls: [{ id, name, arguments }] }
+  //   { role: 'tool', toolCallId, name, content }
+  // This default is the OpenAI chat format; providers override it as needed.
+  formatFollowUpMessage(message) {
+    if (message.role === 'tool') {
+      return { role: 'tool', tool_call_id: message.toolCallId, content: message.content };
+    }
+
+    return {
+      role: 'assistant',
+      content: message.content || '',
+      tool_calls: (message.toolCalls || []).map(call => ({
+        id: call.id,
+        type: 'function',
+        function: { name: call.name, arguments: JSON.stringify(call.arguments ?? {}) }
+      }))
+    };
+  }
+}
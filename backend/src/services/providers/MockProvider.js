@@ -0,0 +1,171 @@
+import { LLMProvider, DEFAULT_CONTEXT_WINDOW } from './LLMProvider.js';
+
+const EMBEDDING_DIMENSIONS = 64;
+
+const matches = (match, text) => {
+  if (match instanceof RegExp) {
+    return match.test(text);
+  }
+  return text.toLowerCase().includes(String(match).toLowerCase());
+};
+
+const countTokens = (text) => text.split(/\s+/).filter(Boolean).length;
+
+const hashWord = (word) => {
+  let hash = 0;
+  for (let i = 0; i < word.length; i++) {
+    hash = (hash * 31 + word.charCodeAt(i)) >>> 0;
+  }
+  return hash;
+};
+
+// Deterministic provider for tests and offline demos. Responses are scripted
+// by matching the prompts against patterns; unmatched prompts get a stable
+// default answer. Latency and failures can be configured.
+export class MockProvider extends LLMProvider {
+  constructor(config = {}) {
+    super('mock');
+    this.model = config.model || 'mock-model';
+    this.contextWindow = config.contextWindow || DEFAULT_CONTEXT_WINDOW;
+    this.responses = [];
+    this.defaultResponse = config.defaultResponse || null;
+    this.latencyMs = config.latencyMs || 0;
+    this.pendingFailures = [];
+    this.calls = [];
+    this.initialized = true;
+
+    (config.responses || []).forEach(({ match, response }) => this.addResponse(match, response));
+  }
+
+  // match: string (substring) or RegExp, tested against the system and user
+  // prompts. response: string, { content, toolCalls, logprobs } to request
+  // tool calls or return token logprobs, or (systemPrompt, userPrompt,
+  // options, callOptions) returning either. toolCalls are { name, arguments };
+  // callOptions.followUp holds the tool results of earlier rounds. logprobs
+  // are only returned when the call asks for them.
+  addResponse(match, response) {
+    this.responses.push({ match, response });
+    return this;
+  }
+
+  setLatency(latencyMs) {
+    this.latencyMs = latencyMs;
+    return this;
+  }
+
+  // Fail the next `count` calls whose prompts match (every call if no match)
+  failNext(count = 1, message = 'Mock provider failure', match = null) {
+    for (let i = 0; i < count; i++) {
+      this.pendingFailures.push({ message, match });
+    }
+    return this;
+  }
+
+  reset() {
+    this.responses = [];
+    this.pendingFailures = [];
+    this.calls = [];
+    this.latencyMs = 0;
+    return this;
+  }
+
+  async generateResponse(systemPrompt, userPrompt, context = [], options = {}, callOptions = {}) {
+    const startTime = Date.now();
+    const prompt = `${systemPrompt}\n${userPrompt}`;
+    this.calls.push({ systemPrompt, userPrompt, context, options, callOptions });
+
+    if (this.latencyMs > 0) {
+      await new Promise(resolve => {
+        const timer = setTimeout(resolve, this.latencyMs);
+        callOptions.signal?.addEventListener('abort', () => {
+          clearTimeout(timer);
+          resolve();
+        }, { once: true });
+      });
+    }
+    if (callOptions.signal?.aborted) {
+      throw new Error('Mock generation failed: aborted');
+    }
+
+    const failureIndex = this.pendingFailures.findIndex(failure => !failure.match || matches(failure.match, prompt));
+    if (failureIndex !== -1) {
+      const [failure] = this.pendingFailures.splice(failureIndex, 1);
+      throw new Error(`Mock generation failed: ${failure.message}`);
+    }
+
+    const resolved = this.resolveResponse(systemPrompt, userPrompt, options, callOptions);
+    const { content = '', toolCalls = [], logprobs } = typeof resolved === 'string' ? { content: resolved } : resolved;
+
+    if (callOptions.onToken) {
+      content.split(/(?<=\s)/).forEach(chunk => callOptions.onToken(chunk));
+    }
+
+    const inputTokens = countTokens(prompt);
+    const outputTokens = countTokens(content);
+
+    return {
+      content,
+      executionTime: Date.now() - startTime,
+      inputTokens,
+      outputTokens,
+      model: options.model || this.model,
+      totalTokens: inputTokens + outputTokens,
+      toolCalls: toolCalls.map((call, index) => ({ id: `call_${index}`, ...call })),
+      ...(callOptions.logprobs && logprobs && { logprobs })
+    };
+  }
+
+  resolveResponse(systemPrompt, userPrompt, options, callOptions = {}) {
+    const prompt = `${systemPrompt}\n${userPrompt}`;
+    const scripted = this.responses.find(({ match }) => matches(match, prompt));
+    const response = scripted ? scripted.response : this.defaultResponse;
+
+    if (typeof response === 'function') {
+      return response(systemPrompt, userPrompt, options, callOptions);
+    }
+    if (response && (typeof response === 'string' || typeof response === 'object')) {
+      return response;
+    }
+
+    return `Mock response to: ${userPrompt.split('\n').pop().slice(0, 200)}`;
+  }
+
+  // Bag-of-words vector hashed into a fixed number of dimensions, so texts
+  // sharing words have a high cosine similarity
+  async generateEmbedding(text) {
+    if (!text) return null;
+
+    const vector = new Array(EMBEDDING_DIMENSIONS).fill(0);
+    text.toLowerCase().split(/[^a-z0-9]+/).filter(Boolean).forEach(word => {
+      vector[hashWord(word) % EMBEDDING_DIMENSIONS] += 1;
+    });
+
+    return vector;
+  }
+
+  async isHealthy() {
+    return true;
+  }
+
+  getContextWindow() {
+    return this.contextWindow;
+  }
+
+  getModelInfo() {
+    return {
+      provider: this.name,
+      model: this.model,
+      contextWindow: this.contextWindow,
+      initialized: this.initialized
+    };
+  }
+
+  async getAvailableModels() {
+    return [{ name: this.model }];
+  }
+
+  // The mock answers for any model name
+  async ensureModel(model, options = {}) {
+    return { provider: this.name, model, available: true, pulled: false };
+  }
+}
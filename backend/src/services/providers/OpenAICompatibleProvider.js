@@ -0,0 +1,258 @@
+import axios from 'axios';
+import { LLMProvider } from './LLMProvider.js';
+
+const stripTrailingSlash = (url) => url.replace(/\/+$/, '');
+
+// Tool-call arguments come as a JSON string. Unparseable arguments become
+// null so the tool registry rejects the call and tells the model why.
+const parseArguments = (text) => {
+  try {
+    return JSON.parse(text || '{}');
+  } catch (error) {
+    return null;
+  }
+};
+
+// Named servers from OPENAI_COMPAT_ENDPOINTS, a JSON object of
+// { name: { baseUrl, apiKey? } }
+const parseEndpoints = (text) => {
+  if (!text) {
+    return {};
+  }
+  try {
+    const endpoints = JSON.parse(text);
+    return Object.fromEntries(Object.entries(endpoints)
+      .filter(([, endpoint]) => typeof endpoint?.baseUrl === 'string')
+      .map(([name, endpoint]) => [name, { baseUrl: stripTrailingSlash(endpoint.baseUrl), apiKey: endpoint.apiKey || '' }]));
+  } catch (error) {
+    console.warn(`⚠️ Ignoring OPENAI_COMPAT_ENDPOINTS: ${error.message}`);
+    return {};
+  }
+};
+
+// Talks to any server exposing the OpenAI chat completions API, e.g.
+// llama.cpp server, vLLM or LocalAI. An agent can use another server the
+// operator configured by naming it in modelConfig.endpoint; agents cannot
+// supply a URL or key themselves, or the server could be made to send
+// requests to any host.
+export class OpenAICompatibleProvider extends LLMProvider {
+  constructor(config = {}) {
+    super('openai');
+    this.baseUrl = stripTrailingSlash(config.baseUrl || process.env.OPENAI_COMPAT_BASE_URL || 'http://localhost:8080/v1');
+    this.apiKey = config.apiKey || process.env.OPENAI_COMPAT_API_KEY || '';
+    this.model = config.model || process.env.OPENAI_COMPAT_MODEL || 'default';
+    this.embeddingModel = config.embeddingModel || process.env.OPENAI_COMPAT_EMBEDDING_MODEL || null;
+    this.timeout = config.timeout || parseInt(process.env.OPENAI_COMPAT_TIMEOUT_MS) || 120000;
+    // The server fixes the context length (e.g. llama.cpp --ctx-size), so it
+    // has to be configured here to match
+    this.contextWindow = config.contextWindow || parseInt(process.env.OPENAI_COMPAT_CONTEXT_WINDOW) || 8192;
+    this.endpoints = config.endpoints || parseEndpoints(process.env.OPENAI_COMPAT_ENDPOINTS);
+  }
+
+  validateModelConfig(options = {}) {
+    if (options.endpoint !== undefined && !this.endpoints[options.endpoint]) {
+      return `Unknown OpenAI-compatible endpoint: ${options.endpoint}`;
+    }
+    return null;
+  }
+
+  async initialize() {
+    try {
+      console.log(`🤖 Initializing OpenAI-compatible provider at ${this.baseUrl}...`);
+      await this.request('get', '/models');
+      console.log('✅ OpenAI-compatible provider connected successfully');
+      this.initialized = true;
+      return true;
+    } catch (error) {
+      console.error('❌ OpenAI-compatible provider initialization failed:', error.message);
+      throw error;
+    }
+  }
+
+  async generateResponse(systemPrompt, userPrompt, context = [], options = {}, callOptions = {}) {
+    // baseUrl and apiKey are dropped: agents saved before endpoints were
+    // named may still carry them
+    const { endpoint, baseUrl, apiKey, model, ...generationOptions } = options;
+
+    try {
+      const startTime = Date.now();
+      const body = {
+        model: model || this.model,
+        messages: this.buildMessages(systemPrompt, userPrompt, callOptions.history, callOptions.followUp),
+        temperature: generationOptions.temperature ?? 0.7,
+        top_p: generationOptions.top_p ?? 0.9,
+        max_tokens: generationOptions.max_tokens || 1000
+      };
+
+      if (callOptions.format) {
+        body.response_format = callOptions.format === 'json'
+          ? { type: 'json_object' }
+          : { type: 'json_schema', json_schema: { name: 'response', schema: callOptions.format } };
+      }
+      if (callOptions.tools?.length > 0) {
+        body.tools = callOptions.tools;
+      }
+      if (callOptions.logprobs) {
+        body.logprobs = true;
+      }
+
+      if (endpoint !== undefined && !this.endpoints[endpoint]) {
+        throw new Error(`Unknown OpenAI-compatible endpoint: ${endpoint}`);
+      }
+      const connection = { ...this.endpoints[endpoint], signal: callOptions.signal };
+      const response = callOptions.onToken
+        ? await this.streamCompletion(body, callOptions.onToken, connection)
+        : (await this.request('post', '/chat/completions', body, connection)).data;
+
+      const inputTokens = response.usage?.prompt_tokens || 0;
+      const outputTokens = response.usage?.completion_tokens || 0;
+      const message = response.choices?.[0]?.message || {};
+      const tokenLogprobs = response.choices?.[0]?.logprobs?.content;
+
+      return {
+        content: message.content || '',
+        executionTime: Date.now() - startTime,
+        inputTokens,
+        outputTokens,
+        model: response.model || body.model,
+        totalTokens: inputTokens + outputTokens,
+        toolCalls: (message.tool_calls || []).map(call => ({
+          id: call.id,
+          name: call.function.name,
+          arguments: parseArguments(call.function.arguments)
+        })),
+        ...(tokenLogprobs && { logprobs: tokenLogprobs.map(token => token.logprob) })
+      };
+    } catch (error) {
+      console.error('❌ OpenAI-compatible generation error:', error.message);
+      throw new Error(`OpenAI-compatible generation failed: ${error.message}`);
+    }
+  }
+
+  // Reads the SSE stream from /chat/completions and resolves to the same
+  // shape as a non-streaming completion
+  async streamCompletion(body, onToken, connection) {
+    const response = await this.request('post', '/chat/completions', {
+      ...body,
+      stream: true,
+      stream_options: { include_usage: true }
+    }, { ...connection, responseType: 'stream' });
+
+    let content = '';
+    let usage = null;
+    let model = body.model;
+    let buffer = '';
+    // Tool calls arrive in fragments keyed by index; the arguments string is
+    // split across chunks
+    const toolCalls = [];
+    const tokenLogprobs = [];
+
+    for await (const chunk of response.data) {
+      buffer += chunk.toString();
+      const lines = buffer.split('\n');
+      buffer = lines.pop();
+
+      for (const line of lines) {
+        const data = line.trim().replace(/^data:\s*/, '');
+        if (!data || data === '[DONE]' || !line.trim().startsWith('data:')) continue;
+
+        const part = JSON.parse(data);
+        const delta = part.choices?.[0]?.delta?.content || '';
+        if (delta) {
+          content += delta;
+          onToken(delta);
+        }
+        (part.choices?.[0]?.delta?.tool_calls || []).forEach(fragment => {
+          const call = toolCalls[fragment.index] ||= { id: fragment.id, type: 'function', function: { name: '', arguments: '' } };
+          if (fragment.id) call.id = fragment.id;
+          if (fragment.function?.name) call.function.name += fragment.function.name;
+          if (fragment.function?.arguments) call.function.arguments += fragment.function.arguments;
+        });
+        tokenLogprobs.push(...(part.choices?.[0]?.logprobs?.content || []));
+        if (part.usage) usage = part.usage;
+        if (part.model) model = part.model;
+      }
+    }
+
+    return {
+      model,
+      usage,
+      choices: [{
+        message: { role: 'assistant', content, tool_calls: toolCalls.filter(Boolean) },
+        logprobs: body.logprobs ? { content: tokenLogprobs } : null
+      }]
+    };
+  }
+
+  async generateEmbedding(text) {
+    if (!this.embeddingModel) {
+      return null;
+    }
+
+    try {
+      const response = await this.request('post', '/embeddings', {
+        model: this.embeddingModel,
+        input: text
+      });
+
+      return response.data.data?.[0]?.embedding || null;
+    } catch (error) {
+      console.warn('⚠️ Embedding generation failed, continuing without embeddings:', error.message);
+      return null;
+    }
+  }
+
+  async isHealthy() {
+    try {
+      await this.request('get', '/models', undefined, { timeout: 5000 });
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  getContextWindow() {
+    return this.contextWindow;
+  }
+
+  getModelInfo() {
+    return {
+      provider: this.name,
+      model: this.model,
+      embeddingModel: this.embeddingModel,
+      contextWindow: this.contextWindow,
+      baseUrl: this.baseUrl,
+      initialized: this.initialized
+    };
+  }
+
+  async getAvailableModels() {
+    try {
+      const response = await this.request('get', '/models');
+      return (response.data.data || []).map(model => ({
+        name: model.id,
+        owned_by: model.owned_by
+      }));
+    } catch (error) {
+      console.error('❌ Failed to get available models:', error.message);
+      return [];
+    }
+  }
+
+  request(method, path, data = undefined, connection = {}) {
+    const apiKey = connection.apiKey || this.apiKey;
+
+    return axios({
+      method,
+      url: `${stripTrailingSlash(connection.baseUrl || this.baseUrl)}${path}`,
+      data,
+      timeout: connection.timeout || this.timeout,
+      signal: connection.signal,
+      responseType: connection.responseType || 'json',
+      headers: {
+        'Content-Type': 'application/json',
+        ...(apiKey && { Authorization: `Bearer ${apiKey}` })
+      }
+    });
+  }
+}
@@ -0,0 +1,37 @@
+const MAX_MEMORY_RESULTS = 10;
+
+// Tools over the user's long-term memory. The user comes from the call
+// context, never from the model's arguments, so an agent can only look up
+// the memory of the user it is answering.
+export const createMemoryTools = (memoryManager) => [
+  {
+    name: 'memory_lookup',
+    description: "Search the current user's earlier queries and answers for a topic.",
+    parameters: {
+      type: 'object',
+      properties: {
+        query: { type: 'string', description: 'What to look for, e.g. "waterfalls"' },
+        limit: { type: 'integer', description: `Maximum number of entries (up to ${MAX_MEMORY_RESULTS})` }
+      },
+      required: ['query']
+    },
+    handler: async (args, context) => {
+      if (!context.userId) {
+        throw new Error('No user to look up memory for');
+      }
+
+      const limit = Math.min(Math.max(args.limit || 5, 1), MAX_MEMORY_RESULTS);
+      const entries = await memoryManager.searchUserMemory(context.userId, args.query, limit);
+
+      return {
+        total: entries.length,
+        entries: entries.map(entry => ({
+          type: entry.type,
+          content: entry.content,
+          agentName: entry.metadata?.agentName || null,
+          timestamp: entry.timestamp
+        }))
+      };
+    }
+  }
+];
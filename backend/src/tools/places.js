@@ -0,0 +1,63 @@
+import { haversineDistance, roundKm } from '../utils/geo.js';
+import { PLACE_CATEGORIES } from '../services/PlaceService.js';
+
+const MAX_PLACE_RESULTS = 10;
+
+// Tools over the places table (see PlaceService)
+export const createPlaceTools = (placeService) => [
+  {
+    name: 'search_places',
+    description: 'Search the places database for scenic spots, water bodies (rivers, lakes, waterfalls) and parks. Filter by words, category, state, or distance from a point. Results have ids to cite as [place:id].',
+    parameters: {
+      type: 'object',
+      properties: {
+        query: { type: 'string', description: 'Words to match against place names, cities, tags and descriptions, e.g. "waterfall kerala"' },
+        category: { type: 'string', enum: PLACE_CATEGORIES, description: 'Kind of place' },
+        state: { type: 'string', description: 'State the place is in, e.g. "Karnataka"' },
+        latitude: { type: 'number', description: 'Latitude to search around, used with longitude' },
+        longitude: { type: 'number', description: 'Longitude to search around, used with latitude' },
+        radiusKm: { type: 'number', description: 'Only places within this distance of latitude/longitude' },
+        limit: { type: 'integer', description: `Maximum number of places (up to ${MAX_PLACE_RESULTS})` }
+      },
+      required: []
+    },
+    handler: async (args) => {
+      const near = args.latitude !== undefined && args.longitude !== undefined
+        ? { latitude: args.latitude, longitude: args.longitude }
+        : null;
+
+      const places = await placeService.searchPlaces({
+        category: args.category,
+        state: args.state,
+        query: args.query,
+        near,
+        radiusKm: args.radiusKm,
+        limit: Math.min(Math.max(args.limit || 5, 1), MAX_PLACE_RESULTS)
+      });
+
+      return { places };
+    }
+  },
+  {
+    name: 'calculate_distance',
+    description: 'Straight-line distance in kilometres between two locations. A location is a place name, a city, or "latitude,longitude".',
+    parameters: {
+      type: 'object',
+      properties: {
+        from: { type: 'string', description: 'Starting location' },
+        to: { type: 'string', description: 'Destination' }
+      },
+      required: ['from', 'to']
+    },
+    handler: async (args) => {
+      const from = await placeService.resolveLocation(args.from);
+      const to = await placeService.resolveLocation(args.to);
+
+      return {
+        from,
+        to,
+        distanceKm: roundKm(haversineDistance(from, to))
+      };
+    }
+  }
+];
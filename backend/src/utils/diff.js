@@ -0,0 +1,38 @@
+// Line diff for comparing agent prompts between versions
+
+// Lines of `before` and `after` marked as kept (' '), removed ('-') or added
+// ('+'), in order. Uses the longest common subsequence, which is fine for
+// prompts of a few hundred lines.
+export const diffLines = (before, after) => {
+  const a = (before || '').split('\n');
+  const b = (after || '').split('\n');
+
+  // common[i][j]: length of the LCS of a[i..] and b[j..]
+  const common = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      common[i][j] = a[i] === b[j]
+        ? common[i + 1][j + 1] + 1
+        : Math.max(common[i + 1][j], common[i][j + 1]);
+    }
+  }
+
+  const lines = [];
+  let i = 0;
+  let j = 0;
+  while (i < a.length || j < b.length) {
+    if (i < a.length && j < b.length && a[i] === b[j]) {
+      lines.push({ op: ' ', line: a[i] });
+      i++;
+      j++;
+    } else if (i < a.length && (j === b.length || common[i + 1][j] >= common[i][j + 1])) {
+      lines.push({ op: '-', line: a[i] });
+      i++;
+    } else {
+      lines.push({ op: '+', line: b[j] });
+      j++;
+    }
+  }
+
+  return lines;
+};
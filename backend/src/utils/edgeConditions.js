@@ -0,0 +1,462 @@
+// A small expression language for edge rule conditions. Conditions are
+// parsed into a tree and evaluated against a plain context object, so
+// nothing from a rule is ever handed to eval() or can reach code:
+//
+//   location.type === 'water-adjacent'
+//   recreational.features.includes('park') && upstream.confidence >= 0.6
+//   !(query.type == 'historical') || query.text =~ /waterfall|lake/i
+//
+// Grammar, loosest binding first:
+//   expression  := or
+//   or          := and ('||' and)*
+//   and         := not ('&&' not)*
+//   not         := '!' not | comparison
+//   comparison  := postfix (('===' | '!==' | '==' | '!=' | '<' | '<=' | '>' | '>=' | '=~') postfix)?
+//   postfix     := primary ('.' name | '[' expression ']' | '.' method '(' expression ')')*
+//   primary     := name | string | number | regex | true | false | null | '[' list ']' | '(' expression ')'
+//
+// - `==` and `===` both compare strictly, as do `!=` and `!==`
+// - `<`, `<=`, `>`, `>=` compare two numbers or two strings, otherwise false
+// - `a =~ /re/flags` (or a string pattern) tests a string, otherwise false.
+//   Patterns run synchronously on every query, so any that could backtrack
+//   catastrophically are refused (see checkPatternSafety)
+// - Methods: includes (arrays and strings), startsWith, endsWith
+// - Properties are read only from plain data: a missing step gives undefined
+//   and `length` works on arrays and strings; prototype keys are refused
+
+const MAX_CONDITION_LENGTH = 500;
+const MAX_PATTERN_LENGTH = 200;
+const MAX_MATCH_INPUT = 1000;
+const MAX_UNBOUNDED_QUANTIFIERS = 2;
+
+const FORBIDDEN_KEYS = new Set(['__proto__', 'prototype', 'constructor']);
+const METHODS = ['includes', 'startsWith', 'endsWith'];
+const COMPARISON_OPERATORS = ['===', '!==', '==', '!=', '<=', '>=', '<', '>', '=~'];
+const PUNCTUATION = ['&&', '||', '!', '(', ')', '[', ']', '.', ','];
+const KEYWORDS = new Map([['true', true], ['false', false], ['null', null]]);
+
+const NAME_PATTERN = /[A-Za-z_$][\w$]*/y;
+const NUMBER_PATTERN = /-?\d+(?:\.\d+)?/y;
+const REGEX_PATTERN = /\/((?:[^/\\\n]|\\.)+)\/([imsu]*)/y;
+
+const syntaxError = (message, position) => new Error(`${message} at position ${position}`);
+
+// Reads the quantifier starting at pattern[i], if any: its length and
+// whether it can repeat more than once
+const readQuantifier = (pattern, i) => {
+  const char = pattern[i];
+  let length = 0;
+  let repeats = false;
+  let unbounded = false;
+
+  if (char === '*' || char === '+') {
+    length = 1;
+    repeats = true;
+    unbounded = true;
+  } else if (char === '?') {
+    length = 1;
+  } else if (char === '{') {
+    const braces = /^\{(\d+)(,(\d*))?\}/.exec(pattern.slice(i));
+    if (!braces) return null;
+    length = braces[0].length;
+    const max = braces[2] ? (braces[3] === '' ? Infinity : Number(braces[3])) : Number(braces[1]);
+    repeats = max > 1;
+    unbounded = max === Infinity;
+  } else {
+    return null;
+  }
+
+  // A lazy suffix changes the order of attempts, not how many there are
+  if (pattern[i + length] === '?') length++;
+  return { length, repeats, unbounded };
+};
+
+// Refuses the shapes that make a backtracking engine exponential or high
+// polynomial: a repeated group that itself contains a quantifier or an
+// alternation (`(a+)+`, `(a|aa)*`), backreferences, and more than
+// MAX_UNBOUNDED_QUANTIFIERS unbounded quantifiers in one pattern. Returns the
+// reason, or null when the pattern is safe to run.
+const checkPatternSafety = (pattern) => {
+  const groups = [{ ambiguous: false }];
+  let unboundedCount = 0;
+  let i = 0;
+
+  while (i < pattern.length) {
+    const char = pattern[i];
+    let atom = null;
+
+    if (char === '\\') {
+      const next = pattern[i + 1];
+      if (/[1-9]/.test(next) || (next === 'k' && pattern[i + 2] === '<')) {
+        return 'backreferences are not allowed';
+      }
+      atom = { ambiguous: false };
+      i += 2;
+    } else if (char === '[') {
+      let end = i + 1;
+      if (pattern[end] === '^') end++;
+      if (pattern[end] === ']') end++;
+      while (end < pattern.length && pattern[end] !== ']') {
+        end += pattern[end] === '\\' ? 2 : 1;
+      }
+      atom = { ambiguous: false };
+      i = end + 1;
+    } else if (char === '(') {
+      groups.push({ ambiguous: false });
+      const prefix = /^\((\?(?:[:=!]|<[=!]|<[A-Za-z_$][\w$]*>))?/.exec(pattern.slice(i));
+      i += prefix[0].length;
+      continue;
+    } else if (char === ')') {
+      atom = groups.length > 1 ? groups.pop() : { ambiguous: false };
+      i++;
+    } else if (char === '|') {
+      groups[groups.length - 1].ambiguous = true;
+      i++;
+      continue;
+    } else {
+      atom = { ambiguous: false };
+      i++;
+    }
+
+    const quantifier = readQuantifier(pattern, i);
+    if (quantifier) {
+      if (quantifier.repeats && atom.ambiguous) {
+        return 'a repeated group may not contain a quantifier or an alternation';
+      }
+      if (quantifier.unbounded && ++unboundedCount > MAX_UNBOUNDED_QUANTIFIERS) {
+        return `at most ${MAX_UNBOUNDED_QUANTIFIERS} unbounded quantifiers (*, +, {n,}) are allowed`;
+      }
+      groups[groups.length - 1].ambiguous = true;
+      i += quantifier.length;
+    } else if (atom.ambiguous) {
+      groups[groups.length - 1].ambiguous = true;
+    }
+  }
+
+  return null;
+};
+
+const buildRegExp = (pattern, flags, position) => {
+  if (pattern.length > MAX_PATTERN_LENGTH) {
+    throw syntaxError(`Pattern is longer than ${MAX_PATTERN_LENGTH} characters`, position);
+  }
+  const unsafe = checkPatternSafety(pattern);
+  if (unsafe) {
+    throw syntaxError(`Pattern /${pattern}/ could backtrack catastrophically: ${unsafe}`, position);
+  }
+  try {
+    return new RegExp(pattern, flags);
+  } catch (error) {
+    throw syntaxError(`Invalid pattern /${pattern}/`, position);
+  }
+};
+
+const readString = (source, start) => {
+  const quote = source[start];
+  let value = '';
+
+  for (let i = start + 1; i < source.length; i++) {
+    const char = source[i];
+    if (char === '\\' && i + 1 < source.length) {
+      value += source[++i];
+    } else if (char === quote) {
+      return { value, end: i + 1 };
+    } else {
+      value += char;
+    }
+  }
+
+  throw syntaxError('Unterminated string', start);
+};
+
+const matchAt = (pattern, source, position) => {
+  pattern.lastIndex = position;
+  return pattern.exec(source);
+};
+
+export const tokenize = (source) => {
+  const tokens = [];
+  let position = 0;
+
+  while (position < source.length) {
+    const char = source[position];
+
+    if (/\s/.test(char)) {
+      position++;
+      continue;
+    }
+
+    if (char === "'" || char === '"') {
+      const { value, end } = readString(source, position);
+      tokens.push({ type: 'literal', value, position });
+      position = end;
+      continue;
+    }
+
+    // '/' only ever starts a regex; there is no division
+    if (char === '/') {
+      const regex = matchAt(REGEX_PATTERN, source, position);
+      if (!regex) throw syntaxError('Unterminated regex', position);
+      tokens.push({ type: 'literal', value: buildRegExp(regex[1], regex[2], position), position });
+      position += regex[0].length;
+      continue;
+    }
+
+    const number = /[\d-]/.test(char) && matchAt(NUMBER_PATTERN, source, position);
+    if (number) {
+      tokens.push({ type: 'literal', value: Number(number[0]), position });
+      position += number[0].length;
+      continue;
+    }
+
+    const name = matchAt(NAME_PATTERN, source, position);
+    if (name) {
+      const word = name[0];
+      tokens.push(KEYWORDS.has(word)
+        ? { type: 'literal', value: KEYWORDS.get(word), position }
+        : { type: 'name', value: word, position });
+      position += word.length;
+      continue;
+    }
+
+    const operator = [...COMPARISON_OPERATORS, ...PUNCTUATION].find(op => source.startsWith(op, position));
+    if (operator) {
+      tokens.push({ type: 'operator', value: operator, position });
+      position += operator.length;
+      continue;
+    }
+
+    throw syntaxError(`Unexpected character '${char}'`, position);
+  }
+
+  tokens.push({ type: 'end', position });
+  return tokens;
+};
+
+// Recursive descent parser over the tokens; returns the expression tree
+export const parseCondition = (source) => {
+  if (source.length > MAX_CONDITION_LENGTH) {
+    throw new Error(`Condition is longer than ${MAX_CONDITION_LENGTH} characters`);
+  }
+
+  const tokens = tokenize(source);
+  let index = 0;
+
+  const peek = () => tokens[index];
+  const isOperator = (value) => peek().type === 'operator' && peek().value === value;
+  const describe = (token) => (token.type === 'end' ? 'end of condition' : `'${source.slice(token.position).split(/\s/)[0]}'`);
+
+  const expect = (value) => {
+    if (!isOperator(value)) {
+      throw syntaxError(`Expected '${value}' but found ${describe(peek())}`, peek().position);
+    }
+    index++;
+  };
+
+  const binary = (operator, parseOperand) => () => {
+    let node = parseOperand();
+    while (isOperator(operator)) {
+      index++;
+      node = { type: 'logical', operator, left: node, right: parseOperand() };
+    }
+    return node;
+  };
+
+  const parsePrimary = () => {
+    const token = peek();
+
+    if (token.type === 'literal') {
+      index++;
+      return { type: 'literal', value: token.value };
+    }
+    if (token.type === 'name') {
+      index++;
+      return { type: 'identifier', name: token.value };
+    }
+    if (isOperator('(')) {
+      index++;
+      const node = parseExpression();
+      expect(')');
+      return node;
+    }
+    if (isOperator('[')) {
+      index++;
+      const items = [];
+      while (!isOperator(']')) {
+        items.push(parseExpression());
+        if (!isOperator(',')) break;
+        index++;
+      }
+      expect(']');
+      return { type: 'list', items };
+    }
+
+    throw syntaxError(`Unexpected ${describe(token)}`, token.position);
+  };
+
+  const parsePostfix = () => {
+    let node = parsePrimary();
+
+    for (;;) {
+      if (isOperator('.')) {
+        index++;
+        const name = peek();
+        if (name.type !== 'name') {
+          throw syntaxError(`Expected a property name but found ${describe(name)}`, name.position);
+        }
+        index++;
+
+        if (isOperator('(')) {
+          if (!METHODS.includes(name.value)) {
+            throw syntaxError(`Unknown method '${name.value}'`, name.position);
+          }
+          index++;
+          const argument = parseExpression();
+          expect(')');
+          node = { type: 'call', method: name.value, target: node, argument };
+        } else {
+          node = { type: 'member', object: node, property: { type: 'literal', value: name.value } };
+        }
+      } else if (isOperator('[')) {
+        index++;
+        const property = parseExpression();
+        expect(']');
+        node = { type: 'member', object: node, property };
+      } else {
+        return node;
+      }
+    }
+  };
+
+  const parseComparison = () => {
+    const left = parsePostfix();
+    const token = peek();
+    if (token.type === 'operator' && COMPARISON_OPERATORS.includes(token.value)) {
+      index++;
+      const position = peek().position;
+      const right = parsePostfix();
+      // A written string pattern is checked and compiled with the rule,
+      // like a regex literal; patterns read from the context are compiled
+      // (and checked) when the condition is evaluated
+      if (token.value === '=~' && right.type === 'literal' && typeof right.value === 'string') {
+        right.value = buildRegExp(right.value, '', position);
+      }
+      return { type: 'comparison', operator: token.value, left, right };
+    }
+    return left;
+  };
+
+  const parseNot = () => {
+    if (isOperator('!')) {
+      index++;
+      return { type: 'not', operand: parseNot() };
+    }
+    return parseComparison();
+  };
+
+  const parseExpression = binary('||', binary('&&', parseNot));
+
+  const tree = parseExpression();
+  if (peek().type !== 'end') {
+    throw syntaxError(`Unexpected ${describe(peek())}`, peek().position);
+  }
+  return tree;
+};
+
+const isPlainData = (value) => {
+  if (Array.isArray(value)) return true;
+  if (value === null || typeof value !== 'object') return false;
+  const prototype = Object.getPrototypeOf(value);
+  return prototype === Object.prototype || prototype === null;
+};
+
+// Reads one property of plain data. Anything else (functions, class
+// instances, prototype keys) reads as undefined.
+const readProperty = (value, key) => {
+  if (value === null || value === undefined) return undefined;
+  if (typeof key !== 'string' && typeof key !== 'number') return undefined;
+
+  const name = String(key);
+  if (FORBIDDEN_KEYS.has(name)) return undefined;
+  if (name === 'length' && (typeof value === 'string' || Array.isArray(value))) return value.length;
+  if (!isPlainData(value) || !Object.prototype.hasOwnProperty.call(value, name)) return undefined;
+
+  const property = value[name];
+  return typeof property === 'function' ? undefined : property;
+};
+
+const compare = (operator, left, right) => {
+  switch (operator) {
+    case '===':
+    case '==':
+      return left === right;
+    case '!==':
+    case '!=':
+      return left !== right;
+    case '=~': {
+      if (typeof left !== 'string') return false;
+      const pattern = right instanceof RegExp ? right : typeof right === 'string' ? buildRegExp(right, '', 0) : null;
+      if (!pattern) return false;
+      pattern.lastIndex = 0;
+      return pattern.test(left.slice(0, MAX_MATCH_INPUT));
+    }
+    default: {
+      const comparable = (typeof left === 'number' && typeof right === 'number')
+        || (typeof left === 'string' && typeof right === 'string');
+      if (!comparable) return false;
+      if (operator === '<') return left < right;
+      if (operator === '<=') return left <= right;
+      if (operator === '>') return left > right;
+      return left >= right;
+    }
+  }
+};
+
+const callMethod = (method, target, argument) => {
+  if (method === 'includes') {
+    return (Array.isArray(target) || typeof target === 'string') ? target.includes(argument) : false;
+  }
+  if (typeof target !== 'string' || typeof argument !== 'string') return false;
+  return method === 'startsWith' ? target.startsWith(argument) : target.endsWith(argument);
+};
+
+export const evaluateCondition = (node, context) => {
+  switch (node.type) {
+    case 'literal':
+      return node.value;
+    case 'identifier':
+      return readProperty(context, node.name);
+    case 'list':
+      return node.items.map(item => evaluateCondition(item, context));
+    case 'member':
+      return readProperty(evaluateCondition(node.object, context), evaluateCondition(node.property, context));
+    case 'call':
+      return callMethod(node.method, evaluateCondition(node.target, context), evaluateCondition(node.argument, context));
+    case 'not':
+      return !evaluateCondition(node.operand, context);
+    case 'logical': {
+      const left = evaluateCondition(node.left, context);
+      if (node.operator === '&&') return Boolean(left) && Boolean(evaluateCondition(node.right, context));
+      return Boolean(left) || Boolean(evaluateCondition(node.right, context));
+    }
+    case 'comparison':
+      return compare(node.operator, evaluateCondition(node.left, context), evaluateCondition(node.right, context));
+    default:
+      throw new Error(`Unknown expression node: ${node.type}`);
+  }
+};
+
+export const resolvePath = (context, path) => {
+  return path.split('.').reduce((value, key) => readProperty(value, key), context);
+};
+
+// Parses the condition once and returns a predicate over a context. An empty
+// condition always holds. Throws with the position of the first syntax error.
+export const compileCondition = (condition) => {
+  if (condition === undefined || condition === null || String(condition).trim() === '') {
+    return () => true;
+  }
+
+  const tree = parseCondition(String(condition).trim());
+  return (context) => Boolean(evaluateCondition(tree, context));
+};
@@ -0,0 +1,47 @@
+// Geographic helpers for the places subsystem
+
+const EARTH_RADIUS_KM = 6371;
+const KM_PER_DEGREE_LATITUDE = 111.32;
+const COORDINATES_PATTERN = /^\s*(-?\d+(?:\.\d+)?)\s*,\s*(-?\d+(?:\.\d+)?)\s*$/;
+
+const toRadians = (degrees) => degrees * Math.PI / 180;
+
+// Great-circle distance between two { latitude, longitude } points in kilometres
+export const haversineDistance = (from, to) => {
+  const dLat = toRadians(to.latitude - from.latitude);
+  const dLon = toRadians(to.longitude - from.longitude);
+  const a = Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRadians(from.latitude)) * Math.cos(toRadians(to.latitude)) * Math.sin(dLon / 2) ** 2;
+
+  return 2 * EARTH_RADIUS_KM * Math.asin(Math.sqrt(a));
+};
+
+// Box around a point that contains every point within radiusKm. Cheap to
+// query with indexes; the exact distance is checked afterwards.
+export const boundingBox = (center, radiusKm) => {
+  const latDelta = radiusKm / KM_PER_DEGREE_LATITUDE;
+  const lonDelta = radiusKm / (KM_PER_DEGREE_LATITUDE * Math.max(Math.cos(toRadians(center.latitude)), 0.01));
+
+  return {
+    minLatitude: center.latitude - latDelta,
+    maxLatitude: center.latitude + latDelta,
+    minLongitude: center.longitude - lonDelta,
+    maxLongitude: center.longitude + lonDelta
+  };
+};
+
+// "latitude,longitude" → { latitude, longitude }, or null
+export const parseCoordinates = (text) => {
+  const match = String(text).match(COORDINATES_PATTERN);
+  if (!match) return null;
+
+  const latitude = parseFloat(match[1]);
+  const longitude = parseFloat(match[2]);
+  return isValidCoordinate(latitude, longitude) ? { latitude, longitude } : null;
+};
+
+export const isValidCoordinate = (latitude, longitude) =>
+  Number.isFinite(latitude) && Number.isFinite(longitude) &&
+  Math.abs(latitude) <= 90 && Math.abs(longitude) <= 180;
+
+export const roundKm = (km) => Math.round(km * 10) / 10;
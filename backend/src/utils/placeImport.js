@@ -0,0 +1,113 @@
+// Parsers for place (POI) files. Both produce records in the shape
+// PlaceService.importPlaces takes:
+//   { id, name, category, latitude, longitude, city, state, tags,
+//     description, openingHours, entryFee }
+// Validation happens on import so each bad record can be reported.
+
+// Tags are a list, or one string separated by commas, semicolons or pipes
+const parseTags = (value) => {
+  if (Array.isArray(value)) return value.map(String).map(tag => tag.trim()).filter(Boolean);
+  if (!value) return [];
+  return String(value).split(/[,;|]/).map(tag => tag.trim()).filter(Boolean);
+};
+
+const pick = (source, ...keys) => {
+  const key = keys.find(k => source[k] !== undefined && source[k] !== '');
+  return key === undefined ? null : source[key];
+};
+
+const toRecord = (properties, latitude, longitude) => ({
+  id: pick(properties, 'id', 'place_id', 'placeId'),
+  name: pick(properties, 'name', 'title'),
+  category: pick(properties, 'category', 'type', 'kind'),
+  latitude,
+  longitude,
+  city: pick(properties, 'city', 'town'),
+  state: pick(properties, 'state', 'region'),
+  tags: parseTags(pick(properties, 'tags')),
+  description: pick(properties, 'description', 'summary'),
+  openingHours: pick(properties, 'opening_hours', 'openingHours', 'hours'),
+  entryFee: pick(properties, 'entry_fee', 'entryFee', 'fee')
+});
+
+// FeatureCollection of Point features; coordinates are [longitude, latitude]
+export const parseGeoJSON = (text) => {
+  const document = typeof text === 'string' ? JSON.parse(text) : text;
+  const features = document.type === 'FeatureCollection' ? document.features : [document];
+
+  return (features || []).map(feature => {
+    const isPoint = feature?.geometry?.type === 'Point';
+    const [longitude, latitude] = isPoint ? feature.geometry.coordinates : [NaN, NaN];
+    return toRecord(feature?.properties || {}, latitude, longitude);
+  });
+};
+
+// RFC 4180 rows: quoted fields may contain commas, quotes ("") and newlines
+const parseRows = (text) => {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return rows.filter(r => r.some(value => value.trim() !== ''));
+};
+
+// CSV with a header row. Coordinates come from latitude/longitude (or
+// lat/lon/lng) columns; other columns are matched by name like GeoJSON properties.
+export const parseCSV = (text) => {
+  const [header, ...rows] = parseRows(text);
+  if (!header) return [];
+
+  const columns = header.map(name => name.trim().toLowerCase());
+
+  return rows.map(values => {
+    const properties = Object.fromEntries(columns.map((name, i) => [name, (values[i] ?? '').trim()]));
+    return toRecord(
+      properties,
+      parseFloat(pick(properties, 'latitude', 'lat')),
+      parseFloat(pick(properties, 'longitude', 'lon', 'lng'))
+    );
+  });
+};
+
+// format: 'geojson' | 'csv'; guessed from the file name when omitted
+export const parsePlaceFile = (text, { format, fileName = '' } = {}) => {
+  const resolved = format || (/\.csv$/i.test(fileName) ? 'csv' : 'geojson');
+
+  if (resolved === 'csv') return parseCSV(text);
+  if (resolved === 'geojson' || resolved === 'json') return parseGeoJSON(text);
+  throw new Error(`Unsupported place file format: ${resolved}`);
+};
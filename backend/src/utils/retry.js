@@ -0,0 +1,41 @@
+// Timeout and retry helpers for agent execution
+
+export class TimeoutError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'TimeoutError';
+  }
+}
+
+// Errors worth retrying: timeouts, dropped connections and overloaded servers.
+// Anything else (bad prompts, missing models) fails the same way again.
+const TRANSIENT_PATTERN = /timed out|timeout|ECONNRESET|ECONNREFUSED|EPIPE|ETIMEDOUT|socket hang up|fetch failed|network|\b(429|502|503|504)\b|overloaded|temporarily/i;
+
+export const isTransientError = (error) => {
+  if (!error) return false;
+  if (error instanceof TimeoutError) return true;
+  return TRANSIENT_PATTERN.test(typeof error === 'string' ? error : error.message || '');
+};
+
+// Rejects with a TimeoutError if the promise has not settled after timeoutMs.
+// The underlying call keeps running; its result is ignored.
+export const withTimeout = (promise, timeoutMs, message = `Timed out after ${timeoutMs}ms`) => {
+  if (!timeoutMs || timeoutMs <= 0) {
+    return promise;
+  }
+
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => reject(new TimeoutError(message)), timeoutMs);
+  });
+
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+};
+
+// Exponential backoff with jitter: base, 2 × base, 4 × base ... capped at maxDelayMs
+export const backoffDelay = (attempt, baseDelayMs, maxDelayMs) => {
+  const delay = Math.min(baseDelayMs * 2 ** attempt, maxDelayMs);
+  return Math.round(delay / 2 + Math.random() * delay / 2);
+};
+
+export const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
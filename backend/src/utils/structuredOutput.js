@@ -0,0 +1,109 @@
+// JSON payloads agents produce alongside their prose answer. The schema is
+// sent to the provider as the response format (Ollama `format`, OpenAI
+// `response_format`) and the reply is checked against it here, since models
+// do not always honour it.
+
+export const PLACES_OUTPUT_SCHEMA = {
+  type: 'object',
+  properties: {
+    places: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          name: { type: 'string' },
+          location: { type: 'string' },
+          category: { type: 'string' },
+          best_time: { type: 'string' },
+          fees: { type: 'string' }
+        },
+        required: ['name', 'location', 'category', 'best_time', 'fees']
+      }
+    }
+  },
+  required: ['places']
+};
+
+// Values a model uses for a field it could not fill
+const EMPTY_VALUES = new Set(['', 'unknown', 'not listed', 'n/a', 'none', 'null']);
+
+const TYPE_CHECKS = {
+  string: (value) => typeof value === 'string',
+  number: (value) => typeof value === 'number' && Number.isFinite(value),
+  integer: (value) => Number.isInteger(value),
+  boolean: (value) => typeof value === 'boolean',
+  array: (value) => Array.isArray(value),
+  object: (value) => value !== null && typeof value === 'object' && !Array.isArray(value),
+  null: (value) => value === null
+};
+
+// Checks a value against the subset of JSON schema the output schemas use:
+// type (or a list of types), required, properties, items and enum. Returns
+// the problems found, each prefixed with where it was found.
+export const validateJsonSchema = (schema, value, path = 'output') => {
+  const types = [].concat(schema.type || []);
+  if (types.length > 0 && !types.some(type => TYPE_CHECKS[type]?.(value))) {
+    return [`${path} must be ${types.join(' or ')}`];
+  }
+  if (schema.enum && !schema.enum.includes(value)) {
+    return [`${path} must be one of: ${schema.enum.join(', ')}`];
+  }
+
+  const errors = [];
+
+  if (TYPE_CHECKS.object(value)) {
+    (schema.required || [])
+      .filter(name => value[name] === undefined)
+      .forEach(name => errors.push(`${path}.${name} is required`));
+
+    for (const [name, property] of Object.entries(schema.properties || {})) {
+      if (value[name] !== undefined) {
+        errors.push(...validateJsonSchema(property, value[name], `${path}.${name}`));
+      }
+    }
+  }
+
+  if (Array.isArray(value) && schema.items) {
+    value.forEach((item, index) => errors.push(...validateJsonSchema(schema.items, item, `${path}[${index}]`)));
+  }
+
+  return errors;
+};
+
+// The JSON object in a model reply, which may be wrapped in a code fence or
+// surrounded by text. Throws when there is none.
+export const parseJsonContent = (content) => {
+  const text = String(content || '').replace(/```(?:json)?/gi, '');
+  const start = text.indexOf('{');
+  const end = text.lastIndexOf('}');
+  if (start === -1 || end < start) {
+    throw new Error('output is not a JSON object');
+  }
+
+  try {
+    return JSON.parse(text.slice(start, end + 1));
+  } catch (error) {
+    throw new Error(`output is not valid JSON: ${error.message}`);
+  }
+};
+
+// Share of the fields the schema declares for each entry of its first array
+// property that hold a real value, between 0 and 1. A payload without entries
+// scores 0.
+export const fieldCompleteness = (schema, value) => {
+  const [listName, listSchema] = Object.entries(schema.properties || {})
+    .find(([, property]) => property.type === 'array' && property.items?.properties) || [];
+  const entries = listName && Array.isArray(value?.[listName]) ? value[listName] : [];
+  if (entries.length === 0) {
+    return 0;
+  }
+
+  const fields = Object.keys(listSchema.items.properties);
+  const filled = entries.reduce((count, entry) => count + fields.filter(field => {
+    const fieldValue = entry?.[field];
+    if (fieldValue === undefined || fieldValue === null) return false;
+    return !EMPTY_VALUES.has(String(fieldValue).trim().toLowerCase());
+  }).length, 0);
+
+  return filled / (entries.length * fields.length);
+};
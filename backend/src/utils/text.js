@@ -0,0 +1,21 @@
+// Keyword extraction shared by memory search and place retrieval
+
+// Words that match almost everything in keyword search
+const STOP_WORDS = new Set([
+  'the', 'and', 'for', 'are', 'but', 'not', 'you', 'all', 'any', 'can', 'had', 'her', 'was',
+  'one', 'our', 'out', 'has', 'him', 'his', 'how', 'its', 'may', 'new', 'now', 'see', 'who',
+  'did', 'get', 'let', 'say', 'she', 'too', 'use', 'way', 'what', 'when', 'where', 'which',
+  'with', 'this', 'that', 'from', 'have', 'there', 'their', 'them', 'then', 'they', 'some',
+  'show', 'tell', 'about', 'near', 'like', 'want', 'would', 'could', 'should', 'me', 'my'
+]);
+
+export const extractKeywords = (text) => text
+  .toLowerCase()
+  .split(/[^a-z0-9]+/)
+  .filter(word => word.length > 2 && !STOP_WORDS.has(word));
+
+// Whether text contains one of the terms as a whole word, plurals included,
+// so 'sea' does not match "search" nor 'dam' "Amsterdam"
+export const containsAnyTerm = (text, terms) => terms.some(term => (
+  new RegExp(`\\b${term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}(?:s|es)?\\b`, 'i').test(text)
+));
@@ -0,0 +1,40 @@
+// Token budgeting for prompts
+
+// Rough estimate of about four characters per token. Good enough to keep
+// history within a budget without shipping a tokenizer per model.
+export const estimateTokens = (text) => Math.ceil((text || '').length / 4);
+
+export const truncateToTokens = (text, maxTokens) => {
+  const maxChars = Math.max(0, maxTokens) * 4;
+  return text.length <= maxChars ? text : `${text.slice(0, Math.max(0, maxChars - 3))}...`;
+};
+
+// Keeps the most recent turns that fit in maxTokens. A turn is a list of chat
+// messages kept or dropped as a whole, so an answer never loses its question.
+// If even the latest turn is too long, its last message is truncated.
+export const fitTurnsToBudget = (turns, maxTokens) => {
+  const kept = [];
+  let used = 0;
+
+  for (let i = turns.length - 1; i >= 0; i--) {
+    const turn = turns[i];
+    const cost = turn.reduce((sum, message) => sum + estimateTokens(message.content), 0);
+
+    if (used + cost <= maxTokens) {
+      kept.unshift(turn);
+      used += cost;
+      continue;
+    }
+
+    if (kept.length === 0) {
+      const last = turn[turn.length - 1];
+      const remaining = maxTokens - (cost - estimateTokens(last.content));
+      if (remaining > 0) {
+        kept.unshift([...turn.slice(0, -1), { ...last, content: truncateToTokens(last.content, remaining) }]);
+      }
+    }
+    break;
+  }
+
+  return kept.flat();
+};
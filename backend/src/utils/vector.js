@@ -0,0 +1,34 @@
+export const cosineSimilarity = (a, b) => {
+  if (!Array.isArray(a) || !Array.isArray(b) || a.length === 0 || a.length !== b.length) {
+    return 0;
+  }
+
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+
+  for (let i = 0; i < a.length; i++) {
+    dot += a[i] * b[i];
+    normA += a[i] * a[i];
+    normB += b[i] * b[i];
+  }
+
+  if (normA === 0 || normB === 0) {
+    return 0;
+  }
+
+  return dot / (Math.sqrt(normA) * Math.sqrt(normB));
+};
+
+// mysql2 returns JSON columns either parsed or as a string depending on the
+// server version, so accept both
+export const parseVector = (value) => {
+  if (!value) return null;
+
+  try {
+    const vector = typeof value === 'string' ? JSON.parse(value) : value;
+    return Array.isArray(vector) && vector.length > 0 ? vector : null;
+  } catch (error) {
+    return null;
+  }
+};
@@ -0,0 +1,413 @@
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { createTestServices, createTestUser } from './helpers/createTestServices.js';
+import { OllamaService } from '../src/services/OllamaService.js';
+import { OpenAICompatibleProvider } from '../src/services/providers/OpenAICompatibleProvider.js';
+import { QueryRouter } from '../src/services/QueryRouter.js';
+import { LLMService } from '../src/services/LLMService.js';
+import { DEFAULT_PLUGIN_DIR } from '../src/services/AgentPluginLoader.js';
+
+const PLUGIN_DIR = path.resolve('tests/fixtures/agent-plugins');
+
+const classification = (scores) => JSON.stringify({
+  agents: Object.entries(scores).map(([id, score]) => ({ id, score }))
+});
+
+describe('AgentManager.routeQuery', () => {
+  test('loads the default agents into the database', async () => {
+    const { agentManager, mysql } = await createTestServices();
+
+    expect(agentManager.getActiveAgents().map(agent => agent.id)).toEqual([
+      'scenic-agent', 'river-agent', 'park-agent', 'search-agent'
+    ]);
+    expect(mysql.rows('agents')).toHaveLength(4);
+  });
+
+  test('keyword mode selects agents with matching keywords plus the search agent', async () => {
+    const { agentManager } = await createTestServices();
+
+    const { relevantAgents, routing } = await agentManager.routeQuery('Is there a park with a playground?');
+
+    expect(relevantAgents.map(ra => ra.agent.id)).toEqual(['park-agent', 'search-agent']);
+    expect(routing.mode).toBe('keyword');
+    expect(routing.scores['river-agent'].score).toBe(0);
+  });
+
+  test('falls back to the first agent when nothing matches', async () => {
+    const { agentManager } = await createTestServices();
+    agentManager.agents.delete('search-agent');
+
+    const { relevantAgents } = await agentManager.routeQuery('qwertyuiop');
+
+    expect(relevantAgents.map(ra => ra.agent.id)).toEqual(['scenic-agent']);
+  });
+
+  test('classifier mode routes by the model scores', async () => {
+    const { agentManager, mock } = await createTestServices({ routerMode: 'classifier' });
+    mock.addResponse('You are a query router', classification({
+      'river-agent': 0.9,
+      'park-agent': 0.2,
+      'scenic-agent': 0.1,
+      'search-agent': 0
+    }));
+
+    const { relevantAgents, routing } = await agentManager.routeQuery('Where can I kayak this weekend?');
+
+    expect(relevantAgents[0].agent.id).toBe('river-agent');
+    expect(relevantAgents.map(ra => ra.agent.id)).not.toContain('park-agent');
+    expect(routing.effectiveMode).toBe('classifier');
+    expect(routing.scores['river-agent']).toEqual({ keyword: 0, classifier: 0.9, score: 0.9 });
+  });
+
+  test('hybrid mode blends keyword and classifier scores', async () => {
+    const { agentManager, mock } = await createTestServices({ routerMode: 'hybrid' });
+    mock.addResponse('You are a query router', classification({ 'river-agent': 1, 'park-agent': 0.5 }));
+
+    const { routing } = await agentManager.routeQuery('river trip', { threshold: 0.5 });
+
+    const river = routing.scores['river-agent'];
+    expect(river.keyword).toBeGreaterThan(0);
+    expect(river.score).toBeCloseTo(0.6 * 1 + 0.4 * river.keyword);
+    // 0.6 * 0.5 + 0.4 * 0
+    expect(routing.scores['park-agent'].score).toBe(0.3);
+    expect(routing.selectedAgents).toContain('river-agent');
+    expect(routing.selectedAgents).not.toContain('park-agent');
+  });
+
+  test('falls back to keyword routing when the classifier fails', async () => {
+    const { agentManager, mock } = await createTestServices({ routerMode: 'classifier' });
+    mock.failNext(1, 'timeout', 'You are a query router');
+
+    const { relevantAgents, routing } = await agentManager.routeQuery('fishing on the lake');
+
+    expect(routing.fallback).toBe(true);
+    expect(routing.effectiveMode).toBe('keyword');
+    expect(relevantAgents.map(ra => ra.agent.id)).toContain('river-agent');
+  });
+
+  test('per-query options override the configured mode', async () => {
+    const { agentManager, mock } = await createTestServices();
+    mock.addResponse('You are a query router', classification({ 'scenic-agent': 0.95 }));
+
+    const { routing } = await agentManager.routeQuery('somewhere nice', { mode: 'classifier' });
+
+    expect(routing.mode).toBe('classifier');
+    expect(routing.selectedAgents[0]).toBe('scenic-agent');
+  });
+
+  test('a threshold, weight or feedback penalty of 0 configured in the environment is kept', () => {
+    process.env.ROUTER_THRESHOLD = '0';
+    process.env.ROUTER_CLASSIFIER_WEIGHT = '0';
+    process.env.ROUTER_FEEDBACK_PENALTY = '0';
+    try {
+      const router = new QueryRouter(null);
+      expect(router.threshold).toBe(0);
+      expect(router.classifierWeight).toBe(0);
+      expect(router.feedbackPenalty).toBe(0);
+    } finally {
+      delete process.env.ROUTER_THRESHOLD;
+      delete process.env.ROUTER_CLASSIFIER_WEIGHT;
+      delete process.env.ROUTER_FEEDBACK_PENALTY;
+    }
+
+    expect(new QueryRouter(null).threshold).toBe(0.5);
+  });
+
+  test('down-weights agents the user consistently rates poorly', async () => {
+    const { agentManager, memoryManager } = await createTestServices();
+    const feedback = {
+      'park-agent': { count: 4, satisfaction: 0.1 },
+      'river-agent': { count: 2, satisfaction: 0 }
+    };
+    memoryManager.getUserAgentFeedback = async (userId) => (userId === 'user-1' ? feedback : {});
+
+    const { routing } = await agentManager.routeQuery('park or river with a playground?', { userId: 'user-1' });
+
+    // 1 - 0.5 * (1 - 2 * 0.1)
+    expect(routing.scores['park-agent'].feedbackWeight).toBe(0.6);
+    expect(routing.selectedAgents).not.toContain('park-agent');
+    // Too few ratings to count
+    expect(routing.scores['river-agent'].feedbackWeight).toBeUndefined();
+    expect(routing.selectedAgents).toContain('river-agent');
+
+    const other = await agentManager.routeQuery('park or river with a playground?', { userId: 'user-2' });
+    expect(other.routing.selectedAgents).toContain('park-agent');
+  });
+});
+
+describe('AgentManager agent types', () => {
+  test('looks for plugins next to the backend sources, not in the working directory', () => {
+    expect(DEFAULT_PLUGIN_DIR).toBe(fileURLToPath(new URL('../plugins/agents', import.meta.url)));
+  });
+
+  test('registers valid plugins and skips the rest', async () => {
+    const { agentManager } = await createTestServices({ pluginDir: PLUGIN_DIR });
+
+    const types = agentManager.getAgentTypes();
+    expect(types.find(t => t.type === 'food')).toEqual({ type: 'food', builtin: false, source: 'FoodAgent.js' });
+    expect(types.map(t => t.type)).not.toContain('broken');
+    expect(agentManager.agentClasses.river.name).toBe('RiverAgent');
+  });
+
+  test('creates and runs agents of a plugin type', async () => {
+    const { agentManager, mock } = await createTestServices({ pluginDir: PLUGIN_DIR });
+    mock.addResponse('You are the Food Agent', 'Try the masala dosa at the corner cafe.');
+
+    const agentId = await agentManager.createAgent({ name: 'Food Agent', type: 'food', keywords: ['food', 'eat'] });
+    const { relevantAgents } = await agentManager.routeQuery('Where should we eat tonight?');
+
+    expect(relevantAgents.map(ra => ra.agent.id)).toContain(agentId);
+    const response = await agentManager.getAgent(agentId).execute('Where should we eat tonight?', null, null);
+    expect(response.response).toBe('Try the masala dosa at the corner cafe.');
+  });
+
+  test('prompt agents are defined by their configuration alone', async () => {
+    const { agentManager, mock } = await createTestServices();
+    mock.addResponse('You are a heritage guide', 'The old fort dates back to 1640.');
+
+    const agentId = await agentManager.createAgent({
+      name: 'Heritage Agent',
+      type: 'prompt',
+      systemPrompt: 'You are a heritage guide for historic sites.',
+      keywords: ['heritage', 'fort', 'temple']
+    });
+
+    const response = await agentManager.getAgent(agentId).execute('Tell me about the fort', null, null);
+    expect(response.response).toBe('The old fort dates back to 1640.');
+
+    await expect(agentManager.createAgent({ name: 'Empty', type: 'prompt' })).rejects.toThrow(/systemPrompt or a description/);
+  });
+
+  test('rejects agents of unknown types', async () => {
+    const { agentManager } = await createTestServices();
+
+    await expect(agentManager.createAgent({ name: 'Food Agent', type: 'food' })).rejects.toThrow('Unsupported agent type: food');
+  });
+});
+
+describe('AgentManager versions', () => {
+  test('records a version for every change and restores an earlier one', async () => {
+    const { agentManager, mysql } = await createTestServices();
+    const editor = createTestUser(mysql);
+    const original = agentManager.getAgent('river-agent').systemPrompt;
+
+    await agentManager.updateAgent('river-agent', { systemPrompt: 'You are the River Agent.\nOnly talk about dams.' }, editor.id);
+
+    const versions = await agentManager.listVersions('river-agent');
+    expect(versions.map(v => [v.version, v.changeType, v.current])).toEqual([[2, 'update', true], [1, 'create', false]]);
+    expect(versions[0]).toMatchObject({ createdBy: editor.id, systemPrompt: 'You are the River Agent.\nOnly talk about dams.' });
+    expect(versions[1].systemPrompt).toBeNull();
+    expect(agentManager.getAgent('river-agent').versionId).toBe(versions[0].id);
+
+    const restored = await agentManager.rollbackAgent('river-agent', 1, editor.id);
+
+    expect(restored).toMatchObject({ version: 3, changeType: 'rollback', sourceVersion: 1, systemPrompt: null });
+    expect(agentManager.getAgent('river-agent').systemPrompt).toBe(original);
+    expect(agentManager.getAgent('river-agent').versionId).toBe(restored.id);
+    expect(await agentManager.rollbackAgent('river-agent', 9)).toBeNull();
+  });
+
+  test('updates that change nothing record no version, and unknown agents are not updated', async () => {
+    const { agentManager, mysql } = await createTestServices();
+    const { name, priority } = agentManager.getAgent('river-agent');
+
+    expect(await agentManager.updateAgent('river-agent', { name, priority })).toBe(true);
+    expect((await agentManager.listVersions('river-agent')).map(v => v.version)).toEqual([1]);
+
+    expect(await agentManager.updateAgent('atlantis-agent', { priority: 2 })).toBe(false);
+    expect(mysql.rows('agent_versions').filter(row => row.agent_id === 'atlantis-agent')).toHaveLength(0);
+  });
+
+  test('concurrent edits each get their own version and the last one is current', async () => {
+    const { agentManager, mysql } = await createTestServices();
+
+    await Promise.all([
+      agentManager.updateAgent('river-agent', { systemPrompt: 'You are the River Agent. Edit A.' }),
+      agentManager.updateAgent('river-agent', { systemPrompt: 'You are the River Agent. Edit B.' }),
+      agentManager.rollbackAgent('river-agent', 1)
+    ]);
+
+    const versions = await agentManager.listVersions('river-agent');
+    expect(versions.map(v => [v.version, v.changeType, v.systemPrompt])).toEqual([
+      [4, 'rollback', null],
+      [3, 'update', 'You are the River Agent. Edit B.'],
+      [2, 'update', 'You are the River Agent. Edit A.'],
+      [1, 'create', null]
+    ]);
+    expect(versions[0].current).toBe(true);
+    expect(mysql.rows('agents').find(row => row.id === 'river-agent').system_prompt).toBeNull();
+    expect(agentManager.getAgent('river-agent').versionId).toBe(versions[0].id);
+  });
+
+  test('retries a version number another server took in the meantime', async () => {
+    const { agentManager, mysql } = await createTestServices();
+    const execute = mysql.execute.bind(mysql);
+    let raced = false;
+    mysql.execute = async (sql, params) => {
+      if (!raced && sql.startsWith('INSERT INTO agent_versions')) {
+        raced = true;
+        await execute(sql, ['version-from-elsewhere', ...params.slice(1)]);
+      }
+      return execute(sql, params);
+    };
+
+    await agentManager.updateAgent('park-agent', { priority: 5 });
+
+    expect((await agentManager.listVersions('park-agent')).map(v => [v.version, v.current])).toEqual([[3, true], [2, false], [1, false]]);
+  });
+
+  test('diffs two versions field by field with a line diff for prompts', async () => {
+    const { agentManager } = await createTestServices();
+    await agentManager.updateAgent('park-agent', { systemPrompt: 'You are the Park Agent.\nMention opening hours.' });
+    await agentManager.updateAgent('park-agent', { systemPrompt: 'You are the Park Agent.\nMention entry fees.', priority: 5 });
+
+    const diff = await agentManager.diffVersions('park-agent', 2, 3);
+
+    expect(diff.changes.map(change => change.field)).toEqual(['systemPrompt', 'priority']);
+    expect(diff.changes[0].lines).toEqual([
+      { op: ' ', line: 'You are the Park Agent.' },
+      { op: '-', line: 'Mention opening hours.' },
+      { op: '+', line: 'Mention entry fees.' }
+    ]);
+    expect(diff.changes[1]).toEqual({ field: 'priority', from: 3, to: 5 });
+    expect(await agentManager.diffVersions('park-agent', 1, 7)).toBeNull();
+  });
+
+  test('redacts secrets in versions and diffs but rolls back to the stored values', async () => {
+    const { agentManager, mysql } = await createTestServices();
+    await agentManager.updateAgent('park-agent', { priority: 5 });
+    const setConfig = (version, modelConfig) => mysql.execute(
+      'UPDATE agent_versions SET model_config = ? WHERE agent_id = ? AND version = ?',
+      [JSON.stringify(modelConfig), 'park-agent', version]
+    );
+    await setConfig(1, { max_tokens: 500, apiKey: 'sk-old', headers: { Authorization: 'Bearer old' } });
+    await setConfig(2, { max_tokens: 500, apiKey: 'sk-new', headers: { Authorization: 'Bearer old' } });
+
+    const versions = await agentManager.listVersions('park-agent');
+    expect(versions[1].modelConfig).toEqual({ max_tokens: 500, apiKey: '[redacted]', headers: { Authorization: '[redacted]' } });
+
+    const diff = await agentManager.diffVersions('park-agent', 1, 2);
+    expect(diff.changes.find(change => change.field === 'modelConfig')).toEqual({
+      field: 'modelConfig',
+      from: { max_tokens: 500, apiKey: '[redacted]', headers: { Authorization: '[redacted]' } },
+      to: { max_tokens: 500, apiKey: '[redacted]', headers: { Authorization: '[redacted]' } }
+    });
+    expect(JSON.stringify(diff)).not.toContain('sk-');
+
+    const restored = await agentManager.rollbackAgent('park-agent', 1);
+    expect(restored.modelConfig.apiKey).toBe('[redacted]');
+    expect(JSON.parse(mysql.rows('agents').find(row => row.id === 'park-agent').model_config).apiKey).toBe('sk-old');
+  });
+
+  test('gives agents stored before versioning a first version', async () => {
+    const { agentManager, mysql } = await createTestServices();
+    await mysql.execute('DELETE FROM agent_versions WHERE agent_id = ?', ['scenic-agent']);
+    await mysql.execute('UPDATE agents SET version_id = NULL WHERE id = ?', ['scenic-agent']);
+
+    await agentManager.backfillVersions();
+
+    const versions = await agentManager.listVersions('scenic-agent');
+    expect(versions.map(v => [v.version, v.current])).toEqual([[1, true]]);
+  });
+
+  test('interactions record the agent version that answered', async () => {
+    const { agentManager, orchestrator, mysql } = await createTestServices();
+    const user = createTestUser(mysql);
+    const before = agentManager.getAgent('river-agent').versionId;
+
+    await orchestrator.processQuery('river fishing', user.id, 'session-1');
+    await agentManager.updateAgent('river-agent', { systemPrompt: 'You are the River Agent. Be brief.' });
+    await orchestrator.processQuery('river kayaking', user.id, 'session-1');
+
+    const versionIds = mysql.rows('agent_interactions')
+      .filter(row => row.agent_id === 'river-agent')
+      .map(row => row.agent_version_id);
+    expect(versionIds).toEqual([before, agentManager.getAgent('river-agent').versionId]);
+    expect(versionIds[0]).not.toBe(versionIds[1]);
+
+    const version = await agentManager.getVersion('river-agent', versionIds[0]);
+    expect(version.version).toBe(1);
+  });
+});
+
+describe('AgentManager models', () => {
+  // Ollama provider over a fake client with no models installed
+  const ollamaWithoutModels = () => {
+    const ollama = new OllamaService();
+    const pulls = [];
+    ollama.ollama = {
+      list: async () => ({ models: [] }),
+      pull: async (request) => { pulls.push(request.model); }
+    };
+    return { ollama, pulls };
+  };
+
+  test('agents saved through the API check their model without pulling it', async () => {
+    const { agentManager, llmService } = await createTestServices();
+    const { ollama, pulls } = ollamaWithoutModels();
+    llmService.registerProvider('ollama', ollama);
+
+    await agentManager.updateAgent('river-agent', { modelConfig: { provider: 'ollama', model: 'huge-model:70b' } });
+
+    expect(pulls).toEqual([]);
+    expect(agentManager.modelStatus.get('river-agent')).toMatchObject({
+      available: false,
+      pulled: false,
+      error: 'Model huge-model:70b is not installed (run: ollama pull huge-model:70b)'
+    });
+  });
+
+  test('agents can only use registered providers, and the mock one only under test', async () => {
+    const { agentManager } = await createTestServices();
+    await expect(agentManager.updateAgent('river-agent', { modelConfig: { provider: 'canned' } }))
+      .rejects.toThrow('Unknown LLM provider: canned');
+
+    const saved = { NODE_ENV: process.env.NODE_ENV, LLM_PROVIDER: process.env.LLM_PROVIDER, EMBEDDING_PROVIDER: process.env.EMBEDDING_PROVIDER };
+    Object.assign(process.env, { NODE_ENV: 'production', LLM_PROVIDER: 'ollama', EMBEDDING_PROVIDER: 'ollama' });
+    try {
+      expect(LLMService.createDefault().hasProvider('mock')).toBe(false);
+      process.env.LLM_PROVIDER = 'mock';
+      expect(LLMService.createDefault().hasProvider('mock')).toBe(true);
+    } finally {
+      Object.assign(process.env, saved);
+    }
+  });
+
+  test('OpenAI-compatible agents pick a configured endpoint by name, never a URL', async () => {
+    const { agentManager, llmService } = await createTestServices();
+    const openai = new OpenAICompatibleProvider({ endpoints: { 'gpu-box': { baseUrl: 'http://gpu-box:8000/v1', apiKey: 'secret' } } });
+    const connections = [];
+    openai.request = async (method, requestPath, body, connection) => {
+      if (requestPath === '/chat/completions') connections.push(connection);
+      return { data: { data: [], choices: [{ message: { content: 'Hello.' } }] } };
+    };
+    llmService.registerProvider('openai', openai);
+
+    await expect(agentManager.updateAgent('river-agent', { modelConfig: { provider: 'openai', baseUrl: 'http://10.0.0.1' } }))
+      .rejects.toThrow('modelConfig.baseUrl is not allowed; name a configured endpoint instead');
+    await expect(agentManager.updateAgent('river-agent', { modelConfig: { provider: 'openai', endpoint: 'elsewhere' } }))
+      .rejects.toThrow('Unknown OpenAI-compatible endpoint: elsewhere');
+
+    await agentManager.updateAgent('river-agent', { modelConfig: { provider: 'openai', endpoint: 'gpu-box' } });
+    await llmService.generateResponse('System', 'Hi', [], { provider: 'openai', endpoint: 'gpu-box' });
+    // Settings stored before endpoints were named are ignored
+    await llmService.generateResponse('System', 'Hi', [], { provider: 'openai', baseUrl: 'http://10.0.0.1', apiKey: 'x' });
+
+    expect(connections.map(({ baseUrl, apiKey }) => ({ baseUrl, apiKey }))).toEqual([
+      { baseUrl: 'http://gpu-box:8000/v1', apiKey: 'secret' },
+      { baseUrl: undefined, apiKey: undefined }
+    ]);
+  });
+
+  test('startup pulls missing models', async () => {
+    const { agentManager, llmService } = await createTestServices();
+    const { ollama, pulls } = ollamaWithoutModels();
+    llmService.registerProvider('ollama', ollama);
+    await agentManager.updateAgent('river-agent', { modelConfig: { provider: 'ollama', model: 'small-model' } });
+
+    await agentManager.loadAgentsFromDB();
+
+    expect(pulls).toEqual(['small-model']);
+    expect(agentManager.modelStatus.get('river-agent')).toMatchObject({ available: true, pulled: true });
+  });
+});
@@ -0,0 +1,360 @@
+import { createTestServices, createTestUser } from './helpers/createTestServices.js';
+import { startTestServer } from './helpers/startTestServer.js';
+
+const parseEvents = (body) => body
+  .split('\n\n')
+  .filter(Boolean)
+  .map(block => {
+    const event = block.match(/^event: (.*)$/m)[1];
+    const data = JSON.parse(block.match(/^data: (.*)$/m)[1]);
+    return { event, data };
+  });
+
+describe('API routes', () => {
+  let services;
+  let server;
+  let token;
+  let userId;
+
+  const request = async (method, path, body, headers = {}) => {
+    const response = await fetch(`${server.baseUrl}${path}`, {
+      method,
+      headers: {
+        'Content-Type': 'application/json',
+        ...(token && { Authorization: `Bearer ${token}` }),
+        ...headers
+      },
+      body: body ? JSON.stringify(body) : undefined
+    });
+    return { status: response.status, body: await response.json() };
+  };
+
+  beforeAll(async () => {
+    services = await createTestServices({
+      responses: [
+        { match: 'You are the River Agent', response: 'The Green River has calm water for kayaking.' },
+        { match: 'You are the Search Agent', response: 'Nothing related in your history yet.' }
+      ]
+    });
+    server = await startTestServer(services);
+
+    const registered = await request('POST', '/auth/register', {
+      username: 'riverfan',
+      email: 'riverfan@example.com',
+      password: 'secret123'
+    });
+    token = registered.body.data.token;
+    userId = registered.body.data.user.id;
+  });
+
+  afterAll(async () => {
+    await server.close();
+  });
+
+  test('POST /auth/register rejects a duplicate user', async () => {
+    const { status, body } = await request('POST', '/auth/register', {
+      username: 'riverfan',
+      email: 'other@example.com',
+      password: 'secret123'
+    });
+
+    expect(status).toBe(400);
+    expect(body).toEqual({ success: false, error: 'Username or email already exists' });
+  });
+
+  test('POST /auth/login returns a token for valid credentials', async () => {
+    const ok = await request('POST', '/auth/login', { username: 'riverfan', password: 'secret123' });
+    expect(ok.status).toBe(200);
+    expect(ok.body.data.token).toEqual(expect.any(String));
+
+    const bad = await request('POST', '/auth/login', { username: 'riverfan', password: 'wrong-password' });
+    expect(bad.status).toBe(401);
+  });
+
+  test('POST /run_graph validates the body', async () => {
+    const { status, body } = await request('POST', '/run_graph', { query: '' });
+
+    expect(status).toBe(400);
+    expect(body.success).toBe(false);
+    expect((await request('POST', '/run_graph', { query: 'river', cache: 'sometimes' })).status).toBe(400);
+  });
+
+  test('POST /run_graph passes the cache option to the orchestrator', async () => {
+    await request('POST', '/run_graph', { query: 'Where can I kayak on a river?' });
+
+    const cached = await request('POST', '/run_graph', { query: 'Where can I kayak on a river?' });
+    expect(cached.body.data.cache.hits).toContain('river-agent');
+
+    const bypassed = await request('POST', '/run_graph', { query: 'Where can I kayak on a river?', cache: 'bypass' });
+    expect(bypassed.body.data.cache).toEqual({ mode: 'bypass', hits: [] });
+  });
+
+  test('POST /run_graph processes the query for the authenticated user', async () => {
+    const { status, body } = await request('POST', '/run_graph', { query: 'Where can I kayak on a river?' });
+
+    expect(status).toBe(200);
+    expect(body.success).toBe(true);
+    expect(body.data.userId).toBe(userId);
+    expect(body.data.responses.map(r => r.agentId)).toContain('river-agent');
+    expect(body.data.responses.find(r => r.agentId === 'river-agent').response)
+      .toBe('The Green River has calm water for kayaking.');
+  });
+
+  test('POST /conversations/:id/responses/:agentId/feedback rates an answer', async () => {
+    const { body: run } = await request('POST', '/run_graph', { query: 'Where can I kayak on a river?' });
+    const path = `/conversations/${run.data.queryId}/responses/river-agent/feedback`;
+
+    const saved = await request('POST', path, { thumbs: 'up', rating: 5, comment: 'Spot on' });
+    expect(saved.status).toBe(200);
+    expect(saved.body.data.feedback).toMatchObject({ agentId: 'river-agent', thumbs: 'up', rating: 5, comment: 'Spot on' });
+
+    expect((await request('POST', path, {})).status).toBe(400);
+    expect((await request('POST', path, { rating: 6 })).status).toBe(400);
+    expect((await request('POST', `/conversations/${run.data.queryId}/responses/park-agent/feedback`, { thumbs: 'down' })).status).toBe(404);
+    expect((await request('POST', path, { thumbs: 'up' }, { Authorization: '' })).status).toBe(401);
+  });
+
+  test('POST /run_graph requires a user', async () => {
+    const { status } = await request('POST', '/run_graph', { query: 'river' }, { Authorization: '' });
+
+    expect(status).toBe(400);
+  });
+
+  test('POST /run_graph/stream sends progress events and the result', async () => {
+    const response = await fetch(`${server.baseUrl}/run_graph/stream`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${token}` },
+      body: JSON.stringify({ query: 'river kayaking' })
+    });
+
+    expect(response.headers.get('content-type')).toBe('text/event-stream');
+
+    const events = parseEvents(await response.text());
+    const names = events.map(e => e.event);
+    expect(names[0]).toBe('routing');
+    expect(names).toContain('token');
+    expect(names[names.length - 1]).toBe('result');
+    expect(events[events.length - 1].data.responses.length).toBeGreaterThan(0);
+  });
+
+  test('GET /users/:userId/conversations returns the stored history', async () => {
+    const { status, body } = await request('GET', `/users/${userId}/conversations`);
+
+    expect(status).toBe(200);
+    expect(body.data.conversations.length).toBeGreaterThanOrEqual(2);
+  });
+
+  test('GET /users/:userId/conversations rejects other users', async () => {
+    const { status } = await request('GET', '/users/someone-else/conversations');
+
+    expect(status).toBe(403);
+  });
+
+  test('memory entries can be listed, pinned, edited and deleted by their owner', async () => {
+    const { body: run } = await request('POST', '/run_graph', { query: 'Where can I kayak on a river?' });
+    const conversationId = run.data.queryId;
+
+    const list = await request('GET', `/users/${userId}/memory?type=query&tier=stm&limit=5`);
+    expect(list.status).toBe(200);
+    const [entry] = list.body.data.entries;
+    expect(entry.content).toBe('Where can I kayak on a river?');
+    expect(list.body.data).toMatchObject({ limit: 5, offset: 0 });
+
+    const pinned = await request('POST', `/users/${userId}/memory/${entry.id}/pin`);
+    expect(pinned.body.data.entry.expiresAt).toBeNull();
+
+    const edited = await request('PUT', `/users/${userId}/memory/${entry.id}`, { content: 'Likes kayaking' });
+    expect(edited.body.data.entry.content).toBe('Likes kayaking');
+    expect((await request('PUT', `/users/${userId}/memory/${entry.id}`, { content: ' ' })).status).toBe(400);
+
+    expect((await request('DELETE', `/users/${userId}/memory/${entry.id}`)).status).toBe(200);
+    expect((await request('DELETE', `/users/${userId}/memory/${entry.id}`)).status).toBe(404);
+
+    const forgotten = await request('DELETE', `/users/${userId}/conversations/${conversationId}/memory`);
+    expect(forgotten.body.data.deleted).toBeGreaterThan(0);
+
+    expect((await request('GET', `/users/${userId}/memory?tier=forever`)).status).toBe(400);
+    expect((await request('GET', '/users/someone-else/memory')).status).toBe(403);
+  });
+
+  test('threads keep the turns of a conversation', async () => {
+    const created = await request('POST', '/threads', {});
+    expect(created.status).toBe(201);
+    const threadId = created.body.data.thread.id;
+
+    const first = await request('POST', `/threads/${threadId}/messages`, { query: 'Where can I kayak on a river?' });
+    expect(first.status).toBe(200);
+    expect(first.body.data.threadId).toBe(threadId);
+    await request('POST', `/threads/${threadId}/messages`, { query: 'Is it busy on weekends?' });
+
+    const thread = await request('GET', `/threads/${threadId}`);
+    expect(thread.body.data.thread.title).toBe('Where can I kayak on a river?');
+    expect(thread.body.data.messages.map(m => m.query)).toEqual(['Where can I kayak on a river?', 'Is it busy on weekends?']);
+
+    const listed = await request('GET', '/threads');
+    expect(listed.body.data.threads.map(t => t.id)).toContain(threadId);
+
+    const deleted = await request('DELETE', `/threads/${threadId}`);
+    expect(deleted.status).toBe(200);
+    expect((await request('GET', `/threads/${threadId}`)).status).toBe(404);
+  });
+
+  test('threads of other users are not accessible', async () => {
+    const other = await services.threadManager.createThread(createTestUser(services.mysql).id);
+
+    const { status } = await request('POST', `/threads/${other.id}/messages`, { query: 'river' });
+
+    expect(status).toBe(403);
+  });
+
+  test('protected routes require a token', async () => {
+    const { status } = await request('GET', '/users/me', undefined, { Authorization: '' });
+
+    expect(status).toBe(401);
+  });
+
+  test('agent CRUD', async () => {
+    const created = await request('POST', '/agents', {
+      name: 'Mountain Agent',
+      type: 'scenic',
+      description: 'Mountains and peaks',
+      keywords: ['mountain', 'peak'],
+      modelConfig: { model: 'tiny-model' }
+    });
+    expect(created.status).toBe(201);
+    const agentId = created.body.data.agentId;
+
+    const listed = await request('GET', '/agents');
+    expect(listed.body.data.agents.map(a => a.id)).toContain(agentId);
+
+    const updated = await request('PUT', `/agents/${agentId}`, { name: 'Mountain Agent', type: 'scenic', keywords: ['summit'] });
+    expect(updated.status).toBe(200);
+    expect(services.agentManager.getAgent(agentId).keywords).toEqual(['summit']);
+    expect((await request('PUT', '/agents/atlantis-agent', { name: 'Atlantis Agent', type: 'scenic' })).status).toBe(404);
+
+    const deleted = await request('DELETE', `/agents/${agentId}`);
+    expect(deleted.status).toBe(200);
+    expect(services.agentManager.getAgent(agentId)).toBeUndefined();
+  });
+
+  test('GET /agents/:agentId/metrics and /agents/leaderboard report the daily metrics', async () => {
+    const metrics = await request('GET', '/agents/river-agent/metrics');
+    expect(metrics.status).toBe(200);
+    expect(metrics.body.data.series).toHaveLength(1);
+    expect(metrics.body.data.summary.totalQueries).toBeGreaterThanOrEqual(2);
+
+    const leaderboard = await request('GET', '/agents/leaderboard?sortBy=totalQueries');
+    expect(leaderboard.status).toBe(200);
+    expect(leaderboard.body.data.leaderboard.map(entry => entry.agentId)).toContain('river-agent');
+
+    const invalid = await request('GET', '/agents/leaderboard?sortBy=name');
+    expect(invalid.status).toBe(400);
+  });
+
+  test('POST /agents creates prompt agents and rejects unknown types', async () => {
+    const created = await request('POST', '/agents', {
+      name: 'Food Agent',
+      type: 'prompt',
+      description: 'Local dishes, street food and restaurants',
+      keywords: ['food', 'eat', 'restaurant']
+    });
+    expect(created.status).toBe(201);
+    expect(services.agentManager.getAgent(created.body.data.agentId).constructor.name).toBe('PromptAgent');
+
+    const unknown = await request('POST', '/agents', { name: 'Heritage Agent', type: 'heritage' });
+    expect(unknown.status).toBe(400);
+    expect(unknown.body.error).toBe('Unsupported agent type: heritage');
+
+    const pointed = await request('POST', '/agents', {
+      name: 'Relay Agent',
+      type: 'prompt',
+      description: 'Anything',
+      modelConfig: { provider: 'openai', baseUrl: 'http://169.254.169.254/latest' }
+    });
+    expect(pointed.status).toBe(400);
+    expect(pointed.body.error).toBe('"modelConfig.baseUrl" is not allowed');
+
+    const types = await request('GET', '/agents/types');
+    expect(types.body.data.types.map(t => t.type)).toEqual(['scenic', 'river', 'park', 'search', 'prompt']);
+
+    const tools = await request('GET', '/tools');
+    expect(tools.body.data.tools.map(t => t.name)).toEqual(['search_places', 'calculate_distance', 'memory_lookup']);
+
+    await request('DELETE', `/agents/${created.body.data.agentId}`);
+  });
+
+  test('agent version routes list, diff and roll back', async () => {
+    await request('PUT', '/agents/scenic-agent', { name: 'Scenic Agent', type: 'scenic', systemPrompt: 'You are the Scenic Agent. Only sunsets.' });
+
+    const list = await request('GET', '/agents/scenic-agent/versions');
+    expect(list.status).toBe(200);
+    expect(list.body.data.versions[0]).toMatchObject({ version: 2, current: true, createdBy: userId });
+
+    const diff = await request('GET', '/agents/scenic-agent/versions/diff?from=1');
+    expect(diff.body.data).toMatchObject({ from: 1, to: 2 });
+    expect(diff.body.data.changes.map(change => change.field)).toEqual(['systemPrompt']);
+    expect((await request('GET', '/agents/scenic-agent/versions/diff')).status).toBe(400);
+
+    const rollback = await request('POST', '/agents/scenic-agent/versions/1/rollback');
+    expect(rollback.body).toMatchObject({ success: true, message: 'Agent rolled back to version 1', data: { version: { version: 3 } } });
+
+    const byId = await request('GET', `/agents/scenic-agent/versions/${rollback.body.data.version.id}`);
+    expect(byId.body.data.version.changeType).toBe('rollback');
+    expect((await request('GET', '/agents/scenic-agent/versions/12')).status).toBe(404);
+    expect((await request('GET', '/agents/atlantis-agent/versions')).status).toBe(404);
+  });
+
+  test('GET /places searches around a point and GET /places/:placeId returns one place', async () => {
+    const nearby = await request('GET', '/places?near=12.97,77.59&radius=5&category=park');
+    expect(nearby.status).toBe(200);
+    expect(nearby.body.data.places.map(p => p.id)).toEqual(['cubbon-park', 'lalbagh']);
+    expect(nearby.body.data.radiusKm).toBe(5);
+
+    const invalid = await request('GET', '/places?near=bengaluru');
+    expect(invalid.status).toBe(400);
+    expect(invalid.body.error).toBe('"near" must be "latitude,longitude"');
+
+    const place = await request('GET', '/places/cubbon-park');
+    expect(place.body.data.place.name).toBe('Cubbon Park');
+    expect((await request('GET', '/places/atlantis')).status).toBe(404);
+  });
+
+  test('edge rule CRUD and validation', async () => {
+    const listed = await request('GET', '/edge-rules');
+    expect(listed.body.data.rules).toHaveLength(3);
+
+    const invalid = await request('POST', '/edge-rules/validate', { from: 'park-agent', to: 'search-agent', condition: 'query.type ===' });
+    expect(invalid.body.data).toEqual({ valid: false, errors: ['Invalid condition: Unexpected end of condition at position 14'] });
+
+    const created = await request('POST', '/edge-rules', { from: 'scenic-agent', to: 'park-agent', condition: "query.type === 'nearby'" });
+    expect(created.status).toBe(201);
+    const ruleId = created.body.data.rule.id;
+    expect(services.orchestrator.agentGraph.getRules().map(rule => rule.id)).toContain(ruleId);
+
+    const cycle = await request('PUT', `/edge-rules/${ruleId}`, { from: 'park-agent', to: 'scenic-agent' });
+    expect(cycle.status).toBe(400);
+    expect(cycle.body.error).toMatch(/^Rule would create a cycle/);
+
+    const edit = await request('POST', '/edge-rules/validate', { id: ruleId, from: 'scenic-agent', to: 'park-agent', condition: '' });
+    expect(edit.body.data).toEqual({ valid: true, errors: [] });
+
+    const disabled = await request('PUT', `/edge-rules/${ruleId}`, { enabled: false });
+    expect(disabled.body.data.rule.enabled).toBe(false);
+    expect((await request('PUT', '/edge-rules/missing', { enabled: false })).status).toBe(404);
+
+    const deleted = await request('DELETE', `/edge-rules/${ruleId}`);
+    expect(deleted.status).toBe(200);
+    expect((await request('GET', '/edge-rules')).body.data.rules).toHaveLength(3);
+  });
+
+  test('GET /health and /system/status report the services', async () => {
+    const health = await request('GET', '/health');
+    expect(health.body.data.status).toBe('healthy');
+    expect(health.body.data.components.ollama).toEqual(health.body.data.components.llm);
+
+    const status = await request('GET', '/system/status');
+    expect(status.body.data.agents.totalAgents).toBe(services.agentManager.getActiveAgents().length);
+    expect(status.body.data.llm.providers.mock.healthy).toBe(true);
+    expect(status.body.data.ollama).toMatchObject({ provider: 'mock', availableModels: status.body.data.llm.availableModels });
+  });
+});
@@ -0,0 +1,68 @@
+import { CircuitBreaker } from '../src/services/CircuitBreaker.js';
+
+describe('CircuitBreaker', () => {
+  const createBreaker = () => new CircuitBreaker({
+    failureRateThreshold: 0.5,
+    minimumRequests: 4,
+    windowSize: 10,
+    cooldownMs: 50
+  });
+
+  test('stays closed until the minimum number of requests is reached', () => {
+    const breaker = createBreaker();
+    breaker.recordFailure(new Error('boom'));
+    breaker.recordFailure(new Error('boom'));
+    breaker.recordFailure(new Error('boom'));
+
+    expect(breaker.allowRequest()).toBe(true);
+    expect(breaker.getStatus()).toMatchObject({ state: 'closed', failureRate: 1, recentRequests: 3, lastError: 'boom' });
+  });
+
+  test('opens when the failure rate reaches the threshold', () => {
+    const breaker = createBreaker();
+    breaker.recordSuccess();
+    breaker.recordSuccess();
+    breaker.recordFailure('timeout');
+    breaker.recordFailure('timeout');
+
+    expect(breaker.allowRequest()).toBe(false);
+    expect(breaker.getStatus().state).toBe('open');
+    expect(breaker.getStatus().retryAt).toBeInstanceOf(Date);
+  });
+
+  test('only counts the most recent outcomes', () => {
+    const breaker = createBreaker();
+    for (let i = 0; i < 3; i++) breaker.recordFailure('x');
+    for (let i = 0; i < 10; i++) breaker.recordSuccess();
+
+    expect(breaker.getStatus().failureRate).toBe(0);
+  });
+
+  test('lets one trial through after the cooldown and closes on success', async () => {
+    const breaker = createBreaker();
+    for (let i = 0; i < 4; i++) breaker.recordFailure('x');
+    expect(breaker.allowRequest()).toBe(false);
+
+    await new Promise(resolve => setTimeout(resolve, 60));
+
+    expect(breaker.getStatus().state).toBe('half_open');
+    expect(breaker.allowRequest()).toBe(true);
+    expect(breaker.allowRequest()).toBe(false);
+
+    breaker.recordSuccess();
+    expect(breaker.getStatus()).toMatchObject({ state: 'closed', recentRequests: 0 });
+    expect(breaker.allowRequest()).toBe(true);
+  });
+
+  test('reopens when the trial fails', async () => {
+    const breaker = createBreaker();
+    for (let i = 0; i < 4; i++) breaker.recordFailure('x');
+    await new Promise(resolve => setTimeout(resolve, 60));
+
+    expect(breaker.allowRequest()).toBe(true);
+    breaker.recordFailure('still down');
+
+    expect(breaker.getStatus().state).toBe('open');
+    expect(breaker.allowRequest()).toBe(false);
+  });
+});
@@ -0,0 +1,94 @@
+import { createTestServices, createTestUser } from './helpers/createTestServices.js';
+import { ConfidenceEstimator } from '../src/services/ConfidenceEstimator.js';
+
+describe('ConfidenceEstimator', () => {
+  test('scores from token logprobs and falls back without them', async () => {
+    const estimator = new ConfidenceEstimator(null, { mode: 'logprob' });
+
+    const scored = await estimator.estimate({ logprobs: [Math.log(0.9), Math.log(0.5)], heuristic: 0.7 });
+    expect(scored).toMatchObject({
+      method: 'logprob',
+      confidence: 0.671,
+      scores: { meanTokenProbability: 0.671, minTokenProbability: 0.5, tokens: 2 },
+      fallback: false
+    });
+
+    const fallback = await estimator.estimate({ heuristic: 0.7 });
+    expect(fallback).toMatchObject({ method: 'heuristic', confidence: 0.7, scores: { heuristic: 0.7 }, fallback: true });
+  });
+
+  test('asks for logprobs only in logprob mode and ignores unknown modes', () => {
+    const estimator = new ConfidenceEstimator(null, { mode: 'astrology' });
+
+    expect(estimator.mode).toBe('heuristic');
+    expect(estimator.getCallOptions()).toEqual({});
+    expect(estimator.getCallOptions('logprob')).toEqual({ logprobs: true });
+  });
+});
+
+describe('Agent confidence scoring', () => {
+  let services;
+  let user;
+
+  const setup = async (confidenceMode, responses) => {
+    services = await createTestServices({ confidenceMode, responses });
+    user = createTestUser(services.mysql);
+  };
+
+  test('heuristic mode reports the agent score', async () => {
+    await setup('heuristic', [{ match: 'You are the Park Agent', response: 'Cubbon Park is located in the city centre.' }]);
+
+    const response = await services.agentManager.getAgent('park-agent').execute('Parks in Bengaluru?', user.id, 'session-1');
+
+    expect(response.confidenceDetails).toEqual({ method: 'heuristic', scores: { heuristic: response.confidence }, fallback: false });
+    expect(services.mock.calls).toHaveLength(1);
+  });
+
+  test('judge mode grades groundedness and relevance against the prompt and tool results', async () => {
+    await setup('judge', [
+      { match: 'You grade answers', response: '{"groundedness": 0.6, "relevance": 1.2, "reason": "Mostly supported."}' },
+      { match: 'You are the Park Agent', response: 'Cubbon Park [place:cubbon-park] has a bandstand.' }
+    ]);
+
+    const response = await services.agentManager.getAgent('park-agent').execute('Parks in Bengaluru?', user.id, 'session-1');
+
+    expect(response.confidence).toBe(0.8);
+    expect(response.confidenceDetails).toEqual({
+      method: 'judge',
+      scores: { groundedness: 0.6, relevance: 1 },
+      fallback: false,
+      reason: 'Mostly supported.'
+    });
+
+    const judgeCall = services.mock.calls.find(call => call.systemPrompt.includes('You grade answers'));
+    expect(judgeCall.userPrompt).toContain('[place:cubbon-park] Cubbon Park — Bengaluru, Karnataka');
+    expect(judgeCall.userPrompt).toContain('Answer by Park Agent:\nCubbon Park [place:cubbon-park] has a bandstand.');
+    const judgeTokens = `${judgeCall.systemPrompt}\n${judgeCall.userPrompt}`.split(/\s+/).filter(Boolean).length;
+    expect(response.totalTokens).toBeGreaterThan(judgeTokens);
+  });
+
+  test('judge mode falls back to the heuristic when the grade is not valid JSON', async () => {
+    await setup('judge', [
+      { match: 'You grade answers', response: 'Looks fine to me.' },
+      { match: 'You are the Search Agent', response: 'You asked about parks before.' }
+    ]);
+
+    const response = await services.agentManager.getAgent('search-agent').execute('What did I ask earlier?', user.id, 'session-1');
+
+    expect(response.confidenceDetails).toMatchObject({ method: 'heuristic', fallback: true });
+    expect(response.confidence).toBe(0.5);
+  });
+
+  test('logprob mode requests logprobs from the provider; agents can override the mode', async () => {
+    await setup('heuristic', [
+      { match: 'You are the River Agent', response: { content: 'Try Athirappilly Falls.', logprobs: [-0.1, -0.3] } }
+    ]);
+    await services.agentManager.updateAgent('river-agent', { modelConfig: { confidenceMode: 'logprob' } });
+
+    const response = await services.agentManager.getAgent('river-agent').execute('Waterfalls?', user.id, 'session-1');
+
+    expect(services.mock.calls[0].callOptions.logprobs).toBe(true);
+    expect(response.confidenceDetails.method).toBe('logprob');
+    expect(response.confidence).toBe(0.819);
+  });
+});
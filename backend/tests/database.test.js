@@ -0,0 +1,103 @@
+import { initializeTables } from '../src/config/database.js';
+import { InMemoryMySQL } from './helpers/InMemoryMySQL.js';
+
+// A database created before threads and agent versions existed
+const createOldSchema = async (mysql) => {
+  await mysql.execute(`
+    CREATE TABLE users (
+      id VARCHAR(255) PRIMARY KEY,
+      username VARCHAR(100) UNIQUE NOT NULL,
+      email VARCHAR(255) UNIQUE NOT NULL,
+      password_hash VARCHAR(255) NOT NULL
+    )
+  `);
+  await mysql.execute(`
+    CREATE TABLE conversations (
+      id VARCHAR(255) PRIMARY KEY,
+      user_id VARCHAR(255) NOT NULL,
+      session_id VARCHAR(255),
+      query TEXT NOT NULL,
+      query_hash VARCHAR(64),
+      responses JSON,
+      total_execution_time INT,
+      agent_count INT,
+      agents_used JSON,
+      timestamp TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      INDEX idx_user_id (user_id),
+      FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+    )
+  `);
+  await mysql.execute(`
+    CREATE TABLE agents (
+      id VARCHAR(255) PRIMARY KEY,
+      name VARCHAR(255) NOT NULL,
+      type VARCHAR(100) NOT NULL,
+      enabled BOOLEAN DEFAULT TRUE,
+      priority INT DEFAULT 1
+    )
+  `);
+  await mysql.execute(`
+    CREATE TABLE agent_interactions (
+      id VARCHAR(255) PRIMARY KEY,
+      conversation_id VARCHAR(255) NOT NULL,
+      agent_id VARCHAR(255) NOT NULL,
+      user_id VARCHAR(255) NOT NULL,
+      model_used VARCHAR(100),
+      timestamp TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (conversation_id) REFERENCES conversations(id) ON DELETE CASCADE
+    )
+  `);
+};
+
+const indexes = async (mysql, table) => {
+  const [rows] = await mysql.execute('SELECT INDEX_NAME, COLUMN_NAME FROM INFORMATION_SCHEMA.STATISTICS WHERE TABLE_NAME = ?', [table]);
+  return rows;
+};
+
+const foreignKeys = async (mysql, table) => {
+  const [rows] = await mysql.execute(
+    'SELECT COLUMN_NAME, REFERENCED_TABLE_NAME FROM INFORMATION_SCHEMA.KEY_COLUMN_USAGE WHERE TABLE_NAME = ? AND REFERENCED_TABLE_NAME IS NOT NULL',
+    [table]
+  );
+  return rows;
+};
+
+describe('initializeTables upgrades', () => {
+  test('threads added to an existing database get their index and foreign key', async () => {
+    const mysql = new InMemoryMySQL();
+    await createOldSchema(mysql);
+
+    await initializeTables(mysql);
+    await initializeTables(mysql);
+
+    expect(await indexes(mysql, 'conversations')).toContainEqual({ INDEX_NAME: 'idx_thread_id', COLUMN_NAME: 'thread_id' });
+    expect(await foreignKeys(mysql, 'conversations')).toContainEqual({ COLUMN_NAME: 'thread_id', REFERENCED_TABLE_NAME: 'threads' });
+
+    await mysql.execute('INSERT INTO users (id, username, email, password_hash) VALUES (?, ?, ?, ?)', ['u1', 'ann', 'ann@example.com', 'x']);
+    await mysql.execute('INSERT INTO threads (id, user_id) VALUES (?, ?)', ['t1', 'u1']);
+    await mysql.execute('INSERT INTO conversations (id, user_id, thread_id, query) VALUES (?, ?, ?, ?)', ['c1', 'u1', 't1', 'rivers']);
+    await mysql.execute('DELETE FROM threads WHERE id = ?', ['t1']);
+
+    expect(mysql.rows('conversations')).toHaveLength(0);
+  });
+
+  test('agent versions added to an existing database are indexed where they are looked up', async () => {
+    const mysql = new InMemoryMySQL();
+    await createOldSchema(mysql);
+
+    await initializeTables(mysql);
+
+    expect(await indexes(mysql, 'agents')).toContainEqual({ INDEX_NAME: 'idx_version_id', COLUMN_NAME: 'version_id' });
+    expect(await indexes(mysql, 'agent_interactions')).toContainEqual({ INDEX_NAME: 'idx_agent_version_id', COLUMN_NAME: 'agent_version_id' });
+  });
+
+  test('a new database is created with the same indexes and foreign keys', async () => {
+    const mysql = new InMemoryMySQL();
+
+    await initializeTables(mysql);
+
+    expect((await indexes(mysql, 'conversations')).filter(index => index.INDEX_NAME === 'idx_thread_id')).toHaveLength(1);
+    expect((await foreignKeys(mysql, 'conversations')).filter(key => key.COLUMN_NAME === 'thread_id')).toHaveLength(1);
+    expect((await indexes(mysql, 'agents')).filter(index => index.INDEX_NAME === 'idx_version_id')).toHaveLength(1);
+  });
+});
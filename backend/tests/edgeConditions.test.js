@@ -0,0 +1,99 @@
+import { compileCondition, parseCondition, resolvePath } from '../src/utils/edgeConditions.js';
+import { AgentGraph } from '../src/services/AgentGraph.js';
+
+const context = {
+  query: { text: 'Waterfalls near Munnar for a family trip', type: 'general' },
+  user: { preferences: { responseFormat: 'summary', preferredAgents: ['river-agent'] } },
+  upstream: { agentId: 'scenic-agent', confidence: 0.72, output: { location: { type: 'water-adjacent' } } },
+  memory: { stm: { totalEntries: 4 }, ltm: { totalEntries: 0 } },
+  location: { type: 'water-adjacent' },
+  recreational: { features: ['park', 'trail'] }
+};
+
+const holds = (condition) => compileCondition(condition)(context);
+
+describe('Edge condition expressions', () => {
+  test('evaluates the forms used by the seeded rules', () => {
+    expect(holds("location.type === 'water-adjacent'")).toBe(true);
+    expect(holds("recreational.features.includes('park')")).toBe(true);
+    expect(holds("query.type === 'historical'")).toBe(false);
+    expect(holds('')).toBe(true);
+  });
+
+  test('supports comparisons, boolean logic, lists and string methods', () => {
+    expect(holds('upstream.confidence >= 0.7 && memory.stm.totalEntries > 3')).toBe(true);
+    expect(holds("!(user.preferences.responseFormat == 'detailed') || false")).toBe(true);
+    expect(holds("['river-agent', 'park-agent'].includes(user.preferences.preferredAgents[0])")).toBe(true);
+    expect(holds("query.text.startsWith('Water') && recreational.features.length === 2")).toBe(true);
+    expect(holds("upstream['agentId'] !== 'scenic-agent'")).toBe(false);
+  });
+
+  test('matches regexes and string patterns against strings only', () => {
+    expect(holds('query.text =~ /munnar|ooty/i')).toBe(true);
+    expect(holds("query.text =~ 'family trip$'")).toBe(true);
+    expect(holds('upstream.confidence =~ /0/')).toBe(false);
+  });
+
+  test('missing paths and mismatched types are false, not errors', () => {
+    expect(holds("weather.forecast === 'sunny'")).toBe(false);
+    expect(holds('weather.forecast === undefined_value')).toBe(true);
+    expect(holds("upstream.confidence > '0.5'")).toBe(false);
+    expect(holds("location.includes('water')")).toBe(false);
+  });
+
+  test('never reaches prototypes or functions', () => {
+    expect(holds('query.constructor === null')).toBe(false);
+    expect(holds("query.text.constructor.name === 'String'")).toBe(false);
+    expect(resolvePath(context, '__proto__.toString')).toBeUndefined();
+    expect(resolvePath({ at: new Date(0) }, 'at.getTime')).toBeUndefined();
+  });
+
+  test('reports syntax errors with their position', () => {
+    expect(() => parseCondition("query.type = 'x'")).toThrow("Unexpected character '=' at position 11");
+    expect(() => parseCondition('process.exit(1)')).toThrow("Unknown method 'exit' at position 8");
+    expect(() => parseCondition("(query.type === 'x'")).toThrow("Expected ')' but found end of condition at position 19");
+    expect(() => parseCondition("query.text =~ /(/")).toThrow('Invalid pattern /(/ at position 14');
+    expect(() => parseCondition("'unterminated")).toThrow('Unterminated string at position 0');
+  });
+
+  test('refuses patterns that could backtrack catastrophically', () => {
+    expect(() => parseCondition('query.text =~ /(a+)+$/')).toThrow('could backtrack catastrophically: a repeated group may not contain a quantifier or an alternation at position 14');
+    expect(() => parseCondition('query.text =~ /(waterfall|falls)*/')).toThrow('a repeated group');
+    expect(() => parseCondition("query.text =~ '(x*)*y'")).toThrow('a repeated group');
+    expect(() => parseCondition('query.text =~ /(\\w+) \\1/')).toThrow('backreferences are not allowed');
+    expect(() => parseCondition('query.text =~ /a.*b.*c.*d/')).toThrow('at most 2 unbounded quantifiers');
+
+    expect(holds('query.text =~ /^(?:waterfalls )?near (\\w+)/i')).toBe(true);
+    expect(holds('query.text =~ /(trip){1}$/')).toBe(true);
+
+    // Patterns read from the context are checked when they run
+    const matches = compileCondition('query.text =~ pattern');
+    const started = Date.now();
+    expect(() => matches({ query: { text: `${'a'.repeat(28)}!` }, pattern: '(a+)+$' })).toThrow('could backtrack catastrophically');
+    expect(Date.now() - started).toBeLessThan(1000);
+  });
+});
+
+describe('AgentGraph condition context', () => {
+  test('exposes the query, user preferences, upstream agent and memory stats', () => {
+    const graph = new AgentGraph([
+      { from: 'scenic-agent', to: 'river-agent', condition: "user.preferences.responseFormat === 'summary' && memory.stm.totalEntries > 0 && upstream.agentId === 'scenic-agent'" },
+      { from: 'scenic-agent', to: 'park-agent', condition: 'query.text =~ /picnic/' }
+    ]);
+    const plan = graph.buildPlan(['scenic-agent', 'river-agent', 'park-agent']);
+    const upstream = { agentId: 'scenic-agent', structuredOutput: { location: { type: 'inland' } } };
+    const environment = { preferences: { responseFormat: 'summary' }, memoryStats: { stm: { totalEntries: 2 } } };
+
+    expect(plan.edges.map(edge => graph.evaluateEdge(edge, 'Hills for a picnic', upstream, environment))).toEqual([true, true]);
+    expect(graph.evaluateEdge(plan.edges[0], 'Hills', upstream, {})).toBe(false);
+  });
+
+  test('skips rules whose condition does not parse', () => {
+    const graph = new AgentGraph([
+      { from: 'scenic-agent', to: 'river-agent', condition: 'location.type ==' },
+      { from: 'river-agent', to: 'park-agent', condition: '' }
+    ]);
+
+    expect(graph.getRules().map(rule => rule.to)).toEqual(['park-agent']);
+  });
+});
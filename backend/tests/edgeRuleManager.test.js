@@ -0,0 +1,73 @@
+import { createTestServices } from './helpers/createTestServices.js';
+
+describe('EdgeRuleManager', () => {
+  let services;
+
+  beforeEach(async () => {
+    services = await createTestServices();
+  });
+
+  const graphRules = () => services.orchestrator.agentGraph.getRules().map(rule => `${rule.from} → ${rule.to}`);
+
+  test('seeds the table from config/agents.json and loads it into the graph', async () => {
+    const rules = await services.edgeRuleManager.listRules();
+
+    expect(rules.map(rule => `${rule.from} → ${rule.to}`)).toEqual([
+      'scenic-agent → river-agent',
+      'river-agent → park-agent',
+      'search-agent → *'
+    ]);
+    expect(rules[0]).toMatchObject({ condition: "location.type === 'water-adjacent'", priority: 'high', enabled: true });
+    expect(graphRules()).toEqual(rules.map(rule => `${rule.from} → ${rule.to}`));
+  });
+
+  test('new rules apply to the next query plan without a restart', async () => {
+    const rule = await services.edgeRuleManager.createRule({ from: 'scenic-agent', to: 'park-agent', condition: '', priority: 'low' });
+
+    expect(rule).toMatchObject({ from: 'scenic-agent', to: 'park-agent', priority: 'low', enabled: true });
+    expect(graphRules()).toContain('scenic-agent → park-agent');
+
+    const plan = services.orchestrator.agentGraph.buildPlan(['park-agent', 'scenic-agent']);
+    expect(plan.order).toEqual(['scenic-agent', 'park-agent']);
+  });
+
+  test('rejects unknown agents, self edges and conditions outside the grammar', async () => {
+    const errors = await services.edgeRuleManager.validateRule({ from: 'ghost-agent', to: 'ghost-agent', condition: 'process.exit()' });
+
+    expect(errors).toEqual([
+      'Unknown source agent: ghost-agent',
+      'Unknown target agent: ghost-agent',
+      'A rule cannot connect an agent to itself',
+      "Invalid condition: Unknown method 'exit' at position 8"
+    ]);
+    await expect(services.edgeRuleManager.createRule({ from: 'park-agent', to: 'river-agent', condition: 'alert(1)' }))
+      .rejects.toThrow('Invalid condition');
+  });
+
+  test('refuses rules that close a cycle, unless they are disabled', async () => {
+    const errors = await services.edgeRuleManager.validateRule({ from: 'park-agent', to: 'search-agent', condition: '' });
+    expect(errors).toEqual([expect.stringMatching(/^Rule would create a cycle: .*park-agent → search-agent/)]);
+
+    const disabled = await services.edgeRuleManager.createRule({ from: 'park-agent', to: 'search-agent', condition: '', enabled: false });
+    expect(graphRules()).not.toContain('park-agent → search-agent');
+
+    await expect(services.edgeRuleManager.updateRule(disabled.id, { enabled: true })).rejects.toThrow('Rule would create a cycle');
+  });
+
+  test('disabling, editing and deleting rules reload the graph', async () => {
+    const [scenicToRiver] = await services.edgeRuleManager.listRules();
+
+    await services.edgeRuleManager.updateRule(scenicToRiver.id, { enabled: false });
+    expect(graphRules()).not.toContain('scenic-agent → river-agent');
+
+    const updated = await services.edgeRuleManager.updateRule(scenicToRiver.id, { enabled: true, priority: 'low' });
+    expect(updated).toMatchObject({ priority: 'low', enabled: true, condition: "location.type === 'water-adjacent'" });
+    expect(graphRules()).toContain('scenic-agent → river-agent');
+
+    await services.edgeRuleManager.deleteRule(scenicToRiver.id);
+    expect(await services.edgeRuleManager.getRule(scenicToRiver.id)).toBeNull();
+    expect(graphRules()).not.toContain('scenic-agent → river-agent');
+
+    expect(await services.edgeRuleManager.updateRule('missing', { enabled: false })).toBeNull();
+  });
+});
@@ -0,0 +1,3 @@
+import { BaseAgent } from '../../../src/agents/BaseAgent.js';
+
+export default { type: 'river', agentClass: class extends BaseAgent {} };
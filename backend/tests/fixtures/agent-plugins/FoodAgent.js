@@ -0,0 +1,9 @@
+import { BaseAgent } from '../../../src/agents/BaseAgent.js';
+
+export class FoodAgent extends BaseAgent {
+  getDefaultSystemPrompt() {
+    return 'You are the Food Agent. Recommend local dishes and places to eat.';
+  }
+}
+
+export default { type: 'food', agentClass: FoodAgent };
@@ -0,0 +1,3 @@
+class NotAnAgent {}
+
+export default { type: 'broken', agentClass: NotAnAgent };
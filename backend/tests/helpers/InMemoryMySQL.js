@@ -0,0 +1,1512 @@
+// In-memory stand-in for the mysql2/promise connection used by the services.
+// It understands the subset of MySQL the backend issues: CREATE TABLE and
+// ALTER TABLE ADD COLUMN / INDEX / FOREIGN KEY (so the real schema from
+// initializeTables is loaded, and its upgrades can be checked through
+// INFORMATION_SCHEMA), INSERT (with ON DUPLICATE KEY UPDATE), SELECT with joins,
+// grouping, ordering and limits, UPDATE and DELETE. Primary/unique keys,
+// foreign keys (including ON DELETE CASCADE / SET NULL), column defaults and
+// ON UPDATE CURRENT_TIMESTAMP behave like MySQL. Values are stored as bound,
+// so JSON columns come back as the strings the services wrote.
+//
+// Unsupported SQL throws, so a query the fake cannot run fails the test
+// instead of silently returning nothing.
+
+const KEYWORDS = new Set([
+  'SELECT', 'DISTINCT', 'FROM', 'WHERE', 'AND', 'OR', 'NOT', 'IN', 'IS', 'NULL', 'LIKE',
+  'ORDER', 'BY', 'ASC', 'DESC', 'LIMIT', 'OFFSET', 'GROUP', 'HAVING', 'AS', 'JOIN', 'INNER',
+  'LEFT', 'ON', 'INSERT', 'IGNORE', 'INTO', 'VALUES', 'DUPLICATE', 'KEY', 'UPDATE', 'SET',
+  'DELETE', 'CASE', 'WHEN', 'THEN', 'ELSE', 'END', 'TRUE', 'FALSE', 'BETWEEN', 'INTERVAL',
+  'CREATE', 'TABLE', 'IF', 'EXISTS', 'ALTER', 'ADD', 'COLUMN'
+]);
+
+const AGGREGATES = new Set(['COUNT', 'SUM', 'AVG', 'MIN', 'MAX']);
+
+const INTERVAL_MS = {
+  SECOND: 1000,
+  MINUTE: 60 * 1000,
+  HOUR: 60 * 60 * 1000,
+  DAY: 24 * 60 * 60 * 1000,
+  WEEK: 7 * 24 * 60 * 60 * 1000
+};
+
+class SqlError extends Error {
+  constructor(message, code) {
+    super(message);
+    this.name = 'SqlError';
+    this.code = code;
+  }
+}
+
+const tokenize = (sql) => {
+  const tokens = [];
+  let i = 0;
+
+  while (i < sql.length) {
+    const ch = sql[i];
+
+    if (/\s/.test(ch)) {
+      i++;
+      continue;
+    }
+
+    const start = i;
+
+    if (ch === "'" || ch === '"') {
+      let value = '';
+      i++;
+      while (i < sql.length) {
+        if (sql[i] === '\\') {
+          value += sql[i + 1];
+          i += 2;
+        } else if (sql[i] === ch && sql[i + 1] === ch) {
+          value += ch;
+          i += 2;
+        } else if (sql[i] === ch) {
+          break;
+        } else {
+          value += sql[i++];
+        }
+      }
+      i++;
+      tokens.push({ type: 'string', value, start, end: i });
+    } else if (ch === '`') {
+      const close = sql.indexOf('`', i + 1);
+      tokens.push({ type: 'ident', value: sql.slice(i + 1, close), start, end: close + 1 });
+      i = close + 1;
+    } else if (/[0-9]/.test(ch)) {
+      const match = sql.slice(i).match(/^\d+(\.\d+)?/);
+      i += match[0].length;
+      tokens.push({ type: 'number', value: Number(match[0]), start, end: i });
+    } else if (/[A-Za-z_$]/.test(ch)) {
+      const match = sql.slice(i).match(/^[A-Za-z_$][A-Za-z0-9_$]*/);
+      i += match[0].length;
+      const upper = match[0].toUpperCase();
+      tokens.push(KEYWORDS.has(upper)
+        ? { type: 'keyword', value: upper, start, end: i }
+        : { type: 'ident', value: match[0], start, end: i });
+    } else if (ch === '?') {
+      i++;
+      tokens.push({ type: 'param', start, end: i });
+    } else {
+      const two = sql.slice(i, i + 2);
+      const op = ['<=', '>=', '!=', '<>'].includes(two) ? two : ch;
+      if (!'=<>!(),.*+-/;'.includes(op[0])) {
+        throw new SqlError(`Unexpected character "${ch}" in SQL`, 'ER_PARSE_ERROR');
+      }
+      i += op.length;
+      tokens.push({ type: 'op', value: op, start, end: i });
+    }
+  }
+
+  tokens.push({ type: 'eof', start: sql.length, end: sql.length });
+  return tokens;
+};
+
+// Recursive descent parser producing a small AST for one statement
+class Parser {
+  constructor(sql) {
+    this.sql = sql;
+    this.tokens = tokenize(sql);
+    this.pos = 0;
+    this.paramIndex = 0;
+  }
+
+  peek(offset = 0) {
+    return this.tokens[this.pos + offset];
+  }
+
+  next() {
+    return this.tokens[this.pos++];
+  }
+
+  isKeyword(...values) {
+    const token = this.peek();
+    return token.type === 'keyword' && values.includes(token.value);
+  }
+
+  isOp(...values) {
+    const token = this.peek();
+    return token.type === 'op' && values.includes(token.value);
+  }
+
+  acceptKeyword(...values) {
+    if (this.isKeyword(...values)) {
+      return this.next().value;
+    }
+    return null;
+  }
+
+  acceptOp(...values) {
+    if (this.isOp(...values)) {
+      return this.next().value;
+    }
+    return null;
+  }
+
+  expectKeyword(value) {
+    if (!this.acceptKeyword(value)) {
+      this.fail(`Expected ${value}`);
+    }
+  }
+
+  expectOp(value) {
+    if (!this.acceptOp(value)) {
+      this.fail(`Expected "${value}"`);
+    }
+  }
+
+  identifier() {
+    const token = this.next();
+    if (token.type !== 'ident' && token.type !== 'keyword') {
+      this.pos--;
+      this.fail('Expected identifier');
+    }
+    return token.value;
+  }
+
+  fail(message) {
+    const token = this.peek();
+    throw new SqlError(`${message} near "${this.sql.slice(token.start, token.start + 30)}"`, 'ER_PARSE_ERROR');
+  }
+
+  parseStatement() {
+    let statement;
+
+    if (this.isKeyword('SELECT')) statement = this.parseSelect();
+    else if (this.isKeyword('INSERT')) statement = this.parseInsert();
+    else if (this.isKeyword('UPDATE')) statement = this.parseUpdate();
+    else if (this.isKeyword('DELETE')) statement = this.parseDelete();
+    else if (this.isKeyword('CREATE')) statement = this.parseCreateTable();
+    else if (this.isKeyword('ALTER')) statement = this.parseAlterTable();
+    else this.fail('Unsupported statement');
+
+    this.acceptOp(';');
+    if (this.peek().type !== 'eof') {
+      this.fail('Unexpected input');
+    }
+    statement.paramCount = this.paramIndex;
+    return statement;
+  }
+
+  tableName() {
+    let name = this.identifier();
+    while (this.acceptOp('.')) {
+      name += `.${this.identifier()}`;
+    }
+    return name;
+  }
+
+  tableRef() {
+    const table = this.tableName();
+    let alias = table;
+    if (this.acceptKeyword('AS') || this.peek().type === 'ident') {
+      alias = this.identifier();
+    }
+    return { table, alias };
+  }
+
+  parseSelect() {
+    this.expectKeyword('SELECT');
+    const distinct = Boolean(this.acceptKeyword('DISTINCT'));
+    const columns = [];
+
+    do {
+      if (this.acceptOp('*')) {
+        columns.push({ star: true });
+      } else if (this.peek().type === 'ident' && this.peek(1).value === '.' && this.peek(2).value === '*') {
+        const alias = this.next().value;
+        this.pos += 2;
+        columns.push({ star: true, alias });
+      } else {
+        const start = this.peek().start;
+        const expr = this.parseExpr();
+        const text = this.sql.slice(start, this.tokens[this.pos - 1].end);
+        let name = expr.type === 'column' ? expr.name : text;
+        if (this.acceptKeyword('AS') || this.peek().type === 'ident') {
+          name = this.identifier();
+        }
+        columns.push({ expr, name });
+      }
+    } while (this.acceptOp(','));
+
+    let from = null;
+    const joins = [];
+    if (this.acceptKeyword('FROM')) {
+      from = this.tableRef();
+      while (this.isKeyword('JOIN', 'INNER', 'LEFT')) {
+        const left = this.acceptKeyword('LEFT') === 'LEFT';
+        this.acceptKeyword('INNER');
+        this.expectKeyword('JOIN');
+        const ref = this.tableRef();
+        this.expectKeyword('ON');
+        joins.push({ ...ref, left, on: this.parseExpr() });
+      }
+    }
+
+    const statement = { type: 'select', distinct, columns, from, joins };
+    this.parseTail(statement);
+    return statement;
+  }
+
+  // WHERE / GROUP BY / HAVING / ORDER BY / LIMIT shared by SELECT, UPDATE, DELETE
+  parseTail(statement) {
+    if (this.acceptKeyword('WHERE')) {
+      statement.where = this.parseExpr();
+    }
+    if (this.acceptKeyword('GROUP')) {
+      this.expectKeyword('BY');
+      statement.groupBy = [];
+      do {
+        statement.groupBy.push(this.parseExpr());
+      } while (this.acceptOp(','));
+    }
+    if (this.acceptKeyword('HAVING')) {
+      statement.having = this.parseExpr();
+    }
+    if (this.acceptKeyword('ORDER')) {
+      this.expectKeyword('BY');
+      statement.orderBy = [];
+      do {
+        const expr = this.parseExpr();
+        const direction = this.acceptKeyword('ASC', 'DESC') || 'ASC';
+        statement.orderBy.push({ expr, descending: direction === 'DESC' });
+      } while (this.acceptOp(','));
+    }
+    if (this.acceptKeyword('LIMIT')) {
+      const first = this.parsePrimary();
+      if (this.acceptOp(',')) {
+        statement.offset = first;
+        statement.limit = this.parsePrimary();
+      } else {
+        statement.limit = first;
+        if (this.acceptKeyword('OFFSET')) {
+          statement.offset = this.parsePrimary();
+        }
+      }
+    }
+  }
+
+  parseInsert() {
+    this.expectKeyword('INSERT');
+    const ignore = Boolean(this.acceptKeyword('IGNORE'));
+    this.expectKeyword('INTO');
+    const table = this.tableName();
+
+    this.expectOp('(');
+    const columns = [];
+    do {
+      columns.push(this.identifier());
+    } while (this.acceptOp(','));
+    this.expectOp(')');
+
+    this.expectKeyword('VALUES');
+    const rows = [];
+    do {
+      this.expectOp('(');
+      const values = [];
+      do {
+        values.push(this.parseExpr());
+      } while (this.acceptOp(','));
+      this.expectOp(')');
+      rows.push(values);
+    } while (this.acceptOp(','));
+
+    let onDuplicate = null;
+    if (this.acceptKeyword('ON')) {
+      this.expectKeyword('DUPLICATE');
+      this.expectKeyword('KEY');
+      this.expectKeyword('UPDATE');
+      onDuplicate = this.parseAssignments();
+    }
+
+    return { type: 'insert', ignore, table, columns, rows, onDuplicate };
+  }
+
+  parseAssignments() {
+    const assignments = [];
+    do {
+      const column = this.identifier();
+      this.expectOp('=');
+      assignments.push({ column, expr: this.parseExpr() });
+    } while (this.acceptOp(','));
+    return assignments;
+  }
+
+  parseUpdate() {
+    this.expectKeyword('UPDATE');
+    const table = this.tableName();
+    this.expectKeyword('SET');
+    const statement = { type: 'update', table, assignments: this.parseAssignments() };
+    this.parseTail(statement);
+    return statement;
+  }
+
+  parseDelete() {
+    this.expectKeyword('DELETE');
+    this.expectKeyword('FROM');
+    const statement = { type: 'delete', table: this.tableName() };
+    this.parseTail(statement);
+    return statement;
+  }
+
+  parseCreateTable() {
+    this.expectKeyword('CREATE');
+    this.expectKeyword('TABLE');
+    let ifNotExists = false;
+    if (this.acceptKeyword('IF')) {
+      this.expectKeyword('NOT');
+      this.expectKeyword('EXISTS');
+      ifNotExists = true;
+    }
+    const table = this.tableName();
+    const definition = { columns: [], keys: [], indexes: [], foreignKeys: [] };
+
+    this.expectOp('(');
+    do {
+      this.parseTableElement(definition);
+    } while (this.acceptOp(','));
+    this.expectOp(')');
+    this.skipTableOptions();
+
+    return { type: 'create', table, ifNotExists, definition };
+  }
+
+  parseAlterTable() {
+    this.expectKeyword('ALTER');
+    this.expectKeyword('TABLE');
+    const table = this.tableName();
+    const definition = { columns: [], keys: [], indexes: [], foreignKeys: [] };
+
+    do {
+      this.expectKeyword('ADD');
+      this.acceptKeyword('COLUMN');
+      this.parseTableElement(definition);
+    } while (this.acceptOp(','));
+
+    return { type: 'alter', table, definition };
+  }
+
+  keyColumns() {
+    this.expectOp('(');
+    const columns = [];
+    do {
+      columns.push(this.identifier());
+      if (this.acceptOp('(')) {
+        this.next();
+        this.expectOp(')');
+      }
+      this.acceptKeyword('ASC', 'DESC');
+    } while (this.acceptOp(','));
+    this.expectOp(')');
+    return columns;
+  }
+
+  // Unnamed keys are named like MySQL names them: after their first column,
+  // and foreign keys after their table
+  parseTableElement(definition, constraintName = null) {
+    const word = this.peek().value?.toUpperCase?.();
+
+    if (word === 'PRIMARY') {
+      this.next();
+      this.expectKeyword('KEY');
+      definition.keys.push({ name: 'PRIMARY', primary: true, columns: this.keyColumns() });
+      return;
+    }
+    if (word === 'UNIQUE') {
+      this.next();
+      if (!this.acceptKeyword('KEY') && this.peek().value?.toUpperCase() === 'INDEX') this.next();
+      const name = this.isOp('(') ? null : this.identifier();
+      const columns = this.keyColumns();
+      definition.keys.push({ name: name || columns[0], unique: true, columns });
+      return;
+    }
+    if (word === 'INDEX' || word === 'KEY' || word === 'FULLTEXT') {
+      this.next();
+      if (word === 'FULLTEXT') this.acceptKeyword('KEY');
+      const name = this.isOp('(') ? null : this.identifier();
+      const columns = this.keyColumns();
+      definition.indexes.push({ name: name || columns[0], columns });
+      return;
+    }
+    if (word === 'CONSTRAINT') {
+      this.next();
+      this.parseTableElement(definition, this.identifier());
+      return;
+    }
+    if (word === 'FOREIGN') {
+      this.next();
+      this.expectKeyword('KEY');
+      const columns = this.keyColumns();
+      if (this.identifier().toUpperCase() !== 'REFERENCES') this.fail('Expected REFERENCES');
+      const refTable = this.tableName();
+      const refColumns = this.keyColumns();
+      let onDelete = 'RESTRICT';
+      while (this.acceptKeyword('ON')) {
+        const event = this.next().value.toUpperCase();
+        const action = this.parseReferenceAction();
+        if (event === 'DELETE') onDelete = action;
+      }
+      definition.foreignKeys.push({ name: constraintName, columns, refTable, refColumns, onDelete });
+      return;
+    }
+
+    definition.columns.push(this.parseColumnDefinition(definition));
+  }
+
+  parseReferenceAction() {
+    const first = this.next().value.toUpperCase();
+    if (first === 'SET') {
+      return `SET ${this.next().value.toUpperCase()}`;
+    }
+    if (first === 'NO') {
+      this.next();
+      return 'RESTRICT';
+    }
+    return first;
+  }
+
+  parseColumnDefinition(definition) {
+    const column = { name: this.identifier(), type: this.identifier().toUpperCase(), hasDefault: false };
+
+    if (this.acceptOp('(')) {
+      column.typeArgs = [];
+      do {
+        column.typeArgs.push(this.next().value);
+      } while (this.acceptOp(','));
+      this.expectOp(')');
+    }
+
+    while (!this.isOp(',', ')') && this.peek().type !== 'eof') {
+      const word = this.next();
+      const upper = String(word.value).toUpperCase();
+
+      if (upper === 'NOT') {
+        this.expectKeyword('NULL');
+        column.notNull = true;
+      } else if (upper === 'PRIMARY') {
+        this.expectKeyword('KEY');
+        column.notNull = true;
+        definition.keys.push({ name: 'PRIMARY', primary: true, columns: [column.name] });
+      } else if (upper === 'UNIQUE') {
+        this.acceptKeyword('KEY');
+        definition.keys.push({ name: column.name, unique: true, columns: [column.name] });
+      } else if (upper === 'AUTO_INCREMENT') {
+        column.autoIncrement = true;
+      } else if (upper === 'DEFAULT') {
+        column.hasDefault = true;
+        column.defaultExpr = this.parsePrimary();
+      } else if (upper === 'ON') {
+        this.expectKeyword('UPDATE');
+        this.next();
+        column.onUpdateNow = true;
+      } else if (upper === 'AFTER' || upper === 'COMMENT') {
+        this.next();
+      }
+      // NULL, UNSIGNED, CHARACTER SET etc. need no handling
+    }
+
+    return column;
+  }
+
+  skipTableOptions() {
+    while (this.peek().type !== 'eof' && !this.isOp(';')) {
+      this.next();
+    }
+  }
+
+  // Expression grammar, lowest to highest precedence
+  parseExpr() {
+    return this.parseOr();
+  }
+
+  parseOr() {
+    let left = this.parseAnd();
+    while (this.acceptKeyword('OR')) {
+      left = { type: 'or', left, right: this.parseAnd() };
+    }
+    return left;
+  }
+
+  parseAnd() {
+    let left = this.parseNot();
+    while (this.acceptKeyword('AND')) {
+      left = { type: 'and', left, right: this.parseNot() };
+    }
+    return left;
+  }
+
+  parseNot() {
+    if (this.acceptKeyword('NOT')) {
+      return { type: 'not', expr: this.parseNot() };
+    }
+    return this.parseComparison();
+  }
+
+  parseComparison() {
+    const left = this.parseAdditive();
+
+    if (this.acceptKeyword('IS')) {
+      const negated = Boolean(this.acceptKeyword('NOT'));
+      this.expectKeyword('NULL');
+      return { type: 'isNull', expr: left, negated };
+    }
+
+    const negated = Boolean(this.acceptKeyword('NOT'));
+
+    if (this.acceptKeyword('IN')) {
+      this.expectOp('(');
+      const list = [];
+      do {
+        list.push(this.parseExpr());
+      } while (this.acceptOp(','));
+      this.expectOp(')');
+      return { type: 'in', expr: left, list, negated };
+    }
+    if (this.acceptKeyword('LIKE')) {
+      return { type: 'like', expr: left, pattern: this.parseAdditive(), negated };
+    }
+    if (this.acceptKeyword('BETWEEN')) {
+      const low = this.parseAdditive();
+      this.expectKeyword('AND');
+      return { type: 'between', expr: left, low, high: this.parseAdditive(), negated };
+    }
+    if (negated) {
+      this.fail('Expected IN, LIKE or BETWEEN after NOT');
+    }
+
+    const op = this.acceptOp('=', '!=', '<>', '<', '>', '<=', '>=');
+    if (op) {
+      return { type: 'compare', op, left, right: this.parseAdditive() };
+    }
+    return left;
+  }
+
+  parseAdditive() {
+    let left = this.parseMultiplicative();
+    let op;
+    while ((op = this.acceptOp('+', '-'))) {
+      left = { type: 'arithmetic', op, left, right: this.parseMultiplicative() };
+    }
+    return left;
+  }
+
+  parseMultiplicative() {
+    let left = this.parseUnary();
+    let op;
+    while ((op = this.acceptOp('*', '/'))) {
+      left = { type: 'arithmetic', op, left, right: this.parseUnary() };
+    }
+    return left;
+  }
+
+  parseUnary() {
+    if (this.acceptOp('-')) {
+      return { type: 'arithmetic', op: '-', left: { type: 'literal', value: 0 }, right: this.parseUnary() };
+    }
+    return this.parsePrimary();
+  }
+
+  parsePrimary() {
+    const token = this.next();
+
+    switch (token.type) {
+      case 'number':
+      case 'string':
+        return { type: 'literal', value: token.value };
+      case 'param':
+        return { type: 'param', index: this.paramIndex++ };
+      case 'op':
+        if (token.value === '(') {
+          if (this.isKeyword('SELECT')) {
+            this.fail('Subqueries are not supported');
+          }
+          const expr = this.parseExpr();
+          this.expectOp(')');
+          return expr;
+        }
+        break;
+      case 'keyword':
+        if (token.value === 'NULL') return { type: 'literal', value: null };
+        if (token.value === 'TRUE') return { type: 'literal', value: 1 };
+        if (token.value === 'FALSE') return { type: 'literal', value: 0 };
+        if (token.value === 'CASE') return this.parseCase();
+        if (token.value === 'INTERVAL') {
+          const amount = this.parseAdditive();
+          return { type: 'interval', amount, unit: this.identifier().toUpperCase() };
+        }
+        if (token.value === 'VALUES' && this.isOp('(')) {
+          this.next();
+          const column = this.identifier();
+          this.expectOp(')');
+          return { type: 'values', column };
+        }
+        break;
+      case 'ident':
+        return this.parseIdentifier(token);
+      default:
+        break;
+    }
+
+    this.pos--;
+    return this.fail('Unexpected token');
+  }
+
+  parseIdentifier(token) {
+    if (this.isOp('(')) {
+      this.next();
+      const name = token.value.toUpperCase();
+      const args = [];
+      let distinct = false;
+
+      if (this.acceptOp('*')) {
+        args.push({ type: 'star' });
+      } else if (!this.isOp(')')) {
+        distinct = Boolean(this.acceptKeyword('DISTINCT'));
+        do {
+          args.push(this.parseExpr());
+        } while (this.acceptOp(','));
+      }
+      this.expectOp(')');
+      return { type: AGGREGATES.has(name) ? 'aggregate' : 'call', name, args, distinct };
+    }
+
+    if (token.value.toUpperCase() === 'CURRENT_TIMESTAMP') {
+      return { type: 'call', name: 'NOW', args: [] };
+    }
+
+    if (this.acceptOp('.')) {
+      return { type: 'column', table: token.value, name: this.identifier() };
+    }
+    return { type: 'column', name: token.value };
+  }
+
+  parseCase() {
+    const branches = [];
+    let subject = null;
+    if (!this.isKeyword('WHEN')) {
+      subject = this.parseExpr();
+    }
+    while (this.acceptKeyword('WHEN')) {
+      const when = this.parseExpr();
+      this.expectKeyword('THEN');
+      branches.push({ when, then: this.parseExpr() });
+    }
+    const otherwise = this.acceptKeyword('ELSE') ? this.parseExpr() : { type: 'literal', value: null };
+    this.expectKeyword('END');
+    return { type: 'case', subject, branches, otherwise };
+  }
+}
+
+const isNull = (value) => value === null || value === undefined;
+
+const comparable = (value) => {
+  if (value instanceof Date) return value.getTime();
+  if (typeof value === 'boolean') return value ? 1 : 0;
+  return value;
+};
+
+// Numeric strings compare as numbers, date strings as timestamps
+const stringToNumber = (value) => {
+  const number = Number(value);
+  return Number.isNaN(number) ? Date.parse(value) : number;
+};
+
+// MySQL comparison semantics: NULL compares as unknown, numbers and numeric
+// strings compare numerically, strings compare case-insensitively
+const compareValues = (a, b) => {
+  if (isNull(a) || isNull(b)) return null;
+  let left = comparable(a);
+  let right = comparable(b);
+
+  if (typeof left === 'number' || typeof right === 'number') {
+    if (typeof left === 'string') left = stringToNumber(left);
+    if (typeof right === 'string') right = stringToNumber(right);
+  }
+  if (typeof left === 'string' && typeof right === 'string') {
+    left = left.toLowerCase();
+    right = right.toLowerCase();
+  }
+
+  if (left < right) return -1;
+  if (left > right) return 1;
+  return 0;
+};
+
+const likeToRegExp = (pattern) => {
+  const source = String(pattern)
+    .split('')
+    .map(ch => {
+      if (ch === '%') return '.*';
+      if (ch === '_') return '.';
+      return ch.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    })
+    .join('');
+  return new RegExp(`^${source}$`, 'is');
+};
+
+const toNumber = (value) => {
+  if (isNull(value)) return null;
+  return Number(comparable(value));
+};
+
+const truthy = (value) => !isNull(value) && value !== 0 && value !== false && value !== '0';
+
+const jsonExtract = (document, path) => {
+  if (isNull(document)) return null;
+  let value = typeof document === 'string' ? JSON.parse(document) : document;
+
+  for (const part of String(path).replace(/^\$\.?/, '').split('.').filter(Boolean)) {
+    const index = part.match(/^(.*)\[(\d+)\]$/);
+    if (index) {
+      value = value?.[index[1]]?.[Number(index[2])];
+    } else {
+      value = value?.[part];
+    }
+  }
+
+  return value === undefined ? null : JSON.stringify(value);
+};
+
+const FUNCTIONS = {
+  NOW: () => new Date(),
+  CURDATE: () => {
+    const date = new Date();
+    date.setUTCHours(0, 0, 0, 0);
+    return date;
+  },
+  DATABASE: () => 'test',
+  LOWER: (value) => (isNull(value) ? null : String(value).toLowerCase()),
+  UPPER: (value) => (isNull(value) ? null : String(value).toUpperCase()),
+  LENGTH: (value) => (isNull(value) ? null : String(value).length),
+  COALESCE: (...values) => values.find(value => !isNull(value)) ?? null,
+  IFNULL: (value, fallback) => (isNull(value) ? fallback : value),
+  GREATEST: (...values) => (values.some(isNull) ? null : values.reduce((a, b) => (compareValues(a, b) >= 0 ? a : b))),
+  LEAST: (...values) => (values.some(isNull) ? null : values.reduce((a, b) => (compareValues(a, b) <= 0 ? a : b))),
+  ROUND: (value, digits = 0) => {
+    if (isNull(value)) return null;
+    const factor = 10 ** digits;
+    return Math.round(Number(value) * factor) / factor;
+  },
+  DATE: (value) => {
+    if (isNull(value)) return null;
+    const date = new Date(comparable(value));
+    date.setUTCHours(0, 0, 0, 0);
+    return date;
+  },
+  JSON_EXTRACT: jsonExtract,
+  JSON_UNQUOTE: (value) => {
+    if (isNull(value)) return null;
+    try {
+      const parsed = JSON.parse(value);
+      return typeof parsed === 'string' ? parsed : value;
+    } catch (error) {
+      return value;
+    }
+  },
+  DATE_SUB: (date, interval) => new Date(comparable(date) - interval),
+  DATE_ADD: (date, interval) => new Date(comparable(date) + interval)
+};
+
+const cloneValue = (value) => (value instanceof Date ? new Date(value) : value);
+
+const cloneRow = (row) => Object.fromEntries(Object.entries(row).map(([key, value]) => [key, cloneValue(value)]));
+
+export class InMemoryMySQL {
+  constructor() {
+    this.tables = new Map();
+    this.statements = [];
+    this.parsed = new Map();
+  }
+
+  // mysql2/promise API
+  async execute(sql, params = []) {
+    if (params.some(param => param === undefined)) {
+      throw new TypeError('Bind parameters must not contain undefined. To pass SQL NULL specify JS null');
+    }
+    this.statements.push({ sql, params });
+    return this.run(sql, params);
+  }
+
+  async query(sql, params = []) {
+    return this.execute(sql, params.map(param => (param === undefined ? null : param)));
+  }
+
+  async beginTransaction() {}
+
+  async commit() {}
+
+  async rollback() {}
+
+  async end() {}
+
+  // Rows currently stored in a table, for assertions
+  rows(table) {
+    return this.getTable(table).rows.map(cloneRow);
+  }
+
+  // Insert rows directly, filling column defaults
+  seed(table, rows) {
+    const target = this.getTable(table);
+    for (const row of rows) {
+      target.rows.push(this.completeRow(target, { ...row }));
+    }
+  }
+
+  getTable(name) {
+    const table = this.tables.get(name.toLowerCase());
+    if (!table) {
+      throw new SqlError(`Table '${name}' doesn't exist`, 'ER_NO_SUCH_TABLE');
+    }
+    return table;
+  }
+
+  run(sql, params) {
+    let statement = this.parsed.get(sql);
+    if (!statement) {
+      statement = new Parser(sql).parseStatement();
+      this.parsed.set(sql, statement);
+    }
+
+    if (params.length < statement.paramCount) {
+      throw new SqlError(`Statement expects ${statement.paramCount} parameters, got ${params.length}`, 'ER_WRONG_ARGUMENTS');
+    }
+
+    switch (statement.type) {
+      case 'create': return this.runCreate(statement);
+      case 'alter': return this.runAlter(statement);
+      case 'insert': return this.runInsert(statement, params);
+      case 'select': return this.runSelect(statement, params);
+      case 'update': return this.runUpdate(statement, params);
+      case 'delete': return this.runDelete(statement, params);
+      default: throw new SqlError(`Unsupported statement: ${sql}`, 'ER_NOT_SUPPORTED_YET');
+    }
+  }
+
+  runCreate({ table, ifNotExists, definition }) {
+    const key = table.toLowerCase();
+    if (this.tables.has(key)) {
+      if (ifNotExists) return [{ affectedRows: 0, warningStatus: 1 }, undefined];
+      throw new SqlError(`Table '${table}' already exists`, 'ER_TABLE_EXISTS_ERROR');
+    }
+
+    this.tables.set(key, {
+      name: table,
+      columns: definition.columns,
+      keys: definition.keys,
+      indexes: definition.indexes,
+      foreignKeys: [],
+      rows: [],
+      autoIncrement: 1
+    });
+    this.addForeignKeys(this.tables.get(key), definition.foreignKeys);
+    return [{ affectedRows: 0, warningStatus: 0 }, undefined];
+  }
+
+  addForeignKeys(table, foreignKeys) {
+    for (const fk of foreignKeys) {
+      table.foreignKeys.push({ ...fk, name: fk.name || `${table.name}_ibfk_${table.foreignKeys.length + 1}` });
+    }
+  }
+
+  runAlter({ table, definition }) {
+    const target = this.getTable(table);
+
+    for (const column of definition.columns) {
+      if (target.columns.some(existing => existing.name === column.name)) {
+        throw new SqlError(`Duplicate column name '${column.name}'`, 'ER_DUP_FIELDNAME');
+      }
+      target.columns.push(column);
+      for (const row of target.rows) {
+        row[column.name] = column.hasDefault ? this.evaluate(column.defaultExpr, {}) : null;
+      }
+    }
+    for (const key of [...definition.keys, ...definition.indexes]) {
+      if ([...target.keys, ...target.indexes].some(existing => existing.name === key.name)) {
+        throw new SqlError(`Duplicate key name '${key.name}'`, 'ER_DUP_KEYNAME');
+      }
+    }
+    target.keys.push(...definition.keys);
+    target.indexes.push(...definition.indexes);
+    // Like MySQL, rows already in the table must satisfy a new foreign key
+    const added = definition.foreignKeys.map(fk => ({ ...fk }));
+    target.rows.forEach(row => this.checkForeignKeys({ ...target, foreignKeys: added }, row));
+    this.addForeignKeys(target, added);
+    return [{ affectedRows: 0, warningStatus: 0 }, undefined];
+  }
+
+  // Applies column defaults and MySQL storage conversions to a new row
+  completeRow(table, row) {
+    for (const column of table.columns) {
+      if (row[column.name] === undefined) {
+        if (column.autoIncrement) {
+          row[column.name] = table.autoIncrement++;
+        } else if (column.hasDefault) {
+          row[column.name] = this.evaluate(column.defaultExpr, {});
+        } else {
+          row[column.name] = null;
+        }
+      }
+      row[column.name] = this.storeValue(table, column, row[column.name]);
+    }
+    return row;
+  }
+
+  storeValue(table, column, value) {
+    if (isNull(value)) {
+      if (column.notNull && !column.autoIncrement) {
+        throw new SqlError(`Column '${column.name}' cannot be null`, 'ER_BAD_NULL_ERROR');
+      }
+      return null;
+    }
+    if (typeof value === 'boolean') {
+      return value ? 1 : 0;
+    }
+    if (column.type === 'ENUM' && !column.typeArgs.includes(value)) {
+      throw new SqlError(`Data truncated for column '${column.name}'`, 'WARN_DATA_TRUNCATED');
+    }
+    if (['TIMESTAMP', 'DATETIME', 'DATE'].includes(column.type) && !(value instanceof Date)) {
+      return new Date(value);
+    }
+    if (['INT', 'BIGINT', 'TINYINT', 'SMALLINT', 'FLOAT', 'DOUBLE', 'DECIMAL'].includes(column.type) && typeof value === 'string') {
+      return Number(value);
+    }
+    if (value instanceof Date) {
+      return new Date(value);
+    }
+    return value;
+  }
+
+  uniqueKeys(table) {
+    return table.keys.filter(key => key.primary || key.unique);
+  }
+
+  findDuplicate(table, row, ignoreRow = null) {
+    for (const key of this.uniqueKeys(table)) {
+      if (key.columns.some(column => isNull(row[column]))) continue;
+      const existing = table.rows.find(other => other !== ignoreRow &&
+        key.columns.every(column => compareValues(other[column], row[column]) === 0));
+      if (existing) {
+        return { existing, key };
+      }
+    }
+    return null;
+  }
+
+  checkForeignKeys(table, row) {
+    for (const fk of table.foreignKeys) {
+      const values = fk.columns.map(column => row[column]);
+      if (values.some(isNull)) continue;
+
+      const parent = this.getTable(fk.refTable);
+      const found = parent.rows.some(parentRow =>
+        fk.refColumns.every((column, index) => compareValues(parentRow[column], values[index]) === 0));
+      if (!found) {
+        throw new SqlError(
+          `Cannot add or update a child row: a foreign key constraint fails (${table.name}.${fk.columns.join(', ')} -> ${fk.refTable})`,
+          'ER_NO_REFERENCED_ROW_2'
+        );
+      }
+    }
+  }
+
+  runInsert(statement, params) {
+    const table = this.getTable(statement.table);
+    let affectedRows = 0;
+    let insertId = 0;
+
+    for (const values of statement.rows) {
+      const input = {};
+      statement.columns.forEach((column, index) => {
+        if (!table.columns.some(c => c.name === column)) {
+          throw new SqlError(`Unknown column '${column}' in 'field list'`, 'ER_BAD_FIELD_ERROR');
+        }
+        input[column] = this.evaluate(values[index], {}, { params });
+      });
+
+      const row = this.completeRow(table, { ...input });
+      const duplicate = this.findDuplicate(table, row);
+
+      if (duplicate) {
+        if (statement.onDuplicate) {
+          const changed = this.applyAssignments(table, duplicate.existing, statement.onDuplicate, { params, values: row });
+          affectedRows += changed ? 2 : 0;
+          continue;
+        }
+        if (statement.ignore) continue;
+        throw new SqlError(
+          `Duplicate entry '${duplicate.key.columns.map(c => row[c]).join('-')}' for key '${table.name}.${duplicate.key.primary ? 'PRIMARY' : duplicate.key.columns.join('_')}'`,
+          'ER_DUP_ENTRY'
+        );
+      }
+
+      this.checkForeignKeys(table, row);
+      table.rows.push(row);
+      affectedRows++;
+      const autoColumn = table.columns.find(c => c.autoIncrement);
+      if (autoColumn) insertId = row[autoColumn.name];
+    }
+
+    return [{ affectedRows, insertId, warningStatus: 0 }, undefined];
+  }
+
+  // Returns true when any column value changed
+  applyAssignments(table, row, assignments, scope) {
+    const context = { row: { [table.name]: row }, ...scope };
+    const updates = {};
+
+    for (const { column, expr } of assignments) {
+      const definition = table.columns.find(c => c.name === column);
+      if (!definition) {
+        throw new SqlError(`Unknown column '${column}' in 'field list'`, 'ER_BAD_FIELD_ERROR');
+      }
+      updates[column] = this.storeValue(table, definition, this.evaluate(expr, context.row, context));
+      // Later assignments see earlier ones, as in MySQL
+      context.row[table.name] = { ...row, ...updates };
+    }
+
+    const changed = Object.entries(updates).some(([column, value]) => compareValues(row[column], value) !== 0 ||
+      isNull(row[column]) !== isNull(value));
+    if (!changed) return false;
+
+    const candidate = { ...row, ...updates };
+    const duplicate = this.findDuplicate(table, candidate, row);
+    if (duplicate) {
+      throw new SqlError(`Duplicate entry for key '${table.name}'`, 'ER_DUP_ENTRY');
+    }
+    this.checkForeignKeys(table, candidate);
+
+    Object.assign(row, updates);
+    for (const column of table.columns) {
+      if (column.onUpdateNow && !(column.name in updates)) {
+        row[column.name] = new Date();
+      }
+    }
+    return true;
+  }
+
+  runUpdate(statement, params) {
+    const table = this.getTable(statement.table);
+    const rows = this.limitRows(statement, this.matchingRows(table, statement.where, params), params, table);
+    let changedRows = 0;
+
+    for (const row of rows) {
+      if (this.applyAssignments(table, row, statement.assignments, { params })) {
+        changedRows++;
+      }
+    }
+
+    return [{ affectedRows: changedRows, changedRows, info: `Rows matched: ${rows.length}  Changed: ${changedRows}` }, undefined];
+  }
+
+  runDelete(statement, params) {
+    const table = this.getTable(statement.table);
+    const rows = this.limitRows(statement, this.matchingRows(table, statement.where, params), params, table);
+    rows.forEach(row => this.deleteRow(table, row));
+    return [{ affectedRows: rows.length }, undefined];
+  }
+
+  deleteRow(table, row) {
+    for (const child of this.tables.values()) {
+      for (const fk of child.foreignKeys) {
+        if (fk.refTable.toLowerCase() !== table.name.toLowerCase()) continue;
+
+        const referencing = child.rows.filter(childRow => fk.columns.every((column, index) =>
+          compareValues(childRow[column], row[fk.refColumns[index]]) === 0));
+        if (referencing.length === 0) continue;
+
+        if (fk.onDelete === 'CASCADE') {
+          referencing.forEach(childRow => this.deleteRow(child, childRow));
+        } else if (fk.onDelete === 'SET NULL') {
+          referencing.forEach(childRow => fk.columns.forEach(column => { childRow[column] = null; }));
+        } else {
+          throw new SqlError(
+            `Cannot delete or update a parent row: a foreign key constraint fails (${child.name})`,
+            'ER_ROW_IS_REFERENCED_2'
+          );
+        }
+      }
+    }
+
+    const index = table.rows.indexOf(row);
+    if (index !== -1) table.rows.splice(index, 1);
+  }
+
+  matchingRows(table, where, params) {
+    return table.rows.filter(row => !where || truthy(this.evaluate(where, { [table.name]: row }, { params })));
+  }
+
+  limitRows(statement, rows, params, table) {
+    let result = rows;
+    if (statement.orderBy) {
+      result = this.sortRows(result.map(row => ({ [table.name]: row })), statement.orderBy, { params })
+        .map(scope => scope[table.name]);
+    }
+    if (statement.limit) {
+      const offset = statement.offset ? Number(this.evaluate(statement.offset, {}, { params })) : 0;
+      result = result.slice(offset, offset + Number(this.evaluate(statement.limit, {}, { params })));
+    }
+    return result;
+  }
+
+  sourceRows(name) {
+    if (name.toUpperCase() === 'INFORMATION_SCHEMA.COLUMNS') {
+      const rows = [];
+      for (const table of this.tables.values()) {
+        table.columns.forEach((column, index) => rows.push({
+          TABLE_SCHEMA: 'test',
+          TABLE_NAME: table.name,
+          COLUMN_NAME: column.name,
+          ORDINAL_POSITION: index + 1,
+          DATA_TYPE: column.type.toLowerCase()
+        }));
+      }
+      return rows;
+    }
+    if (name.toUpperCase() === 'INFORMATION_SCHEMA.STATISTICS') {
+      return [...this.tables.values()].flatMap(table => [...table.keys, ...table.indexes]
+        .flatMap(key => key.columns.map((column, index) => ({
+          TABLE_SCHEMA: 'test',
+          TABLE_NAME: table.name,
+          INDEX_NAME: key.name,
+          NON_UNIQUE: key.primary || key.unique ? 0 : 1,
+          SEQ_IN_INDEX: index + 1,
+          COLUMN_NAME: column
+        }))));
+    }
+    if (name.toUpperCase() === 'INFORMATION_SCHEMA.KEY_COLUMN_USAGE') {
+      return [...this.tables.values()].flatMap(table => table.foreignKeys
+        .flatMap(fk => fk.columns.map((column, index) => ({
+          TABLE_SCHEMA: 'test',
+          TABLE_NAME: table.name,
+          CONSTRAINT_NAME: fk.name,
+          COLUMN_NAME: column,
+          REFERENCED_TABLE_NAME: fk.refTable,
+          REFERENCED_COLUMN_NAME: fk.refColumns[index]
+        }))));
+    }
+    return this.getTable(name).rows;
+  }
+
+  runSelect(statement, params) {
+    const context = { params };
+    let scopes = [{}];
+
+    if (statement.from) {
+      scopes = this.sourceRows(statement.from.table).map(row => ({ [statement.from.alias]: row }));
+
+      for (const join of statement.joins) {
+        const joinRows = this.sourceRows(join.table);
+        const joined = [];
+        for (const scope of scopes) {
+          const matches = joinRows
+            .map(row => ({ ...scope, [join.alias]: row }))
+            .filter(candidate => truthy(this.evaluate(join.on, candidate, context)));
+          if (matches.length > 0) {
+            joined.push(...matches);
+          } else if (join.left) {
+            joined.push({ ...scope, [join.alias]: {} });
+          }
+        }
+        scopes = joined;
+      }
+    }
+
+    if (statement.where) {
+      scopes = scopes.filter(scope => truthy(this.evaluate(statement.where, scope, context)));
+    }
+
+    const grouped = statement.groupBy || statement.columns.some(column => column.expr && this.hasAggregate(column.expr));
+    let results;
+
+    if (grouped) {
+      const groups = new Map();
+      if (!statement.groupBy) {
+        groups.set('all', scopes);
+      } else {
+        for (const scope of scopes) {
+          const key = JSON.stringify(statement.groupBy.map(expr => comparable(this.evaluate(expr, scope, context))));
+          if (!groups.has(key)) groups.set(key, []);
+          groups.get(key).push(scope);
+        }
+      }
+
+      results = [];
+      for (const group of groups.values()) {
+        const groupContext = { ...context, group };
+        const representative = group[0] || {};
+        if (statement.having && !truthy(this.evaluate(statement.having, representative, groupContext))) continue;
+        results.push({
+          scope: representative,
+          groupContext,
+          row: this.projectRow(statement.columns, representative, groupContext, statement)
+        });
+      }
+    } else {
+      results = scopes.map(scope => ({
+        scope,
+        groupContext: context,
+        row: this.projectRow(statement.columns, scope, context, statement)
+      }));
+    }
+
+    if (statement.distinct) {
+      const seen = new Set();
+      results = results.filter(({ row }) => {
+        const key = JSON.stringify(Object.values(row).map(comparable));
+        if (seen.has(key)) return false;
+        seen.add(key);
+        return true;
+      });
+    }
+
+    if (statement.orderBy) {
+      results = this.sortResults(results, statement.orderBy);
+    }
+
+    if (statement.limit) {
+      const offset = statement.offset ? Number(this.evaluate(statement.offset, {}, context)) : 0;
+      results = results.slice(offset, offset + Number(this.evaluate(statement.limit, {}, context)));
+    }
+
+    return [results.map(({ row }) => row), []];
+  }
+
+  projectRow(columns, scope, context, statement) {
+    const row = {};
+    for (const column of columns) {
+      if (column.star) {
+        const aliases = column.alias ? [column.alias] : [statement.from.alias, ...statement.joins.map(j => j.alias)];
+        for (const alias of aliases) {
+          Object.assign(row, cloneRow(scope[alias] || {}));
+        }
+      } else {
+        row[column.name] = cloneValue(this.evaluate(column.expr, scope, context));
+      }
+    }
+    return row;
+  }
+
+  sortResults(results, orderBy) {
+    return [...results].sort((a, b) => {
+      for (const { expr, descending } of orderBy) {
+        // ORDER BY may name a select alias as well as a column
+        const left = this.orderValue(expr, a);
+        const right = this.orderValue(expr, b);
+        const order = this.compareForSort(left, right);
+        if (order !== 0) return descending ? -order : order;
+      }
+      return 0;
+    });
+  }
+
+  orderValue(expr, result) {
+    if (expr.type === 'column' && !expr.table && expr.name in result.row) {
+      return result.row[expr.name];
+    }
+    return this.evaluate(expr, result.scope, result.groupContext);
+  }
+
+  sortRows(scopes, orderBy, context) {
+    return [...scopes].sort((a, b) => {
+      for (const { expr, descending } of orderBy) {
+        const order = this.compareForSort(this.evaluate(expr, a, context), this.evaluate(expr, b, context));
+        if (order !== 0) return descending ? -order : order;
+      }
+      return 0;
+    });
+  }
+
+  // NULLs sort first in ascending order, as in MySQL
+  compareForSort(left, right) {
+    if (isNull(left) && isNull(right)) return 0;
+    if (isNull(left)) return -1;
+    if (isNull(right)) return 1;
+    return compareValues(left, right);
+  }
+
+  hasAggregate(expr) {
+    if (!expr || typeof expr !== 'object') return false;
+    if (expr.type === 'aggregate') return true;
+    return Object.values(expr).some(value => (Array.isArray(value)
+      ? value.some(item => this.hasAggregate(item) || this.hasAggregate(item?.when) || this.hasAggregate(item?.then))
+      : this.hasAggregate(value)));
+  }
+
+  lookupColumn(expr, scope) {
+    if (expr.table) {
+      const row = scope[expr.table];
+      if (!row) {
+        throw new SqlError(`Unknown column '${expr.table}.${expr.name}'`, 'ER_BAD_FIELD_ERROR');
+      }
+      return row[expr.name] ?? null;
+    }
+
+    for (const row of Object.values(scope)) {
+      if (row && expr.name in row) {
+        return row[expr.name];
+      }
+    }
+
+    // Stored rows carry every column, so a miss is a typo in the query unless
+    // a LEFT JOIN found no match
+    if (!Object.values(scope).some(row => Object.keys(row).length === 0)) {
+      throw new SqlError(`Unknown column '${expr.name}'`, 'ER_BAD_FIELD_ERROR');
+    }
+    return null;
+  }
+
+  evaluate(expr, scope, context = {}) {
+    switch (expr.type) {
+      case 'literal':
+        return expr.value;
+      case 'param': {
+        const value = context.params[expr.index];
+        return value === undefined ? null : value;
+      }
+      case 'column':
+        return this.lookupColumn(expr, scope);
+      case 'values':
+        return context.values ? context.values[expr.column] : null;
+      case 'and': {
+        const left = this.evaluate(expr.left, scope, context);
+        if (!isNull(left) && !truthy(left)) return 0;
+        const right = this.evaluate(expr.right, scope, context);
+        if (!isNull(right) && !truthy(right)) return 0;
+        return isNull(left) || isNull(right) ? null : 1;
+      }
+      case 'or': {
+        const left = this.evaluate(expr.left, scope, context);
+        if (truthy(left)) return 1;
+        const right = this.evaluate(expr.right, scope, context);
+        if (truthy(right)) return 1;
+        return isNull(left) || isNull(right) ? null : 0;
+      }
+      case 'not': {
+        const value = this.evaluate(expr.expr, scope, context);
+        return isNull(value) ? null : (truthy(value) ? 0 : 1);
+      }
+      case 'isNull': {
+        const value = this.evaluate(expr.expr, scope, context);
+        return isNull(value) !== expr.negated ? 1 : 0;
+      }
+      case 'in': {
+        const value = this.evaluate(expr.expr, scope, context);
+        if (isNull(value)) return null;
+        const found = expr.list.some(item => compareValues(value, this.evaluate(item, scope, context)) === 0);
+        return found !== expr.negated ? 1 : 0;
+      }
+      case 'like': {
+        const value = this.evaluate(expr.expr, scope, context);
+        const pattern = this.evaluate(expr.pattern, scope, context);
+        if (isNull(value) || isNull(pattern)) return null;
+        return likeToRegExp(pattern).test(String(value)) !== expr.negated ? 1 : 0;
+      }
+      case 'between': {
+        const value = this.evaluate(expr.expr, scope, context);
+        const low = compareValues(value, this.evaluate(expr.low, scope, context));
+        const high = compareValues(value, this.evaluate(expr.high, scope, context));
+        if (low === null || high === null) return null;
+        return (low >= 0 && high <= 0) !== expr.negated ? 1 : 0;
+      }
+      case 'compare': {
+        const order = compareValues(this.evaluate(expr.left, scope, context), this.evaluate(expr.right, scope, context));
+        if (order === null) return null;
+        switch (expr.op) {
+          case '=': return order === 0 ? 1 : 0;
+          case '!=':
+          case '<>': return order !== 0 ? 1 : 0;
+          case '<': return order < 0 ? 1 : 0;
+          case '>': return order > 0 ? 1 : 0;
+          case '<=': return order <= 0 ? 1 : 0;
+          default: return order >= 0 ? 1 : 0;
+        }
+      }
+      case 'arithmetic':
+        return this.evaluateArithmetic(expr, scope, context);
+      case 'interval': {
+        const unit = INTERVAL_MS[expr.unit.replace(/S$/, '')];
+        if (!unit) throw new SqlError(`Unsupported interval unit ${expr.unit}`, 'ER_NOT_SUPPORTED_YET');
+        return { interval: toNumber(this.evaluate(expr.amount, scope, context)) * unit };
+      }
+      case 'case': {
+        const subject = expr.subject ? this.evaluate(expr.subject, scope, context) : null;
+        for (const branch of expr.branches) {
+          const when = this.evaluate(branch.when, scope, context);
+          const matched = expr.subject ? compareValues(subject, when) === 0 : truthy(when);
+          if (matched) return this.evaluate(branch.then, scope, context);
+        }
+        return this.evaluate(expr.otherwise, scope, context);
+      }
+      case 'call': {
+        const fn = FUNCTIONS[expr.name];
+        if (!fn) throw new SqlError(`FUNCTION ${expr.name} is not supported by InMemoryMySQL`, 'ER_SP_DOES_NOT_EXIST');
+        const args = expr.args.map(arg => {
+          const value = this.evaluate(arg, scope, context);
+          return value && typeof value === 'object' && 'interval' in value ? value.interval : value;
+        });
+        return fn(...args);
+      }
+      case 'aggregate':
+        return this.evaluateAggregate(expr, context);
+      default:
+        throw new SqlError(`Cannot evaluate ${expr.type}`, 'ER_NOT_SUPPORTED_YET');
+    }
+  }
+
+  evaluateArithmetic(expr, scope, context) {
+    const leftRaw = this.evaluate(expr.left, scope, context);
+    const rightRaw = this.evaluate(expr.right, scope, context);
+    if (isNull(leftRaw) || isNull(rightRaw)) return null;
+
+    // Date +/- INTERVAL n UNIT
+    if (rightRaw && typeof rightRaw === 'object' && 'interval' in rightRaw) {
+      const base = comparable(leftRaw);
+      return new Date(expr.op === '-' ? base - rightRaw.interval : base + rightRaw.interval);
+    }
+
+    const left = toNumber(leftRaw);
+    const right = toNumber(rightRaw);
+    switch (expr.op) {
+      case '+': return left + right;
+      case '-': return left - right;
+      case '*': return left * right;
+      default: return right === 0 ? null : left / right;
+    }
+  }
+
+  evaluateAggregate(expr, context) {
+    const group = context.group || [];
+    const [arg] = expr.args;
+
+    if (expr.name === 'COUNT' && arg.type === 'star') {
+      return group.length;
+    }
+
+    let values = group
+      .map(scope => this.evaluate(arg, scope, context))
+      .filter(value => !isNull(value));
+
+    if (expr.distinct) {
+      const seen = new Set();
+      values = values.filter(value => {
+        const key = comparable(value);
+        if (seen.has(key)) return false;
+        seen.add(key);
+        return true;
+      });
+    }
+
+    switch (expr.name) {
+      case 'COUNT':
+        return values.length;
+      case 'SUM':
+        return values.length ? values.reduce((sum, value) => sum + toNumber(value), 0) : null;
+      case 'AVG':
+        return values.length ? values.reduce((sum, value) => sum + toNumber(value), 0) / values.length : null;
+      case 'MIN':
+        return values.length ? values.reduce((a, b) => (compareValues(a, b) <= 0 ? a : b)) : null;
+      default:
+        return values.length ? values.reduce((a, b) => (compareValues(a, b) >= 0 ? a : b)) : null;
+    }
+  }
+}
@@ -0,0 +1,86 @@
+import { initializeTables } from '../../src/config/database.js';
+import { MemoryManager } from '../../src/services/MemoryManager.js';
+import { AuthService } from '../../src/services/AuthService.js';
+import { AgentManager } from '../../src/services/AgentManager.js';
+import { LangGraphOrchestrator } from '../../src/services/LangGraphOrchestrator.js';
+import { LLMService } from '../../src/services/LLMService.js';
+import { ThreadManager } from '../../src/services/ThreadManager.js';
+import { PlaceService } from '../../src/services/PlaceService.js';
+import { EdgeRuleManager } from '../../src/services/EdgeRuleManager.js';
+import { MemoryConsolidator } from '../../src/services/MemoryConsolidator.js';
+import { MockProvider } from '../../src/services/providers/MockProvider.js';
+import { InMemoryMySQL } from './InMemoryMySQL.js';
+
+// Builds the service graph server.js builds, on top of the in-memory
+// database and the scripted mock provider. The default agents are loaded and
+// the orchestrator is initialized. The places table holds the bundled dataset
+// and the edge rules come from config/agents.json.
+//
+// options.responses: [{ match, response }] scripted for the mock provider
+// options.routerMode: 'keyword' | 'classifier' | 'hybrid'
+// options.confidenceMode: 'heuristic' | 'judge' | 'logprob'
+// options.orchestrator: LangGraphOrchestrator config (timeouts, retries, breaker)
+// options.pluginDir: directory AgentManager loads agent type plugins from
+export const createTestServices = async (options = {}) => {
+  const mysql = new InMemoryMySQL();
+  await initializeTables(mysql);
+
+  const mock = new MockProvider({ responses: options.responses || [] });
+  const llmService = new LLMService({ mock }, { defaultProvider: 'mock', embeddingProvider: 'mock' });
+
+  const memoryManager = new MemoryManager(mysql, llmService);
+  const memoryConsolidator = new MemoryConsolidator(mysql, memoryManager, llmService);
+  const authService = new AuthService(mysql);
+  const placeService = new PlaceService(mysql);
+  await placeService.initialize();
+  const agentManager = new AgentManager(mysql, memoryManager, llmService, { pluginDir: options.pluginDir, placeService });
+  const orchestrator = new LangGraphOrchestrator(memoryManager, agentManager, llmService, {
+    retryBaseDelayMs: 1,
+    retryMaxDelayMs: 5,
+    ...options.orchestrator
+  });
+  const threadManager = new ThreadManager(mysql, memoryManager);
+
+  if (options.routerMode) {
+    agentManager.router.mode = options.routerMode;
+  }
+  if (options.confidenceMode) {
+    agentManager.confidenceEstimator.mode = options.confidenceMode;
+  }
+
+  await orchestrator.initialize();
+
+  const edgeRuleManager = new EdgeRuleManager(mysql, orchestrator.agentGraph);
+  await edgeRuleManager.initialize();
+
+  return {
+    mysql,
+    mock,
+    llmService,
+    memoryManager,
+    memoryConsolidator,
+    authService,
+    agentManager,
+    orchestrator,
+    threadManager,
+    placeService,
+    edgeRuleManager
+  };
+};
+
+// Inserts a user row directly; conversations and memory entries reference
+// users through foreign keys
+export const createTestUser = (mysql, overrides = {}) => {
+  const user = {
+    id: `user-${Math.random().toString(36).slice(2, 10)}`,
+    username: `tester${Math.random().toString(36).slice(2, 8)}`,
+    email: `${Math.random().toString(36).slice(2, 8)}@example.com`,
+    password_hash: 'not-a-real-hash',
+    session_id: 'session-test',
+    preferences: '{}',
+    ...overrides
+  };
+
+  mysql.seed('users', [user]);
+  return user;
+};
@@ -0,0 +1,21 @@
+import express from 'express';
+import apiRoutes, { initializeServices } from '../../src/routes/api.js';
+
+// Mounts the API routes on an ephemeral port. Returns the base URL and a
+// close() for afterAll.
+export const startTestServer = async (services) => {
+  initializeServices(services);
+
+  const app = express();
+  app.use(express.json());
+  app.use('/api', apiRoutes);
+
+  const server = await new Promise(resolve => {
+    const listener = app.listen(0, '127.0.0.1', () => resolve(listener));
+  });
+
+  return {
+    baseUrl: `http://127.0.0.1:${server.address().port}/api`,
+    close: () => new Promise(resolve => server.close(resolve))
+  };
+};
@@ -0,0 +1,123 @@
+import { createTestServices, createTestUser } from './helpers/createTestServices.js';
+import { MemoryConsolidator } from '../src/services/MemoryConsolidator.js';
+
+const DAY = 24 * 60 * 60 * 1000;
+
+const facts = (...list) => JSON.stringify({ facts: list });
+
+describe('MemoryConsolidator', () => {
+  let services;
+  let user;
+  let consolidator;
+
+  const converse = (query, response) => services.memoryManager.storeConversation({
+    userId: user.id,
+    query,
+    responses: [{ agentId: 'river-agent', agentName: 'River Agent', response, confidence: 0.8, executionTime: 5, relevanceScore: 6 }],
+    totalExecutionTime: 5
+  });
+
+  const factRows = () => services.mysql.rows('memory_entries').filter(entry => JSON.parse(entry.metadata).kind === 'fact');
+
+  beforeEach(async () => {
+    services = await createTestServices();
+    user = createTestUser(services.mysql);
+    // Reach the entries storeConversation writes with the default 7-day expiry
+    consolidator = new MemoryConsolidator(services.mysql, services.memoryManager, services.llmService, { lookaheadMs: 8 * DAY });
+  });
+
+  test('turns expiring entries into long-term facts and marks them consolidated', async () => {
+    await converse('I love waterfalls, we saw Jog Falls last year', 'Athirappilly Falls is worth a trip too.');
+    services.mock.addResponse('long-term memory', facts(
+      { category: 'interest', fact: 'Loves waterfalls', importance: 8 },
+      { category: 'visited_place', fact: 'Has visited Jog Falls', importance: 6 },
+      { category: 'preference', fact: 'Asked on a Tuesday', importance: 1 }
+    ));
+
+    const result = await consolidator.consolidateExpiring();
+
+    expect(result).toEqual({ users: 1, entries: 2, factsCreated: 2, factsReinforced: 0 });
+
+    const call = services.mock.calls.find(c => c.systemPrompt.includes('long-term memory'));
+    expect(call.userPrompt).toBe('User: I love waterfalls, we saw Jog Falls last year\nRiver Agent: Athirappilly Falls is worth a trip too.');
+    expect(call.callOptions.format.required).toEqual(['facts']);
+
+    const stored = factRows();
+    expect(stored.map(entry => entry.content)).toEqual(['Loves waterfalls', 'Has visited Jog Falls']);
+    expect(stored.every(entry => entry.expires_at === null && entry.type === 'context')).toBe(true);
+    expect(JSON.parse(stored[0].metadata)).toMatchObject({ category: 'interest', importance: 8, mentions: 1 });
+    expect(stored[0].relevance_score).toBe(8);
+
+    const shortTerm = services.mysql.rows('memory_entries').filter(entry => entry.expires_at !== null);
+    expect(shortTerm.every(entry => entry.consolidated_at instanceof Date)).toBe(true);
+    expect((await consolidator.consolidateExpiring()).entries).toBe(0);
+  });
+
+  test('reinforces a fact it already knows instead of storing it again', async () => {
+    services.mock.addResponse('long-term memory', facts({ category: 'interest', fact: 'Loves waterfalls', importance: 7 }));
+
+    await converse('Any waterfalls near Bengaluru?', 'Shivanasamudra Falls.');
+    await consolidator.consolidateExpiring();
+    await converse('More waterfalls please', 'Try Hogenakkal Falls.');
+    const result = await consolidator.consolidateExpiring();
+
+    expect(result).toMatchObject({ factsCreated: 0, factsReinforced: 1 });
+    const [fact] = factRows();
+    expect(factRows()).toHaveLength(1);
+    expect(JSON.parse(fact.metadata)).toMatchObject({ importance: 8, mentions: 2 });
+    expect(fact.relevance_score).toBe(8);
+  });
+
+  test('a run started while another is in flight joins it instead of storing the facts twice', async () => {
+    await converse('I love waterfalls', 'Try Jog Falls.');
+    services.mock.addResponse('long-term memory', facts({ category: 'interest', fact: 'Loves waterfalls', importance: 8 }));
+    services.mock.setLatency(20);
+
+    const [first, second] = await Promise.all([consolidator.consolidateExpiring(), consolidator.consolidateExpiring()]);
+
+    expect(second).toBe(first);
+    expect(first).toMatchObject({ entries: 2, factsCreated: 1 });
+    expect(factRows()).toHaveLength(1);
+    expect(services.mock.calls.filter(c => c.systemPrompt.includes('long-term memory'))).toHaveLength(1);
+
+    services.mock.setLatency(0);
+    expect((await consolidator.consolidateExpiring()).entries).toBe(0);
+  });
+
+  test('leaves entries for the next run when the model does not answer with facts', async () => {
+    await converse('I love waterfalls', 'Noted.');
+    services.mock.addResponse('long-term memory', 'I could not find anything.');
+
+    expect(await consolidator.consolidateExpiring()).toMatchObject({ users: 1, entries: 0 });
+    expect(services.mysql.rows('memory_entries').every(entry => entry.consolidated_at === null)).toBe(true);
+  });
+
+  test('only reads entries that expire within the lookahead', async () => {
+    await converse('I love waterfalls', 'Noted.');
+
+    expect(await services.memoryConsolidator.consolidateExpiring()).toEqual({ users: 0, entries: 0, factsCreated: 0, factsReinforced: 0 });
+    expect(services.mock.calls.some(c => c.systemPrompt.includes('long-term memory'))).toBe(false);
+  });
+
+  test('cleanup keeps expired entries that were not consolidated until the grace period ends', async () => {
+    const expired = new Date(Date.now() - 1000);
+    services.mysql.seed('memory_entries', [
+      { id: 'waiting', user_id: user.id, type: 'query', content: 'waterfalls', expires_at: expired },
+      { id: 'done', user_id: user.id, type: 'query', content: 'rivers', expires_at: expired, consolidated_at: expired },
+      { id: 'abandoned', user_id: user.id, type: 'response', content: 'parks', expires_at: new Date(Date.now() - 3 * DAY) }
+    ]);
+
+    expect(await services.memoryManager.cleanExpiredEntries()).toBe(2);
+    expect(services.mysql.rows('memory_entries').map(entry => entry.id)).toEqual(['waiting']);
+  });
+
+  test('facts reach agents as memory context', async () => {
+    await converse('I love waterfalls', 'Noted.');
+    services.mock.addResponse('long-term memory', facts({ category: 'interest', fact: 'Loves waterfalls', importance: 8 }));
+    await consolidator.consolidateExpiring();
+
+    const context = await services.memoryManager.getRelevantContext(user.id, 'waterfalls', 5);
+
+    expect(context.map(entry => entry.content)).toContain('Loves waterfalls');
+  });
+});
@@ -0,0 +1,316 @@
+import { createTestServices, createTestUser } from './helpers/createTestServices.js';
+
+const agentResponse = (agentId, response, overrides = {}) => ({
+  agentId,
+  agentName: agentId,
+  response,
+  confidence: 0.8,
+  executionTime: 12,
+  inputTokens: 10,
+  outputTokens: 20,
+  totalTokens: 30,
+  model: 'mock-model',
+  relevanceScore: 5,
+  ...overrides
+});
+
+describe('MemoryManager', () => {
+  let services;
+  let user;
+
+  beforeEach(async () => {
+    services = await createTestServices();
+    user = createTestUser(services.mysql);
+  });
+
+  test('storeConversation writes the conversation, memory entries and interactions', async () => {
+    const conversationId = await services.memoryManager.storeConversation({
+      queryId: 'conversation-1',
+      userId: user.id,
+      sessionId: 'session-1',
+      query: 'Rivers for kayaking',
+      responses: [
+        agentResponse('river-agent', 'The Green River is calm in summer.'),
+        agentResponse('search-agent', 'No earlier questions.', { model: undefined })
+      ],
+      totalExecutionTime: 40
+    });
+
+    expect(conversationId).toBe('conversation-1');
+
+    const [conversation] = services.mysql.rows('conversations');
+    expect(JSON.parse(conversation.agents_used)).toEqual(['river-agent', 'search-agent']);
+    expect(conversation.query_hash).toBe(services.memoryManager.generateQueryHash('rivers for kayaking'));
+
+    const interactions = services.mysql.rows('agent_interactions');
+    expect(interactions.map(i => i.model_used).sort()).toEqual(['mock-model', 'unknown']);
+
+    const entries = services.mysql.rows('memory_entries');
+    expect(entries).toHaveLength(3);
+    expect(entries.every(e => e.expires_at > new Date())).toBe(true);
+  });
+
+  test('storeConversation accepts a missing session id', async () => {
+    await services.memoryManager.storeConversation({
+      userId: user.id,
+      query: 'Anonymous question',
+      responses: [agentResponse('park-agent', 'Visit the city park.')],
+      totalExecutionTime: 5
+    });
+
+    expect(services.mysql.rows('conversations')[0].session_id).toBeNull();
+  });
+
+  test('getRelevantContext ranks entries by similarity', async () => {
+    const { memoryManager } = services;
+    await memoryManager.storeMemoryEntry(user.id, { type: 'response', content: 'kayaking on the green river is fun' });
+    await memoryManager.storeMemoryEntry(user.id, { type: 'response', content: 'the museum opens at nine' });
+
+    const context = await memoryManager.getRelevantContext(user.id, 'green river kayaking', 5);
+
+    expect(context.length).toBeGreaterThan(0);
+    expect(context[0].content).toBe('kayaking on the green river is fun');
+    expect(context.map(c => c.content)).not.toContain('the museum opens at nine');
+  });
+
+  test('falls back to keyword search without embeddings', async () => {
+    const { memoryManager, mysql } = services;
+    memoryManager.llm = null;
+    await memoryManager.storeMemoryEntry(user.id, { type: 'query', content: 'best waterfall hikes' });
+
+    expect(mysql.rows('memory_entries')[0].embedding_vector).toBeNull();
+
+    const results = await memoryManager.searchUserMemory(user.id, 'waterfall', 10);
+    expect(results.map(r => r.content)).toEqual(['best waterfall hikes']);
+  });
+
+  describe('agent metrics', () => {
+    const today = new Date().toISOString().slice(0, 10);
+
+    const store = (responses) => services.memoryManager.storeConversation({
+      userId: user.id,
+      query: 'Rivers for kayaking',
+      responses,
+      totalExecutionTime: 40
+    });
+
+    test('storeConversation maintains the daily aggregates', async () => {
+      await store([agentResponse('river-agent', 'Calm water.', { executionTime: 10, confidence: 0.9, relevanceScore: 6 })]);
+      await store([agentResponse('river-agent', 'Sorry.', { executionTime: 30, confidence: 0.1, relevanceScore: 2, error: 'offline' })]);
+
+      const [metrics] = services.mysql.rows('agent_metrics');
+      expect(services.mysql.rows('agent_metrics')).toHaveLength(1);
+      expect(metrics.total_queries).toBe(2);
+      expect(metrics.avg_execution_time).toBeCloseTo(20);
+      expect(metrics.avg_confidence).toBeCloseTo(0.5);
+      expect(metrics.avg_relevance).toBeCloseTo(4);
+      expect(metrics.success_rate).toBeCloseTo(0.5);
+    });
+
+    test('getAgentMetrics returns the series and a weighted summary', async () => {
+      services.mysql.seed('agent_metrics', [
+        { id: 'm1', agent_id: 'river-agent', date: '2026-10-01', total_queries: 1, avg_execution_time: 100, avg_confidence: 0.2, avg_relevance: 2, success_rate: 0 },
+        { id: 'm2', agent_id: 'river-agent', date: '2026-10-02', total_queries: 3, avg_execution_time: 20, avg_confidence: 0.6, avg_relevance: 6, success_rate: 1 },
+        { id: 'm3', agent_id: 'river-agent', date: '2026-10-10', total_queries: 5, avg_execution_time: 10, avg_confidence: 1, avg_relevance: 9, success_rate: 1 }
+      ]);
+
+      const metrics = await services.memoryManager.getAgentMetrics('river-agent', '2026-10-01', '2026-10-05');
+
+      expect(metrics.series.map(day => day.date)).toEqual(['2026-10-01', '2026-10-02']);
+      expect(metrics.summary.totalQueries).toBe(4);
+      expect(metrics.summary.avgExecutionTime).toBeCloseTo(40);
+      expect(metrics.summary.successRate).toBeCloseTo(0.75);
+    });
+
+    test('getAgentLeaderboard ranks agents by the requested metric', async () => {
+      await store([
+        agentResponse('river-agent', 'Calm water.', { executionTime: 50 }),
+        agentResponse('park-agent', 'Sorry.', { executionTime: 5, error: 'offline' })
+      ]);
+      await store([agentResponse('park-agent', 'Visit the city park.', { executionTime: 5 })]);
+
+      const bySuccess = await services.memoryManager.getAgentLeaderboard(today, today);
+      expect(bySuccess.map(entry => [entry.rank, entry.agentId, entry.successRate])).toEqual([
+        [1, 'river-agent', 1],
+        [2, 'park-agent', 0.5]
+      ]);
+      expect(bySuccess[0].agentName).toBe('River Agent');
+
+      const bySpeed = await services.memoryManager.getAgentLeaderboard(today, today, 'avgExecutionTime', 1);
+      expect(bySpeed.map(entry => entry.agentId)).toEqual(['park-agent']);
+    });
+  });
+
+  describe('response feedback', () => {
+    const store = () => services.memoryManager.storeConversation({
+      queryId: 'conversation-1',
+      userId: user.id,
+      query: 'Rivers for kayaking',
+      responses: [agentResponse('river-agent', 'Calm water.')],
+      totalExecutionTime: 40
+    });
+
+    test('stores one feedback per answer and folds it into the daily metrics', async () => {
+      await store();
+      const { memoryManager, mysql } = services;
+
+      const first = await memoryManager.storeResponseFeedback(user.id, 'conversation-1', 'river-agent', { thumbs: 'down', rating: 2 });
+      expect(first).toMatchObject({ conversationId: 'conversation-1', agentId: 'river-agent', thumbs: 'down', rating: 2, comment: null });
+
+      await memoryManager.storeResponseFeedback(user.id, 'conversation-1', 'river-agent', { thumbs: 'up', comment: 'Went there, loved it' });
+
+      const rows = mysql.rows('response_feedback');
+      expect(rows).toHaveLength(1);
+      expect(rows[0]).toMatchObject({ thumbs: 'up', rating: null, comment: 'Went there, loved it' });
+      expect(rows[0].interaction_id).toBe(mysql.rows('agent_interactions')[0].id);
+
+      const [metrics] = mysql.rows('agent_metrics');
+      expect(metrics).toMatchObject({ feedback_count: 1, positive_feedback: 1, negative_feedback: 0, rating_count: 0, avg_rating: null });
+    });
+
+    test('counts feedback on a cached answer when the agent did not run that day', async () => {
+      await services.memoryManager.storeConversation({
+        queryId: 'conversation-1',
+        userId: user.id,
+        query: 'Rivers for kayaking',
+        responses: [agentResponse('river-agent', 'Calm water.', { cache: { hit: true, fingerprint: 'abc', generatedAt: new Date().toISOString() } })],
+        totalExecutionTime: 5
+      });
+      expect(services.mysql.rows('agent_metrics')).toHaveLength(0);
+
+      await services.memoryManager.storeResponseFeedback(user.id, 'conversation-1', 'river-agent', { thumbs: 'up', rating: 4 });
+
+      const [metrics] = services.mysql.rows('agent_metrics');
+      expect(metrics).toMatchObject({ agent_id: 'river-agent', total_queries: 0, feedback_count: 1, positive_feedback: 1, rating_count: 1, avg_rating: 4 });
+    });
+
+    test('returns null for answers the user did not get', async () => {
+      await store();
+      const other = createTestUser(services.mysql, { username: 'other' });
+
+      expect(await services.memoryManager.storeResponseFeedback(other.id, 'conversation-1', 'river-agent', { thumbs: 'up' })).toBeNull();
+      expect(await services.memoryManager.storeResponseFeedback(user.id, 'conversation-1', 'park-agent', { thumbs: 'up' })).toBeNull();
+      expect(services.mysql.rows('response_feedback')).toHaveLength(0);
+    });
+
+    test('getUserAgentFeedback averages satisfaction per agent', async () => {
+      services.mysql.seed('response_feedback', [
+        { id: 'f1', interaction_id: 'i1', conversation_id: 'c1', agent_id: 'river-agent', user_id: user.id, thumbs: 'down', rating: null },
+        { id: 'f2', interaction_id: 'i2', conversation_id: 'c2', agent_id: 'river-agent', user_id: user.id, thumbs: 'up', rating: 2 },
+        { id: 'f3', interaction_id: 'i3', conversation_id: 'c3', agent_id: 'park-agent', user_id: user.id, thumbs: null, rating: null, comment: 'ok' }
+      ]);
+
+      expect(await services.memoryManager.getUserAgentFeedback(user.id)).toEqual({
+        // (0 + (1 + 0.25) / 2) / 2
+        'river-agent': { count: 2, satisfaction: 0.313 }
+      });
+    });
+  });
+
+  describe('memory management', () => {
+    const store = (entry) => services.memoryManager.storeMemoryEntry(user.id, entry);
+    const inAWeek = () => new Date(Date.now() + 7 * 24 * 60 * 60 * 1000);
+
+    test('listMemoryEntries pages through live entries with filters', async () => {
+      await store({ type: 'query', content: 'river kayaking', conversationId: null, expiresAt: inAWeek(), timestamp: new Date('2026-10-01T10:00:00Z') });
+      await store({ type: 'response', content: 'Try the Green River', agentId: 'river-agent', expiresAt: inAWeek(), timestamp: new Date('2026-10-02T10:00:00Z') });
+      await store({ type: 'context', content: 'Loves waterfalls', timestamp: new Date('2026-10-03T10:00:00Z') });
+      await store({ type: 'query', content: 'expired', expiresAt: new Date(Date.now() - 1000) });
+
+      const { memoryManager } = services;
+      const all = await memoryManager.listMemoryEntries(user.id, { limit: 2 });
+      expect(all.total).toBe(3);
+      expect(all.entries.map(entry => entry.content)).toEqual(['Loves waterfalls', 'Try the Green River']);
+
+      expect((await memoryManager.listMemoryEntries(user.id, { offset: 2 })).entries.map(entry => entry.content)).toEqual(['river kayaking']);
+      expect((await memoryManager.listMemoryEntries(user.id, { tier: 'ltm' })).entries.map(entry => entry.content)).toEqual(['Loves waterfalls']);
+      expect((await memoryManager.listMemoryEntries(user.id, { tier: 'stm', agentId: 'river-agent' })).total).toBe(1);
+      expect((await memoryManager.listMemoryEntries(user.id, { type: 'query', to: '2026-10-01T23:59:59Z' })).total).toBe(1);
+      expect((await memoryManager.listMemoryEntries(user.id, { from: '2026-10-02T00:00:00Z' })).total).toBe(2);
+    });
+
+    test('pins an entry to LTM', async () => {
+      const id = await store({ type: 'response', content: 'Prefers quiet trails', expiresAt: inAWeek() });
+
+      const pinned = await services.memoryManager.pinMemoryEntry(user.id, id);
+
+      expect(pinned.expiresAt).toBeNull();
+      expect(pinned.metadata.pinned).toBe(true);
+      expect(await services.memoryManager.pinMemoryEntry('someone-else', id)).toBeNull();
+    });
+
+    test('editing replaces the content and embedding and drops the old text from the cache', async () => {
+      const { memoryManager, mysql } = services;
+      const id = await store({ type: 'context', content: 'Loves deserts' });
+      expect(memoryManager.embeddingCache.has('Loves deserts')).toBe(true);
+
+      const edited = await memoryManager.updateMemoryEntry(user.id, id, 'Loves waterfalls');
+
+      expect(edited.content).toBe('Loves waterfalls');
+      expect(edited.metadata.editedAt).toBeDefined();
+      expect(memoryManager.embeddingCache.has('Loves deserts')).toBe(false);
+      expect(JSON.parse(mysql.rows('memory_entries')[0].embedding_vector))
+        .toEqual(await services.llmService.generateEmbedding('Loves waterfalls'));
+      expect((await memoryManager.searchUserMemory(user.id, 'waterfalls', 5))[0].id).toBe(id);
+    });
+
+    test('deletes single entries and all entries of a conversation', async () => {
+      const { memoryManager, mysql } = services;
+      await memoryManager.storeConversation({
+        queryId: 'conversation-1',
+        userId: user.id,
+        query: 'Rivers for kayaking',
+        responses: [agentResponse('river-agent', 'Calm water.')],
+        totalExecutionTime: 40
+      });
+      const id = await store({ type: 'context', content: 'Loves waterfalls' });
+
+      expect(await memoryManager.deleteMemoryEntry('someone-else', id)).toBe(false);
+      expect(await memoryManager.deleteMemoryEntry(user.id, id)).toBe(true);
+      expect(memoryManager.embeddingCache.has('Loves waterfalls')).toBe(false);
+
+      expect(await memoryManager.deleteConversationMemory(user.id, 'conversation-1')).toBe(2);
+      expect(mysql.rows('memory_entries')).toHaveLength(0);
+      expect(mysql.rows('conversations')).toHaveLength(1);
+    });
+
+    test('forgetting entries forgets the facts drawn from them', async () => {
+      const { memoryManager, mysql } = services;
+      for (const [queryId, query, answer] of [['conversation-1', 'Waterfalls near Munnar', 'Attukad Falls'], ['conversation-2', 'We went to Jog Falls', 'Nice!']]) {
+        await memoryManager.storeConversation({ queryId, userId: user.id, query, responses: [agentResponse('river-agent', answer)], totalExecutionTime: 40 });
+      }
+      const [query, answer, other] = ['Waterfalls near Munnar', 'Attukad Falls', 'We went to Jog Falls']
+        .map(content => mysql.rows('memory_entries').find(row => row.content === content).id);
+      const fact = (content, sourceEntryIds) => store({ type: 'context', content, metadata: { kind: 'fact', category: 'interest', sourceEntryIds } });
+      const onlyFromQuery = await fact('Interested in Munnar', [query]);
+      const fromBoth = await fact('Loves waterfalls', [query, answer, other]);
+      await fact('Likes quiet places', [other]);
+      const metadataOf = (id) => JSON.parse(mysql.rows('memory_entries').find(row => row.id === id).metadata);
+
+      await memoryManager.deleteMemoryEntry(user.id, query);
+      expect(mysql.rows('memory_entries').map(row => row.id)).not.toContain(onlyFromQuery);
+      expect(metadataOf(fromBoth).sourceEntryIds).toEqual([answer, other]);
+      expect(memoryManager.embeddingCache.has('Interested in Munnar')).toBe(false);
+
+      await memoryManager.deleteConversationMemory(user.id, 'conversation-2');
+      expect(metadataOf(fromBoth).sourceEntryIds).toEqual([answer]);
+      expect(mysql.rows('memory_entries').map(row => row.content)).toEqual(['Attukad Falls', 'Loves waterfalls']);
+    });
+  });
+
+  test('deleteUserData removes everything stored for the user', async () => {
+    const thread = await services.threadManager.createThread(user.id);
+    await services.threadManager.recordTurn(thread.id, 'river fishing');
+    await services.orchestrator.processQuery('river fishing', user.id, 'session-1');
+
+    const exported = await services.memoryManager.exportUserData(user.id);
+    expect(exported.threads.map(thread => thread.title)).toEqual(['river fishing']);
+
+    await services.memoryManager.deleteUserData(user.id);
+
+    expect(services.mysql.rows('conversations')).toHaveLength(0);
+    expect(services.mysql.rows('memory_entries')).toHaveLength(0);
+    expect(services.mysql.rows('agent_interactions')).toHaveLength(0);
+    expect(services.mysql.rows('threads')).toHaveLength(0);
+  });
+});
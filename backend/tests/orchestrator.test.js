@@ -0,0 +1,242 @@
+import { createTestServices, createTestUser } from './helpers/createTestServices.js';
+
+describe('LangGraphOrchestrator.processQuery', () => {
+  let services;
+  let user;
+
+  beforeEach(async () => {
+    services = await createTestServices({
+      responses: [
+        { match: 'You are the River Agent', response: 'Try kayaking on the Green River near the old mill.' },
+        { match: 'You are the Park Agent', response: 'Riverside Park has picnic tables and a playground.' },
+        { match: 'You are the Scenic Agent', response: 'The lakeside viewpoint is beautiful at sunset.' },
+        { match: 'You are the Search Agent', response: 'You have not asked about this before.' }
+      ]
+    });
+    user = createTestUser(services.mysql);
+  });
+
+  test('routes to the matching agents and returns their responses', async () => {
+    const result = await services.orchestrator.processQuery('Where can I go fishing on a river?', user.id, 'session-1');
+
+    const agentIds = result.responses.map(r => r.agentId);
+    expect(agentIds).toEqual(expect.arrayContaining(['river-agent', 'search-agent']));
+    expect(agentIds).not.toContain('park-agent');
+
+    const river = result.responses.find(r => r.agentId === 'river-agent');
+    expect(river.response).toBe('Try kayaking on the Green River near the old mill.');
+    expect(river.model).toBe('mock-model');
+    expect(result.routing.effectiveMode).toBe('keyword');
+    expect(result.agentCount).toBe(result.responses.length);
+  });
+
+  test('stores the conversation, memory entries and agent interactions', async () => {
+    const result = await services.orchestrator.processQuery('Any good river for fishing?', user.id, 'session-1');
+
+    const conversations = services.mysql.rows('conversations');
+    expect(conversations).toHaveLength(1);
+    expect(conversations[0]).toMatchObject({
+      id: result.queryId,
+      user_id: user.id,
+      session_id: 'session-1',
+      agent_count: result.responses.length
+    });
+
+    const entries = services.mysql.rows('memory_entries');
+    expect(entries.filter(e => e.type === 'query')).toHaveLength(1);
+    expect(entries.filter(e => e.type === 'response')).toHaveLength(result.responses.length);
+    expect(entries.every(e => e.embedding_vector)).toBe(true);
+
+    const interactions = services.mysql.rows('agent_interactions');
+    expect(interactions.map(i => i.agent_id).sort()).toEqual(result.responses.map(r => r.agentId).sort());
+    expect(interactions.every(i => i.model_used === 'mock-model')).toBe(true);
+  });
+
+  test('drops a failed agent when others succeed', async () => {
+    services.mock.failNext(1, 'model crashed', 'You are the River Agent');
+
+    const result = await services.orchestrator.processQuery('river fishing spots', user.id, 'session-1');
+
+    const agentIds = result.responses.map(r => r.agentId);
+    expect(agentIds).not.toContain('river-agent');
+    expect(agentIds).toContain('search-agent');
+    expect(result.responses.every(r => !r.error)).toBe(true);
+
+    const river = services.mysql.rows('agent_metrics').find(m => m.agent_id === 'river-agent');
+    expect(river).toMatchObject({ total_queries: 1, success_rate: 0 });
+  });
+
+  test('returns the fallback responses when every agent fails', async () => {
+    services.mock.failNext(10, 'offline');
+
+    const result = await services.orchestrator.processQuery('river fishing spots', user.id, 'session-1');
+
+    expect(result.responses.length).toBeGreaterThan(0);
+    expect(result.responses.every(r => r.confidence === 0.1)).toBe(true);
+  });
+
+  test('passes upstream responses along satisfied edges', async () => {
+    const result = await services.orchestrator.processQuery('Beautiful scenic lake view for swimming', user.id, 'session-1');
+
+    const edge = result.graph.edges.find(e => e.from === 'scenic-agent' && e.to === 'river-agent');
+    expect(edge).toBeDefined();
+    expect(edge.satisfied).toBe(true);
+
+    const river = result.responses.find(r => r.agentId === 'river-agent');
+    expect(river.upstreamAgents).toContain('scenic-agent');
+
+    const riverCall = services.mock.calls.find(call => call.systemPrompt.includes('You are the River Agent'));
+    expect(riverCall.userPrompt).toContain('The lakeside viewpoint is beautiful at sunset.');
+  });
+
+  test('agent signals match whole words only', () => {
+    const scenic = services.agentManager.getAgent('scenic-agent');
+    const river = services.agentManager.getAgent('river-agent');
+    const locationOf = (query, response) => scenic.extractStructuredOutput(query, response).location.type;
+
+    expect(locationOf('Research the best season for Amsterdam', 'Storm damage closed the museum.')).toBe('inland');
+    expect(locationOf('Viewpoints over the seas', 'Two dams and several lakes.')).toBe('water-adjacent');
+    expect(river.extractStructuredOutput('', 'Parking is free; the trails and gardens are open.').recreational.features)
+      .toEqual(['park', 'trail']);
+    expect(river.extractStructuredOutput('', 'Sparkling water, no parking.').recreational.features).toEqual([]);
+  });
+
+  test('edge conditions see the user preferences and memory stats', async () => {
+    const [scenicToRiver] = await services.edgeRuleManager.listRules();
+    await services.edgeRuleManager.updateRule(scenicToRiver.id, {
+      condition: "user.preferences.responseFormat === 'summary' && memory.stm.totalEntries === 0"
+    });
+
+    const detailed = await services.orchestrator.processQuery('Beautiful scenic lake view', user.id, 'session-1', {
+      preferences: { responseFormat: 'detailed' }
+    });
+    expect(detailed.graph.edges.find(e => e.from === 'scenic-agent').satisfied).toBe(false);
+
+    const other = createTestUser(services.mysql);
+    const summary = await services.orchestrator.processQuery('Beautiful scenic lake view', other.id, 'session-2', {
+      preferences: { responseFormat: 'summary' }
+    });
+    expect(summary.graph.edges.find(e => e.from === 'scenic-agent').satisfied).toBe(true);
+  });
+
+  test('emits progress events and streams tokens', async () => {
+    const events = [];
+    await services.orchestrator.processQuery('river fishing', user.id, 'session-1', {
+      onEvent: (event, data) => events.push({ event, data })
+    });
+
+    const names = events.map(e => e.event);
+    expect(names[0]).toBe('routing');
+    expect(names[1]).toBe('plan');
+    expect(names).toContain('agent_start');
+    expect(names).toContain('agent_complete');
+
+    const riverTokens = events
+      .filter(e => e.event === 'token' && e.data.agentId === 'river-agent')
+      .map(e => e.data.content)
+      .join('');
+    expect(riverTokens).toBe('Try kayaking on the Green River near the old mill.');
+  });
+
+  test('synthesizes the agent answers when requested', async () => {
+    services.mock.addResponse('You combine answers', 'Go kayaking on the Green River [river-agent].');
+
+    const result = await services.orchestrator.processQuery('river fishing', user.id, 'session-1', {
+      synthesize: true,
+      preferences: { responseFormat: 'summary' }
+    });
+
+    expect(result.synthesis).toMatchObject({
+      response: 'Go kayaking on the Green River [river-agent].',
+      citations: ['river-agent'],
+      responseFormat: 'summary'
+    });
+    expect(JSON.parse(services.mysql.rows('conversations')[0].synthesis).citations).toEqual(['river-agent']);
+  });
+
+  describe('agent resilience', () => {
+    test('retries transient failures', async () => {
+      services.mock.failNext(1, 'ECONNRESET', 'You are the River Agent');
+      const events = [];
+
+      const result = await services.orchestrator.processQuery('river fishing', user.id, 'session-1', {
+        onEvent: (event, data) => events.push({ event, data })
+      });
+
+      const river = result.responses.find(r => r.agentId === 'river-agent');
+      expect(river.error).toBeUndefined();
+      expect(river.attempts).toBe(2);
+      expect(events.filter(e => e.event === 'agent_retry').map(e => e.data.agentId)).toEqual(['river-agent']);
+    });
+
+    test('does not retry permanent failures', async () => {
+      services.mock.failNext(1, 'model not found', 'You are the River Agent');
+
+      const result = await services.orchestrator.processQuery('river fishing', user.id, 'session-1');
+
+      expect(result.responses.map(r => r.agentId)).not.toContain('river-agent');
+      expect(services.mock.calls.filter(c => c.systemPrompt.includes('You are the River Agent'))).toHaveLength(1);
+    });
+
+    test('times out a hung agent without stalling the others', async () => {
+      const river = services.agentManager.getAgent('river-agent');
+      river.timeoutMs = 30;
+      river.maxRetries = 0;
+      river.execute = () => new Promise(() => {});
+
+      const startTime = Date.now();
+      const result = await services.orchestrator.processQuery('river fishing', user.id, 'session-1');
+
+      expect(Date.now() - startTime).toBeLessThan(1000);
+      expect(result.responses.map(r => r.agentId)).toEqual(['search-agent']);
+      expect(services.orchestrator.getAgentHealth()['river-agent'].lastError).toMatch(/timed out after 30ms/);
+    });
+
+    test('aborts the generation of an attempt that times out before retrying', async () => {
+      const river = services.agentManager.getAgent('river-agent');
+      river.timeoutMs = 30;
+      river.maxRetries = 1;
+      let riverAnswers = 0;
+      services.mock.reset().addResponse('You are the River Agent', () => {
+        riverAnswers++;
+        return 'A late answer.';
+      });
+      services.mock.setLatency(200);
+      const events = [];
+
+      await services.orchestrator.processQuery('river fishing', user.id, 'session-1', {
+        onEvent: (event, data) => events.push({ event, data })
+      });
+      await new Promise(resolve => setTimeout(resolve, 300));
+
+      const riverCalls = services.mock.calls.filter(c => c.systemPrompt.includes('You are the River Agent'));
+      expect(riverCalls).toHaveLength(2);
+      expect(riverCalls.every(call => call.callOptions.signal.aborted)).toBe(true);
+      expect(riverAnswers).toBe(0);
+      expect(events.filter(e => e.event === 'token' && e.data.agentId === 'river-agent')).toEqual([]);
+      expect(services.orchestrator.getAgentHealth()['river-agent'].lastError).toMatch(/timed out after 30ms/);
+    });
+
+    test('skips an agent while its circuit is open', async () => {
+      services = await createTestServices({
+        orchestrator: { agentMaxRetries: 0, breaker: { minimumRequests: 2, failureRateThreshold: 0.5, cooldownMs: 60000 } }
+      });
+      user = createTestUser(services.mysql);
+      services.mock.failNext(2, 'overloaded', 'You are the River Agent');
+
+      await services.orchestrator.processQuery('river fishing', user.id, 'session-1');
+      await services.orchestrator.processQuery('river fishing', user.id, 'session-1');
+      expect(services.orchestrator.getAgentHealth()['river-agent'].state).toBe('open');
+
+      const callsBefore = services.mock.calls.length;
+      const events = [];
+      await services.orchestrator.processQuery('river fishing', user.id, 'session-1', {
+        onEvent: (event, data) => events.push({ event, data })
+      });
+
+      const riverComplete = events.find(e => e.event === 'agent_complete' && e.data.agentId === 'river-agent');
+      expect(riverComplete.data.skipped).toBe(true);
+      expect(services.mock.calls.slice(callsBefore).some(c => c.systemPrompt.includes('You are the River Agent'))).toBe(false);
+    });
+  });
+});
@@ -0,0 +1,94 @@
+import { createTestServices, createTestUser } from './helpers/createTestServices.js';
+import { parseCSV, parseGeoJSON } from '../src/utils/placeImport.js';
+import { normalizeCategory } from '../src/services/PlaceService.js';
+
+describe('Place import', () => {
+  test('parses GeoJSON points and CSV rows into place records', () => {
+    const [fromGeoJSON] = parseGeoJSON({
+      type: 'FeatureCollection',
+      features: [{
+        type: 'Feature',
+        geometry: { type: 'Point', coordinates: [76.9, 8.5] },
+        properties: { name: 'Shanghumukham Beach', category: 'beach', tags: 'sunset, coast', opening_hours: '24 hours' }
+      }]
+    });
+    expect(fromGeoJSON).toMatchObject({ name: 'Shanghumukham Beach', latitude: 8.5, longitude: 76.9, tags: ['sunset', 'coast'], openingHours: '24 hours' });
+
+    const rows = parseCSV('name,category,lat,lon,description,entry_fee\r\n"Vembanad Lake",lake,9.6,76.4,"Largest lake in Kerala, ""backwaters""",Free\r\n');
+    expect(rows).toEqual([expect.objectContaining({
+      name: 'Vembanad Lake',
+      category: 'lake',
+      latitude: 9.6,
+      longitude: 76.4,
+      description: 'Largest lake in Kerala, "backwaters"',
+      entryFee: 'Free'
+    })]);
+  });
+
+  test('maps common category names to scenic, water and park', () => {
+    expect(normalizeCategory('Water Body')).toBe('water');
+    expect(normalizeCategory('waterfall')).toBe('water');
+    expect(normalizeCategory('garden')).toBe('park');
+    expect(normalizeCategory('casino')).toBeNull();
+  });
+
+  test('imports valid records, reports skipped ones and updates on re-import', async () => {
+    const { placeService } = await createTestServices();
+    const records = [
+      { name: 'Vembanad Lake', category: 'lake', latitude: 9.6, longitude: 76.4, city: 'Kottayam', entryFee: 'Free' },
+      { name: 'Nowhere', category: 'park', latitude: 200, longitude: 0 },
+      { name: 'Casino', category: 'casino', latitude: 9, longitude: 76 }
+    ];
+
+    const result = await placeService.importPlaces(records, 'test.csv');
+
+    expect(result.imported).toBe(1);
+    expect(result.skipped.map(s => s.reason)).toEqual(['latitude/longitude are missing or out of range', 'unknown category: casino']);
+
+    await placeService.importPlaces([{ ...records[0], entryFee: '₹20' }], 'test.csv');
+    const lake = await placeService.getPlace('vembanad-lake-kottayam');
+    expect(lake).toMatchObject({ category: 'water', entryFee: '₹20', source: 'test.csv' });
+  });
+});
+
+describe('Place search and grounding', () => {
+  let services;
+  let user;
+
+  beforeEach(async () => {
+    services = await createTestServices({
+      responses: [{ match: 'You are the Park Agent', response: 'Try [place:cubbon-park] or [place:made-up-park].' }]
+    });
+    user = createTestUser(services.mysql);
+  });
+
+  test('searches by radius, sorted by distance', async () => {
+    const places = await services.placeService.searchPlaces({
+      near: { latitude: 13.05, longitude: 80.25 },
+      radiusKm: 15
+    });
+
+    expect(places.map(p => p.id)).toEqual(['semmozhi-poonga', 'marina-beach', 'guindy-national-park']);
+    expect(places[0].distanceKm).toBeLessThan(places[1].distanceKm);
+  });
+
+  test('injects matching places into the agent prompt and returns the cited ones', async () => {
+    const agent = services.agentManager.getAgent('park-agent');
+
+    const response = await agent.execute('Gardens with a glasshouse in Bengaluru?', user.id, 'session-1');
+
+    const prompt = services.mock.calls[0].userPrompt;
+    expect(prompt).toContain('[place:lalbagh] Lalbagh Botanical Garden — Bengaluru, Karnataka');
+    expect(prompt).toContain('Opening hours: not listed. Entry fee: not listed.');
+    expect(prompt).not.toContain('[place:athirappilly-falls]');
+    expect(response.citations).toEqual([
+      { placeId: 'cubbon-park', name: 'Cubbon Park', latitude: 12.9763, longitude: 77.5929 }
+    ]);
+  });
+
+  test('agents without a place category get no places', async () => {
+    await services.agentManager.getAgent('search-agent').execute('Gardens in Bengaluru?', user.id, 'session-1');
+
+    expect(services.mock.calls[0].userPrompt).not.toContain('[place:');
+  });
+});
@@ -0,0 +1,121 @@
+import { createTestServices, createTestUser } from './helpers/createTestServices.js';
+import { LLMService } from '../src/services/LLMService.js';
+import { OllamaService } from '../src/services/OllamaService.js';
+import { MockProvider } from '../src/services/providers/MockProvider.js';
+
+const turn = (index) => ({
+  queryId: `turn-${index}`,
+  query: `Question ${index} about parks in the city`,
+  responses: [{ agentId: 'park-agent', agentName: 'Park Agent', response: 'A long answer about parks. '.repeat(20) }]
+});
+
+describe('Prompt budget', () => {
+  let services;
+  let user;
+  let agent;
+
+  beforeEach(async () => {
+    services = await createTestServices({
+      responses: [{ match: 'You are the Park Agent', response: 'Cubbon Park is in the city centre.' }]
+    });
+    user = createTestUser(services.mysql);
+    agent = services.agentManager.getAgent('park-agent');
+  });
+
+  test('memory reaches the model once, inside the prompt', async () => {
+    const context = [{ id: 'm1', content: 'Asked about lakes last week', similarity: 0.8 }];
+
+    const response = await agent.execute('Parks in Bengaluru?', user.id, 'session-1', context);
+
+    const [call] = services.mock.calls;
+    expect(call.context).toEqual([]);
+    expect(call.userPrompt.match(/Context from previous conversations/g)).toHaveLength(1);
+    expect(call.userPrompt).toContain('Previous: Asked about lakes last week');
+
+    const messages = services.mock.buildMessages(call.systemPrompt, call.userPrompt, call.callOptions.history);
+    expect(messages.map(message => message.role)).toEqual(['system', 'user']);
+
+    expect(response.promptTokens).toMatchObject({
+      contextWindow: 4096,
+      reservedOutput: 1000,
+      dropped: { places: 0, historyTurns: 0, memoryEntries: 0 }
+    });
+    expect(response.promptTokens.memory).toBeGreaterThan(0);
+    expect(response.promptTokens.input).toBe(response.promptTokens.system + response.promptTokens.query
+      + response.promptTokens.places + response.promptTokens.memory + response.promptTokens.tools);
+  });
+
+  test('orders memory by relevance and drops repeats', () => {
+    const context = [
+      { id: 'm1', content: 'Memory about lakes', similarity: 0.6 },
+      { id: 'm2', content: 'Memory about gardens', similarity: 0.9 },
+      { id: 'm1', content: 'Memory about lakes', similarity: 0.6 },
+      { id: 'm3', content: 'Keyword match without a score' }
+    ];
+
+    const { userPrompt } = agent.buildPrompt('Parks?', { context });
+
+    expect(userPrompt.match(/Previous: .*/g)).toEqual([
+      'Previous: Memory about gardens',
+      'Previous: Memory about lakes',
+      'Previous: Keyword match without a score'
+    ]);
+  });
+
+  test('fits a small context window by dropping memory, old turns and trailing places', async () => {
+    await services.agentManager.updateAgent('park-agent', { modelConfig: { contextWindow: 2000 } });
+    agent = services.agentManager.getAgent('park-agent');
+    const places = await agent.findRelevantPlaces('parks in Bengaluru');
+    const context = [1, 2, 3].map(i => ({ id: `m${i}`, content: `Memory ${i} about lakes and parks`, similarity: i / 10 }));
+    const history = [0, 1, 2, 3, 4, 5].map(turn);
+
+    const { tokens, history: messages } = agent.buildPrompt('Parks in Bengaluru?', { context, places, history });
+
+    expect(tokens.contextWindow).toBe(2000);
+    expect(tokens.input + tokens.reservedOutput).toBeLessThanOrEqual(2000);
+    expect(tokens.places).toBeGreaterThan(0);
+    expect(tokens.dropped.places).toBeGreaterThan(0);
+    expect(tokens.dropped.historyTurns).toBeGreaterThan(0);
+    expect(tokens.dropped.memoryEntries).toBe(3);
+    expect(messages.length).toBeLessThan(history.length * 2);
+  });
+
+  test('lists the questions of turns that do not fit the history budget', () => {
+    const history = [0, 1, 2, 3, 4, 5].map(turn);
+
+    const { history: messages, tokens } = agent.buildPrompt('And near the lake?', { history, historyTokenBudget: 200 });
+
+    expect(messages[0].role).toBe('system');
+    expect(messages[0].content).toMatch(/^Earlier in this thread the user asked \(most recent first\): "Question 4 about parks in the city"; "Question 3/);
+    expect(messages.slice(1).map(message => message.content)[0]).toBe('Question 5 about parks in the city');
+    expect(tokens).toMatchObject({ summarizedTurns: 5, dropped: { historyTurns: 5 } });
+    expect(tokens.history).toBeLessThanOrEqual(200);
+  });
+
+  test('shortens upstream answers to share the room left', async () => {
+    await services.agentManager.updateAgent('park-agent', { modelConfig: { contextWindow: 1900, max_tokens: 200 } });
+    agent = services.agentManager.getAgent('park-agent');
+    const upstream = ['river-agent', 'scenic-agent'].map(agentId => ({ agentId, agentName: agentId, response: 'Waterfalls and rivers. '.repeat(300) }));
+
+    const { userPrompt, tokens } = agent.buildPrompt('Parks?', { upstream });
+
+    expect(tokens.upstreamTruncated).toBe(true);
+    expect(tokens.input + tokens.reservedOutput).toBeLessThanOrEqual(1900);
+    expect(userPrompt).toContain('[river-agent]: Waterfalls');
+    expect(userPrompt).toContain('[scenic-agent]: Waterfalls');
+  });
+});
+
+describe('Context windows', () => {
+  test('come from the provider, with num_ctx for Ollama', () => {
+    const llm = new LLMService(
+      { mock: new MockProvider({ contextWindow: 8192 }), ollama: new OllamaService() },
+      { defaultProvider: 'mock' }
+    );
+
+    expect(llm.getContextWindow({})).toBe(8192);
+    expect(llm.getContextWindow({ provider: 'ollama' })).toBe(4096);
+    expect(llm.getContextWindow({ provider: 'ollama', num_ctx: 16384 })).toBe(16384);
+    expect(llm.getContextWindow({ provider: 'missing' })).toBe(4096);
+  });
+});
@@ -0,0 +1,113 @@
+import { createTestServices, createTestUser } from './helpers/createTestServices.js';
+
+describe('Answer cache', () => {
+  let services;
+  let user;
+
+  const ask = (query, options) => services.orchestrator.processQuery(query, user.id, 'session-1', options);
+  const riverCalls = () => services.mock.calls.filter(call => call.systemPrompt.includes('You are the River Agent')).length;
+  const river = (result) => result.responses.find(response => response.agentId === 'river-agent');
+
+  beforeEach(async () => {
+    services = await createTestServices({
+      responses: [
+        { match: 'You are the River Agent', response: 'Try kayaking on the Green River near the old mill.' },
+        { match: 'You are the Search Agent', response: 'You have not asked about this before.' }
+      ]
+    });
+    user = createTestUser(services.mysql);
+  });
+
+  test('reuses an agent answer for the same query and reports the hit', async () => {
+    const first = await ask('Where can I go fishing on a river?');
+    expect(first.cache).toEqual({ mode: 'use', hits: [] });
+    expect(river(first).cache).toMatchObject({ hit: false, fingerprint: expect.any(String) });
+
+    const second = await ask('  where can I go fishing on a RIVER? ');
+
+    expect(riverCalls()).toBe(1);
+    expect(second.cache).toEqual({ mode: 'use', hits: ['river-agent'] });
+    expect(river(second)).toMatchObject({
+      response: 'Try kayaking on the Green River near the old mill.',
+      totalTokens: 0,
+      attempts: 0,
+      cache: { hit: true, sourceQueryId: first.queryId, similarity: 1, generatedAt: river(first).cache.generatedAt }
+    });
+
+    // The search agent answers from the user's history and is never cached
+    expect(second.responses.find(response => response.agentId === 'search-agent').cache.hit).toBe(false);
+
+    // Cached answers are stored with the conversation but do not count as agent runs
+    const metrics = services.mysql.rows('agent_metrics').find(row => row.agent_id === 'river-agent');
+    expect(metrics.total_queries).toBe(1);
+  });
+
+  test('matches near-identical queries by embedding', async () => {
+    const first = await ask('Where can I go fishing on a river?');
+    const second = await ask('where can i go fishing on a river');
+
+    expect(riverCalls()).toBe(1);
+    expect(river(second).cache).toMatchObject({ hit: true, sourceQueryId: first.queryId });
+    expect(river(second).cache.similarity).toBeGreaterThanOrEqual(0.95);
+
+    await ask('Where can I go rafting on a river?');
+    expect(riverCalls()).toBe(2);
+  });
+
+  test('cache bypass makes every agent answer fresh', async () => {
+    await ask('river fishing spots');
+    const result = await ask('river fishing spots', { cache: 'bypass' });
+
+    expect(riverCalls()).toBe(2);
+    expect(result.cache).toEqual({ mode: 'bypass', hits: [] });
+    expect(river(result).cache.hit).toBe(false);
+  });
+
+  test('changing the agent prompt or model invalidates its cached answers', async () => {
+    await ask('river fishing spots');
+    await services.agentManager.updateAgent('river-agent', { systemPrompt: 'You are the River Agent. Mention permits.' });
+    await ask('river fishing spots');
+    expect(riverCalls()).toBe(2);
+
+    await services.agentManager.updateAgent('river-agent', { modelConfig: { model: 'mock-large' } });
+    const result = await ask('river fishing spots');
+    expect(riverCalls()).toBe(3);
+    expect(result.cache.hits).toEqual([]);
+  });
+
+  test('forgotten conversations and responses are never served from the cache', async () => {
+    const first = await ask('Where can I go fishing on a river?');
+    await services.memoryManager.deleteConversationMemory(user.id, first.queryId);
+
+    const second = await ask('Where can I go fishing on a river?');
+    expect(riverCalls()).toBe(2);
+    expect(second.cache.hits).toEqual([]);
+    expect((await ask('where can i go fishing on a river')).cache.hits).toEqual(['river-agent']);
+    expect(riverCalls()).toBe(2);
+
+    const entry = services.mysql.rows('memory_entries')
+      .find(row => row.conversation_id === second.queryId && row.agent_id === 'river-agent');
+    await services.memoryManager.deleteMemoryEntry(user.id, entry.id);
+
+    const third = await ask('Where can I go fishing on a river?');
+    expect(riverCalls()).toBe(3);
+    expect(third.cache.hits).toEqual([]);
+  });
+
+  test('answers expire after the agent TTL', async () => {
+    await services.agentManager.updateAgent('river-agent', { modelConfig: { cacheTtlSeconds: 60 } });
+    await ask('river fishing spots');
+
+    const [conversation] = services.mysql.rows('conversations');
+    const responses = JSON.parse(conversation.responses);
+    responses.forEach(response => {
+      response.cache.generatedAt = new Date(Date.now() - 2 * 60 * 1000).toISOString();
+    });
+    await services.mysql.execute('UPDATE conversations SET responses = ? WHERE id = ?', [JSON.stringify(responses), conversation.id]);
+
+    const result = await ask('river fishing spots');
+
+    expect(riverCalls()).toBe(2);
+    expect(result.cache.hits).toEqual([]);
+  });
+});
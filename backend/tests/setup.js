@@ -0,0 +1,15 @@
+// Environment shared by every test file. Provider and database settings are
+// injected by createTestServices; these only keep services from reaching
+// for real infrastructure or slow defaults.
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-jwt-secret';
+process.env.BCRYPT_ROUNDS = '4';
+process.env.LLM_PROVIDER = 'mock';
+process.env.EMBEDDING_PROVIDER = 'mock';
+
+// The services log every step; set TEST_VERBOSE=1 to see it
+if (!process.env.TEST_VERBOSE) {
+  console.log = () => {};
+  console.info = () => {};
+  console.warn = () => {};
+  console.error = () => {};
+}
@@ -0,0 +1,121 @@
+import { createTestServices, createTestUser } from './helpers/createTestServices.js';
+import { PLACES_OUTPUT_SCHEMA, validateJsonSchema, parseJsonContent, fieldCompleteness } from '../src/utils/structuredOutput.js';
+
+const ATHIRAPPILLY = {
+  name: 'Athirappilly Falls',
+  location: 'Thrissur, Kerala',
+  category: 'waterfall',
+  best_time: 'June to September',
+  fees: '₹30'
+};
+
+describe('Structured output helpers', () => {
+  test('validates payloads against the schema', () => {
+    expect(validateJsonSchema(PLACES_OUTPUT_SCHEMA, { places: [ATHIRAPPILLY] })).toEqual([]);
+    expect(validateJsonSchema(PLACES_OUTPUT_SCHEMA, { places: [{ name: 'Vembanad Lake', fees: 0 }] })).toEqual([
+      'output.places[0].location is required',
+      'output.places[0].category is required',
+      'output.places[0].best_time is required',
+      'output.places[0].fees must be string'
+    ]);
+    expect(validateJsonSchema(PLACES_OUTPUT_SCHEMA, [])).toEqual(['output must be object']);
+  });
+
+  test('reads JSON out of code fences and reports replies without it', () => {
+    expect(parseJsonContent('Here you go:\n```json\n{"places": []}\n```')).toEqual({ places: [] });
+    expect(() => parseJsonContent('No places found.')).toThrow('output is not a JSON object');
+    expect(() => parseJsonContent('{"places": [}')).toThrow(/^output is not valid JSON/);
+  });
+
+  test('scores how completely the place fields are filled', () => {
+    expect(fieldCompleteness(PLACES_OUTPUT_SCHEMA, { places: [ATHIRAPPILLY] })).toBe(1);
+    expect(fieldCompleteness(PLACES_OUTPUT_SCHEMA, { places: [{ ...ATHIRAPPILLY, best_time: '', fees: 'Not listed' }] })).toBe(0.6);
+    expect(fieldCompleteness(PLACES_OUTPUT_SCHEMA, { places: [] })).toBe(0);
+  });
+});
+
+describe('Agent structured output', () => {
+  let services;
+  let user;
+  let agent;
+
+  beforeEach(async () => {
+    services = await createTestServices({
+      responses: [{ match: 'You are the River Agent', response: 'Athirappilly Falls is at its best in the monsoon.' }]
+    });
+    user = createTestUser(services.mysql);
+    await services.agentManager.updateAgent('river-agent', { modelConfig: { structuredOutput: true, structuredOutputRetries: 1 } });
+    agent = services.agentManager.getAgent('river-agent');
+  });
+
+  test('adds the validated payload, sends the schema as the format and scores confidence by completeness', async () => {
+    services.mock.addResponse('into JSON', JSON.stringify({ places: [ATHIRAPPILLY] }));
+
+    const response = await agent.execute('Which waterfall should I visit?', user.id, 'session-1');
+
+    expect(response.structured).toEqual({ data: { places: [ATHIRAPPILLY] }, attempts: 1, errors: [] });
+    expect(response.structuredOutput.places).toEqual([ATHIRAPPILLY]);
+
+    const jsonCall = services.mock.calls.find(call => call.systemPrompt.includes('into JSON'));
+    expect(jsonCall.callOptions.format).toBe(PLACES_OUTPUT_SCHEMA);
+    expect(jsonCall.options.structuredOutput).toBeUndefined();
+    expect(jsonCall.userPrompt).toContain('Athirappilly Falls is at its best in the monsoon.');
+
+    const partial = agent.calculateConfidence('waterfall', 'text', { places: [{ ...ATHIRAPPILLY, best_time: '', fees: '' }] });
+    expect(response.confidence).toBeGreaterThan(partial);
+  });
+
+  test('sends invalid replies back with the problems and retries', async () => {
+    let attempt = 0;
+    services.mock.addResponse('into JSON', () => {
+      attempt++;
+      return attempt === 1 ? '{"places": [{"name": "Athirappilly Falls"}]}' : JSON.stringify({ places: [ATHIRAPPILLY] });
+    });
+
+    const response = await agent.execute('Which waterfall should I visit?', user.id, 'session-1');
+
+    expect(response.structured.attempts).toBe(2);
+    expect(response.structured.data.places[0].fees).toBe('₹30');
+    const retry = services.mock.calls.filter(call => call.systemPrompt.includes('into JSON'))[1];
+    expect(retry.userPrompt).toContain('It was rejected because: output.places[0].location is required');
+  });
+
+  test('gives up after the retries with the last problems and keeps the prose answer', async () => {
+    services.mock.addResponse('into JSON', 'Sorry, I cannot do that.');
+
+    const response = await agent.execute('Which waterfall should I visit?', user.id, 'session-1');
+
+    expect(response.response).toBe('Athirappilly Falls is at its best in the monsoon.');
+    expect(response.structured).toEqual({ data: null, attempts: 2, errors: ['output is not a JSON object'] });
+  });
+
+  test('stores the payload with the conversation', async () => {
+    services.mock.addResponse('into JSON', JSON.stringify({ places: [ATHIRAPPILLY] }));
+
+    await services.orchestrator.processQuery('Which waterfall should I visit?', user.id, 'session-1');
+
+    const [conversation] = services.mysql.rows('conversations');
+    const river = JSON.parse(conversation.responses).find(r => r.agentId === 'river-agent');
+    expect(river.structured.data.places[0].name).toBe('Athirappilly Falls');
+  });
+
+  test('the search agent adds the payload too', async () => {
+    services.mock.addResponse('into JSON', JSON.stringify({ places: [ATHIRAPPILLY] }));
+    await services.agentManager.updateAgent('search-agent', { modelConfig: { structuredOutput: true } });
+
+    const response = await services.agentManager.getAgent('search-agent').execute('Which waterfall did I ask about?', user.id, 'session-1');
+
+    expect(response.structured).toEqual({ data: { places: [ATHIRAPPILLY] }, attempts: 1, errors: [] });
+    expect(response.structuredOutput.places).toEqual([ATHIRAPPILLY]);
+    expect(services.mock.calls.find(call => call.systemPrompt.includes('into JSON')).systemPrompt).toContain('Search Agent');
+  });
+
+  test('agents without structuredOutput make no extra call', async () => {
+    await services.agentManager.updateAgent('river-agent', { modelConfig: {} });
+
+    const response = await services.agentManager.getAgent('river-agent').execute('Which waterfall should I visit?', user.id, 'session-1');
+
+    expect(response.structured).toBeUndefined();
+    expect(services.mock.calls.some(call => call.systemPrompt.includes('into JSON'))).toBe(false);
+  });
+});
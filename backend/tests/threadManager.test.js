@@ -0,0 +1,95 @@
+import { createTestServices, createTestUser } from './helpers/createTestServices.js';
+import { fitTurnsToBudget } from '../src/utils/tokens.js';
+
+describe('Conversation threads', () => {
+  let services;
+  let user;
+
+  beforeEach(async () => {
+    services = await createTestServices({
+      responses: [
+        { match: 'closer to the city', response: 'Cubbon Park is right in the city centre.' },
+        { match: 'You are the Park Agent', response: 'Nandi Hills has great picnic spots.' }
+      ]
+    });
+    user = createTestUser(services.mysql);
+  });
+
+  const ask = (threadId, query) => services.orchestrator.processQuery(query, user.id, 'session-1', { threadId });
+
+  test('passes earlier turns to the agents as chat messages', async () => {
+    const thread = await services.threadManager.createThread(user.id);
+    await ask(thread.id, 'Parks for a picnic?');
+    services.mock.calls = [];
+
+    const result = await ask(thread.id, 'What about ones closer to the city?');
+
+    const parkCall = services.mock.calls.find(call => call.systemPrompt.includes('You are the Park Agent'));
+    expect(parkCall.callOptions.history).toEqual([
+      { role: 'user', content: 'Parks for a picnic?' },
+      { role: 'assistant', content: 'Nandi Hills has great picnic spots.' }
+    ]);
+    expect(parkCall.userPrompt).not.toContain('Previous: Parks for a picnic?');
+    expect(result.threadId).toBe(thread.id);
+    expect(result.responses.find(r => r.agentId === 'park-agent').response).toBe('Cubbon Park is right in the city centre.');
+  });
+
+  test('routes follow-ups with the previous turn', async () => {
+    const thread = await services.threadManager.createThread(user.id);
+    await ask(thread.id, 'Parks for a picnic?');
+
+    const result = await ask(thread.id, 'What about ones closer to the city?');
+
+    expect(result.routing.selectedAgents).toContain('park-agent');
+  });
+
+  test('queries outside a thread get no history', async () => {
+    await services.orchestrator.processQuery('Parks for a picnic?', user.id, 'session-1');
+
+    expect(services.mock.calls.every(call => !call.callOptions.history || call.callOptions.history.length === 0)).toBe(true);
+  });
+
+  test('getMessages returns the turns oldest first and deleteThread removes them', async () => {
+    const thread = await services.threadManager.createThread(user.id, 'Weekend plans');
+    await ask(thread.id, 'Parks for a picnic?');
+    await ask(thread.id, 'What about ones closer to the city?');
+
+    const messages = await services.threadManager.getMessages(thread.id);
+    expect(messages.map(m => m.query)).toEqual(['Parks for a picnic?', 'What about ones closer to the city?']);
+
+    await services.threadManager.deleteThread(thread.id);
+    expect(await services.threadManager.getThread(thread.id)).toBeNull();
+    expect(services.mysql.rows('conversations')).toHaveLength(0);
+  });
+
+  test('recordTurn names untitled threads after their first query', async () => {
+    const thread = await services.threadManager.createThread(user.id);
+
+    await services.threadManager.recordTurn(thread.id, 'Parks for a picnic?');
+    await services.threadManager.recordTurn(thread.id, 'Something else');
+
+    expect((await services.threadManager.getThread(thread.id)).title).toBe('Parks for a picnic?');
+  });
+});
+
+describe('fitTurnsToBudget', () => {
+  const turn = (question, answer) => [
+    { role: 'user', content: question },
+    { role: 'assistant', content: answer }
+  ];
+
+  test('drops the oldest turns first', () => {
+    const turns = [turn('a'.repeat(40), 'b'.repeat(40)), turn('c'.repeat(40), 'd'.repeat(40))];
+
+    expect(fitTurnsToBudget(turns, 25).map(m => m.content[0])).toEqual(['c', 'd']);
+    expect(fitTurnsToBudget(turns, 40)).toHaveLength(4);
+  });
+
+  test('truncates the answer of the latest turn when nothing else fits', () => {
+    const messages = fitTurnsToBudget([turn('question', 'x'.repeat(400))], 12);
+
+    expect(messages[0].content).toBe('question');
+    expect(messages[1].content).toHaveLength(40);
+    expect(messages[1].content.endsWith('...')).toBe(true);
+  });
+});
@@ -0,0 +1,148 @@
+import { createTestServices, createTestUser } from './helpers/createTestServices.js';
+import { ToolRegistry, validateArguments } from '../src/services/ToolRegistry.js';
+
+describe('ToolRegistry', () => {
+  let registry;
+
+  beforeEach(async () => {
+    const { memoryManager, placeService } = await createTestServices();
+    registry = ToolRegistry.createDefault({ memoryManager, placeService }, { timeoutMs: 50 });
+  });
+
+  test('searches the places by words, category and distance', async () => {
+    const waterfalls = await registry.execute('search_places', { query: 'waterfall', category: 'water', state: 'Kerala' });
+    expect(waterfalls.result.places.map(p => p.name)).toEqual(['Athirappilly Falls']);
+
+    const nearby = await registry.execute('search_places', { category: 'park', latitude: 12.97, longitude: 77.59, radiusKm: 10 });
+    expect(nearby.result.places.map(p => p.name)).toEqual(['Cubbon Park', 'Lalbagh Botanical Garden']);
+    expect(nearby.result.places[0].distanceKm).toBeLessThan(1);
+  });
+
+  test('calculates distances between places, cities and coordinates', async () => {
+    const call = await registry.execute('calculate_distance', { from: 'Cubbon Park', to: 'Nandi Hills' });
+    expect(call.result.distanceKm).toBeGreaterThan(40);
+    expect(call.result.distanceKm).toBeLessThan(50);
+
+    const fromCoordinates = await registry.execute('calculate_distance', { from: '13.05,80.2824', to: 'Marina Beach' });
+    expect(fromCoordinates.result.distanceKm).toBe(0);
+
+    const city = await registry.execute('calculate_distance', { from: 'Chennai', to: 'Guindy National Park' });
+    expect(city.result.from.name).toBe('Guindy National Park');
+
+    const unknown = await registry.execute('calculate_distance', { from: 'Atlantis', to: 'Ooty' });
+    expect(unknown.error).toBe('Unknown location: Atlantis');
+  });
+
+  test('rejects unknown tools, tools the agent did not declare and bad arguments', async () => {
+    expect((await registry.execute('rm_rf', {})).error).toBe('Unknown tool: rm_rf');
+    expect((await registry.execute('memory_lookup', { query: 'x' }, { allowedTools: ['search_places'] })).error).toBe('Unknown tool: memory_lookup');
+    expect((await registry.execute('calculate_distance', { from: 'Ooty' })).error).toBe('missing required argument(s): to');
+    expect((await registry.execute('search_places', { category: 'desert' })).error).toBe('argument category must be one of: scenic, water, park');
+    expect(validateArguments({}, null)).toBe('arguments must be an object');
+  });
+
+  test('times out slow tools and reports handler errors', async () => {
+    registry.register({ name: 'slow', parameters: {}, handler: () => new Promise(resolve => setTimeout(resolve, 200)) });
+    registry.register({ name: 'broken', parameters: {}, handler: () => { throw new Error('boom'); } });
+
+    expect((await registry.execute('slow', {})).error).toBe('Tool slow timed out after 50ms');
+    expect((await registry.execute('broken', {})).error).toBe('boom');
+  });
+
+  test('handlers get a frozen context without the allowed tool list', async () => {
+    let seen;
+    registry.register({ name: 'spy', parameters: {}, handler: (args, context) => { seen = context; return 'ok'; } });
+
+    await registry.execute('spy', {}, { userId: 'user-1', allowedTools: ['spy'] });
+
+    expect(seen).toEqual({ userId: 'user-1' });
+    expect(Object.isFrozen(seen)).toBe(true);
+  });
+});
+
+describe('Agent tool calls', () => {
+  let services;
+  let user;
+
+  beforeEach(async () => {
+    services = await createTestServices({
+      responses: [{
+        match: 'You are the River Agent',
+        response: (systemPrompt, userPrompt, options, callOptions) => {
+          const results = (callOptions.followUp || []).filter(message => message.role === 'tool');
+          if (results.length === 0) {
+            return { content: '', toolCalls: [{ name: 'search_places', arguments: { query: 'waterfall', state: 'Kerala' } }] };
+          }
+          const { places } = JSON.parse(results[0].content);
+          return `Visit ${places[0].name}.`;
+        }
+      }]
+    });
+    user = createTestUser(services.mysql);
+  });
+
+  test('runs the requested tools, feeds the results back and records the calls', async () => {
+    const result = await services.orchestrator.processQuery('Which waterfall should I visit?', user.id, 'session-1');
+
+    const river = result.responses.find(r => r.agentId === 'river-agent');
+    expect(river.response).toBe('Visit Athirappilly Falls.');
+    expect(river.toolCalls).toHaveLength(1);
+    expect(river.toolCalls[0]).toMatchObject({ name: 'search_places', round: 0 });
+
+    const riverCalls = services.mock.calls.filter(call => call.systemPrompt.includes('You are the River Agent'));
+    expect(riverCalls).toHaveLength(2);
+    expect(riverCalls[0].callOptions.tools.map(t => t.function.name)).toEqual(['search_places', 'calculate_distance']);
+    expect(riverCalls[1].callOptions.followUp[0]).toMatchObject({ role: 'assistant', toolCalls: [{ id: 'call_0', name: 'search_places' }] });
+
+    const interaction = services.mysql.rows('agent_interactions').find(row => row.agent_id === 'river-agent');
+    expect(JSON.parse(interaction.tool_calls)[0].result.places[0].name).toBe('Athirappilly Falls');
+  });
+
+  test('stops offering tools after maxToolRounds', async () => {
+    services.mock.reset().addResponse('You are the River Agent', {
+      content: 'Still looking.',
+      toolCalls: [{ name: 'calculate_distance', arguments: { from: 'Ooty', to: 'Munnar' } }]
+    });
+    const agent = services.agentManager.getAgent('river-agent');
+    agent.maxToolRounds = 2;
+
+    const response = await agent.execute('How far is it?', user.id, 'session-1');
+
+    expect(response.toolCalls).toHaveLength(2);
+    expect(services.mock.calls).toHaveLength(3);
+    expect(services.mock.calls[2].callOptions.tools).toBeUndefined();
+    expect(response.response).toBe('Still looking.');
+  });
+
+  test('answers every requested call, even past the per-round limit', async () => {
+    services.mock.reset().addResponse('You are the River Agent', (systemPrompt, userPrompt, options, callOptions) => {
+      if (callOptions.followUp) return 'Done.';
+      return {
+        content: '',
+        toolCalls: Array.from({ length: 7 }, () => ({ name: 'calculate_distance', arguments: { from: 'Ooty', to: 'Munnar' } }))
+      };
+    });
+
+    const response = await services.agentManager.getAgent('river-agent').execute('How far is it?', user.id, 'session-1');
+
+    expect(response.toolCalls).toHaveLength(5);
+    const [assistant, ...results] = services.mock.calls[1].callOptions.followUp;
+    expect(results.map(message => message.toolCallId)).toEqual(assistant.toolCalls.map(call => call.id));
+    expect(JSON.parse(results[6].content)).toEqual({ error: 'Not run: at most 5 tool calls are run per round' });
+  });
+
+  test('agents configured without tools make a single call', async () => {
+    await services.agentManager.updateAgent('river-agent', { tools: [] });
+    services.mock.calls = [];
+
+    await services.agentManager.getAgent('river-agent').execute('Which waterfall should I visit?', user.id, 'session-1');
+
+    expect(services.mock.calls).toHaveLength(1);
+    expect(services.mock.calls[0].callOptions.tools).toBeUndefined();
+  });
+
+  test('creating an agent with an unknown tool fails', async () => {
+    await expect(services.agentManager.createAgent({ name: 'Bad', type: 'scenic', tools: ['launch_missiles'] }))
+      .rejects.toThrow('Unknown tool(s): launch_missiles');
+  });
+});
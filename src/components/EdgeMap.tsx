@@ -1,43 +1,129 @@
 
+import { useState, useEffect } from 'react';
 import { Card, CardContent, CardHeader, CardTitle } from '@/components/ui/card';
 import { Badge } from '@/components/ui/badge';
-import { ArrowRight, GitBranch, Zap } from 'lucide-react';
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import { Label } from '@/components/ui/label';
+import { Switch } from '@/components/ui/switch';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@/components/ui/select';
+import { ArrowRight, GitBranch, Zap, Pencil, Trash2, CheckCircle, XCircle } from 'lucide-react';
+import { toast } from '@/hooks/use-toast';
+import { apiClient } from '@/services/apiClient';
+import { edgeRuleService, RuleAgent } from '@/services/edgeRuleService';
+import { EdgeRule, EdgeRuleInput, EdgeRulePriority, EdgeRuleValidation } from '@/types/agent';
+
+const ANY_AGENT = '*';
+const PRIORITIES: EdgeRulePriority[] = ['high', 'medium', 'low'];
+
+const EMPTY_DRAFT: EdgeRuleInput = {
+  from: '',
+  to: '',
+  condition: '',
+  priority: 'medium',
+  enabled: true,
+  description: null
+};
+
+const showError = (title: string, error: unknown) => {
+  toast({
+    title,
+    description: error instanceof Error ? error.message : String(error),
+    variant: 'destructive'
+  });
+};
 
 export const EdgeMap = () => {
-  const edgeRules = [
-    {
-      id: 1,
-      from: 'Scenic Agent',
-      to: 'River Agent',
-      condition: 'location.type === "water-adjacent"',
-      priority: 'high',
-      status: 'active'
-    },
-    {
-      id: 2,
-      from: 'River Agent',
-      to: 'Park Agent',
-      condition: 'recreational.features.includes("park")',
-      priority: 'medium',
-      status: 'active'
-    },
-    {
-      id: 3,
-      from: 'Search Agent',
-      to: 'Any Agent',
-      condition: 'query.type === "historical"',
-      priority: 'high',
-      status: 'active'
-    },
-    {
-      id: 4,
-      from: 'Park Agent',
-      to: 'Search Agent',
-      condition: 'context.needsHistory === true',
-      priority: 'low',
-      status: 'idle'
+  const demoMode = apiClient.isDemoMode();
+  const [edgeRules, setEdgeRules] = useState<EdgeRule[]>([]);
+  const [agents, setAgents] = useState<RuleAgent[]>([]);
+  const [draft, setDraft] = useState<EdgeRuleInput>(EMPTY_DRAFT);
+  const [editingId, setEditingId] = useState<string | null>(null);
+  const [validation, setValidation] = useState<EdgeRuleValidation | null>(null);
+  const [isSaving, setIsSaving] = useState(false);
+
+  useEffect(() => {
+    loadRules();
+  }, []);
+
+  const loadRules = async () => {
+    try {
+      const [rules, ruleAgents] = await Promise.all([edgeRuleService.getRules(), edgeRuleService.getAgents()]);
+      setEdgeRules(rules);
+      setAgents(ruleAgents);
+    } catch (error) {
+      showError('Could not load edge rules', error);
     }
-  ];
+  };
+
+  const agentName = (agentId: string) =>
+    agentId === ANY_AGENT ? 'Any Agent' : agents.find(agent => agent.id === agentId)?.name || agentId;
+
+  const updateDraft = (changes: Partial<EdgeRuleInput>) => {
+    setDraft(prev => ({ ...prev, ...changes }));
+    setValidation(null);
+  };
+
+  const resetDraft = () => {
+    setDraft(EMPTY_DRAFT);
+    setEditingId(null);
+    setValidation(null);
+  };
+
+  const handleEdit = (rule: EdgeRule) => {
+    const { id, ...input } = rule;
+    setDraft(input);
+    setEditingId(id);
+    setValidation(null);
+  };
+
+  const handleValidate = async () => {
+    try {
+      setValidation(await edgeRuleService.validateRule(draft, editingId || undefined));
+    } catch (error) {
+      showError('Validation failed', error);
+    }
+  };
+
+  // The backend validates again before saving; its errors come back as the toast
+  const handleSave = async () => {
+    setIsSaving(true);
+    try {
+      if (editingId) {
+        await edgeRuleService.updateRule(editingId, draft);
+        toast({ title: 'Edge rule updated', description: 'The orchestrator uses it from the next query.' });
+      } else {
+        await edgeRuleService.createRule(draft);
+        toast({ title: 'Edge rule added', description: 'The orchestrator uses it from the next query.' });
+      }
+      resetDraft();
+      await loadRules();
+    } catch (error) {
+      showError('Could not save the edge rule', error);
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const handleToggle = async (rule: EdgeRule, enabled: boolean) => {
+    try {
+      await edgeRuleService.updateRule(rule.id, { enabled });
+      await loadRules();
+    } catch (error) {
+      showError(enabled ? 'Could not enable the edge rule' : 'Could not disable the edge rule', error);
+    }
+  };
+
+  const handleDelete = async (rule: EdgeRule) => {
+    try {
+      await edgeRuleService.deleteRule(rule.id);
+      if (editingId === rule.id) resetDraft();
+      await loadRules();
+      toast({ title: 'Edge rule deleted' });
+    } catch (error) {
+      showError('Could not delete the edge rule', error);
+    }
+  };
 
   const communicationFlow = [
     {
@@ -73,6 +159,9 @@ export const EdgeMap = () => {
         </CardHeader>
         <CardContent>
           <div className="space-y-4">
+            {edgeRules.length === 0 && (
+              <div className="text-slate-400 text-sm">No edge rules yet.</div>
+            )}
             {edgeRules.map((rule) => (
               <div key={rule.id} className="bg-slate-700 p-4 rounded-lg">
                 <div className="flex items-center justify-between mb-3">
@@ -81,14 +170,14 @@ export const EdgeMap = () => {
                       variant="outline" 
                       className="border-blue-500 text-blue-400"
                     >
-                      {rule.from}
+                      {agentName(rule.from)}
                     </Badge>
                     <ArrowRight className="h-4 w-4 text-slate-500" />
                     <Badge 
                       variant="outline" 
                       className="border-green-500 text-green-400"
                     >
-                      {rule.to}
+                      {agentName(rule.to)}
                     </Badge>
                   </div>
                   <div className="flex items-center space-x-2">
@@ -102,23 +191,143 @@ export const EdgeMap = () => {
                     >
                       {rule.priority}
                     </Badge>
-                    <div className={`w-2 h-2 rounded-full ${
-                      rule.status === 'active' ? 'bg-green-400' : 'bg-slate-500'
-                    }`}></div>
+                    <Switch
+                      checked={rule.enabled}
+                      disabled={demoMode}
+                      onCheckedChange={(enabled) => handleToggle(rule, enabled)}
+                      aria-label={rule.enabled ? 'Disable rule' : 'Enable rule'}
+                    />
+                    <Button variant="ghost" size="sm" disabled={demoMode} onClick={() => handleEdit(rule)}>
+                      <Pencil className="h-4 w-4 text-slate-400" />
+                    </Button>
+                    <Button variant="ghost" size="sm" disabled={demoMode} onClick={() => handleDelete(rule)}>
+                      <Trash2 className="h-4 w-4 text-red-400" />
+                    </Button>
                   </div>
                 </div>
                 <div className="text-sm">
                   <span className="text-slate-400">Condition:</span>
                   <code className="ml-2 text-cyan-400 bg-slate-800 px-2 py-1 rounded">
-                    {rule.condition}
+                    {rule.condition || 'always'}
                   </code>
                 </div>
+                {rule.description && (
+                  <div className="text-xs text-slate-400 mt-2">{rule.description}</div>
+                )}
               </div>
             ))}
           </div>
         </CardContent>
       </Card>
 
+      <Card className="bg-slate-800 border-slate-700">
+        <CardHeader>
+          <CardTitle className="text-white">{editingId ? 'Edit Edge Rule' : 'Add Edge Rule'}</CardTitle>
+        </CardHeader>
+        <CardContent>
+          {demoMode ? (
+            <div className="text-slate-400 text-sm">
+              Demo mode shows the default rules. Turn off demo mode and sign in to edit them.
+            </div>
+          ) : (
+            <div className="space-y-4">
+              <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+                <div className="space-y-2">
+                  <Label className="text-slate-300">From</Label>
+                  <Select value={draft.from} onValueChange={(from) => updateDraft({ from })}>
+                    <SelectTrigger className="bg-slate-700 border-slate-600 text-white">
+                      <SelectValue placeholder="Upstream agent" />
+                    </SelectTrigger>
+                    <SelectContent>
+                      {agents.map(agent => (
+                        <SelectItem key={agent.id} value={agent.id}>{agent.name}</SelectItem>
+                      ))}
+                    </SelectContent>
+                  </Select>
+                </div>
+                <div className="space-y-2">
+                  <Label className="text-slate-300">To</Label>
+                  <Select value={draft.to} onValueChange={(to) => updateDraft({ to })}>
+                    <SelectTrigger className="bg-slate-700 border-slate-600 text-white">
+                      <SelectValue placeholder="Downstream agent" />
+                    </SelectTrigger>
+                    <SelectContent>
+                      <SelectItem value={ANY_AGENT}>Any Agent</SelectItem>
+                      {agents.map(agent => (
+                        <SelectItem key={agent.id} value={agent.id}>{agent.name}</SelectItem>
+                      ))}
+                    </SelectContent>
+                  </Select>
+                </div>
+                <div className="space-y-2">
+                  <Label className="text-slate-300">Priority</Label>
+                  <Select value={draft.priority} onValueChange={(priority) => updateDraft({ priority: priority as EdgeRulePriority })}>
+                    <SelectTrigger className="bg-slate-700 border-slate-600 text-white">
+                      <SelectValue />
+                    </SelectTrigger>
+                    <SelectContent>
+                      {PRIORITIES.map(priority => (
+                        <SelectItem key={priority} value={priority}>{priority}</SelectItem>
+                      ))}
+                    </SelectContent>
+                  </Select>
+                </div>
+              </div>
+              <div className="space-y-2">
+                <Label className="text-slate-300">Condition</Label>
+                <Input
+                  value={draft.condition}
+                  onChange={(e) => updateDraft({ condition: e.target.value })}
+                  placeholder="location.type === 'water-adjacent' (empty: always)"
+                  className="bg-slate-700 border-slate-600 text-white font-mono"
+                />
+              </div>
+              <div className="space-y-2">
+                <Label className="text-slate-300">Description</Label>
+                <Input
+                  value={draft.description || ''}
+                  onChange={(e) => updateDraft({ description: e.target.value || null })}
+                  placeholder="Optional"
+                  className="bg-slate-700 border-slate-600 text-white"
+                />
+              </div>
+              {validation && (
+                <div className={`text-sm flex items-start space-x-2 ${validation.valid ? 'text-green-400' : 'text-red-400'}`}>
+                  {validation.valid
+                    ? <CheckCircle className="h-4 w-4 mt-0.5" />
+                    : <XCircle className="h-4 w-4 mt-0.5" />}
+                  <div>
+                    {validation.valid ? 'Rule is valid' : validation.errors.map(error => <div key={error}>{error}</div>)}
+                  </div>
+                </div>
+              )}
+              <div className="flex space-x-2">
+                <Button
+                  variant="outline"
+                  onClick={handleValidate}
+                  disabled={!draft.from || !draft.to}
+                  className="border-slate-600 text-slate-300"
+                >
+                  Validate
+                </Button>
+                <Button
+                  onClick={handleSave}
+                  disabled={!draft.from || !draft.to || isSaving}
+                  className="bg-cyan-600 hover:bg-cyan-700"
+                >
+                  {editingId ? 'Save Changes' : 'Add Rule'}
+                </Button>
+                {editingId && (
+                  <Button variant="ghost" onClick={resetDraft} className="text-slate-400">
+                    Cancel
+                  </Button>
+                )}
+              </div>
+            </div>
+          )}
+        </CardContent>
+      </Card>
+
       <Card className="bg-slate-800 border-slate-700">
         <CardHeader>
           <div className="flex items-center space-x-2">
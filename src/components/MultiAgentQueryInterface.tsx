@@ -5,11 +5,116 @@ import { Input } from '@/components/ui/input';
 import { Badge } from '@/components/ui/badge';
 import { Separator } from '@/components/ui/separator';
 import { Tabs, TabsContent, TabsList, TabsTrigger } from '@/components/ui/tabs';
-import { User, Bot, Clock, Zap, Users, History, Shield, Database, Search, Trash2, Download } from 'lucide-react';
+import { Switch } from '@/components/ui/switch';
+import { Label } from '@/components/ui/label';
+import { User, Bot, Clock, Zap, Users, History, Shield, Database, Search, Trash2, Download, LogOut, MapPin, ThumbsUp, ThumbsDown, Star, Send } from 'lucide-react';
+import { toast } from '@/hooks/use-toast';
 import { agentService } from '@/services/agentService';
 import { userService } from '@/services/userService';
 import { memoryService } from '@/services/memoryService';
-import { QueryResult, User as UserType, MemoryEntry } from '@/types/agent';
+import { apiClient } from '@/services/apiClient';
+import { feedbackService } from '@/services/feedbackService';
+import { QueryResult, User as UserType, MemoryEntry, MemoryStats, PlaceCitation, ResponseFeedback } from '@/types/agent';
+
+// Agents cite places as [place:id]; the markers are replaced by links below the answer
+const PLACE_CITATION_PATTERN = /\s?\[place:[a-z0-9-]+\]/g;
+
+const stripPlaceCitations = (text: string) => text.replace(PLACE_CITATION_PATTERN, '');
+
+const placeMapUrl = (place: PlaceCitation) =>
+  `https://www.openstreetmap.org/?mlat=${place.latitude}&mlon=${place.longitude}#map=15/${place.latitude}/${place.longitude}`;
+
+const showError = (title: string, error: unknown) => {
+  toast({
+    title,
+    description: error instanceof Error ? error.message : String(error),
+    variant: 'destructive'
+  });
+};
+
+// Thumbs, a 1-5 rating and a comment on one agent's answer. Every change
+// sends the whole feedback, since the backend replaces the earlier one.
+const ResponseFeedbackControls = ({ queryId, agentId }: { queryId: string; agentId: string }) => {
+  const [feedback, setFeedback] = useState<ResponseFeedback>({});
+  const [comment, setComment] = useState('');
+  const [isSaving, setIsSaving] = useState(false);
+
+  const submit = async (update: ResponseFeedback) => {
+    const next = { ...feedback, ...update };
+    setIsSaving(true);
+    try {
+      await feedbackService.submitFeedback(queryId, agentId, next);
+      setFeedback(next);
+    } catch (error) {
+      showError('Could not save your feedback', error);
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const submitComment = async () => {
+    if (!comment.trim()) return;
+    await submit({ comment: comment.trim() });
+    setComment('');
+  };
+
+  return (
+    <div className="flex flex-wrap items-center gap-2 mt-2 text-xs text-slate-400">
+      <Button
+        variant="ghost"
+        size="sm"
+        disabled={isSaving}
+        onClick={() => submit({ thumbs: feedback.thumbs === 'up' ? null : 'up' })}
+        className={`h-7 px-2 ${feedback.thumbs === 'up' ? 'text-green-400' : 'text-slate-400'}`}
+        aria-label="Helpful"
+      >
+        <ThumbsUp className="h-3 w-3" />
+      </Button>
+      <Button
+        variant="ghost"
+        size="sm"
+        disabled={isSaving}
+        onClick={() => submit({ thumbs: feedback.thumbs === 'down' ? null : 'down' })}
+        className={`h-7 px-2 ${feedback.thumbs === 'down' ? 'text-red-400' : 'text-slate-400'}`}
+        aria-label="Not helpful"
+      >
+        <ThumbsDown className="h-3 w-3" />
+      </Button>
+      <div className="flex items-center">
+        {[1, 2, 3, 4, 5].map(rating => (
+          <button
+            key={rating}
+            type="button"
+            disabled={isSaving}
+            onClick={() => submit({ rating })}
+            className="p-0.5"
+            aria-label={`Rate ${rating} of 5`}
+          >
+            <Star className={`h-3 w-3 ${feedback.rating && rating <= feedback.rating ? 'fill-yellow-400 text-yellow-400' : 'text-slate-500'}`} />
+          </button>
+        ))}
+      </div>
+      <Input
+        value={comment}
+        onChange={(e) => setComment(e.target.value)}
+        onKeyDown={(e) => e.key === 'Enter' && submitComment()}
+        placeholder={feedback.comment ? 'Comment saved — replace it?' : 'Add a comment'}
+        maxLength={1000}
+        className="h-7 max-w-xs bg-slate-700 border-slate-600 text-white text-xs"
+      />
+      <Button
+        variant="ghost"
+        size="sm"
+        disabled={isSaving || !comment.trim()}
+        onClick={submitComment}
+        className="h-7 px-2 text-slate-400"
+        aria-label="Send comment"
+      >
+        <Send className="h-3 w-3" />
+      </Button>
+    </div>
+  );
+};
 
 export const MultiAgentQueryInterface = () => {
   const [query, setQuery] = useState('');
@@ -18,36 +123,84 @@ export const MultiAgentQueryInterface = () => {
   const [queryResults, setQueryResults] = useState<QueryResult[]>([]);
   const [userName, setUserName] = useState('');
   const [userEmail, setUserEmail] = useState('');
+  const [password, setPassword] = useState('');
+  const [isRegistering, setIsRegistering] = useState(false);
+  const [demoMode, setDemoMode] = useState(apiClient.isDemoMode());
   const [conversationHistory, setConversationHistory] = useState<QueryResult[]>([]);
-  const [memoryStats, setMemoryStats] = useState<any>(null);
+  const [memoryStats, setMemoryStats] = useState<MemoryStats | null>(null);
   const [searchTerm, setSearchTerm] = useState('');
   const [searchResults, setSearchResults] = useState<MemoryEntry[]>([]);
 
   useEffect(() => {
-    // Create a default user on component mount
+    // Demo mode starts with a local demo user, live mode with the stored session
     initializeUser();
-  }, []);
+  }, [demoMode]);
 
   const initializeUser = async () => {
-    const user = await userService.createUser('Demo User');
-    setCurrentUser(user);
-    await loadUserData(user.id);
+    resetUserState();
+
+    try {
+      const user = demoMode
+        ? await userService.createUser('Demo User')
+        : await userService.restoreSession();
+      if (user) {
+        setCurrentUser(user);
+        await loadUserData(user.id);
+      }
+    } catch (error) {
+      showError('Could not restore your session', error);
+    }
+  };
+
+  const resetUserState = () => {
+    setCurrentUser(null);
+    setQueryResults([]);
+    setConversationHistory([]);
+    setMemoryStats(null);
+    setSearchResults([]);
   };
 
   const loadUserData = async (userId: string) => {
     const history = await memoryService.getUserConversationHistory(userId, 10);
     setConversationHistory(history);
     
-    const stats = await userService.getUserStats(userId);
-    setMemoryStats(stats?.memory);
+    const stats = await memoryService.getMemoryStats(userId);
+    setMemoryStats(stats);
   };
 
   const handleCreateUser = async () => {
-    const user = await userService.createUser(userName || undefined, userEmail || undefined);
-    setCurrentUser(user);
-    setUserName('');
-    setUserEmail('');
-    await loadUserData(user.id);
+    try {
+      let user: UserType;
+      if (demoMode) {
+        user = await userService.createUser(userName || undefined, userEmail || undefined);
+      } else if (isRegistering) {
+        user = await userService.register(userName, userEmail, password);
+      } else {
+        user = await userService.login(userName, password);
+      }
+
+      setCurrentUser(user);
+      setUserName('');
+      setUserEmail('');
+      setPassword('');
+      await loadUserData(user.id);
+    } catch (error) {
+      showError(isRegistering ? 'Registration failed' : 'Sign in failed', error);
+    }
+  };
+
+  const handleLogout = async () => {
+    try {
+      await userService.logout();
+    } catch (error) {
+      showError('Logout failed', error);
+    }
+    resetUserState();
+  };
+
+  const handleDemoModeChange = (enabled: boolean) => {
+    apiClient.setDemoMode(enabled);
+    setDemoMode(enabled);
   };
 
   const handleQuerySubmit = async () => {
@@ -64,6 +217,7 @@ export const MultiAgentQueryInterface = () => {
       await loadUserData(currentUser.id);
     } catch (error) {
       console.error('Error processing query:', error);
+      showError('Query failed', error);
     } finally {
       setIsProcessing(false);
     }
@@ -72,19 +226,25 @@ export const MultiAgentQueryInterface = () => {
   const handleSearchHistory = async () => {
     if (!searchTerm.trim() || !currentUser) return;
     
-    const results = await memoryService.searchUserHistory(currentUser.id, searchTerm);
-    setSearchResults(results);
+    try {
+      const results = await memoryService.searchUserHistory(currentUser.id, searchTerm);
+      setSearchResults(results);
+    } catch (error) {
+      showError('Search failed', error);
+    }
   };
 
   const handleDeleteUserData = async () => {
     if (!currentUser) return;
     
     if (confirm('Are you sure you want to delete all your data? This action cannot be undone.')) {
-      await userService.deleteUser(currentUser.id);
-      setCurrentUser(null);
-      setQueryResults([]);
-      setConversationHistory([]);
-      setMemoryStats(null);
+      try {
+        await userService.deleteUser(currentUser.id);
+      } catch (error) {
+        showError('Could not delete your data', error);
+        return;
+      }
+      resetUserState();
       alert('All user data has been deleted.');
     }
   };
@@ -92,7 +252,13 @@ export const MultiAgentQueryInterface = () => {
   const handleExportData = async () => {
     if (!currentUser) return;
     
-    const exportData = await userService.exportUserData(currentUser.id);
+    let exportData: unknown;
+    try {
+      exportData = await userService.exportUserData(currentUser.id);
+    } catch (error) {
+      showError('Export failed', error);
+      return;
+    }
     const blob = new Blob([JSON.stringify(exportData, null, 2)], { type: 'application/json' });
     const url = URL.createObjectURL(blob);
     const a = document.createElement('a');
@@ -140,10 +306,18 @@ export const MultiAgentQueryInterface = () => {
           {/* User Management */}
           <Card className="bg-slate-800 border-slate-700">
             <CardHeader>
-              <CardTitle className="text-white flex items-center gap-2">
-                <Users className="h-5 w-5 text-cyan-400" />
-                User Management
-              </CardTitle>
+              <div className="flex items-center justify-between">
+                <CardTitle className="text-white flex items-center gap-2">
+                  <Users className="h-5 w-5 text-cyan-400" />
+                  User Management
+                </CardTitle>
+                <div className="flex items-center gap-2">
+                  <Switch id="demo-mode" checked={demoMode} onCheckedChange={handleDemoModeChange} />
+                  <Label htmlFor="demo-mode" className="text-slate-400 text-sm">
+                    Offline demo
+                  </Label>
+                </div>
+              </div>
             </CardHeader>
             <CardContent className="space-y-4">
               {currentUser ? (
@@ -159,9 +333,57 @@ export const MultiAgentQueryInterface = () => {
                       )}
                     </div>
                   </div>
-                  <Badge variant="outline" className="border-green-500 text-green-400">
-                    Active
-                  </Badge>
+                  <div className="flex items-center gap-2">
+                    <Badge variant="outline" className="border-green-500 text-green-400">
+                      {demoMode ? 'Demo' : 'Active'}
+                    </Badge>
+                    {!demoMode && (
+                      <Button
+                        variant="outline"
+                        size="sm"
+                        onClick={handleLogout}
+                        className="border-slate-600 text-slate-400 hover:text-white"
+                      >
+                        <LogOut className="h-4 w-4 mr-1" />
+                        Sign Out
+                      </Button>
+                    )}
+                  </div>
+                </div>
+              ) : !demoMode ? (
+                <div className="space-y-2">
+                  <Input
+                    value={userName}
+                    onChange={(e) => setUserName(e.target.value)}
+                    placeholder="Username"
+                    className="bg-slate-700 border-slate-600 text-white"
+                  />
+                  {isRegistering && (
+                    <Input
+                      value={userEmail}
+                      onChange={(e) => setUserEmail(e.target.value)}
+                      placeholder="Email"
+                      className="bg-slate-700 border-slate-600 text-white"
+                    />
+                  )}
+                  <Input
+                    type="password"
+                    value={password}
+                    onChange={(e) => setPassword(e.target.value)}
+                    placeholder="Password"
+                    className="bg-slate-700 border-slate-600 text-white"
+                    onKeyPress={(e) => e.key === 'Enter' && handleCreateUser()}
+                  />
+                  <Button onClick={handleCreateUser} className="w-full bg-cyan-600 hover:bg-cyan-500">
+                    {isRegistering ? 'Create Account' : 'Sign In'}
+                  </Button>
+                  <Button
+                    variant="link"
+                    onClick={() => setIsRegistering(!isRegistering)}
+                    className="w-full text-slate-400"
+                  >
+                    {isRegistering ? 'Already have an account? Sign in' : 'New here? Create an account'}
+                  </Button>
                 </div>
               ) : (
                 <div className="space-y-2">
@@ -284,14 +506,77 @@ export const MultiAgentQueryInterface = () => {
                         <div className="text-slate-400 text-xs">
                           Relevance: {response.relevanceScore}/10
                         </div>
+                        {response.cache?.hit && (
+                          <Badge
+                            variant="outline"
+                            className="border-slate-600 text-slate-400 text-xs"
+                            title={`Reused answer generated ${new Date(response.cache.generatedAt).toLocaleString()}`}
+                          >
+                            cached
+                          </Badge>
+                        )}
                       </div>
                       <div className="text-slate-400 text-xs">
                         Confidence: {(response.confidence * 100).toFixed(1)}%
+                        {response.confidenceDetails && (
+                          <span
+                            className="ml-1 text-slate-500"
+                            title={response.confidenceDetails.reason || Object.entries(response.confidenceDetails.scores)
+                              .map(([name, score]) => `${name}: ${score}`)
+                              .join(', ')}
+                          >
+                            ({response.confidenceDetails.method}
+                            {response.confidenceDetails.fallback && ', fallback'})
+                          </span>
+                        )}
                       </div>
                     </div>
                     <div className="bg-slate-700 p-3 rounded-lg text-slate-200 text-sm">
-                      {response.response}
+                      {stripPlaceCitations(response.response)}
                     </div>
+                    {response.citations && response.citations.length > 0 && (
+                      <div className="flex flex-wrap gap-2 mt-2">
+                        {response.citations.map(place => (
+                          <a
+                            key={place.placeId}
+                            href={placeMapUrl(place)}
+                            target="_blank"
+                            rel="noopener noreferrer"
+                            className="flex items-center gap-1 text-xs text-cyan-400 hover:text-cyan-300"
+                          >
+                            <MapPin className="h-3 w-3" />
+                            {place.name}
+                          </a>
+                        ))}
+                      </div>
+                    )}
+                    {response.structured?.data?.places && response.structured.data.places.length > 0 && (
+                      <div className="mt-2 overflow-x-auto">
+                        <table className="w-full text-xs text-left">
+                          <thead className="text-slate-400">
+                            <tr>
+                              <th className="py-1 pr-3 font-medium">Place</th>
+                              <th className="py-1 pr-3 font-medium">Location</th>
+                              <th className="py-1 pr-3 font-medium">Category</th>
+                              <th className="py-1 pr-3 font-medium">Best time</th>
+                              <th className="py-1 font-medium">Fees</th>
+                            </tr>
+                          </thead>
+                          <tbody className="text-slate-300">
+                            {response.structured.data.places.map((place, placeIndex) => (
+                              <tr key={placeIndex} className="border-t border-slate-600">
+                                <td className="py-1 pr-3 text-white">{place.name}</td>
+                                <td className="py-1 pr-3">{place.location || '—'}</td>
+                                <td className="py-1 pr-3">{place.category || '—'}</td>
+                                <td className="py-1 pr-3">{place.best_time || '—'}</td>
+                                <td className="py-1">{place.fees || '—'}</td>
+                              </tr>
+                            ))}
+                          </tbody>
+                        </table>
+                      </div>
+                    )}
+                    <ResponseFeedbackControls queryId={result.queryId} agentId={response.agentId} />
                     {responseIndex < result.responses.length - 1 && (
                       <Separator className="my-3 bg-slate-600" />
                     )}
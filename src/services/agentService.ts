@@ -1,5 +1,6 @@
 import { Agent, AgentResponse, QueryResult } from '@/types/agent';
-import { memoryService } from './memoryService';
+import { memoryService, toQueryResult, Serialized } from './memoryService';
+import { apiClient } from './apiClient';
 
 export class AgentService {
   private agents: Agent[] = [
@@ -315,6 +316,12 @@ export class AgentService {
   }
 
   async processQuery(query: string, userId: string, sessionId: string): Promise<QueryResult> {
+    if (!apiClient.isDemoMode()) {
+      // The backend takes the user and session from the auth token
+      const result = await apiClient.post<Serialized<QueryResult>>('/run_graph', { query });
+      return toQueryResult(result);
+    }
+
     const queryId = `query-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
     const relevantAgents = this.determineRelevantAgents(query);
     
@@ -0,0 +1,106 @@
+const API_BASE_URL = import.meta.env.VITE_API_URL || 'http://localhost:3001/api';
+const TOKEN_KEY = 'multiagent.token';
+const DEMO_MODE_KEY = 'multiagent.demoMode';
+
+interface ApiEnvelope<T> {
+  success: boolean;
+  data?: T;
+  error?: string;
+  message?: string;
+}
+
+export class ApiError extends Error {
+  constructor(message: string, public status: number) {
+    super(message);
+    this.name = 'ApiError';
+  }
+}
+
+export class ApiClient {
+  private token: string | null = localStorage.getItem(TOKEN_KEY);
+
+  getToken(): string | null {
+    return this.token;
+  }
+
+  setToken(token: string | null): void {
+    this.token = token;
+    if (token) {
+      localStorage.setItem(TOKEN_KEY, token);
+    } else {
+      localStorage.removeItem(TOKEN_KEY);
+    }
+  }
+
+  // Demo mode runs the in-browser simulation instead of calling the backend.
+  // A choice made in the UI wins over VITE_DEMO_MODE.
+  isDemoMode(): boolean {
+    const stored = localStorage.getItem(DEMO_MODE_KEY);
+    if (stored !== null) return stored === 'true';
+    return import.meta.env.VITE_DEMO_MODE === 'true';
+  }
+
+  setDemoMode(enabled: boolean): void {
+    localStorage.setItem(DEMO_MODE_KEY, String(enabled));
+  }
+
+  async get<T>(path: string): Promise<T> {
+    return this.request<T>('GET', path);
+  }
+
+  async post<T>(path: string, body?: unknown): Promise<T> {
+    return this.request<T>('POST', path, body);
+  }
+
+  async put<T>(path: string, body?: unknown): Promise<T> {
+    return this.request<T>('PUT', path, body);
+  }
+
+  async delete<T>(path: string): Promise<T> {
+    return this.request<T>('DELETE', path);
+  }
+
+  // For endpoints that answer with a plain JSON document instead of the
+  // { success, data } envelope (e.g. the privacy export)
+  async getRaw<T>(path: string): Promise<T> {
+    const response = await this.send('GET', path);
+    return response.json() as Promise<T>;
+  }
+
+  private async request<T>(method: string, path: string, body?: unknown): Promise<T> {
+    const response = await this.send(method, path, body);
+    const envelope = await response.json() as ApiEnvelope<T>;
+    return envelope.data as T;
+  }
+
+  private async send(method: string, path: string, body?: unknown): Promise<Response> {
+    let response: Response;
+    try {
+      response = await fetch(`${API_BASE_URL}${path}`, {
+        method,
+        headers: {
+          'Content-Type': 'application/json',
+          ...(this.token && { Authorization: `Bearer ${this.token}` })
+        },
+        body: body === undefined ? undefined : JSON.stringify(body)
+      });
+    } catch {
+      throw new ApiError(`Backend unreachable at ${API_BASE_URL}`, 0);
+    }
+
+    if (!response.ok) {
+      const envelope = await response.json().catch(() => null) as ApiEnvelope<unknown> | null;
+
+      // The session expired or was revoked; forget the token
+      if (response.status === 401) {
+        this.setToken(null);
+      }
+
+      throw new ApiError(envelope?.error || `Request failed with status ${response.status}`, response.status);
+    }
+
+    return response;
+  }
+}
+
+export const apiClient = new ApiClient();
@@ -0,0 +1,93 @@
+import { EdgeRule, EdgeRuleInput, EdgeRuleValidation } from '@/types/agent';
+import { apiClient } from './apiClient';
+
+export interface RuleAgent {
+  id: string;
+  name: string;
+}
+
+// The rules and agents the backend seeds from config/agents.json, shown in
+// demo mode. Editing needs the backend.
+const DEMO_AGENTS: RuleAgent[] = [
+  { id: 'scenic-agent', name: 'Scenic Agent' },
+  { id: 'river-agent', name: 'River Agent' },
+  { id: 'park-agent', name: 'Park Agent' },
+  { id: 'search-agent', name: 'Search Agent' }
+];
+
+const DEMO_RULES: EdgeRule[] = [
+  {
+    id: 'demo-scenic-river',
+    from: 'scenic-agent',
+    to: 'river-agent',
+    condition: "location.type === 'water-adjacent'",
+    priority: 'high',
+    enabled: true,
+    description: null
+  },
+  {
+    id: 'demo-river-park',
+    from: 'river-agent',
+    to: 'park-agent',
+    condition: "recreational.features.includes('park')",
+    priority: 'medium',
+    enabled: true,
+    description: null
+  },
+  {
+    id: 'demo-search-any',
+    from: 'search-agent',
+    to: '*',
+    condition: "query.type === 'historical'",
+    priority: 'high',
+    enabled: true,
+    description: null
+  }
+];
+
+const requireBackend = () => {
+  if (apiClient.isDemoMode()) {
+    throw new Error('Edge rules can only be edited when connected to the backend');
+  }
+};
+
+export class EdgeRuleService {
+  async getRules(): Promise<EdgeRule[]> {
+    if (apiClient.isDemoMode()) return DEMO_RULES;
+
+    const { rules } = await apiClient.get<{ rules: EdgeRule[] }>('/edge-rules');
+    return rules;
+  }
+
+  async getAgents(): Promise<RuleAgent[]> {
+    if (apiClient.isDemoMode()) return DEMO_AGENTS;
+
+    const { agents } = await apiClient.get<{ agents: RuleAgent[] }>('/agents');
+    return agents.map(({ id, name }) => ({ id, name }));
+  }
+
+  // ruleId leaves the rule being edited out of the cycle check
+  async validateRule(rule: EdgeRuleInput, ruleId?: string): Promise<EdgeRuleValidation> {
+    requireBackend();
+    return apiClient.post<EdgeRuleValidation>('/edge-rules/validate', { ...rule, ...(ruleId && { id: ruleId }) });
+  }
+
+  async createRule(rule: EdgeRuleInput): Promise<EdgeRule> {
+    requireBackend();
+    const { rule: created } = await apiClient.post<{ rule: EdgeRule }>('/edge-rules', rule);
+    return created;
+  }
+
+  async updateRule(ruleId: string, updates: Partial<EdgeRuleInput>): Promise<EdgeRule> {
+    requireBackend();
+    const { rule } = await apiClient.put<{ rule: EdgeRule }>(`/edge-rules/${ruleId}`, updates);
+    return rule;
+  }
+
+  async deleteRule(ruleId: string): Promise<void> {
+    requireBackend();
+    await apiClient.delete(`/edge-rules/${ruleId}`);
+  }
+}
+
+export const edgeRuleService = new EdgeRuleService();
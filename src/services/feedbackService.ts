@@ -0,0 +1,27 @@
+import { ResponseFeedback } from '@/types/agent';
+import { apiClient } from './apiClient';
+
+export class FeedbackService {
+  // Demo mode has no backend to learn from; feedback only lives in the page
+  private demoFeedback: Map<string, ResponseFeedback> = new Map();
+
+  // Replaces any earlier feedback on the same answer
+  async submitFeedback(queryId: string, agentId: string, feedback: ResponseFeedback): Promise<ResponseFeedback> {
+    if (apiClient.isDemoMode()) {
+      this.demoFeedback.set(`${queryId}:${agentId}`, feedback);
+      return feedback;
+    }
+
+    const { feedback: saved } = await apiClient.post<{ feedback: ResponseFeedback }>(
+      `/conversations/${queryId}/responses/${agentId}/feedback`,
+      {
+        thumbs: feedback.thumbs ?? null,
+        rating: feedback.rating ?? null,
+        comment: feedback.comment ?? null
+      }
+    );
+    return saved;
+  }
+}
+
+export const feedbackService = new FeedbackService();
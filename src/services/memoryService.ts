@@ -1,4 +1,22 @@
-import { MemoryEntry, QueryResult, User } from '@/types/agent';
+import { MemoryEntry, MemoryStats, QueryResult, User } from '@/types/agent';
+import { apiClient } from './apiClient';
+
+// The backend sends dates as ISO strings
+export type Serialized<T> = Omit<T, 'timestamp'> & { timestamp: string };
+
+export const toQueryResult = (result: Serialized<QueryResult>): QueryResult => ({
+  ...result,
+  timestamp: new Date(result.timestamp),
+  responses: result.responses.map(response => ({
+    ...response,
+    timestamp: new Date(response.timestamp)
+  }))
+});
+
+const toMemoryEntry = (entry: Serialized<MemoryEntry>): MemoryEntry => ({
+  ...entry,
+  timestamp: new Date(entry.timestamp)
+});
 
 export class MemoryService {
   private stmStorage: Map<string, MemoryEntry[]> = new Map(); // Short-term memory (Redis simulation)
@@ -109,6 +127,13 @@ export class MemoryService {
   }
 
   async getUserConversationHistory(userId: string, limit: number = 10): Promise<QueryResult[]> {
+    if (!apiClient.isDemoMode()) {
+      const { conversations } = await apiClient.get<{ conversations: Serialized<QueryResult>[] }>(
+        `/users/${encodeURIComponent(userId)}/conversations?limit=${limit}`
+      );
+      return conversations.map(toQueryResult);
+    }
+
     const ltmEntries = await this.getFromLTM(userId, limit * 2);
     const queryEntries = ltmEntries.filter(entry => entry.type === 'query');
     
@@ -119,6 +144,13 @@ export class MemoryService {
   }
 
   async searchUserHistory(userId: string, searchTerm: string): Promise<MemoryEntry[]> {
+    if (!apiClient.isDemoMode()) {
+      const { results } = await apiClient.get<{ results: Serialized<MemoryEntry>[] }>(
+        `/users/${encodeURIComponent(userId)}/search?q=${encodeURIComponent(searchTerm)}`
+      );
+      return results.map(toMemoryEntry);
+    }
+
     const stmEntries = await this.getFromSTM(userId, 100);
     const ltmEntries = await this.getFromLTM(userId, 200);
     
@@ -147,7 +179,12 @@ export class MemoryService {
   }
 
   // Memory Statistics
-  async getMemoryStats(userId: string) {
+  async getMemoryStats(userId: string): Promise<MemoryStats> {
+    if (!apiClient.isDemoMode()) {
+      const { stats } = await apiClient.get<{ stats: MemoryStats }>(`/users/${encodeURIComponent(userId)}/stats`);
+      return stats;
+    }
+
     const stmEntries = await this.getFromSTM(userId, 1000);
     const ltmEntries = await this.getFromLTM(userId, 1000);
     
@@ -1,5 +1,39 @@
 import { User, UserPreferences } from '@/types/agent';
 import { memoryService } from './memoryService';
+import { apiClient, ApiError } from './apiClient';
+
+// User as returned by the backend auth and /users/me routes
+interface BackendUser {
+  id: string;
+  username: string;
+  email?: string;
+  fullName?: string;
+  sessionId: string;
+  preferences?: Partial<UserPreferences>;
+  lastLogin?: string;
+  createdAt: string;
+}
+
+interface AuthResult {
+  user: BackendUser;
+  token: string;
+}
+
+const DEFAULT_PREFERENCES: UserPreferences = {
+  preferredAgents: [],
+  responseFormat: 'detailed',
+  language: 'en'
+};
+
+const toUser = (user: BackendUser): User => ({
+  id: user.id,
+  name: user.fullName || user.username,
+  email: user.email,
+  createdAt: new Date(user.createdAt),
+  lastActiveAt: user.lastLogin ? new Date(user.lastLogin) : new Date(),
+  sessionId: user.sessionId,
+  preferences: { ...DEFAULT_PREFERENCES, ...user.preferences }
+});
 
 export class UserService {
   private users: Map<string, User> = new Map();
@@ -51,6 +85,45 @@ export class UserService {
     return user;
   }
 
+  // Backend accounts
+  async register(username: string, email: string, password: string, fullName?: string): Promise<User> {
+    const { user, token } = await apiClient.post<AuthResult>('/auth/register', {
+      username,
+      email,
+      password,
+      ...(fullName && { fullName })
+    });
+    apiClient.setToken(token);
+    return toUser(user);
+  }
+
+  async login(username: string, password: string): Promise<User> {
+    const { user, token } = await apiClient.post<AuthResult>('/auth/login', { username, password });
+    apiClient.setToken(token);
+    return toUser(user);
+  }
+
+  async logout(): Promise<void> {
+    try {
+      await apiClient.post('/auth/logout');
+    } finally {
+      apiClient.setToken(null);
+    }
+  }
+
+  // User of the stored token, or null if there is none or it is no longer valid
+  async restoreSession(): Promise<User | null> {
+    if (!apiClient.getToken()) return null;
+
+    try {
+      const { user } = await apiClient.get<{ user: BackendUser }>('/users/me');
+      return toUser(user);
+    } catch (error) {
+      if (error instanceof ApiError && error.status === 401) return null;
+      throw error;
+    }
+  }
+
   async getUser(userId: string): Promise<User | undefined> {
     const user = this.users.get(userId);
     if (user) {
@@ -125,6 +198,12 @@ export class UserService {
 
   // Privacy and Data Management
   async deleteUser(userId: string): Promise<void> {
+    if (!apiClient.isDemoMode()) {
+      await apiClient.delete('/privacy/delete-account');
+      apiClient.setToken(null);
+      return;
+    }
+
     const user = this.users.get(userId);
     if (user) {
       this.activeSessions.delete(user.sessionId);
@@ -135,6 +214,10 @@ export class UserService {
   }
 
   async exportUserData(userId: string): Promise<any> {
+    if (!apiClient.isDemoMode()) {
+      return apiClient.getRaw<unknown>('/privacy/export');
+    }
+
     const user = this.users.get(userId);
     if (!user) return null;
 
@@ -6,6 +6,78 @@ export interface Agent {
   capabilities: string[];
 }
 
+// A place from the backend's places table that an answer cited
+export interface PlaceCitation {
+  placeId: string;
+  name: string;
+  latitude: number;
+  longitude: number;
+}
+
+// A place as listed in an agent's structured (JSON) output
+export interface StructuredPlace {
+  name: string;
+  location: string;
+  category: string;
+  best_time: string;
+  fees: string;
+}
+
+// Agents with structured output on return their answer as JSON as well;
+// data is null when the model never produced a valid payload
+export interface StructuredOutput {
+  data: { places?: StructuredPlace[] } | null;
+  attempts: number;
+  errors: string[];
+}
+
+// How an answer's confidence was scored. fallback is true when the judge or
+// logprob scoring was configured but could not score and the heuristic was used.
+export interface ConfidenceDetails {
+  method: 'heuristic' | 'judge' | 'logprob';
+  scores: Record<string, number>;
+  fallback: boolean;
+  reason?: string | null;
+}
+
+// Whether an answer came from the answer cache. Fresh answers carry the
+// fingerprint they were generated under; hits also name the query they reuse.
+export interface ResponseCacheInfo {
+  hit: boolean;
+  fingerprint: string;
+  generatedAt: string;
+  sourceQueryId?: string;
+  similarity?: number;
+}
+
+// A user's rating of one agent's answer; any of the fields may be left out
+export interface ResponseFeedback {
+  thumbs?: 'up' | 'down' | null;
+  rating?: number | null;
+  comment?: string | null;
+}
+
+export type EdgeRulePriority = 'high' | 'medium' | 'low';
+
+// A rule that orders two routed agents and passes the upstream answer on
+// when its condition holds. `to` is an agent id or '*' (every other agent).
+export interface EdgeRule {
+  id: string;
+  from: string;
+  to: string;
+  condition: string;
+  priority: EdgeRulePriority;
+  enabled: boolean;
+  description: string | null;
+}
+
+export type EdgeRuleInput = Omit<EdgeRule, 'id'>;
+
+export interface EdgeRuleValidation {
+  valid: boolean;
+  errors: string[];
+}
+
 export interface AgentResponse {
   agentId: string;
   agentName: string;
@@ -14,6 +86,10 @@ export interface AgentResponse {
   executionTime: number;
   timestamp: Date;
   relevanceScore: number;
+  citations?: PlaceCitation[];
+  structured?: StructuredOutput;
+  confidenceDetails?: ConfidenceDetails;
+  cache?: ResponseCacheInfo;
 }
 
 export interface QueryResult {
@@ -24,6 +100,7 @@ export interface QueryResult {
   totalExecutionTime: number;
   timestamp: Date;
   sessionId: string;
+  cache?: { mode: 'use' | 'bypass' | 'off'; hits: string[] } | null;
 }
 
 export interface User {
@@ -58,4 +135,16 @@ export interface ConversationHistory {
   conversations: QueryResult[];
   totalQueries: number;
   lastAccessed: Date;
-}
\ No newline at end of file
+}
+
+export interface MemoryTierStats {
+  totalEntries: number;
+  queries: number;
+  responses: number;
+  oldestEntry: Date | null;
+}
+
+export interface MemoryStats {
+  stm: MemoryTierStats;
+  ltm: MemoryTierStats;
+}